@@ -49,16 +49,22 @@ export function useContextManager() {
     }
   };
   
-  const buildContextForClaude = async (query: string, maxTokens: number = 2000): Promise<string> => {
+  const buildContextForClaude = async (
+    query: string,
+    maxTokens: number = 2000,
+    cursor?: { path: string; line: number }
+  ): Promise<string> => {
     if (!isReady.value) return '';
     
     try {
       // Use optimized context building - clone the array to avoid serialization issues
       const workingFiles = [...contextStore.workingFiles];
+      // Pack code from the relevant symbols, not just file names
       const result = await window.electronAPI.context.buildOptimized(
         query, 
         workingFiles, 
-        maxTokens
+        maxTokens,
+        { mode: 'symbols', cursor: cursor ? { ...cursor } : undefined }
       );
       
       if (result.success) {
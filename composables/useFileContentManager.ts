@@ -649,6 +649,24 @@ export class FileContentManager {
     }
   }
 
+  /**
+   * Apply selected hunks of a stored diff to a file in the working tree (via IPC).
+   * With `reverse` the hunks are undone instead of applied.
+   */
+  async restoreHunks(filePath: string, diffHash: string, hunks: number[], reverse: boolean = false): Promise<void> {
+    const result = await window.electronAPI.snapshots.restoreHunks({
+      projectPath: this.projectPath,
+      path: filePath,
+      diffHash,
+      hunks,
+      reverse
+    });
+
+    if (!result.success) {
+      throw new Error(`Failed to restore hunks of ${filePath}: ${result.error}`);
+    }
+  }
+
   /**
    * Cleanup old content objects (via IPC)
    */
@@ -697,6 +715,7 @@ export function useFileContentManager(projectPath?: string) {
     createDiff: manager.createDiff.bind(manager),
     applyDiff: manager.applyDiff.bind(manager),
     restoreFiles: manager.restoreFiles.bind(manager),
+    restoreHunks: manager.restoreHunks.bind(manager),
     getStorageInfo: manager.getStorageInfo.bind(manager),
     cleanup: manager.cleanup.bind(manager)
   };
@@ -1,6 +1,7 @@
 import { ref, readonly, onUnmounted } from 'vue';
 import { io, Socket } from 'socket.io-client';
 import { remoteConnection } from '~/services/remote-client/RemoteConnectionSingleton';
+import { secureRelaySocket } from '~/services/remote-client/RelayCrypto';
 
 interface ConnectionOptions {
   deviceToken: string;
@@ -53,11 +54,11 @@ export function useRemoteConnection() {
         const port = window.location.port;
         
         // Check if we're accessing through subdomain-based relay
-        // Format: sessionid.relay.clode.studio
+        // Format: sessionid.relay.clode.studio, or a reserved name like alice-laptop.relay.clode.studio
         const hostParts = hostname.split('.');
         const isSubdomainRelay = hostParts.length >= 3 && 
                                  hostParts.slice(-2).join('.') === 'clode.studio' &&
-                                 /^[a-z0-9]{6}$/.test(hostParts[0]);
+                                 /^[a-z0-9][a-z0-9-]{1,30}[a-z0-9]$/.test(hostParts[0]);
         
         // Check if we're accessing through a tunnel
         const isTunnel = hostname.includes('trycloudflare.com') || 
@@ -73,7 +74,8 @@ export function useRemoteConnection() {
         
         if (isSubdomainRelay) {
           // Subdomain relay mode - extract session and use same origin
-          const sessionId = hostParts[0].toUpperCase();
+          // The relay normalizes the case of IDs and names
+          const sessionId = hostParts[0];
           serverUrl = window.location.origin;
           console.log('[useRemoteConnection] Subdomain relay mode, session:', sessionId, 'origin:', serverUrl);
           // Store session ID for auth
@@ -92,15 +94,21 @@ export function useRemoteConnection() {
       
       debugInfo.value.serverUrl = serverUrl;
       
+      const isRelay = !!(options as any).sessionId;
+      
       socket.value = io(serverUrl, {
         path: '/socket.io/', // Explicit Socket.IO path
         transports: ['polling', 'websocket'], // Start with polling for better mobile compatibility
-        auth: {
-          role: (options as any).sessionId ? 'client' : undefined, // Set role to 'client' when connecting through relay
+        // Through the relay, the token and pairing code never leave this device:
+        // they only key the end-to-end encryption with the desktop
+        auth: isRelay ? {
+          role: 'client',
+          deviceId: options.deviceId,
+          sessionId: (options as any).sessionId
+        } : {
           token: options.deviceToken,  // Server expects 'token' not 'deviceToken'
           deviceId: options.deviceId,
-          pairing: options.pairingCode,  // Include pairing code if available
-          sessionId: (options as any).sessionId  // Include session ID for relay mode
+          pairing: options.pairingCode  // Include pairing code if available
         },
         reconnection: true,
         reconnectionDelay: 1000,
@@ -113,6 +121,19 @@ export function useRemoteConnection() {
         rememberUpgrade: true
       });
       
+      // Encrypt everything the relay forwards; this must be set up before other listeners
+      if (isRelay) {
+        secureRelaySocket(socket.value, {
+          deviceId: options.deviceId,
+          token: options.deviceToken,
+          pairingCode: options.pairingCode
+        }, (err) => {
+          error.value = err.message;
+          connected.value = false;
+          connecting.value = false;
+        });
+      }
+      
       // Store in singleton
       remoteConnection.setSocket(socket.value);
       
@@ -0,0 +1,13 @@
+import type { BrowserWindow } from 'electron';
+
+export interface AgentCheckpointService {
+  createCheckpoint(options: { type: string; description: string; autoCheckpoint?: boolean }): Promise<{ success: boolean; checkpointId?: string; error?: string }>;
+  restoreCheckpoint(checkpointId: string): Promise<unknown>;
+}
+
+export declare class AgentExecutor {
+  constructor(workspacePath: string, checkpointService?: AgentCheckpointService | null);
+  setMainWindow(window: BrowserWindow | null): void;
+  updateWorkspacePath(newPath: string): void;
+  detectIncompleteTransactions(): Promise<void>;
+}
\ No newline at end of file
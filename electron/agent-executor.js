@@ -1,32 +1,178 @@
 import { ipcMain } from 'electron';
 import path from 'path';
 import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { spawn } from 'child_process';
 import { nanoid } from 'nanoid';
+import { applyPatch, parsePatch, diffArrays, createPatch } from 'diff';
+import { AgentJournal } from './agent-journal.js';
+// Operation types whose target file is expected to be unchanged since planning
+const HASHED_OPERATION_TYPES = ['file-create', 'file-edit', 'multi-edit', 'file-patch', 'file-delete'];
+// Recorded instead of a hash when a file to be created didn't exist at planning
+const ABSENT_HASH = 'absent';
+// Default number of mismatching context lines tolerated when fitting a patch hunk
+const DEFAULT_FUZZ_FACTOR = 2;
+const MAX_CONFLICT_PATCH = 16 * 1024; // Keep the head of the merge shown in a conflict error
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_VERIFICATION_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const MAX_VERIFICATION_OUTPUT = 64 * 1024; // Keep the tail of each command's output
+function hashContent(content) {
+    return createHash('sha256').update(content).digest('hex');
+}
+/**
+ * Regions of `base` that were replaced in `side`, as { baseStart, baseEnd, lines }
+ */
+function computeHunks(base, side) {
+    const hunks = [];
+    let baseIndex = 0;
+    let current = null;
+    for (const part of diffArrays(base, side)) {
+        if (!part.added && !part.removed) {
+            if (current) {
+                hunks.push(current);
+                current = null;
+            }
+            baseIndex += part.value.length;
+            continue;
+        }
+        if (!current) {
+            current = { baseStart: baseIndex, baseEnd: baseIndex, lines: [] };
+        }
+        if (part.removed) {
+            baseIndex += part.value.length;
+            current.baseEnd = baseIndex;
+        }
+        else {
+            current.lines.push(...part.value);
+        }
+    }
+    if (current) {
+        hunks.push(current);
+    }
+    return hunks;
+}
+function applyHunks(base, hunks, start, end) {
+    const lines = [];
+    let index = start;
+    for (const hunk of hunks) {
+        lines.push(...base.slice(index, hunk.baseStart));
+        lines.push(...hunk.lines);
+        index = hunk.baseEnd;
+    }
+    lines.push(...base.slice(index, end));
+    return lines;
+}
+/**
+ * Line-based three-way merge. Changes made on only one side are taken as-is,
+ * overlapping changes that differ are emitted with diff3-style conflict markers.
+ */
+export function mergeThreeWay(baseText, oursText, theirsText) {
+    const base = baseText.split('\n');
+    const changes = [
+        ...computeHunks(base, oursText.split('\n')).map(hunk => ({ ...hunk, side: 'ours' })),
+        ...computeHunks(base, theirsText.split('\n')).map(hunk => ({ ...hunk, side: 'theirs' }))
+    ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+    const output = [];
+    let conflicts = 0;
+    let baseIndex = 0;
+    let i = 0;
+    while (i < changes.length) {
+        // Group overlapping or touching changes into a single region
+        const region = [changes[i]];
+        const regionStart = changes[i].baseStart;
+        let regionEnd = changes[i].baseEnd;
+        i++;
+        while (i < changes.length && changes[i].baseStart <= regionEnd) {
+            region.push(changes[i]);
+            regionEnd = Math.max(regionEnd, changes[i].baseEnd);
+            i++;
+        }
+        const oursHunks = region.filter(change => change.side === 'ours');
+        const theirsHunks = region.filter(change => change.side === 'theirs');
+        const oursLines = applyHunks(base, oursHunks, regionStart, regionEnd);
+        const theirsLines = applyHunks(base, theirsHunks, regionStart, regionEnd);
+        output.push(...base.slice(baseIndex, regionStart));
+        if (theirsHunks.length === 0) {
+            output.push(...oursLines);
+        }
+        else if (oursHunks.length === 0 || oursLines.join('\n') === theirsLines.join('\n')) {
+            output.push(...theirsLines);
+        }
+        else {
+            conflicts++;
+            output.push('<<<<<<< current', ...oursLines, '||||||| base', ...base.slice(regionStart, regionEnd), '=======', ...theirsLines, '>>>>>>> agent');
+        }
+        baseIndex = regionEnd;
+    }
+    output.push(...base.slice(baseIndex));
+    return {
+        merged: output.join('\n'),
+        conflicts
+    };
+}
+/**
+ * An operation whose target changed since planning. The operation is not
+ * applied; the three-way merge with the change on disk is attached, and its
+ * hunks are part of the message so they reach callers over IPC.
+ */
+export class OperationConflictError extends Error {
+    conflict;
+    constructor(message, operation) {
+        const conflict = operation.conflict;
+        let details = '';
+        if (conflict?.merged !== undefined) {
+            let patch = createPatch(operation.path, conflict.ours, conflict.merged, 'current', 'merged');
+            if (patch.length > MAX_CONFLICT_PATCH) {
+                patch = patch.slice(0, MAX_CONFLICT_PATCH) + '\n... (truncated)';
+            }
+            details = conflict.conflicts > 0
+                ? `\nMerged with the change on disk, ${conflict.conflicts} conflicting region(s) left:\n${patch}`
+                : `\nMerges cleanly with the change on disk:\n${patch}`;
+        }
+        super(message + details);
+        this.name = 'OperationConflictError';
+        this.conflict = conflict;
+    }
+}
 export class AgentExecutor {
     transactions = new Map();
     checkpointService;
     workspacePath;
     mainWindow = null;
-    constructor(workspacePath, checkpointService) {
+    journal;
+    recoverableTransactions = [];
+    // Maximum number of operation groups executed at the same time
+    concurrency = DEFAULT_CONCURRENCY;
+    constructor(workspacePath, checkpointService = null) {
         this.workspacePath = workspacePath;
         this.checkpointService = checkpointService;
+        this.journal = new AgentJournal(workspacePath);
         this.setupIpcHandlers();
+        this.detectIncompleteTransactions();
     }
     setMainWindow(window) {
         this.mainWindow = window;
+        if (this.recoverableTransactions.length > 0) {
+            this.emitEvent('recovery-available', null, { transactions: this.recoverableTransactions });
+        }
     }
     setupIpcHandlers() {
         // Start a new transaction
         ipcMain.handle('agent-mode:startTransaction', async (_, instanceId, task, options) => {
             try {
-                // Create checkpoint
-                const checkpointResult = await this.checkpointService.createCheckpoint({
-                    type: 'agent-mode',
-                    description: `Agent Mode: ${task}`,
-                    autoCheckpoint: true
-                });
-                if (!checkpointResult.success || !checkpointResult.checkpointId) {
-                    throw new Error(checkpointResult.error || 'Failed to create checkpoint');
+                // The journal can roll the transaction back on its own; a checkpoint
+                // is created as well when a checkpoint service was provided
+                let checkpointId;
+                if (this.checkpointService) {
+                    const checkpointResult = await this.checkpointService.createCheckpoint({
+                        type: 'agent-mode',
+                        description: `Agent Mode: ${task}`,
+                        autoCheckpoint: true
+                    });
+                    if (!checkpointResult.success || !checkpointResult.checkpointId) {
+                        throw new Error(checkpointResult.error || 'Failed to create checkpoint');
+                    }
+                    checkpointId = checkpointResult.checkpointId;
                 }
                 const transaction = {
                     id: nanoid(),
@@ -34,7 +180,8 @@ export class AgentExecutor {
                     status: 'planning',
                     task,
                     operations: [],
-                    checkpointId: checkpointResult.checkpointId,
+                    checkpointId,
+                    options: options || {},
                     startTime: new Date(),
                     filesAffected: 0,
                     linesAdded: 0,
@@ -61,6 +208,12 @@ export class AgentExecutor {
                 timestamp: new Date(),
                 status: 'pending'
             };
+            // An earlier operation on the same path changes the file before this one runs,
+            // so its plan-time state is only checked for the first operation
+            const touchedEarlier = transaction.operations.some(op => op.path === fullOperation.path || op.newPath === fullOperation.path);
+            if (!touchedEarlier) {
+                await this.recordBaseState(fullOperation);
+            }
             transaction.operations.push(fullOperation);
             if (transaction.status === 'planning') {
                 transaction.status = 'awaiting-approval';
@@ -112,19 +265,35 @@ export class AgentExecutor {
             const operations = operationIds
                 ? transaction.operations.filter(op => operationIds.includes(op.id))
                 : transaction.operations.filter(op => op.status === 'pending');
-            await this.executeOperations(transaction, operations);
+            try {
+                await this.executeOperations(transaction, operations);
+                await this.journal.finish(transaction.id, 'completed');
+            }
+            catch (error) {
+                await this.finishFailedJournal(transaction.id);
+                throw error;
+            }
         });
         // Rollback transaction
         ipcMain.handle('agent-mode:rollbackTransaction', async (_, transactionId, reason) => {
             const transaction = this.transactions.get(transactionId);
-            if (!transaction || !transaction.checkpointId) {
+            const journaled = this.journal.has(transactionId);
+            if (!journaled && (!transaction || !transaction.checkpointId)) {
                 throw new Error(`Cannot rollback transaction ${transactionId}`);
             }
             try {
-                await this.checkpointService.restoreCheckpoint(transaction.checkpointId);
-                transaction.status = 'rolled-back';
-                transaction.error = reason;
-                transaction.endTime = new Date();
+                if (journaled) {
+                    // The journal holds the pre-image of every file the transaction touched
+                    await this.journal.rollback(transactionId);
+                }
+                else {
+                    await this.checkpointService.restoreCheckpoint(transaction.checkpointId);
+                }
+                if (transaction) {
+                    transaction.status = 'rolled-back';
+                    transaction.error = reason;
+                    transaction.endTime = new Date();
+                }
                 this.emitEvent('rollback-completed', transactionId, { reason });
             }
             catch (error) {
@@ -148,6 +317,32 @@ export class AgentExecutor {
         ipcMain.handle('agent-mode:validateOperation', async (_, operation) => {
             return this.validateOperation(operation);
         });
+        // Declare the commands that verify a transaction after execution
+        ipcMain.handle('agent-mode:setVerification', async (_, transactionId, verification) => {
+            const transaction = this.transactions.get(transactionId);
+            if (!transaction) {
+                throw new Error(`Transaction ${transactionId} not found`);
+            }
+            transaction.options = { ...transaction.options, verification };
+        });
+        // Decide what happens to a transaction whose verification failed
+        ipcMain.handle('agent-mode:resolveVerification', async (_, transactionId, decision) => {
+            const transaction = this.transactions.get(transactionId);
+            if (!transaction) {
+                throw new Error(`Transaction ${transactionId} not found`);
+            }
+            if (transaction.status !== 'verification-failed') {
+                throw new Error(`Transaction verification has not failed`);
+            }
+            await this.resolveVerification(transaction, decision);
+        });
+        // List transactions interrupted by a crash, or roll them forward/back
+        ipcMain.handle('agent-mode:recoverTransactions', async (_, action, transactionId) => {
+            if (!action) {
+                return this.listRecoverableTransactions();
+            }
+            return this.recoverTransactions(action, transactionId);
+        });
         // Cancel transaction
         ipcMain.handle('agent-mode:cancelTransaction', async (_, transactionId) => {
             const transaction = this.transactions.get(transactionId);
@@ -162,97 +357,263 @@ export class AgentExecutor {
         try {
             const pendingOps = transaction.operations.filter(op => op.status === 'pending');
             await this.executeOperations(transaction, pendingOps);
+            if (this.getVerificationCommands(transaction).length > 0) {
+                const passed = await this.verifyTransaction(transaction);
+                if (!passed) {
+                    await this.handleVerificationFailure(transaction);
+                    return;
+                }
+            }
             transaction.status = 'completed';
             transaction.endTime = new Date();
+            await this.journal.finish(transaction.id, 'completed');
             this.emitEvent('transaction-completed', transaction.id, { transaction });
         }
         catch (error) {
             transaction.status = 'failed';
             transaction.error = error.message;
             transaction.endTime = new Date();
+            await this.finishFailedJournal(transaction.id);
             this.emitEvent('transaction-failed', transaction.id, { error: error.message });
             throw error;
         }
     }
+    async finishFailedJournal(transactionId) {
+        // The journal is kept while operations remain applied, so the
+        // half-applied transaction can still be rolled back
+        const { begun } = this.journal.has(transactionId)
+            ? await this.journal.read(transactionId)
+            : { begun: [] };
+        await this.journal.finish(transactionId, begun.length === 0 ? 'rolled-back' : 'failed');
+    }
     async executeOperations(transaction, operations) {
         const totalOperations = operations.length;
+        // Persist the transaction before touching the workspace
+        await this.journal.writeTransaction(transaction);
+        const groups = this.groupIndependentOperations(operations);
+        const concurrency = Math.max(1, transaction.options?.concurrency || this.concurrency);
         // Emit execution start event
         this.emitEvent('execution-started', transaction.id, {
             totalOperations,
+            totalGroups: groups.length,
+            concurrency,
             operations: operations.map(op => ({ id: op.id, type: op.type, path: op.path }))
         });
+        const run = {
+            totalOperations,
+            startedOperations: 0,
+            finishedOperations: 0,
+            executed: [],
+            error: null
+        };
+        let nextGroup = 0;
+        const worker = async () => {
+            while (!run.error && nextGroup < groups.length) {
+                const groupIndex = nextGroup++;
+                await this.executeGroup(transaction, groups[groupIndex], groupIndex, groups.length, run);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, groups.length) }, worker));
+        if (run.error) {
+            // Groups that never started left the workspace untouched; undo the ones that ran
+            await this.rollbackExecutedOperations(transaction, run.executed);
+            throw run.error;
+        }
+        // Emit execution complete event
+        this.emitEvent('execution-completed', transaction.id, {
+            totalOperations,
+            totalGroups: groups.length,
+            completedOperations: operations.filter(op => op.status === 'completed').length,
+            failedOperations: operations.filter(op => op.status === 'failed').length
+        });
+    }
+    /**
+     * Split operations into groups that can run concurrently: operations linked by
+     * a dependency, or touching the same path (or a path inside it), share a group
+     */
+    groupIndependentOperations(operations) {
+        const parent = operations.map((_, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        const union = (a, b) => {
+            parent[find(a)] = find(b);
+        };
+        const indexById = new Map(operations.map((op, index) => [op.id, index]));
+        const pathsOf = (op) => [op.path, op.newPath].filter(Boolean).map(p => path.normalize(p));
+        const overlaps = (a, b) => a === b || a.startsWith(b + path.sep) || b.startsWith(a + path.sep);
+        operations.forEach((op, index) => {
+            for (const depId of op.dependsOn || []) {
+                if (indexById.has(depId)) {
+                    union(index, indexById.get(depId));
+                }
+            }
+            const paths = pathsOf(op);
+            for (let other = 0; other < index; other++) {
+                const otherPaths = pathsOf(operations[other]);
+                if (paths.some(p => otherPaths.some(o => overlaps(p, o)))) {
+                    union(index, other);
+                }
+            }
+        });
+        const groups = new Map();
+        operations.forEach((op, index) => {
+            const root = find(index);
+            if (!groups.has(root)) {
+                groups.set(root, []);
+            }
+            groups.get(root).push(op);
+        });
+        // Keep queue order inside a group, respecting dependencies
+        return Array.from(groups.values()).map(group => this.groupOperationsByDependency(group).flat());
+    }
+    async executeGroup(transaction, operations, groupIndex, totalGroups, run) {
+        const groupId = `group-${groupIndex + 1}`;
+        const groupInfo = {
+            groupId,
+            groupIndex: groupIndex + 1,
+            totalGroups,
+            operationIds: operations.map(op => op.id)
+        };
+        this.emitEvent('group-started', transaction.id, { ...groupInfo, totalOperations: operations.length });
         for (let i = 0; i < operations.length; i++) {
-            const operation = operations[i];
-            const operationIndex = i + 1;
+            // A sibling group failed: stop before touching anything else
+            if (run.error) {
+                this.emitEvent('group-aborted', transaction.id, {
+                    ...groupInfo,
+                    completedOperations: i,
+                    totalOperations: operations.length
+                });
+                return;
+            }
             try {
-                operation.status = 'executing';
-                operation.timestamp = new Date();
-                // Emit detailed progress
-                this.emitEvent('operation-started', transaction.id, {
-                    operationId: operation.id,
-                    operationIndex,
-                    totalOperations,
-                    progress: Math.round((i / totalOperations) * 100),
-                    operation: {
-                        type: operation.type,
-                        path: operation.path,
-                        newPath: operation.newPath
-                    }
+                await this.executeSingleOperation(transaction, operations[i], run);
+            }
+            catch (error) {
+                if (!run.error) {
+                    run.error = error;
+                }
+                this.emitEvent('group-failed', transaction.id, {
+                    ...groupInfo,
+                    completedOperations: i,
+                    totalOperations: operations.length,
+                    error: error.message
                 });
-                // Execute with sub-progress for complex operations
-                await this.executeOperationWithProgress(operation, transaction.id);
-                operation.status = 'completed';
-                // Calculate operation time
-                const operationTime = operation.timestamp ? Date.now() - operation.timestamp.getTime() : 0;
-                this.emitEvent('operation-completed', transaction.id, {
+                return;
+            }
+            this.emitEvent('group-progress', transaction.id, {
+                ...groupInfo,
+                completedOperations: i + 1,
+                totalOperations: operations.length,
+                progress: Math.round(((i + 1) / operations.length) * 100)
+            });
+        }
+        this.emitEvent('group-completed', transaction.id, { ...groupInfo, totalOperations: operations.length });
+    }
+    async executeSingleOperation(transaction, operation, run) {
+        const { totalOperations } = run;
+        const operationIndex = ++run.startedOperations;
+        try {
+            operation.status = 'executing';
+            operation.timestamp = new Date();
+            // Emit detailed progress
+            this.emitEvent('operation-started', transaction.id, {
+                operationId: operation.id,
+                operationIndex,
+                totalOperations,
+                progress: Math.round((run.finishedOperations / totalOperations) * 100),
+                operation: {
+                    type: operation.type,
+                    path: operation.path,
+                    newPath: operation.newPath
+                }
+            });
+            // Write-ahead: record the pre-image before the operation runs
+            await this.journal.beginOperation(transaction.id, operation);
+            run.executed.push(operation);
+            // Execute with sub-progress for complex operations
+            await this.executeOperationWithProgress(operation, transaction.id);
+            operation.status = 'completed';
+            await this.journal.commitOperation(transaction.id, operation.id);
+            run.finishedOperations++;
+            // Calculate operation time
+            const operationTime = operation.timestamp ? Date.now() - operation.timestamp.getTime() : 0;
+            this.emitEvent('operation-completed', transaction.id, {
+                operationId: operation.id,
+                operationIndex,
+                totalOperations,
+                progress: Math.round((run.finishedOperations / totalOperations) * 100),
+                duration: operationTime,
+                operation: {
+                    type: operation.type,
+                    path: operation.path,
+                    newPath: operation.newPath
+                }
+            });
+            // Update transaction metrics
+            transaction.filesAffected++;
+            if (operation.type === 'file-patch') {
+                const { added, removed } = this.countPatchLines(operation.patch);
+                transaction.linesAdded += added;
+                transaction.linesRemoved += removed;
+            }
+            else if (operation.type === 'file-create' || operation.type === 'file-edit') {
+                // Rough estimate - could be improved with actual line counting
+                transaction.linesAdded += 10;
+            }
+            else if (operation.type === 'file-delete') {
+                transaction.linesRemoved += 10;
+            }
+            // Add small delay for UI responsiveness
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        catch (error) {
+            run.finishedOperations++;
+            operation.status = operation.conflict ? 'conflict' : 'failed';
+            operation.error = error.message;
+            const operationTime = operation.timestamp ? Date.now() - operation.timestamp.getTime() : 0;
+            if (operation.conflict) {
+                this.emitEvent('operation-conflict', transaction.id, {
                     operationId: operation.id,
-                    operationIndex,
-                    totalOperations,
-                    progress: Math.round(((i + 1) / totalOperations) * 100),
-                    duration: operationTime,
-                    operation: {
-                        type: operation.type,
-                        path: operation.path,
-                        newPath: operation.newPath
-                    }
+                    path: operation.path,
+                    conflict: operation.conflict
                 });
-                // Update transaction metrics
-                transaction.filesAffected++;
-                if (operation.type === 'file-create' || operation.type === 'file-edit') {
-                    // Rough estimate - could be improved with actual line counting
-                    transaction.linesAdded += 10;
+            }
+            this.emitEvent('operation-failed', transaction.id, {
+                operationId: operation.id,
+                operationIndex,
+                totalOperations,
+                progress: Math.round((run.finishedOperations / totalOperations) * 100),
+                duration: operationTime,
+                error: error.message,
+                operation: {
+                    type: operation.type,
+                    path: operation.path,
+                    newPath: operation.newPath
                 }
-                else if (operation.type === 'file-delete') {
-                    transaction.linesRemoved += 10;
+            });
+            throw error;
+        }
+    }
+    // Restore the journaled pre-images of executed operations, most recent first
+    async rollbackExecutedOperations(transaction, executed) {
+        for (const operation of [...executed].reverse()) {
+            try {
+                await this.journal.revertOperation(transaction.id, operation.id);
+                if (operation.status === 'completed') {
+                    operation.status = 'rolled-back';
                 }
-                // Add small delay for UI responsiveness
-                await new Promise(resolve => setTimeout(resolve, 50));
             }
             catch (error) {
-                operation.status = 'failed';
-                operation.error = error.message;
-                const operationTime = operation.timestamp ? Date.now() - operation.timestamp.getTime() : 0;
-                this.emitEvent('operation-failed', transaction.id, {
-                    operationId: operation.id,
-                    operationIndex,
-                    totalOperations,
-                    progress: Math.round(((i + 1) / totalOperations) * 100),
-                    duration: operationTime,
-                    error: error.message,
-                    operation: {
-                        type: operation.type,
-                        path: operation.path,
-                        newPath: operation.newPath
-                    }
-                });
-                throw error;
+                console.error(`Failed to roll back operation ${operation.id}:`, error);
             }
         }
-        // Emit execution complete event
-        this.emitEvent('execution-completed', transaction.id, {
-            totalOperations,
-            completedOperations: operations.filter(op => op.status === 'completed').length,
-            failedOperations: operations.filter(op => op.status === 'failed').length
+        this.emitEvent('operations-rolled-back', transaction.id, {
+            operationIds: executed.map(op => op.id)
         });
     }
     async executeOperationWithProgress(operation, transactionId) {
@@ -293,6 +654,7 @@ export class AgentExecutor {
     }
     async executeOperation(operation) {
         const fullPath = path.join(this.workspacePath, operation.path);
+        await this.checkForDrift(operation, fullPath);
         switch (operation.type) {
             case 'file-create':
                 await fs.mkdir(path.dirname(fullPath), { recursive: true });
@@ -330,19 +692,14 @@ export class AgentExecutor {
                 break;
             case 'multi-edit':
                 if (operation.edits) {
-                    let content = await fs.readFile(fullPath, 'utf-8');
+                    const content = await fs.readFile(fullPath, 'utf-8');
                     operation.oldContent = content;
-                    for (const edit of operation.edits) {
-                        if (edit.replaceAll) {
-                            content = content.replaceAll(edit.oldString, edit.newString);
-                        }
-                        else {
-                            content = content.replace(edit.oldString, edit.newString);
-                        }
-                    }
-                    await fs.writeFile(fullPath, content, 'utf-8');
+                    await fs.writeFile(fullPath, this.applyEdits(content, operation.edits, operation.path), 'utf-8');
                 }
                 break;
+            case 'file-patch':
+                await this.applyFilePatch(operation, fullPath);
+                break;
             case 'directory-create':
                 await fs.mkdir(fullPath, { recursive: true });
                 break;
@@ -353,6 +710,391 @@ export class AgentExecutor {
                 throw new Error(`Unknown operation type: ${operation.type}`);
         }
     }
+    /**
+     * Verification commands come from the transaction options:
+     * { verification: { commands: ['npm test', { name, command, timeout }], onFailure: 'rollback' | 'pause' } }
+     */
+    getVerificationCommands(transaction) {
+        const commands = transaction.options?.verification?.commands || [];
+        return commands.map((entry, index) => typeof entry === 'string'
+            ? { name: entry, command: entry }
+            : { name: entry.name || entry.command || `Check ${index + 1}`, ...entry });
+    }
+    async verifyTransaction(transaction) {
+        const commands = this.getVerificationCommands(transaction);
+        transaction.status = 'verifying';
+        transaction.verification = { startTime: new Date(), results: [] };
+        this.emitEvent('verification-started', transaction.id, {
+            commands: commands.map(command => command.name)
+        });
+        for (const command of commands) {
+            const result = await this.runVerificationCommand(command);
+            transaction.verification.results.push(result);
+            this.emitEvent('verification-command-completed', transaction.id, { result });
+            // Later checks are usually meaningless once one has failed
+            if (!result.passed) {
+                break;
+            }
+        }
+        const passed = transaction.verification.results.every(result => result.passed);
+        transaction.verification.passed = passed;
+        transaction.verification.endTime = new Date();
+        this.emitEvent(passed ? 'verification-passed' : 'verification-failed', transaction.id, {
+            verification: transaction.verification
+        });
+        return passed;
+    }
+    runVerificationCommand(command) {
+        const timeout = command.timeout || DEFAULT_VERIFICATION_TIMEOUT;
+        const startTime = Date.now();
+        return new Promise((resolve) => {
+            let output = '';
+            let timedOut = false;
+            const append = (data) => {
+                output += data.toString();
+                if (output.length > MAX_VERIFICATION_OUTPUT) {
+                    output = output.slice(-MAX_VERIFICATION_OUTPUT);
+                }
+            };
+            const proc = spawn(command.command, [], {
+                shell: true,
+                cwd: this.workspacePath,
+                // Own process group, so a timeout kills the whole command and not just the shell
+                detached: process.platform !== 'win32',
+                // CI keeps test runners and linters out of watch/interactive mode
+                env: { ...process.env, CI: '1', FORCE_COLOR: '0' }
+            });
+            const timer = setTimeout(() => {
+                timedOut = true;
+                try {
+                    if (process.platform === 'win32') {
+                        proc.kill();
+                    }
+                    else {
+                        process.kill(-proc.pid, 'SIGKILL');
+                    }
+                }
+                catch (error) {
+                    // The process group already exited
+                }
+            }, timeout);
+            proc.stdout.on('data', append);
+            proc.stderr.on('data', append);
+            const finish = (exitCode, error) => {
+                clearTimeout(timer);
+                resolve({
+                    name: command.name,
+                    command: command.command,
+                    exitCode,
+                    passed: exitCode === 0 && !timedOut && !error,
+                    timedOut,
+                    duration: Date.now() - startTime,
+                    output: error ? `${output}${error.message}` : output
+                });
+            };
+            proc.on('error', (error) => finish(null, error));
+            proc.on('close', (code) => finish(code));
+        });
+    }
+    async handleVerificationFailure(transaction) {
+        const failed = transaction.verification.results.find(result => !result.passed);
+        const reason = `Verification failed: ${failed ? failed.name : 'unknown check'}`;
+        if (transaction.options?.verification?.onFailure === 'rollback') {
+            await this.rollbackTransactionChanges(transaction, reason);
+            return;
+        }
+        // Leave the changes in place until the user decides what to do
+        transaction.status = 'verification-failed';
+        transaction.error = reason;
+    }
+    async resolveVerification(transaction, decision) {
+        if (decision === 'accept') {
+            transaction.status = 'completed';
+            transaction.endTime = new Date();
+            await this.journal.finish(transaction.id, 'completed');
+            this.emitEvent('transaction-completed', transaction.id, { transaction });
+        }
+        else if (decision === 'rollback') {
+            await this.rollbackTransactionChanges(transaction, transaction.error || 'Verification failed');
+        }
+        else if (decision === 'retry') {
+            delete transaction.error;
+            if (await this.verifyTransaction(transaction)) {
+                await this.resolveVerification(transaction, 'accept');
+            }
+            else {
+                await this.handleVerificationFailure(transaction);
+            }
+        }
+        else {
+            throw new Error(`Unknown verification decision: ${decision}`);
+        }
+    }
+    async rollbackTransactionChanges(transaction, reason) {
+        if (this.journal.has(transaction.id)) {
+            await this.journal.rollback(transaction.id);
+        }
+        else if (transaction.checkpointId) {
+            await this.checkpointService.restoreCheckpoint(transaction.checkpointId);
+        }
+        transaction.status = 'rolled-back';
+        transaction.error = reason;
+        transaction.endTime = new Date();
+        this.emitEvent('rollback-completed', transaction.id, { reason });
+    }
+    async detectIncompleteTransactions() {
+        try {
+            this.recoverableTransactions = await this.listRecoverableTransactions();
+            if (this.recoverableTransactions.length > 0) {
+                console.warn(`Found ${this.recoverableTransactions.length} incomplete agent transaction(s)`);
+                this.emitEvent('recovery-available', null, { transactions: this.recoverableTransactions });
+            }
+        }
+        catch (error) {
+            console.error('Failed to check agent journal:', error);
+        }
+    }
+    async listRecoverableTransactions() {
+        const entries = await this.journal.listIncomplete();
+        return entries
+            .filter(entry => this.transactions.get(entry.transaction.id)?.status !== 'executing')
+            .map(entry => ({
+            id: entry.transaction.id,
+            instanceId: entry.transaction.instanceId,
+            task: entry.transaction.task,
+            startTime: entry.transaction.startTime,
+            state: entry.state || 'interrupted',
+            totalOperations: entry.transaction.operations.length,
+            completedOperations: entry.committed.length,
+            inFlightOperations: entry.inFlight.length,
+            pendingOperations: entry.transaction.operations.length - entry.committed.length
+        }));
+    }
+    /**
+     * Recover journaled transactions:
+     *  - roll-forward: restore any half-applied operation and execute the remaining ones
+     *  - roll-back: restore the pre-images of all started operations
+     *  - discard: keep the workspace as it is and drop the journal
+     */
+    async recoverTransactions(action, transactionId) {
+        const targets = (await this.listRecoverableTransactions())
+            .filter(entry => !transactionId || entry.id === transactionId);
+        const results = [];
+        for (const target of targets) {
+            try {
+                if (action === 'roll-forward') {
+                    await this.rollForward(target.id);
+                }
+                else if (action === 'roll-back') {
+                    await this.journal.rollback(target.id);
+                    const transaction = this.transactions.get(target.id);
+                    if (transaction) {
+                        transaction.status = 'rolled-back';
+                        transaction.endTime = new Date();
+                    }
+                    this.emitEvent('rollback-completed', target.id, { reason: 'Recovered after interruption' });
+                }
+                else if (action === 'discard') {
+                    await this.journal.discard(target.id);
+                }
+                else {
+                    throw new Error(`Unknown recovery action: ${action}`);
+                }
+                results.push({ transactionId: target.id, success: true });
+            }
+            catch (error) {
+                results.push({ transactionId: target.id, success: false, error: error.message });
+            }
+        }
+        this.recoverableTransactions = await this.listRecoverableTransactions();
+        return results;
+    }
+    async rollForward(transactionId) {
+        const entry = await this.journal.read(transactionId);
+        const transaction = this.reviveTransaction(entry.transaction);
+        // Operations interrupted halfway are restored and executed again from a clean state
+        for (const operationId of entry.inFlight) {
+            await this.journal.restoreOperation(transactionId, operationId);
+        }
+        for (const operation of transaction.operations) {
+            operation.status = entry.committed.includes(operation.id) ? 'completed' : 'pending';
+            delete operation.error;
+            delete operation.conflict;
+        }
+        transaction.status = 'executing';
+        delete transaction.error;
+        delete transaction.endTime;
+        this.transactions.set(transaction.id, transaction);
+        await this.executeTransaction(transaction);
+    }
+    reviveTransaction(data) {
+        return {
+            ...data,
+            startTime: new Date(data.startTime),
+            endTime: data.endTime ? new Date(data.endTime) : undefined,
+            operations: data.operations.map(op => ({
+                ...op,
+                timestamp: new Date(op.timestamp)
+            }))
+        };
+    }
+    /**
+     * Record the hash (and content) of the target file at plan time so that
+     * changes made on disk before execution can be detected
+     */
+    async recordBaseState(operation) {
+        if (!HASHED_OPERATION_TYPES.includes(operation.type) || !operation.path) {
+            return;
+        }
+        try {
+            const content = await fs.readFile(path.join(this.workspacePath, operation.path), 'utf-8');
+            const hash = hashContent(content);
+            if (!operation.baseHash) {
+                operation.baseHash = hash;
+            }
+            // Only keep the content if it is the version the operation was planned against
+            if (operation.baseHash === hash && operation.type !== 'file-delete') {
+                operation.baseContent = content;
+            }
+        }
+        catch (error) {
+            // File doesn't exist yet; one that appears before execution is drift
+            if (operation.type === 'file-create' && !operation.baseHash) {
+                operation.baseHash = ABSENT_HASH;
+                operation.baseContent = '';
+            }
+        }
+    }
+    async checkForDrift(operation, fullPath) {
+        if (!operation.baseHash || !HASHED_OPERATION_TYPES.includes(operation.type)) {
+            return;
+        }
+        let current;
+        try {
+            current = await fs.readFile(fullPath, 'utf-8');
+        }
+        catch (error) {
+            if (operation.baseHash === ABSENT_HASH) {
+                return;
+            }
+            throw new Error(`${operation.path} was removed after the operation was planned`);
+        }
+        if (hashContent(current) === operation.baseHash) {
+            return;
+        }
+        // Offer a three-way merge when we know what the operation would have produced
+        let theirs;
+        if (operation.baseContent !== undefined) {
+            if ((operation.type === 'file-create' || operation.type === 'file-edit') && operation.content !== undefined) {
+                theirs = operation.content;
+            }
+            else if (operation.type === 'file-create') {
+                theirs = '';
+            }
+            else if (operation.type === 'multi-edit' && operation.edits) {
+                try {
+                    theirs = this.applyEdits(operation.baseContent, operation.edits, operation.path);
+                }
+                catch (error) {
+                    // Edits don't apply to the planned content either
+                }
+            }
+            else if (operation.type === 'file-patch' && operation.patch) {
+                const patched = applyPatch(operation.baseContent, operation.patch, {
+                    fuzzFactor: operation.fuzzFactor ?? DEFAULT_FUZZ_FACTOR
+                });
+                if (patched !== false) {
+                    theirs = patched;
+                }
+            }
+        }
+        operation.conflict = this.buildConflict(operation, current, theirs);
+        throw new OperationConflictError(operation.baseHash === ABSENT_HASH
+            ? `${operation.path} was created on disk after the operation was planned`
+            : `${operation.path} changed on disk after the operation was planned`, operation);
+    }
+    applyEdits(content, edits, filePath) {
+        let result = content;
+        for (const edit of edits) {
+            if (!result.includes(edit.oldString)) {
+                throw new Error(`Edit target not found in ${filePath}: ${edit.oldString.slice(0, 80)}`);
+            }
+            // Use a replacer function so `$` sequences in the new string are kept literally
+            if (edit.replaceAll) {
+                result = result.replaceAll(edit.oldString, () => edit.newString);
+            }
+            else {
+                result = result.replace(edit.oldString, () => edit.newString);
+            }
+        }
+        return result;
+    }
+    async applyFilePatch(operation, fullPath) {
+        if (!operation.patch) {
+            throw new Error(`No patch provided for ${operation.path}`);
+        }
+        let current = '';
+        try {
+            current = await fs.readFile(fullPath, 'utf-8');
+            operation.oldContent = current;
+        }
+        catch (error) {
+            // Patch creates the file
+        }
+        const fuzzFactor = operation.fuzzFactor ?? DEFAULT_FUZZ_FACTOR;
+        // Drift was already rejected by checkForDrift, so fuzz only absorbs hunk
+        // context that is slightly off from the content the patch was planned against
+        const patched = applyPatch(current, operation.patch, { fuzzFactor });
+        if (patched !== false) {
+            await fs.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.writeFile(fullPath, patched, 'utf-8');
+            return;
+        }
+        let theirs;
+        if (operation.baseContent !== undefined && operation.baseContent !== current) {
+            const patchedBase = applyPatch(operation.baseContent, operation.patch, { fuzzFactor });
+            if (patchedBase !== false) {
+                theirs = patchedBase;
+            }
+        }
+        operation.conflict = this.buildConflict(operation, current, theirs);
+        throw new OperationConflictError(`Patch does not apply to ${operation.path}`, operation);
+    }
+    buildConflict(operation, current, theirs) {
+        const conflict = {
+            baseHash: operation.baseHash,
+            currentHash: hashContent(current),
+            base: operation.baseContent,
+            ours: current,
+            theirs
+        };
+        if (operation.baseContent !== undefined && theirs !== undefined) {
+            const { merged, conflicts } = mergeThreeWay(operation.baseContent, current, theirs);
+            conflict.merged = merged;
+            conflict.conflicts = conflicts;
+        }
+        return conflict;
+    }
+    countPatchLines(patch) {
+        let added = 0;
+        let removed = 0;
+        try {
+            for (const filePatch of parsePatch(patch || '')) {
+                for (const hunk of filePatch.hunks) {
+                    for (const line of hunk.lines) {
+                        if (line.startsWith('+'))
+                            added++;
+                        else if (line.startsWith('-'))
+                            removed++;
+                    }
+                }
+            }
+        }
+        catch (error) {
+            // Malformed patch - it will fail when applied
+        }
+        return { added, removed };
+    }
     async generateExecutionPlan(transaction) {
         const operations = transaction.operations;
         const steps = this.groupOperationsByDependency(operations);
@@ -374,10 +1116,12 @@ export class AgentExecutor {
     groupOperationsByDependency(operations) {
         const groups = [];
         const processed = new Set();
+        const ids = new Set(operations.map(op => op.id));
         function canProcess(op) {
             if (!op.dependsOn || op.dependsOn.length === 0)
                 return true;
-            return op.dependsOn.every(depId => processed.has(depId));
+            // Dependencies outside this set have already been executed
+            return op.dependsOn.every(depId => processed.has(depId) || !ids.has(depId));
         }
         while (processed.size < operations.length) {
             const group = operations.filter(op => !processed.has(op.id) && canProcess(op));
@@ -455,6 +1199,25 @@ export class AgentExecutor {
                 warnings.push('Large number of edits may take time to process');
             }
         }
+        if (operation.type === 'file-patch') {
+            if (!operation.patch) {
+                errors.push('Patch operation requires a unified diff');
+            }
+            else {
+                try {
+                    const patches = parsePatch(operation.patch);
+                    if (patches.length !== 1) {
+                        errors.push('Patch must modify exactly one file');
+                    }
+                    else if (patches[0].hunks.length === 0) {
+                        errors.push('Patch contains no hunks');
+                    }
+                }
+                catch (error) {
+                    errors.push(`Invalid patch: ${error.message}`);
+                }
+            }
+        }
         return {
             valid: errors.length === 0,
             errors,
@@ -470,8 +1233,13 @@ export class AgentExecutor {
             });
         }
     }
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, Math.floor(concurrency));
+    }
     updateWorkspacePath(newPath) {
         this.workspacePath = newPath;
+        this.journal.updateWorkspacePath(newPath);
+        this.detectIncompleteTransactions();
     }
     cleanup() {
         // Clean up any pending transactions
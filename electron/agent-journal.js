@@ -0,0 +1,255 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+/**
+ * Write-ahead journal for agent transactions.
+ *
+ * Layout under <workspace>/.claude/agent-journal/<transactionId>/:
+ *   transaction.json     - the transaction and its operations, written when execution starts
+ *   preimages/<opId>.json - state of every path an operation touches, written before it runs
+ *   journal.log          - append-only records: operation begin/commit/revert and the final transaction state
+ *
+ * A journal without a final state belongs to a transaction that was interrupted
+ * (e.g. by a crash) and can be rolled forward or back on the next start.
+ */
+export class AgentJournal {
+    JOURNAL_DIR = path.join('.claude', 'agent-journal');
+    TERMINAL_STATES = ['completed', 'rolled-back'];
+    workspacePath;
+    constructor(workspacePath) {
+        this.workspacePath = workspacePath;
+    }
+    updateWorkspacePath(workspacePath) {
+        this.workspacePath = workspacePath;
+    }
+    getJournalRoot() {
+        return path.join(this.workspacePath, this.JOURNAL_DIR);
+    }
+    getTransactionDir(transactionId) {
+        return path.join(this.getJournalRoot(), transactionId);
+    }
+    has(transactionId) {
+        return existsSync(path.join(this.getTransactionDir(transactionId), 'transaction.json'));
+    }
+    // Persist the transaction with all its operations before anything is executed
+    async writeTransaction(transaction) {
+        const dir = this.getTransactionDir(transaction.id);
+        await fs.mkdir(path.join(dir, 'preimages'), { recursive: true });
+        await this.writeAtomic(path.join(dir, 'transaction.json'), JSON.stringify(transaction));
+    }
+    // Capture the pre-image of every path the operation touches, then log its start
+    async beginOperation(transactionId, operation) {
+        const entries = [];
+        // Creating a directory never removes anything, so its contents needn't be captured
+        const deep = operation.type !== 'directory-create';
+        for (const relativePath of this.getTouchedPaths(operation)) {
+            entries.push(await this.capture(relativePath, deep));
+        }
+        const preimagePath = path.join(this.getTransactionDir(transactionId), 'preimages', `${operation.id}.json`);
+        await this.writeAtomic(preimagePath, JSON.stringify({ operationId: operation.id, entries }));
+        await this.append(transactionId, { op: operation.id, state: 'begin' });
+    }
+    async commitOperation(transactionId, operationId) {
+        await this.append(transactionId, { op: operationId, state: 'commit' });
+    }
+    // Undo a single operation and log it, so recovery doesn't consider it applied
+    async revertOperation(transactionId, operationId) {
+        await this.restoreOperation(transactionId, operationId);
+        await this.append(transactionId, { op: operationId, state: 'revert' });
+    }
+    // Record the final state of a transaction; finished journals are removed
+    async finish(transactionId, state) {
+        if (!this.has(transactionId)) {
+            return;
+        }
+        await this.append(transactionId, { state });
+        if (this.TERMINAL_STATES.includes(state)) {
+            await fs.rm(this.getTransactionDir(transactionId), { recursive: true, force: true });
+        }
+    }
+    async discard(transactionId) {
+        await fs.rm(this.getTransactionDir(transactionId), { recursive: true, force: true });
+    }
+    /**
+     * Read back a journaled transaction with the state of each operation:
+     * committed, in-flight (begun but never committed) or pending
+     */
+    async read(transactionId) {
+        const dir = this.getTransactionDir(transactionId);
+        const transaction = JSON.parse(await fs.readFile(path.join(dir, 'transaction.json'), 'utf-8'));
+        const begun = [];
+        const committed = new Set();
+        let state = null;
+        let log = '';
+        try {
+            log = await fs.readFile(path.join(dir, 'journal.log'), 'utf-8');
+        }
+        catch (error) {
+            // Nothing executed yet
+        }
+        for (const line of log.split('\n')) {
+            if (!line.trim())
+                continue;
+            let record;
+            try {
+                record = JSON.parse(line);
+            }
+            catch (error) {
+                // Torn write at the end of the log
+                continue;
+            }
+            if (record.op && record.state === 'begin') {
+                // An operation is begun again when a transaction is rolled forward
+                if (!begun.includes(record.op))
+                    begun.push(record.op);
+            }
+            else if (record.op && record.state === 'commit') {
+                committed.add(record.op);
+            }
+            else if (record.op && record.state === 'revert') {
+                const index = begun.indexOf(record.op);
+                if (index !== -1)
+                    begun.splice(index, 1);
+                committed.delete(record.op);
+            }
+            else if (!record.op) {
+                state = record.state;
+            }
+        }
+        return {
+            transaction,
+            state,
+            begun,
+            committed: Array.from(committed),
+            inFlight: begun.filter(id => !committed.has(id))
+        };
+    }
+    // List journaled transactions that never reached a terminal state
+    async listIncomplete() {
+        const root = this.getJournalRoot();
+        if (!existsSync(root)) {
+            return [];
+        }
+        const incomplete = [];
+        for (const transactionId of await fs.readdir(root)) {
+            if (!this.has(transactionId))
+                continue;
+            try {
+                const entry = await this.read(transactionId);
+                if (!entry.state || !this.TERMINAL_STATES.includes(entry.state)) {
+                    incomplete.push(entry);
+                }
+            }
+            catch (error) {
+                console.error(`Failed to read agent journal ${transactionId}:`, error);
+            }
+        }
+        return incomplete;
+    }
+    // Restore the pre-image recorded for one operation
+    async restoreOperation(transactionId, operationId) {
+        const preimagePath = path.join(this.getTransactionDir(transactionId), 'preimages', `${operationId}.json`);
+        if (!existsSync(preimagePath)) {
+            return;
+        }
+        const { entries } = JSON.parse(await fs.readFile(preimagePath, 'utf-8'));
+        for (const entry of [...entries].reverse()) {
+            await this.restoreEntry(entry);
+        }
+    }
+    // Undo every operation that started, most recent first
+    async rollback(transactionId) {
+        const { begun } = await this.read(transactionId);
+        for (const operationId of [...begun].reverse()) {
+            await this.restoreOperation(transactionId, operationId);
+        }
+        await this.finish(transactionId, 'rolled-back');
+    }
+    getTouchedPaths(operation) {
+        const paths = [];
+        if (operation.path)
+            paths.push(operation.path);
+        if (operation.newPath)
+            paths.push(operation.newPath);
+        return paths;
+    }
+    async capture(relativePath, deep) {
+        const fullPath = path.join(this.workspacePath, relativePath);
+        let stats;
+        try {
+            stats = await fs.stat(fullPath);
+        }
+        catch (error) {
+            return { path: relativePath, existed: false };
+        }
+        if (stats.isDirectory()) {
+            const files = deep ? await this.captureDirectory(fullPath, relativePath) : [];
+            return { path: relativePath, existed: true, kind: 'directory', files };
+        }
+        const content = await fs.readFile(fullPath);
+        return { path: relativePath, existed: true, kind: 'file', content: content.toString('base64') };
+    }
+    async captureDirectory(fullPath, relativePath) {
+        const files = [];
+        for (const entry of await fs.readdir(fullPath, { withFileTypes: true })) {
+            const entryPath = path.join(fullPath, entry.name);
+            const entryRelative = path.join(relativePath, entry.name);
+            if (entry.isDirectory()) {
+                files.push({ path: entryRelative, kind: 'directory' });
+                files.push(...await this.captureDirectory(entryPath, entryRelative));
+            }
+            else if (entry.isFile()) {
+                const content = await fs.readFile(entryPath);
+                files.push({ path: entryRelative, kind: 'file', content: content.toString('base64') });
+            }
+        }
+        return files;
+    }
+    async restoreEntry(entry) {
+        const fullPath = path.join(this.workspacePath, entry.path);
+        if (!entry.existed) {
+            await fs.rm(fullPath, { recursive: true, force: true });
+            return;
+        }
+        if (entry.kind === 'directory') {
+            await fs.mkdir(fullPath, { recursive: true });
+            for (const file of entry.files || []) {
+                const filePath = path.join(this.workspacePath, file.path);
+                if (file.kind === 'directory') {
+                    await fs.mkdir(filePath, { recursive: true });
+                }
+                else {
+                    await fs.mkdir(path.dirname(filePath), { recursive: true });
+                    await fs.writeFile(filePath, Buffer.from(file.content, 'base64'));
+                }
+            }
+            return;
+        }
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, Buffer.from(entry.content, 'base64'));
+    }
+    async append(transactionId, record) {
+        const logPath = path.join(this.getTransactionDir(transactionId), 'journal.log');
+        const handle = await fs.open(logPath, 'a');
+        try {
+            await handle.appendFile(JSON.stringify({ ...record, time: new Date().toISOString() }) + '\n', 'utf-8');
+            await handle.sync();
+        }
+        finally {
+            await handle.close();
+        }
+    }
+    // Write to a temporary file and rename it, so a crash never leaves a torn file
+    async writeAtomic(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(data, 'utf-8');
+            await handle.sync();
+        }
+        finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    }
+}
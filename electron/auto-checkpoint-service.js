@@ -0,0 +1,230 @@
+import { createServer } from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { isAbsolute, relative, resolve } from 'path';
+import { GitCheckpointBackend } from './git-checkpoint-backend.js';
+export const AUTO_CHECKPOINT_HOOK_ID = 'clode-auto-checkpoint';
+export const AUTO_CHECKPOINT_TOOLS = ['Write', 'Edit', 'MultiEdit'];
+/**
+ * Takes a checkpoint right before Claude changes files.
+ * A PreToolUse hook posts every Write/Edit/MultiEdit call to a local endpoint,
+ * which snapshots the workspace with the git checkpoint backend. Checkpoints are
+ * tagged with the instance and the tool, and those of an instance form its undo timeline.
+ */
+export class AutoCheckpointService {
+    ENDPOINT = '/hooks/pre-tool-use';
+    MAX_BODY_SIZE = 1024 * 1024;
+    server = null;
+    url = '';
+    token = randomBytes(32).toString('hex');
+    backends = new Map();
+    // Last working directory reported by each instance's hooks
+    instanceWorkspaces = new Map();
+    listener = null;
+    // Listen on a random loopback port; only processes that know the token can use it
+    async start() {
+        if (this.server)
+            return;
+        const server = createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('[AutoCheckpoint] Request failed:', error);
+                this.respond(res, 500, { success: false, error: error instanceof Error ? error.message : String(error) });
+            });
+        });
+        await new Promise((resolvePromise, reject) => {
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', () => resolvePromise());
+        });
+        const { port } = server.address();
+        this.server = server;
+        this.url = `http://127.0.0.1:${port}${this.ENDPOINT}`;
+    }
+    async stop() {
+        if (!this.server)
+            return;
+        const server = this.server;
+        this.server = null;
+        this.url = '';
+        await new Promise(resolvePromise => server.close(() => resolvePromise()));
+    }
+    onCheckpointCreated(listener) {
+        this.listener = listener;
+    }
+    // Environment for Claude processes, inherited by their hooks
+    getEnv() {
+        if (!this.url)
+            return {};
+        return {
+            CLODE_CHECKPOINT_URL: this.url,
+            CLODE_CHECKPOINT_TOKEN: this.token
+        };
+    }
+    // The hook forwards its stdin to the endpoint. It is a no-op for Claude sessions
+    // not started by the IDE and never blocks the tool, even if the request fails.
+    getHook() {
+        return {
+            id: AUTO_CHECKPOINT_HOOK_ID,
+            event: 'PreToolUse',
+            matcher: AUTO_CHECKPOINT_TOOLS.join('|'),
+            command: '[ -z "$CLODE_CHECKPOINT_URL" ] || curl -s -m 30 -X POST'
+                + ' -H "Content-Type: application/json"'
+                + ' -H "Authorization: Bearer $CLODE_CHECKPOINT_TOKEN"'
+                + ' -H "X-Claude-Instance-Id: $CLAUDE_INSTANCE_ID"'
+                + ' --data-binary @- "$CLODE_CHECKPOINT_URL" >/dev/null 2>&1; exit 0'
+        };
+    }
+    async createCheckpoint(instanceId, payload) {
+        const toolName = payload.tool_name || 'unknown';
+        if (!AUTO_CHECKPOINT_TOOLS.includes(toolName) || !payload.cwd) {
+            return null;
+        }
+        this.instanceWorkspaces.set(instanceId, payload.cwd);
+        const backend = await this.getBackend(payload.cwd);
+        if (!backend) {
+            // Checkpoints are stored in git, so workspaces outside a repository are skipped
+            return null;
+        }
+        const affectedFiles = this.getAffectedFiles(backend, payload.cwd, payload.tool_input);
+        const checkpoint = await backend.createCheckpoint({
+            name: `Before ${toolName}${affectedFiles.length > 0 ? ` ${affectedFiles.join(', ')}` : ''}`,
+            trigger: 'auto',
+            tags: ['auto', `instance:${instanceId}`, `tool:${toolName}`],
+            instanceId,
+            toolName,
+            affectedFiles,
+            workspacePath: payload.cwd
+        });
+        const entry = this.toEntry(checkpoint);
+        this.listener?.(entry);
+        return entry;
+    }
+    // Checkpoints taken for an instance, newest first
+    async getTimeline(instanceId, workspacePath) {
+        const cwd = workspacePath || this.instanceWorkspaces.get(instanceId);
+        if (!cwd)
+            return [];
+        const backend = await this.getBackend(cwd);
+        if (!backend)
+            return [];
+        const checkpoints = await backend.listCheckpoints({ tags: [`instance:${instanceId}`] });
+        return checkpoints.map(checkpoint => this.toEntry(checkpoint));
+    }
+    /**
+     * Undo the changes an instance made since a checkpoint of its timeline
+     * (the most recent one by default). Only the files touched by the undone
+     * tool calls are restored, so edits made elsewhere are kept. The undone
+     * checkpoints are dropped from the timeline.
+     */
+    async undo(instanceId, checkpointId, workspacePath) {
+        const timeline = await this.getTimeline(instanceId, workspacePath);
+        const index = checkpointId ? timeline.findIndex(entry => entry.checkpointId === checkpointId) : 0;
+        if (timeline.length === 0 || index === -1) {
+            throw new Error('Checkpoint not found in the instance timeline');
+        }
+        const undone = timeline.slice(0, index + 1);
+        const target = undone[undone.length - 1];
+        const backend = await this.getBackend(target.workspacePath);
+        if (!backend) {
+            throw new Error(`${target.workspacePath} is not a git repository`);
+        }
+        const files = Array.from(new Set(undone.flatMap(entry => entry.affectedFiles)));
+        let result = { restoredFiles: 0, removedFiles: 0 };
+        if (files.length > 0) {
+            // Files created by the undone tool calls are not in the checkpoint and get removed
+            result = await backend.restoreCheckpoint(target.checkpointId, {
+                files,
+                removeAdded: true,
+                createBackup: true
+            });
+        }
+        for (const entry of undone) {
+            await backend.deleteCheckpoint(entry.checkpointId);
+        }
+        return {
+            checkpointId: target.checkpointId,
+            undoneSteps: undone.length,
+            restoredFiles: result.restoredFiles,
+            removedFiles: result.removedFiles
+        };
+    }
+    async handleRequest(req, res) {
+        if (req.method !== 'POST' || req.url !== this.ENDPOINT) {
+            this.respond(res, 404, { success: false, error: 'Not found' });
+            return;
+        }
+        if (!this.isAuthorized(req.headers.authorization)) {
+            this.respond(res, 401, { success: false, error: 'Unauthorized' });
+            return;
+        }
+        const instanceId = req.headers['x-claude-instance-id'];
+        if (typeof instanceId !== 'string' || !instanceId) {
+            this.respond(res, 400, { success: false, error: 'Missing instance ID' });
+            return;
+        }
+        let payload;
+        try {
+            payload = JSON.parse(await this.readBody(req));
+        }
+        catch {
+            this.respond(res, 400, { success: false, error: 'Invalid hook payload' });
+            return;
+        }
+        // Responding only once the checkpoint exists keeps the tool waiting until then
+        const entry = await this.createCheckpoint(instanceId, payload);
+        this.respond(res, 200, { success: true, checkpoint: entry });
+    }
+    isAuthorized(header) {
+        const expected = Buffer.from(`Bearer ${this.token}`);
+        const actual = Buffer.from(header || '');
+        return actual.length === expected.length && timingSafeEqual(actual, expected);
+    }
+    readBody(req) {
+        return new Promise((resolvePromise, reject) => {
+            let body = '';
+            req.setEncoding('utf-8');
+            req.on('data', (chunk) => {
+                body += chunk;
+                if (body.length > this.MAX_BODY_SIZE) {
+                    reject(new Error('Hook payload too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => resolvePromise(body));
+            req.on('error', reject);
+        });
+    }
+    respond(res, status, body) {
+        if (res.headersSent)
+            return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+    async getBackend(workspacePath) {
+        if (!this.backends.has(workspacePath)) {
+            const backend = new GitCheckpointBackend(workspacePath);
+            this.backends.set(workspacePath, (await backend.isAvailable()) ? backend : null);
+        }
+        return this.backends.get(workspacePath) || null;
+    }
+    // Paths the tool is about to change, relative to the repository root
+    getAffectedFiles(backend, cwd, toolInput) {
+        if (!toolInput?.file_path)
+            return [];
+        const fullPath = isAbsolute(toolInput.file_path) ? toolInput.file_path : resolve(cwd, toolInput.file_path);
+        const relativePath = relative(backend.rootPath, fullPath);
+        if (!relativePath || relativePath.startsWith('..') || isAbsolute(relativePath)) {
+            return [];
+        }
+        return [relativePath.split('\\').join('/')];
+    }
+    toEntry(checkpoint) {
+        return {
+            checkpointId: checkpoint.id,
+            instanceId: checkpoint.instanceId,
+            toolName: checkpoint.toolName,
+            affectedFiles: checkpoint.affectedFiles || [],
+            timestamp: checkpoint.timestamp,
+            workspacePath: checkpoint.workspacePath
+        };
+    }
+}
+export const autoCheckpointService = new AutoCheckpointService();
@@ -0,0 +1,180 @@
+import { join } from 'path';
+import { readFile, readdir, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { homedir } from 'os';
+/**
+ * Reads the per-project transcript files written by the Claude CLI
+ * (~/.claude/projects/<encoded-project-path>/<session-id>.jsonl).
+ */
+export class ClaudeSessionHistory {
+    PREVIEW_LENGTH = 200;
+    SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+    cache = new Map();
+    // Root of the Claude CLI configuration, honouring CLAUDE_CONFIG_DIR like the CLI does
+    getClaudeConfigDir() {
+        return process.env.CLAUDE_CONFIG_DIR || join(homedir(), '.claude');
+    }
+    // The CLI names project folders after the working directory with every
+    // non-alphanumeric character replaced by a dash
+    getProjectDir(workspacePath) {
+        const encoded = workspacePath.replace(/[^a-zA-Z0-9]/g, '-');
+        return join(this.getClaudeConfigDir(), 'projects', encoded);
+    }
+    isValidSessionId(sessionId) {
+        return this.SESSION_ID_PATTERN.test(sessionId);
+    }
+    // List all sessions recorded for a workspace, most recent first
+    async listSessions(workspacePath) {
+        const projectDir = this.getProjectDir(workspacePath);
+        if (!existsSync(projectDir)) {
+            return [];
+        }
+        const entries = await readdir(projectDir);
+        const sessions = [];
+        for (const entry of entries) {
+            if (!entry.endsWith('.jsonl'))
+                continue;
+            try {
+                const transcript = await this.loadTranscript(join(projectDir, entry));
+                if (transcript.summary) {
+                    sessions.push(transcript.summary);
+                }
+            }
+            catch (error) {
+                console.error(`Failed to read Claude transcript ${entry}:`, error);
+            }
+        }
+        return sessions.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+    // Get a single session by ID
+    async getSession(workspacePath, sessionId) {
+        if (!this.isValidSessionId(sessionId)) {
+            return null;
+        }
+        const filePath = join(this.getProjectDir(workspacePath), `${sessionId}.jsonl`);
+        if (!existsSync(filePath)) {
+            return null;
+        }
+        const transcript = await this.loadTranscript(filePath);
+        return transcript.summary;
+    }
+    // Get the user and assistant messages of a session
+    async getMessages(workspacePath, sessionId) {
+        if (!this.isValidSessionId(sessionId)) {
+            return [];
+        }
+        const filePath = join(this.getProjectDir(workspacePath), `${sessionId}.jsonl`);
+        if (!existsSync(filePath)) {
+            return [];
+        }
+        const transcript = await this.loadTranscript(filePath);
+        return transcript.messages;
+    }
+    // Parse a transcript file, reusing the cached result while the file is unchanged
+    async loadTranscript(filePath) {
+        const stats = await stat(filePath);
+        const cached = this.cache.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached;
+        }
+        const content = await readFile(filePath, 'utf-8');
+        const sessionId = filePath.split(/[\\/]/).pop().replace(/\.jsonl$/, '');
+        const transcript = this.parseTranscript(sessionId, filePath, content);
+        const result = {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            ...transcript
+        };
+        this.cache.set(filePath, result);
+        return result;
+    }
+    parseTranscript(sessionId, filePath, content) {
+        const messages = [];
+        let firstTimestamp = null;
+        let lastTimestamp = null;
+        let firstPrompt = '';
+        let title = '';
+        let workingDirectory = '';
+        for (const line of content.split('\n')) {
+            if (!line.trim())
+                continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            }
+            catch {
+                // Ignore partially written lines
+                continue;
+            }
+            if (entry.type === 'summary') {
+                if (entry.summary)
+                    title = entry.summary;
+                continue;
+            }
+            if (entry.type !== 'user' && entry.type !== 'assistant')
+                continue;
+            if (entry.isMeta)
+                continue;
+            if (entry.timestamp) {
+                if (!firstTimestamp)
+                    firstTimestamp = entry.timestamp;
+                lastTimestamp = entry.timestamp;
+            }
+            if (!workingDirectory && entry.cwd) {
+                workingDirectory = entry.cwd;
+            }
+            // Entries holding only tool calls or tool results don't count as messages
+            const text = this.extractText(entry.message?.content);
+            if (!text)
+                continue;
+            if (entry.type === 'user' && !firstPrompt && !this.isCommandOutput(text)) {
+                firstPrompt = text;
+            }
+            messages.push({
+                uuid: entry.uuid,
+                index: messages.length,
+                role: entry.type,
+                timestamp: entry.timestamp,
+                text
+            });
+        }
+        if (messages.length === 0 || !firstTimestamp || !lastTimestamp) {
+            return { summary: null, messages };
+        }
+        const preview = firstPrompt.replace(/\s+/g, ' ').trim().slice(0, this.PREVIEW_LENGTH);
+        const duration = Math.max(0, Math.round((new Date(lastTimestamp).getTime() - new Date(firstTimestamp).getTime()) / 1000));
+        return {
+            summary: {
+                id: sessionId,
+                name: title || preview || sessionId,
+                timestamp: lastTimestamp,
+                startedAt: firstTimestamp,
+                messageCount: messages.length,
+                duration,
+                preview,
+                workingDirectory,
+                filePath
+            },
+            messages
+        };
+    }
+    // Message content is either a plain string or a list of content blocks;
+    // only text blocks are kept (tool calls and tool results are skipped)
+    extractText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+        if (Array.isArray(content)) {
+            return content
+                .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+                .map(block => block.text)
+                .join('\n');
+        }
+        return '';
+    }
+    // Slash commands and their output are recorded as user messages wrapped in tags
+    isCommandOutput(text) {
+        return /^\s*<(command-|local-command-)/.test(text);
+    }
+}
+export const claudeSessionHistory = new ClaudeSessionHistory();
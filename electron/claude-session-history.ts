@@ -0,0 +1,253 @@
+import { join } from 'path';
+import { readFile, readdir, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { homedir } from 'os';
+
+export interface ClaudeTranscriptEntry {
+  type: string;
+  uuid?: string;
+  sessionId?: string;
+  timestamp?: string;
+  cwd?: string;
+  isMeta?: boolean;
+  summary?: string;
+  message?: {
+    role?: string;
+    content?: any;
+  };
+}
+
+export interface ClaudeTranscriptMessage {
+  uuid?: string;
+  index: number;
+  role: 'user' | 'assistant';
+  timestamp?: string;
+  text: string;
+}
+
+export interface ClaudeSessionSummary {
+  id: string;
+  name: string;
+  timestamp: string;
+  startedAt: string;
+  messageCount: number;
+  duration: number; // in seconds
+  preview: string;
+  workingDirectory: string;
+  filePath: string;
+}
+
+interface CachedTranscript {
+  mtimeMs: number;
+  size: number;
+  summary: ClaudeSessionSummary | null;
+  messages: ClaudeTranscriptMessage[];
+}
+
+/**
+ * Reads the per-project transcript files written by the Claude CLI
+ * (~/.claude/projects/<encoded-project-path>/<session-id>.jsonl).
+ */
+export class ClaudeSessionHistory {
+  private readonly PREVIEW_LENGTH = 200;
+  private readonly SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+  private cache: Map<string, CachedTranscript> = new Map();
+
+  // Root of the Claude CLI configuration, honouring CLAUDE_CONFIG_DIR like the CLI does
+  private getClaudeConfigDir(): string {
+    return process.env.CLAUDE_CONFIG_DIR || join(homedir(), '.claude');
+  }
+
+  // The CLI names project folders after the working directory with every
+  // non-alphanumeric character replaced by a dash
+  getProjectDir(workspacePath: string): string {
+    const encoded = workspacePath.replace(/[^a-zA-Z0-9]/g, '-');
+    return join(this.getClaudeConfigDir(), 'projects', encoded);
+  }
+
+  isValidSessionId(sessionId: string): boolean {
+    return this.SESSION_ID_PATTERN.test(sessionId);
+  }
+
+  // List all sessions recorded for a workspace, most recent first
+  async listSessions(workspacePath: string): Promise<ClaudeSessionSummary[]> {
+    const projectDir = this.getProjectDir(workspacePath);
+    if (!existsSync(projectDir)) {
+      return [];
+    }
+
+    const entries = await readdir(projectDir);
+    const sessions: ClaudeSessionSummary[] = [];
+
+    for (const entry of entries) {
+      if (!entry.endsWith('.jsonl')) continue;
+
+      try {
+        const transcript = await this.loadTranscript(join(projectDir, entry));
+        if (transcript.summary) {
+          sessions.push(transcript.summary);
+        }
+      } catch (error) {
+        console.error(`Failed to read Claude transcript ${entry}:`, error);
+      }
+    }
+
+    return sessions.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  // Get a single session by ID
+  async getSession(workspacePath: string, sessionId: string): Promise<ClaudeSessionSummary | null> {
+    if (!this.isValidSessionId(sessionId)) {
+      return null;
+    }
+
+    const filePath = join(this.getProjectDir(workspacePath), `${sessionId}.jsonl`);
+    if (!existsSync(filePath)) {
+      return null;
+    }
+
+    const transcript = await this.loadTranscript(filePath);
+    return transcript.summary;
+  }
+
+  // Get the user and assistant messages of a session
+  async getMessages(workspacePath: string, sessionId: string): Promise<ClaudeTranscriptMessage[]> {
+    if (!this.isValidSessionId(sessionId)) {
+      return [];
+    }
+
+    const filePath = join(this.getProjectDir(workspacePath), `${sessionId}.jsonl`);
+    if (!existsSync(filePath)) {
+      return [];
+    }
+
+    const transcript = await this.loadTranscript(filePath);
+    return transcript.messages;
+  }
+
+  // Parse a transcript file, reusing the cached result while the file is unchanged
+  private async loadTranscript(filePath: string): Promise<CachedTranscript> {
+    const stats = await stat(filePath);
+    const cached = this.cache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached;
+    }
+
+    const content = await readFile(filePath, 'utf-8');
+    const sessionId = filePath.split(/[\\/]/).pop()!.replace(/\.jsonl$/, '');
+    const transcript = this.parseTranscript(sessionId, filePath, content);
+    const result: CachedTranscript = {
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      ...transcript
+    };
+
+    this.cache.set(filePath, result);
+    return result;
+  }
+
+  private parseTranscript(
+    sessionId: string,
+    filePath: string,
+    content: string
+  ): { summary: ClaudeSessionSummary | null; messages: ClaudeTranscriptMessage[] } {
+    const messages: ClaudeTranscriptMessage[] = [];
+    let firstTimestamp: string | null = null;
+    let lastTimestamp: string | null = null;
+    let firstPrompt = '';
+    let title = '';
+    let workingDirectory = '';
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry: ClaudeTranscriptEntry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Ignore partially written lines
+        continue;
+      }
+
+      if (entry.type === 'summary') {
+        if (entry.summary) title = entry.summary;
+        continue;
+      }
+
+      if (entry.type !== 'user' && entry.type !== 'assistant') continue;
+      if (entry.isMeta) continue;
+
+      if (entry.timestamp) {
+        if (!firstTimestamp) firstTimestamp = entry.timestamp;
+        lastTimestamp = entry.timestamp;
+      }
+      if (!workingDirectory && entry.cwd) {
+        workingDirectory = entry.cwd;
+      }
+
+      // Entries holding only tool calls or tool results don't count as messages
+      const text = this.extractText(entry.message?.content);
+      if (!text) continue;
+
+      if (entry.type === 'user' && !firstPrompt && !this.isCommandOutput(text)) {
+        firstPrompt = text;
+      }
+
+      messages.push({
+        uuid: entry.uuid,
+        index: messages.length,
+        role: entry.type as 'user' | 'assistant',
+        timestamp: entry.timestamp,
+        text
+      });
+    }
+
+    if (messages.length === 0 || !firstTimestamp || !lastTimestamp) {
+      return { summary: null, messages };
+    }
+
+    const preview = firstPrompt.replace(/\s+/g, ' ').trim().slice(0, this.PREVIEW_LENGTH);
+    const duration = Math.max(0, Math.round(
+      (new Date(lastTimestamp).getTime() - new Date(firstTimestamp).getTime()) / 1000
+    ));
+
+    return {
+      summary: {
+        id: sessionId,
+        name: title || preview || sessionId,
+        timestamp: lastTimestamp,
+        startedAt: firstTimestamp,
+        messageCount: messages.length,
+        duration,
+        preview,
+        workingDirectory,
+        filePath
+      },
+      messages
+    };
+  }
+
+  // Message content is either a plain string or a list of content blocks;
+  // only text blocks are kept (tool calls and tool results are skipped)
+  private extractText(content: any): string {
+    if (typeof content === 'string') {
+      return content;
+    }
+
+    if (Array.isArray(content)) {
+      return content
+        .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+        .map(block => block.text)
+        .join('\n');
+    }
+
+    return '';
+  }
+
+  // Slash commands and their output are recorded as user messages wrapped in tags
+  private isCommandOutput(text: string): boolean {
+    return /^\s*<(command-|local-command-)/.test(text);
+  }
+}
+
+export const claudeSessionHistory = new ClaudeSessionHistory();
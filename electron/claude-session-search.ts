@@ -0,0 +1,248 @@
+import { claudeSessionHistory, ClaudeSessionHistory, ClaudeTranscriptMessage } from './claude-session-history.js';
+
+export interface SessionSearchResult {
+  sessionId: string;
+  sessionName: string;
+  messageIndex: number;
+  messageUuid?: string;
+  role: 'user' | 'assistant';
+  timestamp?: string;
+  score: number;
+  snippet: string;
+}
+
+interface IndexedSession {
+  name: string;
+  messages: ClaudeTranscriptMessage[];
+  // term -> (message index -> term frequency)
+  postings: Map<string, Map<number, number>>;
+  lengths: number[];
+}
+
+interface WorkspaceIndex {
+  sessions: Map<string, IndexedSession>;
+  totalLength: number;
+  totalMessages: number;
+}
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of',
+  'on', 'or', 'our', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to',
+  'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'you', 'your'
+]);
+
+/**
+ * Full-text search over the Claude CLI transcripts of a workspace.
+ * Keeps an in-memory inverted index per workspace that is refreshed
+ * incrementally: only transcripts that changed on disk are re-indexed.
+ */
+export class ClaudeSessionSearch {
+  private readonly K1 = 1.2;
+  private readonly B = 0.75;
+  private readonly SNIPPET_RADIUS = 80;
+  private indexes: Map<string, WorkspaceIndex> = new Map();
+
+  constructor(private history: ClaudeSessionHistory = claudeSessionHistory) {}
+
+  async search(workspacePath: string, query: string, limit: number = 20): Promise<SessionSearchResult[]> {
+    const terms = Array.from(new Set(this.tokenize(query)));
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const index = await this.refreshIndex(workspacePath);
+    if (index.totalMessages === 0) {
+      return [];
+    }
+
+    const averageLength = index.totalLength / index.totalMessages;
+    const phrase = query.trim().toLowerCase();
+    const results: SessionSearchResult[] = [];
+
+    // Document frequency across all sessions of the workspace
+    const documentFrequency = new Map<string, number>();
+    for (const term of terms) {
+      let df = 0;
+      for (const session of index.sessions.values()) {
+        df += session.postings.get(term)?.size || 0;
+      }
+      documentFrequency.set(term, df);
+    }
+
+    for (const [sessionId, session] of index.sessions) {
+      const scores = new Map<number, number>();
+
+      for (const term of terms) {
+        const postings = session.postings.get(term);
+        if (!postings) continue;
+
+        const df = documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (index.totalMessages - df + 0.5) / (df + 0.5));
+
+        for (const [messageIndex, tf] of postings) {
+          const length = session.lengths[messageIndex];
+          const norm = tf * (this.K1 + 1) / (tf + this.K1 * (1 - this.B + this.B * length / averageLength));
+          scores.set(messageIndex, (scores.get(messageIndex) || 0) + idf * norm);
+        }
+      }
+
+      for (const [messageIndex, baseScore] of scores) {
+        const message = session.messages[messageIndex];
+        // Reward messages containing the query verbatim
+        const score = message.text.toLowerCase().includes(phrase) ? baseScore * 2 : baseScore;
+
+        results.push({
+          sessionId,
+          sessionName: session.name,
+          messageIndex,
+          messageUuid: message.uuid,
+          role: message.role,
+          timestamp: message.timestamp,
+          score,
+          snippet: this.buildSnippet(message.text, terms)
+        });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Drop the index of a workspace (e.g. when the workspace is closed)
+  clear(workspacePath?: string): void {
+    if (workspacePath) {
+      this.indexes.delete(workspacePath);
+    } else {
+      this.indexes.clear();
+    }
+  }
+
+  private async refreshIndex(workspacePath: string): Promise<WorkspaceIndex> {
+    let index = this.indexes.get(workspacePath);
+    if (!index) {
+      index = { sessions: new Map(), totalLength: 0, totalMessages: 0 };
+      this.indexes.set(workspacePath, index);
+    }
+
+    const sessions = await this.history.listSessions(workspacePath);
+    const seen = new Set<string>();
+
+    for (const summary of sessions) {
+      seen.add(summary.id);
+      const messages = await this.history.getMessages(workspacePath, summary.id);
+      const existing = index.sessions.get(summary.id);
+
+      // The history keeps the parsed messages until the transcript changes on disk,
+      // so an identical array means the session is already indexed
+      if (existing && existing.messages === messages) {
+        existing.name = summary.name;
+        continue;
+      }
+
+      if (existing) {
+        this.removeSession(index, summary.id);
+      }
+      this.addSession(index, summary.id, summary.name, messages);
+    }
+
+    for (const sessionId of Array.from(index.sessions.keys())) {
+      if (!seen.has(sessionId)) {
+        this.removeSession(index, sessionId);
+      }
+    }
+
+    return index;
+  }
+
+  private addSession(index: WorkspaceIndex, sessionId: string, name: string, messages: ClaudeTranscriptMessage[]): void {
+    const session: IndexedSession = {
+      name,
+      messages,
+      postings: new Map(),
+      lengths: []
+    };
+
+    messages.forEach((message, messageIndex) => {
+      const tokens = this.tokenize(message.text);
+      session.lengths[messageIndex] = tokens.length;
+      index.totalLength += tokens.length;
+
+      for (const token of tokens) {
+        let postings = session.postings.get(token);
+        if (!postings) {
+          postings = new Map();
+          session.postings.set(token, postings);
+        }
+        postings.set(messageIndex, (postings.get(messageIndex) || 0) + 1);
+      }
+    });
+
+    index.totalMessages += messages.length;
+    index.sessions.set(sessionId, session);
+  }
+
+  private removeSession(index: WorkspaceIndex, sessionId: string): void {
+    const session = index.sessions.get(sessionId);
+    if (!session) return;
+
+    index.totalMessages -= session.messages.length;
+    index.totalLength -= session.lengths.reduce((sum, length) => sum + length, 0);
+    index.sessions.delete(sessionId);
+  }
+
+  private tokenize(text: string): string[] {
+    return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Minimal suffix stripping so "retries"/"retrying"/"retried" match "retry"
+  private stem(token: string): string {
+    if (token.length <= 4) return token;
+
+    let stem = token;
+    if (stem.endsWith('ies') || stem.endsWith('ied')) {
+      stem = stem.slice(0, -3) + 'y';
+    } else if (stem.endsWith('ing') && stem.length > 5) {
+      stem = stem.slice(0, -3);
+    } else if (stem.endsWith('ed')) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+      stem = stem.slice(0, -1);
+    }
+
+    // "decide" and "decided" both become "decid"
+    if (stem.endsWith('e') && stem.length > 4) {
+      stem = stem.slice(0, -1);
+    }
+
+    return stem;
+  }
+
+  private buildSnippet(text: string, terms: string[]): string {
+    const lower = text.toLowerCase();
+    let position = -1;
+
+    for (const term of terms) {
+      const found = lower.indexOf(term);
+      if (found !== -1 && (position === -1 || found < position)) {
+        position = found;
+      }
+    }
+
+    if (position === -1) position = 0;
+
+    const start = Math.max(0, position - this.SNIPPET_RADIUS);
+    const end = Math.min(text.length, position + this.SNIPPET_RADIUS);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+}
+
+export const claudeSessionSearch = new ClaudeSessionSearch();
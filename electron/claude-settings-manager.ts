@@ -204,6 +204,30 @@ export class ClaudeSettingsManager {
     await this.saveSettings(settings);
   }
   
+  // Install or update a hook managed by the IDE itself, identified by its ID.
+  // A hook the user disabled stays disabled.
+  async ensureHook(hook: {
+    id: string;
+    event: string;
+    matcher: string;
+    command: string;
+  }): Promise<void> {
+    const hooks = await this.getHooks();
+    const existing = hooks.find(h => h.id === hook.id);
+
+    if (existing && existing.event === hook.event && existing.matcher === hook.matcher && existing.command === hook.command) {
+      return;
+    }
+
+    if (existing) {
+      Object.assign(existing, hook);
+    } else {
+      hooks.push({ ...hook, disabled: false });
+    }
+
+    await this.saveHooks(hooks);
+  }
+
   // Test a hook by creating a temporary command that logs output
   createTestCommand(hook: {
     event: string;
@@ -0,0 +1,195 @@
+/**
+ * Full-text index over workspace files, ranked with BM25.
+ * Documents are built from a file's identifiers, comments and strings, with
+ * its path and declared symbols counted extra, so "payment retry" finds
+ * retryPayment() in billing/queue.ts even though neither word is in the name.
+ */
+
+export interface IndexedSymbols {
+  functions?: string[];
+  classes?: string[];
+  interfaces?: string[];
+  exports?: string[];
+}
+
+export interface ContentSearchHit {
+  path: string;
+  score: number;
+  matchedTerms: string[];
+  matchedSymbols: string[];
+}
+
+interface IndexedDocument {
+  terms: Map<string, number>;
+  length: number;
+  symbols: string[];
+}
+
+// BM25 parameters; the usual defaults
+const K1 = 1.2;
+const B = 0.75;
+
+// Path and symbol names say more about a file than a word in its body
+const PATH_WEIGHT = 3;
+const SYMBOL_WEIGHT = 3;
+
+const MAX_TERM_LENGTH = 40;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'if', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'with',
+  // Keywords common to most languages
+  'async', 'await', 'break', 'case', 'catch', 'const', 'def', 'default', 'else', 'export',
+  'false', 'fn', 'func', 'function', 'import', 'let', 'new', 'null', 'return', 'self',
+  'true', 'try', 'undefined', 'var', 'void'
+]);
+
+/**
+ * Split text into search terms. Identifiers are split at camelCase, snake_case
+ * and digits, and each part is reduced to a rough stem so "retries",
+ * "retrying" and "retry" match.
+ */
+export function tokenize(text: string): string[] {
+  const terms: string[] = [];
+  const words = text.match(/[A-Za-z][A-Za-z0-9]*/g) || [];
+
+  for (const word of words) {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[\s\d]+/);
+
+    for (const part of parts) {
+      if (part.length < 2 || part.length > MAX_TERM_LENGTH || STOP_WORDS.has(part)) continue;
+      terms.push(stem(part));
+    }
+  }
+
+  return terms;
+}
+
+function stem(word: string): string {
+  if (word.length > 4 && (word.endsWith('ies') || word.endsWith('ied'))) return word.slice(0, -3) + 'y';
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+export class ContentIndex {
+  private documents: Map<string, IndexedDocument> = new Map();
+  // term -> path -> weighted term frequency
+  private postings: Map<string, Map<string, number>> = new Map();
+  private totalLength = 0;
+
+  /**
+   * Index a file, replacing whatever was indexed for it before
+   */
+  add(path: string, content: string, symbols: IndexedSymbols = {}, relativePath: string = path): void {
+    this.remove(path);
+
+    const terms = new Map<string, number>();
+    const count = (tokens: string[], weight: number) => {
+      for (const token of tokens) {
+        terms.set(token, (terms.get(token) || 0) + weight);
+      }
+    };
+
+    const symbolNames = Array.from(new Set([
+      ...(symbols.functions || []),
+      ...(symbols.classes || []),
+      ...(symbols.interfaces || []),
+      ...(symbols.exports || [])
+    ]));
+
+    count(tokenize(content), 1);
+    count(tokenize(relativePath), PATH_WEIGHT);
+    count(tokenize(symbolNames.join(' ')), SYMBOL_WEIGHT);
+
+    let length = 0;
+    terms.forEach((frequency, term) => {
+      length += frequency;
+      let posting = this.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(term, posting);
+      }
+      posting.set(path, frequency);
+    });
+
+    this.documents.set(path, { terms, length, symbols: symbolNames });
+    this.totalLength += length;
+  }
+
+  remove(path: string): void {
+    const document = this.documents.get(path);
+    if (!document) return;
+
+    document.terms.forEach((_, term) => {
+      const posting = this.postings.get(term);
+      posting?.delete(path);
+      if (posting && posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.totalLength -= document.length;
+    this.documents.delete(path);
+  }
+
+  has(path: string): boolean {
+    return this.documents.has(path);
+  }
+
+  /**
+   * Files ranked by BM25 against the query terms, best first
+   */
+  search(query: string, limit: number = 20): ContentSearchHit[] {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    const documentCount = this.documents.size;
+    if (queryTerms.length === 0 || documentCount === 0) return [];
+
+    const averageLength = this.totalLength / documentCount;
+    const scores = new Map<string, { score: number; terms: string[] }>();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+      posting.forEach((frequency, path) => {
+        const length = this.documents.get(path)!.length;
+        const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+
+        const entry = scores.get(path) || { score: 0, terms: [] };
+        entry.score += score;
+        entry.terms.push(term);
+        scores.set(path, entry);
+      });
+    }
+
+    return Array.from(scores.entries())
+      // Files matching more of the query come first, then by score
+      .sort(([, a], [, b]) => b.terms.length - a.terms.length || b.score - a.score)
+      .slice(0, limit)
+      .map(([path, entry]) => ({
+        path,
+        score: entry.score,
+        matchedTerms: entry.terms,
+        matchedSymbols: this.documents.get(path)!.symbols.filter(symbol =>
+          tokenize(symbol).some(term => entry.terms.includes(term))
+        )
+      }));
+  }
+
+  size(): number {
+    return this.documents.size;
+  }
+
+  clear(): void {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+}
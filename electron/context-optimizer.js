@@ -1,21 +1,29 @@
-import { lightweightContext } from './lightweight-context.js';
+import { workspaceContextManager } from './workspace-context-manager.js';
+import { tokenCounter } from './token-counter.js';
+import { packContext } from './context-packer.js';
 export class ContextOptimizer {
-    CLAUDE_MAX_TOKENS = 200000;
     WARNING_THRESHOLD = 0.7; // 70% of max
     CRITICAL_THRESHOLD = 0.85; // 85% of max
-    // Simple token estimation (roughly 4 chars per token)
-    estimateTokens(text) {
-        return Math.ceil(text.length / 4);
+    // Counted with the model's tokenizer once it has loaded, estimated before
+    estimateTokens(text, model) {
+        return tokenCounter.count(text, model);
+    }
+    // Model whose tokenizer and context window budgets are based on
+    setModel(model) {
+        return tokenCounter.setModel(model);
     }
     // Analyze current context usage
-    analyzeContextUsage(messages, currentContext) {
-        const messageTokens = messages.reduce((sum, msg) => {
+    analyzeContextUsage(messages, currentContext, model) {
+        const contextWindow = tokenCounter.getProfile(model).contextWindow;
+        const counts = messages.map(msg => {
             const content = typeof msg === 'string' ? msg : (msg.content || '');
-            return sum + this.estimateTokens(content);
-        }, 0);
-        const contextTokens = this.estimateTokens(currentContext);
+            return tokenCounter.measure(content, model);
+        });
+        const messageTokens = counts.reduce((sum, count) => sum + count.tokens, 0);
+        const context = tokenCounter.measure(currentContext, model);
+        const contextTokens = context.tokens;
         const totalTokens = messageTokens + contextTokens;
-        const percentage = totalTokens / this.CLAUDE_MAX_TOKENS;
+        const percentage = totalTokens / contextWindow;
         let status = 'normal';
         if (percentage >= 0.95)
             status = 'danger';
@@ -27,18 +35,26 @@ export class ContextOptimizer {
             totalTokens,
             messageTokens,
             contextTokens,
+            contextWindow,
             percentage: percentage * 100,
-            status
+            status,
+            tokenizer: context.tokenizer,
+            exact: context.exact && counts.every(count => count.exact)
         };
     }
     // Smart context building with token budget
-    async buildOptimizedContext(query, workingFiles, maxTokens = 2000) {
+    async buildOptimizedContext(query, workingFiles, maxTokens = 2000, options = {}) {
+        if (options.mode === 'symbols') {
+            return this.buildPackedContext(query, workingFiles, maxTokens, options.cursor);
+        }
+        await tokenCounter.ready();
         const contextParts = [];
         const included = [];
         const excluded = [];
         let currentTokens = 0;
+        const lightweightContext = workspaceContextManager.getCurrentContext();
         // Priority 1: Project overview (minimal tokens)
-        const projectInfo = lightweightContext.getStatistics();
+        const projectInfo = lightweightContext?.getStatistics();
         if (projectInfo) {
             const overview = `PROJECT: ${projectInfo.type} (${projectInfo.framework || 'vanilla'})
 LANGUAGES: ${projectInfo.languages.slice(0, 3).join(', ')}
@@ -74,14 +90,15 @@ FILES: ${projectInfo.totalFiles}`;
             }
         }
         // Priority 3: Relevant files based on query
-        if (query && currentTokens < maxTokens * 0.8) {
+        if (lightweightContext && query && currentTokens < maxTokens * 0.8) {
             const relevantFiles = await lightweightContext.searchFiles(query, 10);
             if (relevantFiles.length > 0) {
                 contextParts.push(`\nRELEVANT FILES:`);
                 currentTokens += this.estimateTokens('\nRELEVANT FILES:');
                 for (const file of relevantFiles) {
                     const relativePath = file.path.split('/').slice(-2).join('/');
-                    const fileLine = `- ${relativePath} (${file.language}, score: ${file.relevanceScore})`;
+                    const symbols = file.matchedSymbols?.length ? `, ${file.matchedSymbols.join(', ')}` : '';
+                    const fileLine = `- ${relativePath} (${file.language}, score: ${file.relevanceScore}${symbols})`;
                     const fileTokens = this.estimateTokens(fileLine);
                     if (currentTokens + fileTokens <= maxTokens * 0.9) {
                         contextParts.push(fileLine);
@@ -96,7 +113,7 @@ FILES: ${projectInfo.totalFiles}`;
             }
         }
         // Priority 4: Recent files (if space allows)
-        if (currentTokens < maxTokens * 0.7) {
+        if (lightweightContext && currentTokens < maxTokens * 0.7) {
             const recentFiles = lightweightContext.getRecentFiles(4);
             if (recentFiles.length > 0) {
                 contextParts.push(`\nRECENT CHANGES:`);
@@ -119,11 +136,48 @@ FILES: ${projectInfo.totalFiles}`;
                 }
             }
         }
+        // Parts were counted one by one; count the joined text for the real total
+        const context = contextParts.join('\n');
+        const { tokens, exact } = tokenCounter.measure(context);
         return {
-            context: contextParts.join('\n'),
-            tokens: currentTokens,
+            context,
+            tokens,
             included,
-            excluded
+            excluded,
+            exact
+        };
+    }
+    // Actual code rather than file names: the function under the cursor, the
+    // symbols the query names, and outlines of the files around them
+    async buildPackedContext(query, workingFiles, maxTokens, cursor) {
+        await tokenCounter.ready();
+        const lightweightContext = workspaceContextManager.getCurrentContext();
+        const projectInfo = lightweightContext?.getStatistics();
+        const overview = projectInfo
+            ? `PROJECT: ${projectInfo.type} (${projectInfo.framework || 'vanilla'})`
+            : '';
+        const relevantFiles = lightweightContext && query
+            ? await lightweightContext.searchFiles(query, 6)
+            : [];
+        const packed = await packContext({
+            query,
+            files: [
+                ...workingFiles.map(path => ({ path })),
+                ...relevantFiles.map(file => ({ path: file.path, matchedSymbols: file.matchedSymbols }))
+            ],
+            cursor,
+            maxTokens: maxTokens - (overview ? this.estimateTokens(overview) + 1 : 0),
+            root: workspaceContextManager.getCurrentWorkspacePath() || undefined
+        });
+        const context = [overview, packed.context].filter(Boolean).join('\n\n');
+        const { tokens, exact } = tokenCounter.measure(context);
+        return {
+            context,
+            tokens,
+            included: packed.included,
+            excluded: packed.excluded,
+            exact,
+            symbols: packed.symbols
         };
     }
     // Optimize existing context by summarizing or truncating
@@ -262,7 +316,8 @@ FILES: ${projectInfo.totalFiles}`;
         if (queryLower.includes('?'))
             confidence += 0.1;
         // Determine token budget based on available space
-        const tokenPercentage = (this.CLAUDE_MAX_TOKENS - availableTokens) / this.CLAUDE_MAX_TOKENS;
+        const contextWindow = tokenCounter.getProfile().contextWindow;
+        const tokenPercentage = (contextWindow - availableTokens) / contextWindow;
         let suggestedBudget = 2000; // Default
         if (tokenPercentage > 0.8) {
             suggestedBudget = 500; // Very limited
@@ -1,4 +1,6 @@
-import { lightweightContext } from './lightweight-context.js';
+import { workspaceContextManager } from './workspace-context-manager.js';
+import { tokenCounter, ModelProfile } from './token-counter.js';
+import { packContext, PackCursor } from './context-packer.js';
 
 export interface TokenEstimate {
   content: string;
@@ -20,32 +22,48 @@ export interface ContextOptimizationResult {
   optimizedContent: string;
 }
 
+export interface BuildContextOptions {
+  // 'files' lists relevant files by name; 'symbols' packs their code
+  mode?: 'files' | 'symbols';
+  cursor?: PackCursor;
+}
+
 export class ContextOptimizer {
-  private readonly CLAUDE_MAX_TOKENS = 200000;
   private readonly WARNING_THRESHOLD = 0.7; // 70% of max
   private readonly CRITICAL_THRESHOLD = 0.85; // 85% of max
   
-  // Simple token estimation (roughly 4 chars per token)
-  private estimateTokens(text: string): number {
-    return Math.ceil(text.length / 4);
+  // Counted with the model's tokenizer once it has loaded, estimated before
+  private estimateTokens(text: string, model?: string): number {
+    return tokenCounter.count(text, model);
+  }
+  
+  // Model whose tokenizer and context window budgets are based on
+  setModel(model: string): ModelProfile {
+    return tokenCounter.setModel(model);
   }
   
   // Analyze current context usage
-  analyzeContextUsage(messages: any[], currentContext: string): {
+  analyzeContextUsage(messages: any[], currentContext: string, model?: string): {
     totalTokens: number;
     messageTokens: number;
     contextTokens: number;
+    contextWindow: number;
     percentage: number;
     status: 'normal' | 'warning' | 'critical' | 'danger';
+    tokenizer: string;
+    exact: boolean;
   } {
-    const messageTokens = messages.reduce((sum, msg) => {
+    const contextWindow = tokenCounter.getProfile(model).contextWindow;
+    const counts = messages.map(msg => {
       const content = typeof msg === 'string' ? msg : (msg.content || '');
-      return sum + this.estimateTokens(content);
-    }, 0);
+      return tokenCounter.measure(content, model);
+    });
+    const messageTokens = counts.reduce((sum, count) => sum + count.tokens, 0);
     
-    const contextTokens = this.estimateTokens(currentContext);
+    const context = tokenCounter.measure(currentContext, model);
+    const contextTokens = context.tokens;
     const totalTokens = messageTokens + contextTokens;
-    const percentage = totalTokens / this.CLAUDE_MAX_TOKENS;
+    const percentage = totalTokens / contextWindow;
     
     let status: 'normal' | 'warning' | 'critical' | 'danger' = 'normal';
     if (percentage >= 0.95) status = 'danger';
@@ -56,8 +74,11 @@ export class ContextOptimizer {
       totalTokens,
       messageTokens,
       contextTokens,
+      contextWindow,
       percentage: percentage * 100,
-      status
+      status,
+      tokenizer: context.tokenizer,
+      exact: context.exact && counts.every(count => count.exact)
     };
   }
   
@@ -65,20 +86,29 @@ export class ContextOptimizer {
   async buildOptimizedContext(
     query: string, 
     workingFiles: string[], 
-    maxTokens: number = 2000
+    maxTokens: number = 2000,
+    options: BuildContextOptions = {}
   ): Promise<{
     context: string;
     tokens: number;
     included: string[];
     excluded: string[];
+    exact: boolean;
+    symbols?: string[];
   }> {
+    if (options.mode === 'symbols') {
+      return this.buildPackedContext(query, workingFiles, maxTokens, options.cursor);
+    }
+    
+    await tokenCounter.ready();
     const contextParts: string[] = [];
     const included: string[] = [];
     const excluded: string[] = [];
     let currentTokens = 0;
+    const lightweightContext = workspaceContextManager.getCurrentContext();
     
     // Priority 1: Project overview (minimal tokens)
-    const projectInfo = lightweightContext.getStatistics();
+    const projectInfo = lightweightContext?.getStatistics();
     if (projectInfo) {
       const overview = `PROJECT: ${projectInfo.type} (${projectInfo.framework || 'vanilla'})
 LANGUAGES: ${projectInfo.languages.slice(0, 3).join(', ')}
@@ -119,7 +149,7 @@ FILES: ${projectInfo.totalFiles}`;
     }
     
     // Priority 3: Relevant files based on query
-    if (query && currentTokens < maxTokens * 0.8) {
+    if (lightweightContext && query && currentTokens < maxTokens * 0.8) {
       const relevantFiles = await lightweightContext.searchFiles(query, 10);
       
       if (relevantFiles.length > 0) {
@@ -128,7 +158,8 @@ FILES: ${projectInfo.totalFiles}`;
         
         for (const file of relevantFiles) {
           const relativePath = file.path.split('/').slice(-2).join('/');
-          const fileLine = `- ${relativePath} (${file.language}, score: ${file.relevanceScore})`;
+          const symbols = file.matchedSymbols?.length ? `, ${file.matchedSymbols.join(', ')}` : '';
+          const fileLine = `- ${relativePath} (${file.language}, score: ${file.relevanceScore}${symbols})`;
           const fileTokens = this.estimateTokens(fileLine);
           
           if (currentTokens + fileTokens <= maxTokens * 0.9) {
@@ -144,7 +175,7 @@ FILES: ${projectInfo.totalFiles}`;
     }
     
     // Priority 4: Recent files (if space allows)
-    if (currentTokens < maxTokens * 0.7) {
+    if (lightweightContext && currentTokens < maxTokens * 0.7) {
       const recentFiles = lightweightContext.getRecentFiles(4);
       
       if (recentFiles.length > 0) {
@@ -170,11 +201,56 @@ FILES: ${projectInfo.totalFiles}`;
       }
     }
     
+    // Parts were counted one by one; count the joined text for the real total
+    const context = contextParts.join('\n');
+    const { tokens, exact } = tokenCounter.measure(context);
     return {
-      context: contextParts.join('\n'),
-      tokens: currentTokens,
+      context,
+      tokens,
       included,
-      excluded
+      excluded,
+      exact
+    };
+  }
+  
+  // Actual code rather than file names: the function under the cursor, the
+  // symbols the query names, and outlines of the files around them
+  private async buildPackedContext(
+    query: string,
+    workingFiles: string[],
+    maxTokens: number,
+    cursor?: PackCursor
+  ) {
+    await tokenCounter.ready();
+    const lightweightContext = workspaceContextManager.getCurrentContext();
+    const projectInfo = lightweightContext?.getStatistics();
+    const overview = projectInfo
+      ? `PROJECT: ${projectInfo.type} (${projectInfo.framework || 'vanilla'})`
+      : '';
+    
+    const relevantFiles = lightweightContext && query
+      ? await lightweightContext.searchFiles(query, 6)
+      : [];
+    const packed = await packContext({
+      query,
+      files: [
+        ...workingFiles.map(path => ({ path })),
+        ...relevantFiles.map(file => ({ path: file.path, matchedSymbols: file.matchedSymbols }))
+      ],
+      cursor,
+      maxTokens: maxTokens - (overview ? this.estimateTokens(overview) + 1 : 0),
+      root: workspaceContextManager.getCurrentWorkspacePath() || undefined
+    });
+    
+    const context = [overview, packed.context].filter(Boolean).join('\n\n');
+    const { tokens, exact } = tokenCounter.measure(context);
+    return {
+      context,
+      tokens,
+      included: packed.included,
+      excluded: packed.excluded,
+      exact,
+      symbols: packed.symbols
     };
   }
   
@@ -350,7 +426,8 @@ FILES: ${projectInfo.totalFiles}`;
     if (queryLower.includes('?')) confidence += 0.1;
     
     // Determine token budget based on available space
-    const tokenPercentage = (this.CLAUDE_MAX_TOKENS - availableTokens) / this.CLAUDE_MAX_TOKENS;
+    const contextWindow = tokenCounter.getProfile().contextWindow;
+    const tokenPercentage = (contextWindow - availableTokens) / contextWindow;
     let suggestedBudget = 2000; // Default
     
     if (tokenPercentage > 0.8) {
@@ -0,0 +1,266 @@
+/**
+ * Packs source code into a token budget at symbol granularity.
+ * In order, it takes the body of the function under the cursor, the bodies of
+ * symbols the query names, then signatures and class outlines of the candidate
+ * files, for as long as the budget lasts. Everything left out of a file is
+ * replaced by a marker naming the lines that were elided.
+ */
+import { readFile, stat } from 'fs/promises';
+import { extname, relative } from 'path';
+import { tokenize } from './content-index.js';
+import { tokenCounter } from './token-counter.js';
+import { getOutline, findEnclosingSymbol, OutlineSymbol } from './symbol-outline.js';
+
+export interface PackCursor {
+  path: string;
+  line: number; // 1-based, as in the lsp:* channels
+}
+
+export interface PackCandidate {
+  path: string;
+  matchedSymbols?: string[]; // From the content search
+}
+
+export interface PackOptions {
+  query: string;
+  files: PackCandidate[]; // Most relevant first
+  cursor?: PackCursor;
+  maxTokens: number;
+  root?: string; // Paths in the output are relative to this
+}
+
+export interface PackResult {
+  context: string;
+  tokens: number;
+  included: string[];
+  excluded: string[];
+  symbols: string[]; // Symbols included with their bodies
+}
+
+interface PackFile {
+  path: string;
+  relativePath: string;
+  lines: string[];
+  symbols: OutlineSymbol[];
+  matchedSymbols: string[];
+}
+
+interface Piece {
+  file: PackFile;
+  lines: number[];
+  symbol?: string; // Set when the piece is a whole body
+}
+
+const MAX_FILES = 8;
+const MAX_FILE_SIZE = 512 * 1024;
+const MAX_MATCHED_SYMBOLS = 6;
+const CURSOR_SHARE = 0.6; // Of the budget, for the body under the cursor
+const BODY_SHARE = 0.35; // For any other single body
+const CURSOR_WINDOW = 15; // Lines either side of the cursor when its body is too long
+const MAX_SIGNATURE_LINES = 12;
+const MARKER_TOKENS = 12; // Estimate for an elision marker
+
+const HASH_COMMENT_EXTENSIONS = new Set(['.py', '.rb', '.sh', '.bash', '.zsh', '.yaml', '.yml', '.toml', '.r', '.pl']);
+
+export async function packContext(options: PackOptions): Promise<PackResult> {
+  await tokenCounter.ready();
+  const files = await loadFiles(options);
+  const pieces = collectPieces(files, options);
+
+  // Greedy by priority, on estimated costs
+  const accepted: Piece[] = [];
+  const shown = new Map<PackFile, Set<number>>();
+  let estimate = 0;
+
+  for (const piece of pieces) {
+    const lines = shown.get(piece.file);
+    const added = piece.lines.filter(line => !lines?.has(line));
+    if (added.length === 0) continue;
+
+    const cost = tokenCounter.count(added.map(line => piece.file.lines[line]).join('\n')) +
+      MARKER_TOKENS + (lines ? 0 : tokenCounter.count(fileHeader(piece.file)) + 2);
+    if (estimate + cost > options.maxTokens) continue;
+
+    estimate += cost;
+    accepted.push(piece);
+    const set = lines || new Set<number>();
+    added.forEach(line => set.add(line));
+    shown.set(piece.file, set);
+  }
+
+  // Markers were estimated; drop the last pieces until the real count fits
+  let context = render(accepted);
+  let tokens = tokenCounter.count(context);
+  while (tokens > options.maxTokens && accepted.length > 0) {
+    accepted.pop();
+    context = render(accepted);
+    tokens = tokenCounter.count(context);
+  }
+
+  const included = Array.from(new Set(accepted.map(piece => piece.file.path)));
+  const candidates = new Set([...(options.cursor ? [options.cursor.path] : []), ...options.files.map(file => file.path)]);
+  return {
+    context,
+    tokens,
+    included,
+    excluded: Array.from(candidates).filter(path => !included.includes(path)),
+    symbols: accepted.filter(piece => piece.symbol).map(piece => `${piece.symbol} (${piece.file.relativePath})`)
+  };
+}
+
+async function loadFiles(options: PackOptions): Promise<PackFile[]> {
+  const candidates = new Map<string, string[]>();
+  if (options.cursor) candidates.set(options.cursor.path, []);
+  for (const file of options.files) {
+    candidates.set(file.path, [...(candidates.get(file.path) || []), ...(file.matchedSymbols || [])]);
+  }
+
+  const files: PackFile[] = [];
+  for (const [path, matchedSymbols] of Array.from(candidates.entries()).slice(0, MAX_FILES)) {
+    try {
+      if ((await stat(path)).size > MAX_FILE_SIZE) continue;
+      const content = await readFile(path, 'utf8');
+      if (content.includes('\u0000')) continue;
+
+      files.push({
+        path,
+        relativePath: options.root ? relative(options.root, path) : path,
+        lines: content.split('\n'),
+        symbols: (await getOutline(path, content)).symbols,
+        matchedSymbols
+      });
+    } catch (error) {
+      console.warn(`[ContextPacker] Skipping ${path}:`, error);
+    }
+  }
+  return files;
+}
+
+function collectPieces(files: PackFile[], options: PackOptions): Piece[] {
+  const pieces: Piece[] = [];
+  const cursorFile = options.cursor && files.find(file => file.path === options.cursor!.path);
+
+  // 1. The code under the cursor, whole if it fits
+  if (cursorFile) {
+    const line = Math.min(Math.max(options.cursor!.line - 1, 0), cursorFile.lines.length - 1);
+    const symbol = findEnclosingSymbol(cursorFile.symbols, line);
+    const window = (from: number, to: number) =>
+      range(Math.max(from, line - CURSOR_WINDOW), Math.min(to, line + CURSOR_WINDOW));
+
+    if (!symbol) {
+      pieces.push({ file: cursorFile, lines: window(0, cursorFile.lines.length - 1) });
+    } else if (costOf(cursorFile, bodyLines(symbol)) <= options.maxTokens * CURSOR_SHARE) {
+      pieces.push({ file: cursorFile, lines: bodyLines(symbol), symbol: symbol.name });
+    } else {
+      pieces.push({ file: cursorFile, lines: [...signatureLines(symbol), ...window(symbol.startLine, symbol.endLine)] });
+    }
+    pieces.push(...outlinePieces(cursorFile));
+  }
+
+  // 2. Symbols named by the query or found by the content search
+  const terms = new Set(tokenize(options.query));
+  const matches: Array<{ file: PackFile; symbol: OutlineSymbol; score: number }> = [];
+  files.forEach(file => {
+    flatten(file.symbols).forEach(symbol => {
+      const score = tokenize(symbol.name).filter(term => terms.has(term)).length +
+        (file.matchedSymbols.includes(symbol.name) ? 1 : 0);
+      if (score > 0) matches.push({ file, symbol, score });
+    });
+  });
+
+  matches
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHED_SYMBOLS)
+    .forEach(({ file, symbol }) => {
+      const lines = bodyLines(symbol);
+      if (costOf(file, lines) <= options.maxTokens * BODY_SHARE) {
+        pieces.push({ file, lines, symbol: symbol.name });
+      } else {
+        pieces.push({ file, lines: signatureLines(symbol) });
+      }
+    });
+
+  // 3. Outlines of the other files
+  files.filter(file => file !== cursorFile).forEach(file => pieces.push(...outlinePieces(file)));
+
+  return pieces;
+}
+
+// One piece per top-level symbol: its signature and those of its members
+function outlinePieces(file: PackFile): Piece[] {
+  return file.symbols.map(symbol => ({
+    file,
+    lines: [symbol, ...symbol.children, ...symbol.children.flatMap(child => child.children)]
+      .flatMap(signatureLines)
+  }));
+}
+
+function signatureLines(symbol: OutlineSymbol): number[] {
+  const end = symbol.signatureEndLine - symbol.startLine < MAX_SIGNATURE_LINES ? symbol.signatureEndLine : symbol.startLine;
+  return range(symbol.startLine, end);
+}
+
+function bodyLines(symbol: OutlineSymbol): number[] {
+  return range(symbol.startLine, symbol.endLine);
+}
+
+function render(pieces: Piece[]): string {
+  const shown = new Map<PackFile, Set<number>>();
+  pieces.forEach(piece => {
+    const lines = shown.get(piece.file) || new Set<number>();
+    piece.lines.forEach(line => lines.add(line));
+    shown.set(piece.file, lines);
+  });
+
+  const sections: string[] = [];
+  shown.forEach((lines, file) => {
+    const sorted = Array.from(lines).sort((a, b) => a - b);
+    const output: string[] = [fileHeader(file)];
+    let next = 0;
+
+    for (const line of sorted) {
+      if (line > next) output.push(gap(file, next, line - 1, line));
+      output.push(file.lines[line]);
+      next = line + 1;
+    }
+    if (next < file.lines.length && file.lines.slice(next).some(line => line.trim())) {
+      output.push(marker(file, next, file.lines.length - 1, sorted[sorted.length - 1]));
+    }
+
+    output.push('```');
+    sections.push(output.join('\n'));
+  });
+
+  return sections.join('\n\n');
+}
+
+function fileHeader(file: PackFile): string {
+  return '```' + (extname(file.path).slice(1) || 'text') + ' ' + file.relativePath;
+}
+
+// Blank lines between shown code stay blank rather than becoming markers
+function gap(file: PackFile, from: number, to: number, nearLine: number): string {
+  return file.lines.slice(from, to + 1).some(line => line.trim()) ? marker(file, from, to, nearLine) : '';
+}
+
+// "// ... lines 12-40 elided", indented like the code it stands in for
+function marker(file: PackFile, from: number, to: number, nearLine: number): string {
+  const indent = (file.lines[nearLine] || '').match(/^\s*/)![0];
+  const comment = HASH_COMMENT_EXTENSIONS.has(extname(file.path).toLowerCase()) ? '#' : '//';
+  const lines = from === to ? `line ${from + 1}` : `lines ${from + 1}-${to + 1}`;
+  return `${indent}${comment} ... ${lines} elided`;
+}
+
+function costOf(file: PackFile, lines: number[]): number {
+  return tokenCounter.count(lines.map(line => file.lines[line]).join('\n'));
+}
+
+function flatten(symbols: OutlineSymbol[]): OutlineSymbol[] {
+  return symbols.flatMap(symbol => [symbol, ...flatten(symbol.children)]);
+}
+
+function range(from: number, to: number): number[] {
+  const lines: number[] = [];
+  for (let line = from; line <= to; line++) lines.push(line);
+  return lines;
+}
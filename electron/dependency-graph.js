@@ -0,0 +1,620 @@
+/**
+ * Import graph of a workspace.
+ * Joins the imports of every source file into file-to-file edges, resolving
+ * relative paths, tsconfig/jsconfig `baseUrl` and `paths` (following
+ * `extends`, so Nuxt's generated aliases work) and the common `~`/`@`
+ * aliases. Package imports are kept as external dependencies.
+ *
+ * Has no Electron dependencies, so the REST API and the clode-integration MCP
+ * server can load it too. The graph is updated on file events and re-checked
+ * against file modification times when queried, since the file watchers don't
+ * reach every directory.
+ */
+import { promises as fs, existsSync, readFileSync, statSync } from 'fs';
+import path from 'path';
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.py'];
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.json'];
+const IGNORED_DIRECTORIES = new Set([
+    'node_modules', 'dist', 'build', 'out', 'coverage', '__pycache__', 'venv', 'target', 'vendor'
+]);
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+const MAX_FILES = 20000;
+const MAX_FILE_SIZE = 1024 * 1024;
+const CHECK_INTERVAL = 10 * 1000; // How stale a graph may be before a query re-checks it
+// import x from 'a', import type { x } from 'a', import 'a', export * from 'a'
+const STATIC_IMPORT = /(?:^|[^\w.$])(?:import|export)\s+(?:type\s+)?(?:[\w*${}\s,]*?\s*from\s*)?['"]([^'"\n]+)['"]/g;
+// import('a'), require('a')
+const CALL_IMPORT = /(?:^|[^\w.$])(?:import|require)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g;
+const PYTHON_IMPORT = /^\s*(?:from\s+(\.+[\w.]*|[\w.]+)\s+import|import\s+([\w.]+(?:\s*,\s*[\w.]+)*))/gm;
+/**
+ * Module specifiers imported by a file, as written
+ */
+export function extractImports(content, extension) {
+    const specifiers = new Set();
+    if (extension === '.py') {
+        for (const match of content.matchAll(PYTHON_IMPORT)) {
+            if (match[1]) {
+                specifiers.add(match[1]);
+            }
+            else {
+                match[2].split(',').forEach(name => specifiers.add(name.trim()));
+            }
+        }
+    }
+    else {
+        for (const match of content.matchAll(STATIC_IMPORT))
+            specifiers.add(match[1]);
+        for (const match of content.matchAll(CALL_IMPORT))
+            specifiers.add(match[1]);
+    }
+    return Array.from(specifiers);
+}
+export class DependencyGraphService {
+    graphs = new Map();
+    checking = new Map();
+    async query(workspacePath, query) {
+        const graph = await this.getGraph(workspacePath);
+        switch (query.type) {
+            case 'importers':
+                return this.getImporters(graph, this.fileOf(graph, query));
+            case 'imports':
+                return this.getImports(graph, this.fileOf(graph, query));
+            case 'dependents':
+                return this.walk(graph, this.fileOf(graph, query), 'importers', query.depth, query.limit);
+            case 'dependencies':
+                return this.walk(graph, this.fileOf(graph, query), 'imports', query.depth, query.limit);
+            case 'cycles':
+                return this.findCycles(graph, query.limit);
+            case 'stats':
+                return this.getStats(graph);
+            default:
+                throw new Error(`Unknown dependency query: ${query.type}`);
+        }
+    }
+    /**
+     * Apply a file event from a watcher to a graph that has been built
+     */
+    async handleFileEvent(workspacePath, type, filePath) {
+        const pending = this.graphs.get(path.resolve(workspacePath));
+        if (!pending)
+            return;
+        const graph = await pending;
+        if (CONFIG_FILES.includes(path.basename(filePath)) || graph.config.configFiles.includes(filePath)) {
+            graph.config = loadResolverConfig(graph.root);
+            this.resolveAll(graph);
+            return;
+        }
+        if (!SOURCE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()))
+            return;
+        if (type === 'remove' || type === 'unlink') {
+            if (graph.files.delete(filePath)) {
+                this.resolveAll(graph);
+            }
+            return;
+        }
+        const isNew = !graph.files.has(filePath);
+        await this.readFile(graph, filePath);
+        if (isNew) {
+            // The new file may be what other files' unresolved imports were after
+            this.resolveAll(graph);
+        }
+        else {
+            this.resolveFile(graph, filePath);
+        }
+    }
+    /**
+     * Drop a workspace's graph; the next query builds it again
+     */
+    invalidate(workspacePath) {
+        this.graphs.delete(path.resolve(workspacePath));
+    }
+    async getGraph(workspacePath) {
+        const root = path.resolve(workspacePath);
+        let pending = this.graphs.get(root);
+        if (!pending) {
+            pending = this.build(root);
+            this.graphs.set(root, pending);
+            pending.catch(() => this.graphs.delete(root));
+            return pending;
+        }
+        const graph = await pending;
+        if (Date.now() - graph.checkedAt > CHECK_INTERVAL) {
+            let checking = this.checking.get(root);
+            if (!checking) {
+                checking = this.check(graph).finally(() => this.checking.delete(root));
+                this.checking.set(root, checking);
+            }
+            await checking;
+        }
+        return graph;
+    }
+    async build(root) {
+        const graph = {
+            root,
+            files: new Map(),
+            importers: new Map(),
+            config: loadResolverConfig(root),
+            checkedAt: Date.now()
+        };
+        for (const [filePath] of await this.listSourceFiles(root)) {
+            await this.readFile(graph, filePath);
+        }
+        this.resolveAll(graph);
+        return graph;
+    }
+    // Catch up with changes no file event reported
+    async check(graph) {
+        const current = await this.listSourceFiles(graph.root);
+        let filesChanged = false;
+        for (const filePath of Array.from(graph.files.keys())) {
+            if (!current.has(filePath)) {
+                graph.files.delete(filePath);
+                filesChanged = true;
+            }
+        }
+        const changed = [];
+        for (const [filePath, mtimeMs] of current) {
+            const node = graph.files.get(filePath);
+            if (node && node.mtimeMs === mtimeMs)
+                continue;
+            if (!node)
+                filesChanged = true;
+            await this.readFile(graph, filePath);
+            changed.push(filePath);
+        }
+        const configChanged = graph.config.configFiles.some(file => {
+            try {
+                return statSync(file).mtimeMs > graph.config.loadedAt;
+            }
+            catch {
+                return true;
+            }
+        });
+        if (configChanged) {
+            graph.config = loadResolverConfig(graph.root);
+        }
+        if (filesChanged || configChanged) {
+            this.resolveAll(graph);
+        }
+        else {
+            changed.forEach(filePath => this.resolveFile(graph, filePath));
+        }
+        graph.checkedAt = Date.now();
+    }
+    async listSourceFiles(root) {
+        const files = new Map();
+        const directories = [root];
+        while (directories.length > 0 && files.size < MAX_FILES) {
+            const directory = directories.pop();
+            let entries;
+            try {
+                entries = await fs.readdir(directory, { withFileTypes: true });
+            }
+            catch {
+                continue;
+            }
+            for (const entry of entries) {
+                if (entry.name.startsWith('.'))
+                    continue;
+                const fullPath = path.join(directory, entry.name);
+                if (entry.isDirectory()) {
+                    if (!IGNORED_DIRECTORIES.has(entry.name))
+                        directories.push(fullPath);
+                }
+                else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                    try {
+                        const stats = await fs.stat(fullPath);
+                        if (stats.size <= MAX_FILE_SIZE)
+                            files.set(fullPath, stats.mtimeMs);
+                    }
+                    catch {
+                        // Removed while listing
+                    }
+                }
+            }
+            // Large workspaces: let other work in
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return files;
+    }
+    async readFile(graph, filePath) {
+        try {
+            const [content, stats] = await Promise.all([fs.readFile(filePath, 'utf-8'), fs.stat(filePath)]);
+            const previous = graph.files.get(filePath);
+            graph.files.set(filePath, {
+                mtimeMs: stats.mtimeMs,
+                specifiers: extractImports(content, path.extname(filePath).toLowerCase()),
+                imports: previous?.imports || [],
+                externals: [],
+                unresolved: []
+            });
+        }
+        catch {
+            graph.files.delete(filePath);
+        }
+    }
+    resolveAll(graph) {
+        graph.importers.clear();
+        graph.files.forEach((node, filePath) => {
+            node.imports = [];
+            this.resolveFile(graph, filePath);
+        });
+    }
+    resolveFile(graph, filePath) {
+        const node = graph.files.get(filePath);
+        if (!node)
+            return;
+        node.imports.forEach(target => graph.importers.get(target)?.delete(filePath));
+        const imports = new Set();
+        const externals = new Set();
+        const unresolved = new Set();
+        for (const specifier of node.specifiers) {
+            const resolved = resolveImport(graph, filePath, specifier);
+            if (resolved.file)
+                imports.add(resolved.file);
+            else if (resolved.external)
+                externals.add(resolved.external);
+            else
+                unresolved.add(specifier);
+        }
+        node.imports = Array.from(imports);
+        node.externals = Array.from(externals);
+        node.unresolved = Array.from(unresolved);
+        node.imports.forEach(target => {
+            let importers = graph.importers.get(target);
+            if (!importers) {
+                importers = new Set();
+                graph.importers.set(target, importers);
+            }
+            importers.add(filePath);
+        });
+    }
+    fileOf(graph, query) {
+        if (!query.file) {
+            throw new Error(`The ${query.type} query needs a file`);
+        }
+        const filePath = path.resolve(graph.root, query.file);
+        if (graph.files.has(filePath))
+            return filePath;
+        // Allow leaving out the extension, as in an import
+        const resolved = resolveFile(graph, filePath);
+        if (resolved)
+            return resolved;
+        throw new Error(`Not a source file in the workspace: ${query.file}`);
+    }
+    getImporters(graph, filePath) {
+        return {
+            file: this.relative(graph, filePath),
+            importers: Array.from(graph.importers.get(filePath) || []).map(file => this.relative(graph, file)).sort()
+        };
+    }
+    getImports(graph, filePath) {
+        const node = graph.files.get(filePath);
+        return {
+            file: this.relative(graph, filePath),
+            imports: node.imports.map(file => this.relative(graph, file)).sort(),
+            externals: [...node.externals].sort(),
+            unresolved: [...node.unresolved].sort()
+        };
+    }
+    // Breadth first, so each file is listed at the shortest distance it has
+    walk(graph, filePath, direction, maxDepth = Infinity, limit = 1000) {
+        const seen = new Set([filePath]);
+        const found = [];
+        let frontier = [filePath];
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            for (const file of frontier) {
+                const neighbours = direction === 'importers'
+                    ? Array.from(graph.importers.get(file) || [])
+                    : graph.files.get(file)?.imports || [];
+                for (const neighbour of neighbours) {
+                    if (seen.has(neighbour))
+                        continue;
+                    seen.add(neighbour);
+                    next.push(neighbour);
+                    found.push({ path: this.relative(graph, neighbour), depth });
+                }
+            }
+            frontier = next;
+        }
+        found.sort((a, b) => a.depth - b.depth || a.path.localeCompare(b.path));
+        return {
+            file: this.relative(graph, filePath),
+            total: found.length,
+            [direction === 'importers' ? 'dependents' : 'dependencies']: found.slice(0, limit)
+        };
+    }
+    /**
+     * One cycle for each group of files that import each other (Tarjan's
+     * strongly connected components), shortest first
+     */
+    findCycles(graph, limit = 50) {
+        const index = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let counter = 0;
+        // Iterative, so deep import chains can't overflow the call stack
+        for (const start of graph.files.keys()) {
+            if (index.has(start))
+                continue;
+            const work = [{ file: start, next: 0 }];
+            index.set(start, counter);
+            lowLink.set(start, counter++);
+            stack.push(start);
+            onStack.add(start);
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const imports = graph.files.get(frame.file)?.imports || [];
+                if (frame.next < imports.length) {
+                    const target = imports[frame.next++];
+                    if (!graph.files.has(target))
+                        continue;
+                    if (!index.has(target)) {
+                        index.set(target, counter);
+                        lowLink.set(target, counter++);
+                        stack.push(target);
+                        onStack.add(target);
+                        work.push({ file: target, next: 0 });
+                    }
+                    else if (onStack.has(target)) {
+                        lowLink.set(frame.file, Math.min(lowLink.get(frame.file), index.get(target)));
+                    }
+                    continue;
+                }
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].file;
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.file)));
+                }
+                if (lowLink.get(frame.file) === index.get(frame.file)) {
+                    const component = [];
+                    let file;
+                    do {
+                        file = stack.pop();
+                        onStack.delete(file);
+                        component.push(file);
+                    } while (file !== frame.file);
+                    const selfImport = graph.files.get(frame.file)?.imports.includes(frame.file);
+                    if (component.length > 1 || selfImport)
+                        components.push(component);
+                }
+            }
+        }
+        const cycles = components
+            .map(component => this.cycleWithin(graph, component))
+            .sort((a, b) => a.length - b.length);
+        return {
+            total: cycles.length,
+            cycles: cycles.slice(0, limit).map(cycle => cycle.map(file => this.relative(graph, file)))
+        };
+    }
+    // Shortest path from the first file back to itself, inside the component
+    cycleWithin(graph, component) {
+        const members = new Set(component);
+        const start = component.sort()[0];
+        const previous = new Map();
+        const queue = [start];
+        while (queue.length > 0) {
+            const file = queue.shift();
+            for (const target of graph.files.get(file)?.imports || []) {
+                if (!members.has(target))
+                    continue;
+                if (target === start) {
+                    const cycle = [file];
+                    while (cycle[0] !== start)
+                        cycle.unshift(previous.get(cycle[0]));
+                    return [...cycle, start];
+                }
+                if (!previous.has(target)) {
+                    previous.set(target, file);
+                    queue.push(target);
+                }
+            }
+        }
+        return [start, start];
+    }
+    getStats(graph) {
+        let edges = 0;
+        const externals = new Map();
+        let unresolved = 0;
+        graph.files.forEach(node => {
+            edges += node.imports.length;
+            unresolved += node.unresolved.length;
+            node.externals.forEach(name => externals.set(name, (externals.get(name) || 0) + 1));
+        });
+        const mostImported = Array.from(graph.importers.entries())
+            .map(([file, importers]) => ({ path: this.relative(graph, file), importers: importers.size }))
+            .sort((a, b) => b.importers - a.importers)
+            .slice(0, 10);
+        return {
+            files: graph.files.size,
+            edges,
+            unresolved,
+            externals: Array.from(externals.entries())
+                .map(([name, files]) => ({ name, files }))
+                .sort((a, b) => b.files - a.files),
+            mostImported,
+            configFiles: graph.config.configFiles.map(file => this.relative(graph, file))
+        };
+    }
+    relative(graph, filePath) {
+        return path.relative(graph.root, filePath).split(path.sep).join('/');
+    }
+}
+function resolveImport(graph, fromFile, specifier) {
+    if (fromFile.endsWith('.py')) {
+        return resolvePythonImport(graph, fromFile, specifier);
+    }
+    // Query strings and loaders, as in './icon.svg?raw'
+    const bare = specifier.replace(/[?#].*$/, '');
+    const fromTypeScript = /\.(m|c)?tsx?$|\.vue$/.test(fromFile);
+    if (bare.startsWith('.') || path.isAbsolute(bare)) {
+        const file = resolveFile(graph, path.resolve(path.dirname(fromFile), bare), fromTypeScript);
+        return file ? { file } : {};
+    }
+    if (bare.startsWith('node:')) {
+        return { external: bare };
+    }
+    for (const candidate of mappedPaths(graph, bare)) {
+        const file = resolveFile(graph, candidate, fromTypeScript);
+        if (file)
+            return { file };
+    }
+    // Aliases most Vue/Nuxt/Vite projects use, when no tsconfig maps them
+    const alias = /^(~~|@@|~|@)\//.exec(bare);
+    if (alias) {
+        const rest = bare.slice(alias[0].length);
+        const roots = alias[1].length === 2 ? [graph.root] : [path.join(graph.root, 'src'), graph.root];
+        for (const root of roots) {
+            const file = resolveFile(graph, path.join(root, rest), fromTypeScript);
+            if (file)
+                return { file };
+        }
+        return {};
+    }
+    const parts = bare.split('/');
+    return { external: bare.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0] };
+}
+function mappedPaths(graph, specifier) {
+    const { paths, baseUrl } = graph.config;
+    const candidates = [];
+    // The longest matching prefix wins, as in TypeScript
+    const matches = paths
+        .filter(mapping => mapping.wildcard
+        ? specifier.startsWith(mapping.prefix) && specifier.endsWith(mapping.suffix) &&
+            specifier.length >= mapping.prefix.length + mapping.suffix.length
+        : specifier === mapping.prefix)
+        .sort((a, b) => b.prefix.length - a.prefix.length);
+    if (matches.length > 0) {
+        const mapping = matches[0];
+        const star = mapping.wildcard ? specifier.slice(mapping.prefix.length, specifier.length - mapping.suffix.length) : '';
+        mapping.targets.forEach(target => candidates.push(target.replace('*', star)));
+    }
+    if (baseUrl) {
+        candidates.push(path.join(baseUrl, specifier));
+    }
+    return candidates;
+}
+// TypeScript looks for the source of './util.js' before the file itself, so a
+// stale compiled copy next to util.ts doesn't take the edge
+function resolveFile(graph, base, fromTypeScript = false) {
+    const compiled = /\.(m|c)?jsx?$/.exec(base);
+    if (compiled && (fromTypeScript || !graph.files.has(base))) {
+        const stem = base.slice(0, -compiled[0].length);
+        const sourceExtensions = compiled[1] ? [`.${compiled[1]}ts`] : ['.ts', '.tsx'];
+        for (const extension of sourceExtensions) {
+            if (graph.files.has(stem + extension))
+                return stem + extension;
+        }
+    }
+    if (graph.files.has(base))
+        return base;
+    for (const extension of RESOLVE_EXTENSIONS) {
+        if (graph.files.has(base + extension))
+            return base + extension;
+    }
+    for (const extension of RESOLVE_EXTENSIONS) {
+        const index = path.join(base, 'index' + extension);
+        if (graph.files.has(index))
+            return index;
+    }
+    return null;
+}
+function resolvePythonImport(graph, fromFile, specifier) {
+    const dots = /^\.*/.exec(specifier)[0].length;
+    const modulePath = specifier.slice(dots).split('.').filter(Boolean);
+    const roots = dots > 0
+        ? [path.resolve(path.dirname(fromFile), ...Array(dots - 1).fill('..'))]
+        : [graph.root, path.join(graph.root, 'src')];
+    for (const root of roots) {
+        const base = path.join(root, ...modulePath);
+        for (const candidate of [base + '.py', path.join(base, '__init__.py')]) {
+            if (graph.files.has(candidate))
+                return { file: candidate };
+        }
+    }
+    return dots > 0 ? {} : { external: modulePath[0] };
+}
+function loadResolverConfig(root) {
+    const config = { baseUrl: null, paths: [], configFiles: [], loadedAt: Date.now() };
+    for (const name of CONFIG_FILES) {
+        const configPath = path.join(root, name);
+        if (!existsSync(configPath))
+            continue;
+        const options = readCompilerOptions(configPath, root, config.configFiles, new Set());
+        if (options.baseUrl) {
+            config.baseUrl = options.baseUrl;
+        }
+        if (options.paths) {
+            const base = options.baseUrl || options.pathsBase;
+            config.paths = Object.entries(options.paths).map(([pattern, targets]) => {
+                const wildcard = pattern.indexOf('*');
+                return {
+                    prefix: wildcard >= 0 ? pattern.slice(0, wildcard) : pattern,
+                    suffix: wildcard >= 0 ? pattern.slice(wildcard + 1) : '',
+                    wildcard: wildcard >= 0,
+                    targets: (Array.isArray(targets) ? targets : []).map(target => path.resolve(base, target))
+                };
+            });
+        }
+        break;
+    }
+    return config;
+}
+// compilerOptions with `extends` applied; paths are relative to the config
+// that declared them unless there is a baseUrl
+function readCompilerOptions(configPath, root, configFiles, seen) {
+    if (seen.has(configPath))
+        return {};
+    seen.add(configPath);
+    let json;
+    try {
+        json = parseJsonWithComments(readFileSync(configPath, 'utf-8'));
+        configFiles.push(configPath);
+    }
+    catch {
+        return {};
+    }
+    let options = {};
+    const parents = Array.isArray(json.extends) ? json.extends : json.extends ? [json.extends] : [];
+    for (const parent of parents) {
+        const parentPath = resolveExtends(parent, path.dirname(configPath), root);
+        if (parentPath) {
+            options = { ...options, ...readCompilerOptions(parentPath, root, configFiles, seen) };
+        }
+    }
+    const compilerOptions = json.compilerOptions || {};
+    if (compilerOptions.baseUrl) {
+        options.baseUrl = path.resolve(path.dirname(configPath), compilerOptions.baseUrl);
+    }
+    if (compilerOptions.paths) {
+        options.paths = compilerOptions.paths;
+        options.pathsBase = path.dirname(configPath);
+    }
+    return options;
+}
+function resolveExtends(specifier, directory, root) {
+    const candidates = specifier.startsWith('.') || path.isAbsolute(specifier)
+        ? [path.resolve(directory, specifier)]
+        : [path.join(root, 'node_modules', specifier)];
+    for (const candidate of candidates) {
+        for (const file of [candidate, candidate + '.json', path.join(candidate, 'tsconfig.json')]) {
+            try {
+                if (statSync(file).isFile())
+                    return file;
+            }
+            catch {
+                // Try the next form
+            }
+        }
+    }
+    return null;
+}
+function parseJsonWithComments(text) {
+    const withoutComments = text.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (_, string) => string || '');
+    return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'));
+}
+export const dependencyGraph = new DependencyGraphService();
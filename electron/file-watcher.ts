@@ -3,6 +3,7 @@ import { EventEmitter } from 'events';
 import * as path from 'path';
 import * as fs from 'fs/promises';
 import { readdirSync, statSync } from 'fs';
+import { extractImports } from './dependency-graph.js';
 
 // Simple debounce implementation to avoid ESM/CommonJS issues
 function debounce<T extends (...args: any[]) => any>(
@@ -445,7 +446,7 @@ export class FileWatcherService extends EventEmitter {
   /**
    * Extract information from file content
    */
-  private extractFileInfo(content: string, extension: string): any {
+  extractFileInfo(content: string, extension: string): any {
     const info: any = {
       imports: [],
       exports: [],
@@ -455,13 +456,10 @@ export class FileWatcherService extends EventEmitter {
     };
 
     // Simple regex-based extraction (can be enhanced with proper parsing)
-    if (['.ts', '.tsx', '.js', '.jsx'].includes(extension)) {
-      // Extract imports
-      const importRegex = /import\s+(?:{[^}]+}|\*\s+as\s+\w+|\w+)\s+from\s+['"]([^'"]+)['"]/g;
+    if (['.ts', '.tsx', '.js', '.jsx', '.vue'].includes(extension)) {
+      // Extract imports, including type-only, side-effect and dynamic ones
+      info.imports = extractImports(content, extension);
       let match;
-      while ((match = importRegex.exec(content)) !== null) {
-        info.imports.push(match[1]);
-      }
 
       // Extract exports
       const exportRegex = /export\s+(?:default\s+)?(?:const|let|var|function|class|interface)\s+(\w+)/g;
@@ -482,12 +480,25 @@ export class FileWatcherService extends EventEmitter {
       }
 
       // Extract interfaces (TypeScript)
-      if (['.ts', '.tsx'].includes(extension)) {
+      if (['.ts', '.tsx', '.vue'].includes(extension)) {
         const interfaceRegex = /(?:export\s+)?interface\s+(\w+)/g;
         while ((match = interfaceRegex.exec(content)) !== null) {
           info.interfaces.push(match[1]);
         }
       }
+    } else if (extension === '.py') {
+      info.imports = extractImports(content, extension);
+      let match;
+
+      const functionRegex = /^\s*(?:async\s+)?def\s+(\w+)/gm;
+      while ((match = functionRegex.exec(content)) !== null) {
+        info.functions.push(match[1]);
+      }
+
+      const classRegex = /^\s*class\s+(\w+)/gm;
+      while ((match = classRegex.exec(content)) !== null) {
+        info.classes.push(match[1]);
+      }
     }
 
     return info;
@@ -0,0 +1,57 @@
+export interface GitCheckpointFile {
+  path: string;
+  hash: string;
+  size: number;
+}
+
+export interface GitCheckpoint {
+  id: string;
+  name: string;
+  description?: string;
+  timestamp: string;
+  type: 'git';
+  trigger: string;
+  tags: string[];
+  worktreeId?: string;
+  stats: { fileCount: number; totalSize: number };
+  commit: string;
+  tree?: string;
+  files?: GitCheckpointFile[];
+  [key: string]: any;
+}
+
+export interface GitCheckpointDiff {
+  filesAdded: string[];
+  filesRemoved: string[];
+  filesModified: string[];
+  sizeChange: number;
+  patch?: string;
+}
+
+export declare class GitCheckpointBackend {
+  readonly type: 'git';
+  workspacePath: string;
+  rootPath: string;
+  constructor(workspacePath: string);
+  initialize(): Promise<void>;
+  isAvailable(): Promise<boolean>;
+  createCheckpoint(data: Record<string, any>, options?: Record<string, any>): Promise<GitCheckpoint>;
+  listCheckpoints(filter?: {
+    worktreeId?: string;
+    trigger?: string;
+    tags?: string[];
+    dateRange?: { start: Date; end: Date };
+    search?: string;
+  }): Promise<GitCheckpoint[]>;
+  getCheckpoint(checkpointId: string): Promise<GitCheckpoint | null>;
+  hasCheckpoint(checkpointId: string): Promise<boolean>;
+  deleteCheckpoint(checkpointId: string): Promise<boolean>;
+  restoreCheckpoint(checkpointId: string, options?: {
+    files?: string[];
+    removeAdded?: boolean;
+    createBackup?: boolean;
+  }): Promise<{ success: boolean; restoredFiles: number; removedFiles: number }>;
+  compareCheckpoints(checkpointId1: string, checkpointId2: string): Promise<GitCheckpointDiff>;
+  getStatistics(): Promise<{ totalCount: number; byType: Record<string, number>; totalSize: number }>;
+  cleanup(maxCheckpoints?: number): Promise<{ removed: number; freedSpace: number }>;
+}
@@ -0,0 +1,371 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import * as path from 'path';
+import fs from 'fs-extra';
+import { nanoid } from 'nanoid';
+const execFileAsync = promisify(execFile);
+/**
+ * Checkpoint backend storing snapshots of the working tree as git commits
+ * under refs/clode/checkpoints/*.
+ *
+ * Snapshots are built with plumbing commands against a temporary index, so the
+ * user's index, HEAD and branches are never touched. Git deduplicates the stored
+ * objects, `git gc` collects the ones of deleted checkpoints, and the checkpoints
+ * live in the repository itself rather than in the application data.
+ */
+export class GitCheckpointBackend {
+    type = 'git';
+    REF_PREFIX = 'refs/clode/checkpoints/';
+    ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+    MAX_BUFFER = 64 * 1024 * 1024;
+    MAX_CHECKPOINTS = 200;
+    AUTHOR_NAME = 'Clode Studio';
+    AUTHOR_EMAIL = 'checkpoints@clode.studio';
+    workspacePath;
+    rootPath;
+    gitDir = '';
+    constructor(workspacePath) {
+        this.workspacePath = workspacePath;
+        this.rootPath = workspacePath;
+    }
+    /**
+     * Initialize the backend; fails when the workspace is not a git repository
+     */
+    async initialize() {
+        const output = await this.git(['rev-parse', '--absolute-git-dir', '--show-toplevel']);
+        const [gitDir, rootPath] = output.trim().split('\n');
+        this.gitDir = gitDir;
+        // Paths reported by git are relative to the top level, which may lie above the workspace
+        if (rootPath) {
+            this.rootPath = rootPath;
+        }
+    }
+    async isAvailable() {
+        try {
+            await this.initialize();
+            return true;
+        }
+        catch {
+            return false;
+        }
+    }
+    /**
+     * Snapshot the working tree (tracked and untracked, non-ignored files)
+     */
+    async createCheckpoint(data, options = {}) {
+        const tree = await this.snapshotWorkingTree();
+        const files = await this.listTreeFiles(tree);
+        const timestamp = new Date().toISOString();
+        const id = `git-${Date.now()}-${nanoid(8)}`;
+        const metadata = {
+            ...data,
+            id,
+            name: data?.name || `Checkpoint ${timestamp}`,
+            description: data?.description,
+            timestamp,
+            type: this.type,
+            trigger: data?.trigger || options.trigger || 'manual',
+            tags: data?.tags || [],
+            worktreeId: data?.worktreeId,
+            stats: {
+                fileCount: files.length,
+                totalSize: files.reduce((sum, file) => sum + file.size, 0)
+            }
+        };
+        // HEAD as parent keeps the checkpoint related to the branch it was taken on
+        const head = await this.resolve('HEAD');
+        const parents = head ? ['-p', head] : [];
+        const commit = await this.git(['commit-tree', tree, ...parents], {
+            input: `${metadata.name}\n\n${JSON.stringify(metadata, null, 2)}\n`,
+            env: this.getAuthorEnv(timestamp)
+        });
+        await this.git(['update-ref', this.REF_PREFIX + id, commit.trim()]);
+        return { ...metadata, commit: commit.trim(), tree, files };
+    }
+    /**
+     * List checkpoints, newest first
+     */
+    async listCheckpoints(filter) {
+        const output = await this.git([
+            'for-each-ref',
+            '--format=%(refname:lstrip=3)%00%(objectname)%00%(contents:body)%1e',
+            this.REF_PREFIX
+        ]);
+        const checkpoints = [];
+        for (const record of output.split('\x1e')) {
+            const [id, commit, body] = record.replace(/^\n/, '').split('\0');
+            if (!id || !commit)
+                continue;
+            const metadata = this.parseMetadata(id, body);
+            if (metadata) {
+                checkpoints.push({ ...metadata, commit });
+            }
+        }
+        // Commit dates only have second precision
+        checkpoints.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+        return this.applyFilter(checkpoints, filter);
+    }
+    /**
+     * Get a checkpoint with the files it contains
+     */
+    async getCheckpoint(checkpointId) {
+        const commit = await this.resolveCheckpoint(checkpointId);
+        if (!commit) {
+            return null;
+        }
+        const message = await this.git(['log', '-1', '--format=%b', commit]);
+        const metadata = this.parseMetadata(checkpointId, message);
+        const tree = (await this.git(['rev-parse', `${commit}^{tree}`])).trim();
+        const files = await this.listTreeFiles(tree);
+        return { ...metadata, commit, tree, files };
+    }
+    async hasCheckpoint(checkpointId) {
+        return (await this.resolveCheckpoint(checkpointId)) !== null;
+    }
+    /**
+     * Delete a checkpoint; its objects are collected by the next `git gc`
+     */
+    async deleteCheckpoint(checkpointId) {
+        if (!(await this.hasCheckpoint(checkpointId))) {
+            return false;
+        }
+        await this.git(['update-ref', '-d', this.REF_PREFIX + checkpointId]);
+        return true;
+    }
+    /**
+     * Restore the working tree to a checkpoint. Only files that differ are written.
+     * Files created since the checkpoint are kept unless `removeAdded` is set;
+     * `files` restricts the restore to the given paths, relative to the repository root.
+     */
+    async restoreCheckpoint(checkpointId, options = {}) {
+        const commit = await this.resolveCheckpoint(checkpointId);
+        if (!commit) {
+            throw new Error(`Checkpoint ${checkpointId} not found`);
+        }
+        if (options.createBackup) {
+            await this.createCheckpoint({
+                name: `Before restoring ${checkpointId}`,
+                trigger: 'auto',
+                tags: ['backup']
+            });
+        }
+        const currentTree = await this.snapshotWorkingTree();
+        const changes = await this.diffTrees(currentTree, `${commit}^{tree}`);
+        const selected = options.files ? new Set(options.files) : null;
+        const isSelected = (file) => !selected || selected.has(file);
+        const toWrite = [...changes.filesAdded, ...changes.filesModified].filter(isSelected);
+        const toRemove = options.removeAdded ? changes.filesRemoved.filter(isSelected) : [];
+        const indexFile = await this.createTemporaryIndex(false);
+        try {
+            await this.git(['read-tree', `${commit}^{tree}`], { indexFile });
+            if (toWrite.length > 0) {
+                await this.git(['checkout-index', '-f', '-z', '--stdin'], {
+                    indexFile,
+                    input: toWrite.join('\0')
+                });
+            }
+        }
+        finally {
+            await fs.remove(indexFile);
+        }
+        for (const file of toRemove) {
+            await fs.remove(path.join(this.rootPath, file));
+        }
+        return {
+            success: true,
+            restoredFiles: toWrite.length,
+            removedFiles: toRemove.length
+        };
+    }
+    /**
+     * Compare two checkpoints, or a checkpoint with the working tree ('current').
+     * Against the working tree the diff describes what restoring the checkpoint would change.
+     */
+    async compareCheckpoints(checkpointId1, checkpointId2) {
+        const commit1 = await this.resolveCheckpoint(checkpointId1);
+        if (!commit1) {
+            throw new Error(`Checkpoint ${checkpointId1} not found`);
+        }
+        if (checkpointId2 === 'current') {
+            const currentTree = await this.snapshotWorkingTree();
+            return this.diffTrees(currentTree, `${commit1}^{tree}`, true);
+        }
+        const commit2 = await this.resolveCheckpoint(checkpointId2);
+        if (!commit2) {
+            throw new Error(`Checkpoint ${checkpointId2} not found`);
+        }
+        return this.diffTrees(`${commit1}^{tree}`, `${commit2}^{tree}`, true);
+    }
+    async getStatistics() {
+        const checkpoints = await this.listCheckpoints();
+        return {
+            totalCount: checkpoints.length,
+            byType: checkpoints.length > 0 ? { [this.type]: checkpoints.length } : {},
+            // Objects are shared with the repository, so this is the size of the snapshots, not disk usage
+            totalSize: checkpoints.reduce((sum, cp) => sum + (cp.stats?.totalSize || 0), 0)
+        };
+    }
+    /**
+     * Drop the oldest checkpoints beyond the retention limit and let git collect their objects
+     */
+    async cleanup(maxCheckpoints = this.MAX_CHECKPOINTS) {
+        const checkpoints = await this.listCheckpoints();
+        const stale = checkpoints.slice(maxCheckpoints);
+        for (const checkpoint of stale) {
+            await this.git(['update-ref', '-d', this.REF_PREFIX + checkpoint.id]);
+        }
+        if (stale.length > 0) {
+            await this.git(['gc', '--auto', '--quiet']);
+        }
+        return { removed: stale.length, freedSpace: 0 };
+    }
+    /**
+     * Write the working tree into a temporary index and return the resulting tree
+     */
+    async snapshotWorkingTree() {
+        const indexFile = await this.createTemporaryIndex(true);
+        try {
+            await this.git(['add', '-A'], { indexFile });
+            const tree = await this.git(['write-tree'], { indexFile });
+            return tree.trim();
+        }
+        finally {
+            await fs.remove(indexFile);
+        }
+    }
+    /**
+     * Create a temporary index file. Seeding it with a copy of the user's index
+     * reuses its stat cache, so `git add` only hashes files that changed.
+     */
+    async createTemporaryIndex(seed) {
+        if (!this.gitDir) {
+            await this.initialize();
+        }
+        const indexFile = path.join(this.gitDir, `clode-checkpoint-${nanoid(8)}.index`);
+        if (seed) {
+            const userIndex = path.resolve(this.rootPath, (await this.git(['rev-parse', '--git-path', 'index'])).trim());
+            if (await fs.pathExists(userIndex)) {
+                await fs.copy(userIndex, indexFile);
+            }
+        }
+        return indexFile;
+    }
+    async diffTrees(from, to, includePatch = false) {
+        const output = await this.git(['diff', '--name-status', '--no-renames', '-z', from, to]);
+        const filesAdded = [];
+        const filesRemoved = [];
+        const filesModified = [];
+        const fields = output.split('\0');
+        for (let i = 0; i + 1 < fields.length; i += 2) {
+            const status = fields[i];
+            const file = fields[i + 1];
+            if (status === 'A') {
+                filesAdded.push(file);
+            }
+            else if (status === 'D') {
+                filesRemoved.push(file);
+            }
+            else if (status) {
+                filesModified.push(file);
+            }
+        }
+        const [fromFiles, toFiles] = await Promise.all([this.listTreeFiles(from), this.listTreeFiles(to)]);
+        const size = (files) => files.reduce((sum, file) => sum + file.size, 0);
+        const diff = {
+            filesAdded,
+            filesRemoved,
+            filesModified,
+            sizeChange: size(toFiles) - size(fromFiles)
+        };
+        if (includePatch) {
+            diff.patch = await this.git(['diff', '--no-color', '--no-ext-diff', from, to]);
+        }
+        return diff;
+    }
+    async listTreeFiles(tree) {
+        const output = await this.git(['ls-tree', '-r', '-l', '-z', tree]);
+        const files = [];
+        for (const entry of output.split('\0')) {
+            const match = entry.match(/^\d+ (\w+) ([0-9a-f]+)\s+(\S+)\t(.*)$/s);
+            if (!match || match[1] !== 'blob')
+                continue;
+            files.push({ path: match[4], hash: match[2], size: parseInt(match[3], 10) || 0 });
+        }
+        return files;
+    }
+    async resolveCheckpoint(checkpointId) {
+        if (!this.ID_PATTERN.test(checkpointId)) {
+            return null;
+        }
+        return this.resolve(this.REF_PREFIX + checkpointId);
+    }
+    async resolve(ref) {
+        try {
+            const sha = await this.git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+            return sha.trim() || null;
+        }
+        catch {
+            return null;
+        }
+    }
+    parseMetadata(checkpointId, body) {
+        try {
+            const metadata = JSON.parse(body.trim());
+            return { ...metadata, id: checkpointId, type: this.type };
+        }
+        catch {
+            // Not written by this backend
+            return null;
+        }
+    }
+    applyFilter(checkpoints, filter) {
+        if (!filter)
+            return checkpoints;
+        return checkpoints.filter(cp => {
+            if (filter.worktreeId !== undefined && cp.worktreeId !== filter.worktreeId)
+                return false;
+            if (filter.trigger && cp.trigger !== filter.trigger)
+                return false;
+            if (filter.tags?.length && !filter.tags.every(tag => cp.tags?.includes(tag)))
+                return false;
+            if (filter.dateRange) {
+                const time = new Date(cp.timestamp).getTime();
+                if (time < filter.dateRange.start.getTime() || time > filter.dateRange.end.getTime())
+                    return false;
+            }
+            if (filter.search) {
+                const search = filter.search.toLowerCase();
+                return cp.name.toLowerCase().includes(search) ||
+                    cp.description?.toLowerCase().includes(search) ||
+                    (cp.tags || []).some(tag => tag.toLowerCase().includes(search));
+            }
+            return true;
+        });
+    }
+    getAuthorEnv(timestamp) {
+        return {
+            GIT_AUTHOR_NAME: this.AUTHOR_NAME,
+            GIT_AUTHOR_EMAIL: this.AUTHOR_EMAIL,
+            GIT_AUTHOR_DATE: timestamp,
+            GIT_COMMITTER_NAME: this.AUTHOR_NAME,
+            GIT_COMMITTER_EMAIL: this.AUTHOR_EMAIL,
+            GIT_COMMITTER_DATE: timestamp
+        };
+    }
+    async git(args, options = {}) {
+        const env = { ...process.env, ...options.env };
+        if (options.indexFile) {
+            env.GIT_INDEX_FILE = options.indexFile;
+        }
+        const promise = execFileAsync('git', args, {
+            cwd: this.rootPath,
+            env,
+            maxBuffer: this.MAX_BUFFER
+        });
+        if (options.input !== undefined) {
+            promise.child.stdin.end(options.input);
+        }
+        const { stdout } = await promise;
+        return stdout;
+    }
+}
@@ -0,0 +1,145 @@
+import { ipcMain } from 'electron';
+import { GitCheckpointBackend } from './git-checkpoint-backend.js';
+// Backend instances per workspace
+const gitBackends = new Map();
+// Track if handlers have been registered
+let handlersRegistered = false;
+/**
+ * Get the git checkpoint backend for a workspace, or null when it is not a git repository.
+ * Keyed by the worktree itself, since each worktree has its own working tree to snapshot.
+ */
+export async function getGitBackend(workspacePath) {
+    if (!gitBackends.has(workspacePath)) {
+        const backend = new GitCheckpointBackend(workspacePath);
+        // Not cached when unavailable, so a later `git init` is picked up
+        if (!(await backend.isAvailable())) {
+            return null;
+        }
+        gitBackends.set(workspacePath, backend);
+    }
+    return gitBackends.get(workspacePath);
+}
+async function requireGitBackend(workspacePath) {
+    const backend = await getGitBackend(workspacePath);
+    if (!backend) {
+        throw new Error('Git checkpoints require a git repository');
+    }
+    return backend;
+}
+function toErrorResult(error) {
+    return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Unknown error'
+    };
+}
+/**
+ * Set up git checkpoint IPC handlers
+ */
+export function setupGitCheckpointHandlers() {
+    // Only register handlers once
+    if (handlersRegistered) {
+        return;
+    }
+    handlersRegistered = true;
+    // Whether the workspace can hold git checkpoints
+    ipcMain.handle('git-checkpoint:isAvailable', async (event, workspacePath) => {
+        try {
+            return { success: true, available: (await getGitBackend(workspacePath)) !== null };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // Create checkpoint
+    ipcMain.handle('git-checkpoint:create', async (event, workspacePath, data, options) => {
+        try {
+            const backend = await requireGitBackend(workspacePath);
+            // The file list can be large; it is available through get
+            const { files, ...metadata } = await backend.createCheckpoint(data, options);
+            return { success: true, metadata };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // List checkpoints
+    ipcMain.handle('git-checkpoint:list', async (event, workspacePath, filter) => {
+        try {
+            const backend = await getGitBackend(workspacePath);
+            if (!backend) {
+                return { success: true, checkpoints: [] };
+            }
+            // Convert date strings back to Date objects if present
+            const dateRange = filter?.dateRange ? {
+                start: new Date(filter.dateRange.start),
+                end: new Date(filter.dateRange.end)
+            } : undefined;
+            const checkpoints = await backend.listCheckpoints({ ...filter, dateRange });
+            return { success: true, checkpoints };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // Get checkpoint details
+    ipcMain.handle('git-checkpoint:get', async (event, workspacePath, checkpointId) => {
+        try {
+            const backend = await requireGitBackend(workspacePath);
+            return { success: true, checkpoint: await backend.getCheckpoint(checkpointId) };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // Restore checkpoint
+    ipcMain.handle('git-checkpoint:restore', async (event, workspacePath, checkpointId, options) => {
+        try {
+            const backend = await requireGitBackend(workspacePath);
+            return await backend.restoreCheckpoint(checkpointId, options);
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // Delete checkpoint
+    ipcMain.handle('git-checkpoint:delete', async (event, workspacePath, checkpointId) => {
+        try {
+            const backend = await requireGitBackend(workspacePath);
+            return { success: await backend.deleteCheckpoint(checkpointId) };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // Compare two checkpoints, or a checkpoint with 'current'
+    ipcMain.handle('git-checkpoint:compare', async (event, workspacePath, checkpointId1, checkpointId2) => {
+        try {
+            const backend = await requireGitBackend(workspacePath);
+            const diff = await backend.compareCheckpoints(checkpointId1, checkpointId2);
+            return { success: true, diff };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // Get statistics
+    ipcMain.handle('git-checkpoint:stats', async (event, workspacePath) => {
+        try {
+            const backend = await requireGitBackend(workspacePath);
+            return { success: true, stats: await backend.getStatistics() };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+    // Remove the oldest checkpoints beyond the retention limit
+    ipcMain.handle('git-checkpoint:cleanup', async (event, workspacePath) => {
+        try {
+            const backend = await requireGitBackend(workspacePath);
+            return { success: true, ...(await backend.cleanup()) };
+        }
+        catch (error) {
+            return toErrorResult(error);
+        }
+    });
+}
@@ -1,16 +1,35 @@
 import { readdir, stat, readFile } from 'fs/promises';
 import { join, extname, basename, relative } from 'path';
-import { existsSync, watch } from 'fs';
+import { existsSync } from 'fs';
 import { workspacePersistence } from './workspace-persistence.js';
+import { LRUCache } from './lru-cache.js';
+import { fileWatcherService } from './file-watcher.js';
+import { ContentIndex } from './content-index.js';
+import { tokenCounter } from './token-counter.js';
 export class LightweightContext {
     workspacePath = '';
-    fileCache = new Map();
+    fileCache;
     projectInfo = null;
     lastScanTime = 0;
-    // File watching
-    watchers = new Map();
-    watcherCallbacks = new Set();
+    isDestroyed = false;
+    // File watching - now uses centralized watcher service
+    watcherCallbacks = new Map();
+    fileWatcherCleanup = null;
+    callbackIdCounter = 0;
     scanDebounceTimer = null;
+    pendingFileEvents = new Map();
+    // Search over file contents and symbols
+    contentIndex = new ContentIndex();
+    // Tokens per indexed file, the tokenizer that counted them and whether it
+    // counted exactly (files too large to count exactly are estimated)
+    fileTokens = new Map();
+    // Memory management - VERY conservative limits to prevent EMFILE
+    MAX_FILES = 300; // LRU cache limit - much lower to prevent EMFILE
+    MAX_FILE_SIZE = 512 * 1024; // 512KB per file
+    MAX_CACHE_AGE = 30 * 60 * 1000; // 30 minutes
+    MEMORY_CHECK_INTERVAL = 5000; // 5 seconds
+    MEMORY_THRESHOLD = 200 * 1024 * 1024; // 200MB threshold
+    memoryMonitorInterval = null;
     // Common file extensions and their languages
     languageMap = {
         '.js': 'javascript',
@@ -41,32 +60,98 @@ export class LightweightContext {
         '.xml': 'xml',
         '.sql': 'sql'
     };
-    // Files to ignore
+    // Files to ignore - comprehensive list for large workspaces
     ignorePatterns = [
+        // Dependencies
         'node_modules',
+        'vendor',
+        'packages',
+        '.pnpm-store',
+        // Version control
         '.git',
+        '.svn',
+        '.hg',
+        // Claude/IDE specific
         '.claude',
         '.claude-checkpoints',
         '.clode',
         '.worktrees',
+        '.vscode',
+        '.idea',
+        '*.swp',
+        '*.swo',
+        // Build outputs
         'dist',
         'build',
+        'out',
         '.output',
-        'coverage',
-        '.nyc_output',
+        '.next',
+        'public/build',
+        'target',
+        'bin',
+        'obj',
+        // Logs and temp files
+        'logs',
+        '*.log',
         'tmp',
         'temp',
+        '.tmp',
+        '.temp',
+        // Cache directories
         '.cache',
         '.parcel-cache',
-        '.vscode',
-        '.idea',
+        '.nuxt',
+        '.turbo',
+        '.webpack',
+        // Test coverage
+        'coverage',
+        '.nyc_output',
+        '.coverage',
+        'htmlcov',
+        // Language specific
         '__pycache__',
         '*.pyc',
-        '.DS_Store'
+        '*.pyo',
+        '*.class',
+        '*.o',
+        '*.so',
+        '*.dll',
+        '*.exe',
+        // OS files
+        '.DS_Store',
+        'Thumbs.db',
+        'desktop.ini',
+        // Large media files
+        '*.mp4',
+        '*.avi',
+        '*.mov',
+        '*.wmv',
+        '*.mp3',
+        '*.wav',
+        '*.flac',
+        '*.zip',
+        '*.rar',
+        '*.7z',
+        '*.tar.gz',
+        '*.dmp',
+        '*.dump'
     ];
+    constructor() {
+        // Initialize LRU cache with conservative limits
+        this.fileCache = new LRUCache(this.MAX_FILES, this.MAX_CACHE_AGE);
+    }
     async initialize(workspacePath) {
+        if (this.isDestroyed) {
+            throw new Error('Cannot initialize destroyed LightweightContext instance');
+        }
         // Stop any existing watchers
         this.stopWatching();
+        // Validate workspace path exists
+        if (!workspacePath || !existsSync(workspacePath)) {
+            throw new Error(`Workspace path does not exist: ${workspacePath}`);
+        }
+        // Validate that this isn't a parent directory containing multiple projects
+        await this.validateWorkspacePath(workspacePath);
         this.workspacePath = workspacePath;
         // Load .gitignore patterns
         await this.loadGitignorePatterns();
@@ -82,53 +167,97 @@ export class LightweightContext {
             await workspacePersistence.updateProjectInfo(workspacePath, this.projectInfo);
         }
         // Start watching for file changes
-        this.startWatching();
+        this.startWatching().catch(error => {
+            console.warn('Failed to start file watching during initialization:', error);
+        });
+        // Start memory monitoring
+        this.startMemoryMonitor();
     }
     async scanWorkspace() {
+        if (this.isDestroyed)
+            return;
         const startTime = Date.now();
         this.fileCache.clear();
+        this.contentIndex.clear();
+        this.fileTokens.clear();
         const files = await this.scanDirectory(this.workspacePath);
         // Build project info
         this.projectInfo = this.analyzeProject(files);
         this.lastScanTime = Date.now();
+        await this.indexFiles(files);
+        console.log(`Workspace scan completed in ${Date.now() - startTime}ms, found ${files.length} files`);
     }
     async scanDirectory(dirPath, depth = 0) {
         if (depth > 8)
             return []; // Prevent infinite recursion
+        if (this.isDestroyed)
+            return [];
         const files = [];
         const relativePath = relative(this.workspacePath, dirPath);
         // Check if directory should be ignored
         if (this.shouldIgnore(relativePath)) {
             return files;
         }
+        // Validate directory exists before scanning
+        if (!existsSync(dirPath)) {
+            console.warn(`Directory does not exist, skipping: ${dirPath}`);
+            return files;
+        }
         try {
             const entries = await readdir(dirPath);
-            for (const entry of entries) {
-                const fullPath = join(dirPath, entry);
-                const stats = await stat(fullPath);
-                if (stats.isDirectory()) {
-                    // Recursively scan subdirectories
-                    const subFiles = await this.scanDirectory(fullPath, depth + 1);
-                    files.push(...subFiles);
-                }
-                else {
-                    // Process file
-                    const ext = extname(entry).toLowerCase();
-                    const language = this.languageMap[ext] || 'unknown';
-                    // Skip binary files and very large files
-                    if (stats.size > 1024 * 1024 || this.isBinaryFile(entry)) {
-                        continue;
+            // Process entries in batches to avoid memory spikes
+            const BATCH_SIZE = 50;
+            for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+                if (this.isDestroyed)
+                    break;
+                const batch = entries.slice(i, i + BATCH_SIZE);
+                const batchPromises = batch.map(async (entry) => {
+                    const fullPath = join(dirPath, entry);
+                    try {
+                        const stats = await stat(fullPath);
+                        if (stats.isDirectory()) {
+                            // Recursively scan subdirectories
+                            return await this.scanDirectory(fullPath, depth + 1);
+                        }
+                        else {
+                            // Process file
+                            const ext = extname(entry).toLowerCase();
+                            const language = this.languageMap[ext] || 'unknown';
+                            // Skip binary files and very large files
+                            if (stats.size > this.MAX_FILE_SIZE || this.isBinaryFile(entry)) {
+                                return [];
+                            }
+                            // Check file count limit to prevent memory issues
+                            if (this.fileCache.size() >= this.MAX_FILES) {
+                                console.warn(`File limit reached (${this.MAX_FILES}), stopping directory scan`);
+                                return [];
+                            }
+                            const fileInfo = {
+                                path: fullPath,
+                                name: entry,
+                                size: stats.size,
+                                language,
+                                lastModified: stats.mtime,
+                                isDirectory: false
+                            };
+                            // Add to cache immediately to keep memory usage bounded
+                            this.fileCache.set(fullPath, fileInfo);
+                            return [fileInfo];
+                        }
                     }
-                    const fileInfo = {
-                        path: fullPath,
-                        name: entry,
-                        size: stats.size,
-                        language,
-                        lastModified: stats.mtime,
-                        isDirectory: false
-                    };
-                    files.push(fileInfo);
-                    this.fileCache.set(fullPath, fileInfo);
+                    catch (error) {
+                        console.warn(`Error processing entry ${fullPath}:`, error);
+                        return [];
+                    }
+                });
+                // Process batch and flatten results
+                const batchResults = await Promise.all(batchPromises);
+                for (const result of batchResults) {
+                    files.push(...result);
+                }
+                // Yield control periodically to prevent blocking
+                if (i + BATCH_SIZE < entries.length) {
+                    await new Promise(resolve => setImmediate(resolve));
                 }
             }
         }
@@ -248,12 +377,66 @@ export class LightweightContext {
             return 'vite';
         return undefined;
     }
-    // Fast file search using simple text matching
+    async validateWorkspacePath(workspacePath) {
+        try {
+            const entries = await readdir(workspacePath);
+            let projectLikeDirs = 0;
+            // Check for multiple project-like subdirectories
+            for (const entry of entries) {
+                const fullPath = join(workspacePath, entry);
+                const stats = await stat(fullPath);
+                if (stats.isDirectory() && !this.shouldIgnore(entry)) {
+                    // Check if this directory looks like a project
+                    const projectFiles = ['package.json', 'pom.xml', 'Cargo.toml', 'requirements.txt',
+                        'go.mod', 'Gemfile', 'composer.json', '.git'];
+                    for (const projectFile of projectFiles) {
+                        if (existsSync(join(fullPath, projectFile))) {
+                            projectLikeDirs++;
+                            break;
+                        }
+                    }
+                }
+            }
+            // If we found multiple project-like directories, this might be a parent directory
+            if (projectLikeDirs >= 3) {
+                console.warn(`Warning: Workspace path "${workspacePath}" contains ${projectLikeDirs} project-like directories. This might cause excessive memory usage.`);
+                // VERY conservative limits for multiple projects to prevent EMFILE
+                this.MAX_FILES = Math.min(this.MAX_FILES, 200);
+                console.warn(`Reduced MAX_FILES to ${this.MAX_FILES} to prevent EMFILE errors.`);
+            }
+            else if (projectLikeDirs === 1) {
+                // Single large project - use VERY conservative limits to prevent EMFILE
+                this.MAX_FILES = Math.min(this.MAX_FILES, 500);
+                console.log(`Detected single large project, reduced MAX_FILES to ${this.MAX_FILES} to prevent EMFILE errors.`);
+            }
+        }
+        catch (error) {
+            console.warn('Failed to validate workspace path:', error);
+        }
+    }
+    // File search ranked by contents and symbols (BM25), with name, path and
+    // language matches and recent edits as extra signals
     async searchFiles(query, limit = 20) {
+        if (this.isDestroyed)
+            return [];
         const results = [];
         const queryLower = query.toLowerCase();
+        const hits = new Map(this.contentIndex.search(query, Math.max(limit * 3, 50)).map(hit => [hit.path, hit]));
+        const candidates = new Map();
         for (const file of this.fileCache.values()) {
-            let score = 0;
+            candidates.set(file.path, file);
+        }
+        // Matching files the cache has dropped since they were indexed
+        for (const path of hits.keys()) {
+            if (!candidates.has(path)) {
+                const file = await this.describeFile(path);
+                if (file)
+                    candidates.set(path, file);
+            }
+        }
+        for (const file of candidates.values()) {
+            const hit = hits.get(file.path);
+            let score = hit ? hit.score * 10 : 0;
             // Score based on filename match
             if (file.name.toLowerCase().includes(queryLower)) {
                 score += 10;
@@ -266,16 +449,17 @@ export class LightweightContext {
             if (file.language.toLowerCase().includes(queryLower)) {
                 score += 3;
             }
+            if (score === 0)
+                continue;
             // Boost recent files
             const daysSinceModified = (Date.now() - file.lastModified.getTime()) / (1000 * 60 * 60 * 24);
             if (daysSinceModified < 1)
                 score += 5;
             else if (daysSinceModified < 7)
                 score += 2;
-            if (score > 0) {
-                file.relevanceScore = score;
-                results.push(file);
-            }
+            file.relevanceScore = Math.round(score * 100) / 100;
+            file.matchedSymbols = hit?.matchedSymbols.slice(0, 5);
+            results.push(file);
         }
         return results
             .sort((a, b) => (b.relevanceScore || 0) - (a.relevanceScore || 0))
@@ -311,7 +495,8 @@ export class LightweightContext {
             context.push('RELEVANT FILES:');
             for (const file of relevantFiles.slice(0, 5)) {
                 const relativePath = relative(this.workspacePath, file.path);
-                context.push(`- ${relativePath} (${file.language}) - Score: ${file.relevanceScore}`);
+                const symbols = file.matchedSymbols?.length ? ` [${file.matchedSymbols.join(', ')}]` : '';
+                context.push(`- ${relativePath} (${file.language}) - Score: ${file.relevanceScore}${symbols}`);
             }
             context.push('');
         }
@@ -355,54 +540,113 @@ export class LightweightContext {
     getStatistics() {
         return this.projectInfo;
     }
+    // Tokens in the indexed files, counted with the current model's tokenizer.
+    // Files counted before it loaded, for another model, or as estimates for a
+    // model whose counts are exact now, are counted again.
+    async getTokenStatistics() {
+        const tokenizer = await tokenCounter.ready();
+        const byLanguage = {};
+        let totalTokens = 0;
+        const modelExact = tokenCounter.isExact();
+        let exact = modelExact;
+        let counted = 0;
+        for (const [filePath, entry] of Array.from(this.fileTokens.entries())) {
+            if (this.isDestroyed)
+                break;
+            if (entry.tokenizer !== tokenizer.name || (!entry.exact && modelExact)) {
+                try {
+                    Object.assign(entry, tokenCounter.measure(await readFile(filePath, 'utf8')));
+                }
+                catch {
+                    this.removeFromIndex(filePath);
+                    continue;
+                }
+                if (++counted % 50 === 0) {
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+            }
+            const language = this.languageMap[extname(filePath).toLowerCase()] || 'unknown';
+            byLanguage[language] = (byLanguage[language] || 0) + entry.tokens;
+            totalTokens += entry.tokens;
+            exact = exact && entry.exact;
+        }
+        const largestFiles = Array.from(this.fileTokens.entries())
+            .sort(([, a], [, b]) => b.tokens - a.tokens)
+            .slice(0, 10)
+            .map(([path, entry]) => ({ path: relative(this.workspacePath, path), tokens: entry.tokens }));
+        return {
+            totalTokens,
+            files: this.fileTokens.size,
+            tokenizer: tokenizer.name,
+            exact,
+            contextWindow: tokenCounter.getProfile().contextWindow,
+            byLanguage,
+            largestFiles
+        };
+    }
     // Get files by language
     getFilesByLanguage(language) {
+        if (this.isDestroyed)
+            return [];
         return Array.from(this.fileCache.values())
             .filter(file => file.language === language);
     }
     // Get recently modified files
     getRecentFiles(hours = 24) {
+        if (this.isDestroyed)
+            return [];
         const cutoff = Date.now() - (hours * 60 * 60 * 1000);
         return Array.from(this.fileCache.values())
             .filter(file => file.lastModified.getTime() > cutoff)
             .sort((a, b) => b.lastModified.getTime() - a.lastModified.getTime());
     }
-    // File watching methods
-    startWatching() {
-        if (!this.workspacePath)
+    // File watching methods - now uses centralized FileWatcherService
+    async startWatching() {
+        if (!this.workspacePath || this.isDestroyed)
             return;
         try {
-            // Watch the workspace directory
-            const watcher = watch(this.workspacePath, { recursive: true }, (eventType, filename) => {
-                if (!filename)
-                    return;
-                const fullPath = join(this.workspacePath, filename);
-                // Skip ignored files/directories
-                if (this.shouldIgnore(filename) || this.isBinaryFile(filename)) {
-                    return;
-                }
-                this.handleFileSystemEvent(eventType, fullPath);
-            });
-            this.watchers.set(this.workspacePath, watcher);
-            watcher.on('error', (error) => {
-                console.warn('File watcher error:', error);
-                this.stopWatching();
+            // Set up file watching with VERY conservative settings to prevent EMFILE
+            console.log(`[LightweightContext] Starting conservative file watching for ${this.workspacePath}`);
+            await fileWatcherService.watchDirectory(this.workspacePath, {
+                ignored: this.ignorePatterns.map(pattern => `**/${pattern}/**`),
+                depth: 0, // EMERGENCY: Only watch workspace root to prevent EMFILE and memory leaks
+                usePolling: true, // Force polling to avoid native file descriptor limits
+                interval: 5000 // Poll every 5 seconds (much slower but safer)
             });
+            // Register for file change events
+            const handleFileChange = (data) => {
+                if (data.directory === this.workspacePath) {
+                    this.handleFileSystemEvent(data.event.type, data.event.path);
+                }
+            };
+            // Remove any existing listeners first to prevent accumulation
+            if (this.fileWatcherCleanup) {
+                this.fileWatcherCleanup();
+                this.fileWatcherCleanup = null;
+            }
+            fileWatcherService.on('file:change', handleFileChange);
+            // Store cleanup function with enhanced cleanup
+            this.fileWatcherCleanup = () => {
+                fileWatcherService.off('file:change', handleFileChange);
+                console.log(`[LightweightContext] Cleaned up file watcher for ${this.workspacePath}`);
+            };
+            console.log(`[LightweightContext] Emergency file watching enabled (polling mode, depth=0, root only)`);
         }
         catch (error) {
             console.warn('Failed to start file watching:', error);
+            console.warn('File watching disabled, IDE will work but won\'t auto-detect file changes');
         }
     }
     stopWatching() {
-        for (const [path, watcher] of this.watchers) {
-            try {
-                watcher.close();
-            }
-            catch (error) {
-                console.warn(`Failed to close watcher for ${path}:`, error);
-            }
+        // Clean up file watcher event listener
+        if (this.fileWatcherCleanup) {
+            this.fileWatcherCleanup();
+            this.fileWatcherCleanup = null;
+        }
+        // Stop watching this workspace directory
+        if (this.workspacePath) {
+            fileWatcherService.unwatchDirectory(this.workspacePath);
         }
-        this.watchers.clear();
         // Clear debounce timer
         if (this.scanDebounceTimer) {
             clearTimeout(this.scanDebounceTimer);
@@ -410,40 +654,44 @@ export class LightweightContext {
         }
     }
     handleFileSystemEvent(eventType, filePath) {
+        // Collect events per file, so a burst touching several files handles each of them
+        this.pendingFileEvents.set(filePath, eventType);
         // Debounce rapid file system events
         if (this.scanDebounceTimer) {
             clearTimeout(this.scanDebounceTimer);
         }
         this.scanDebounceTimer = setTimeout(async () => {
-            try {
-                const relativePath = relative(this.workspacePath, filePath);
-                if (eventType === 'rename') {
-                    // File was added or removed
-                    const exists = existsSync(filePath);
-                    if (exists) {
+            this.scanDebounceTimer = null;
+            const events = Array.from(this.pendingFileEvents.entries());
+            this.pendingFileEvents.clear();
+            for (const [filePath, eventType] of events) {
+                if (this.isDestroyed)
+                    return;
+                try {
+                    if (eventType === 'add') {
                         // File added
                         await this.addFileToCache(filePath);
                         this.notifyWatchers('add', filePath);
                     }
-                    else {
+                    else if (eventType === 'unlink') {
                         // File removed
                         this.removeFileFromCache(filePath);
                         this.notifyWatchers('remove', filePath);
                     }
-                }
-                else if (eventType === 'change') {
-                    // File modified
-                    if (this.fileCache.has(filePath)) {
-                        await this.updateFileInCache(filePath);
-                        this.notifyWatchers('change', filePath);
+                    else if (eventType === 'change') {
+                        // File modified
+                        if (this.fileCache.has(filePath) || this.contentIndex.has(filePath)) {
+                            await this.updateFileInCache(filePath);
+                            this.notifyWatchers('change', filePath);
+                        }
                     }
                 }
-                // Update project info if needed
-                await this.updateProjectInfo();
-            }
-            catch (error) {
-                console.warn('Error handling file system event:', error);
+                catch (error) {
+                    console.warn('Error handling file system event:', error);
+                }
             }
+            // Update project info if needed
+            await this.updateProjectInfo();
         }, 300); // 300ms debounce
     }
     async addFileToCache(filePath) {
@@ -463,6 +711,7 @@ export class LightweightContext {
                         isDirectory: false
                     };
                     this.fileCache.set(filePath, fileInfo);
+                    await this.indexFile(filePath);
                 }
             }
         }
@@ -472,41 +721,117 @@ export class LightweightContext {
     }
     async updateFileInCache(filePath) {
         const existingFile = this.fileCache.get(filePath);
-        if (existingFile) {
-            try {
-                const stats = await stat(filePath);
+        try {
+            const stats = await stat(filePath);
+            if (existingFile) {
                 existingFile.lastModified = stats.mtime;
                 existingFile.size = stats.size;
             }
-            catch (error) {
-                console.warn(`Failed to update file in cache: ${filePath}`, error);
+            if (stats.size <= this.MAX_FILE_SIZE) {
+                await this.indexFile(filePath);
+            }
+            else {
+                this.removeFromIndex(filePath);
             }
         }
+        catch (error) {
+            console.warn(`Failed to update file in cache: ${filePath}`, error);
+        }
     }
     removeFileFromCache(filePath) {
         this.fileCache.delete(filePath);
+        this.removeFromIndex(filePath);
+    }
+    // Index file contents in batches, yielding between them like the scan does
+    async indexFiles(files) {
+        const BATCH_SIZE = 50;
+        // Count with the real tokenizer rather than counting everything twice
+        await tokenCounter.ready();
+        for (let i = 0; i < files.length; i += BATCH_SIZE) {
+            if (this.isDestroyed)
+                return;
+            await Promise.all(files.slice(i, i + BATCH_SIZE).map(file => this.indexFile(file.path)));
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+    async indexFile(filePath) {
+        try {
+            const content = await readFile(filePath, 'utf8');
+            // Binary content that slipped past the extension check
+            if (content.includes('\u0000')) {
+                this.removeFromIndex(filePath);
+                return;
+            }
+            const symbols = fileWatcherService.extractFileInfo(content, extname(filePath).toLowerCase());
+            this.contentIndex.add(filePath, content, symbols, relative(this.workspacePath, filePath));
+            this.fileTokens.set(filePath, tokenCounter.measure(content));
+        }
+        catch (error) {
+            this.removeFromIndex(filePath);
+        }
+    }
+    removeFromIndex(filePath) {
+        this.contentIndex.remove(filePath);
+        this.fileTokens.delete(filePath);
+    }
+    // File info for an indexed file that is no longer cached
+    async describeFile(filePath) {
+        try {
+            const stats = await stat(filePath);
+            const fileInfo = {
+                path: filePath,
+                name: basename(filePath),
+                size: stats.size,
+                language: this.languageMap[extname(filePath).toLowerCase()] || 'unknown',
+                lastModified: stats.mtime,
+                isDirectory: false
+            };
+            this.fileCache.set(filePath, fileInfo);
+            return fileInfo;
+        }
+        catch {
+            // Deleted without an event reaching us
+            this.removeFromIndex(filePath);
+            return null;
+        }
     }
     async updateProjectInfo() {
         const files = Array.from(this.fileCache.values());
         this.projectInfo = this.analyzeProject(files);
     }
-    // Callback management for UI notifications
+    // Callback management for UI notifications with unique IDs
     onFileChange(callback) {
-        this.watcherCallbacks.add(callback);
+        const callbackId = `callback_${++this.callbackIdCounter}_${Date.now()}`;
+        this.watcherCallbacks.set(callbackId, callback);
         // Return cleanup function
         return () => {
-            this.watcherCallbacks.delete(callback);
+            this.watcherCallbacks.delete(callbackId);
         };
     }
     notifyWatchers(event, filePath) {
-        for (const callback of this.watcherCallbacks) {
+        if (this.isDestroyed)
+            return;
+        // Clean up any callbacks that might have been orphaned
+        const deadCallbacks = [];
+        for (const [callbackId, callback] of this.watcherCallbacks) {
             try {
-                callback(event, filePath);
+                // Check if callback is still valid (not a stale reference)
+                if (typeof callback === 'function') {
+                    callback(event, filePath);
+                }
+                else {
+                    deadCallbacks.push(callbackId);
+                }
             }
             catch (error) {
-                console.warn('Error in file watcher callback:', error);
+                console.warn(`Error in file watcher callback ${callbackId}:`, error);
+                deadCallbacks.push(callbackId);
             }
         }
+        // Remove dead callbacks
+        for (const callbackId of deadCallbacks) {
+            this.watcherCallbacks.delete(callbackId);
+        }
     }
     async loadGitignorePatterns() {
         try {
@@ -530,13 +855,184 @@ export class LightweightContext {
             console.warn('Failed to load .gitignore patterns:', error);
         }
     }
-    // Enhanced cleanup
+    // Memory monitoring - now much more frequent and aggressive
+    startMemoryMonitor() {
+        if (this.isDestroyed)
+            return;
+        // Clear any existing monitor to prevent multiple intervals
+        this.stopMemoryMonitor();
+        this.memoryMonitorInterval = setInterval(() => {
+            if (this.isDestroyed) {
+                this.stopMemoryMonitor();
+                return;
+            }
+            const usage = process.memoryUsage();
+            const heapUsedMB = usage.heapUsed / 1024 / 1024;
+            const heapTotalMB = usage.heapTotal / 1024 / 1024;
+            const cacheSize = this.fileCache.size();
+            const cacheStats = this.fileCache.getStats();
+            // Log memory usage every 30 seconds (but check every 5)
+            if (Date.now() % 30000 < this.MEMORY_CHECK_INTERVAL) {
+                console.log(`Memory Usage - Heap Used: ${heapUsedMB.toFixed(2)}MB, Heap Total: ${heapTotalMB.toFixed(2)}MB, Files Cached: ${cacheSize}, Hit Rate: ${(cacheStats.hitRate * 100).toFixed(1)}%`);
+            }
+            // Emergency cleanup if memory usage is too high
+            if (usage.heapUsed > this.MEMORY_THRESHOLD) {
+                console.warn(`High memory usage detected (${heapUsedMB.toFixed(2)}MB), performing emergency cleanup...`);
+                this.emergencyCleanup();
+                // Force garbage collection if available
+                if (global.gc) {
+                    global.gc();
+                    console.log('Forced garbage collection');
+                }
+            }
+        }, this.MEMORY_CHECK_INTERVAL); // Check every 5 seconds
+    }
+    stopMemoryMonitor() {
+        if (this.memoryMonitorInterval) {
+            clearInterval(this.memoryMonitorInterval);
+            this.memoryMonitorInterval = null;
+        }
+    }
+    emergencyCleanup() {
+        if (this.isDestroyed)
+            return;
+        console.log('Performing emergency memory cleanup...');
+        const sizeBefore = this.fileCache.size();
+        // Force LRU cache cleanup first
+        const expiredRemoved = this.fileCache.forceCleanup();
+        // If still too many files, clear most of the cache
+        if (this.fileCache.size() > 50) {
+            // Keep only the most recently accessed files
+            const entries = this.fileCache.entries();
+            this.fileCache.clear();
+            // Re-add only the first 50 entries (most recently used due to LRU)
+            let kept = 0;
+            for (const [path, file] of entries) {
+                if (kept < 50) {
+                    const isConfig = this.isConfigFile(file.name) || this.isEntryPoint(file.name);
+                    if (isConfig || kept < 30) {
+                        this.fileCache.set(path, file);
+                        kept++;
+                    }
+                }
+                else {
+                    break;
+                }
+            }
+        }
+        // Clear any pending timers
+        if (this.scanDebounceTimer) {
+            clearTimeout(this.scanDebounceTimer);
+            this.scanDebounceTimer = null;
+        }
+        const sizeAfter = this.fileCache.size();
+        console.log(`Emergency cleanup completed: ${sizeBefore} -> ${sizeAfter} files (removed ${sizeBefore - sizeAfter}, expired ${expiredRemoved})`);
+    }
+    // Enhanced cleanup - now properly destroys the instance
     cleanup() {
+        if (this.isDestroyed)
+            return;
+        console.log(`Cleaning up LightweightContext for workspace: ${this.workspacePath}`);
+        this.isDestroyed = true;
         this.stopWatching();
+        this.stopMemoryMonitor();
         this.fileCache.clear();
+        this.contentIndex.clear();
+        this.fileTokens.clear();
+        this.pendingFileEvents.clear();
         this.projectInfo = null;
         this.watcherCallbacks.clear();
+        // Clear any pending timers
+        if (this.scanDebounceTimer) {
+            clearTimeout(this.scanDebounceTimer);
+            this.scanDebounceTimer = null;
+        }
+    }
+    // Get cache size for monitoring
+    getCacheSize() {
+        return this.fileCache.size();
+    }
+    // Get cache statistics
+    getCacheStats() {
+        return this.fileCache.getStats();
     }
+    // Force cache cleanup
+    forceCleanup() {
+        if (this.isDestroyed)
+            return 0;
+        return this.fileCache.forceCleanup();
+    }
+    // Check if instance is destroyed
+    isInstanceDestroyed() {
+        return this.isDestroyed;
+    }
+    // Memory leak detection
+    detectMemoryLeaks() {
+        const issues = [];
+        const recommendations = [];
+        // Check callback count
+        const callbackCount = this.watcherCallbacks.size;
+        if (callbackCount > 10) {
+            issues.push(`Too many file watcher callbacks: ${callbackCount} (expected < 10)`);
+            recommendations.push('Review file watcher callback management');
+        }
+        // Check cache size vs limits
+        const cacheSize = this.fileCache.size();
+        const cacheUtilization = (cacheSize / this.MAX_FILES) * 100;
+        if (cacheUtilization > 90) {
+            issues.push(`Cache nearly full: ${cacheSize}/${this.MAX_FILES} files (${cacheUtilization.toFixed(1)}%)`);
+            recommendations.push('Consider increasing cache limits or reducing workspace scope');
+        }
+        // Check for stale timers
+        if (this.scanDebounceTimer !== null) {
+            issues.push('Scan debounce timer still active');
+            recommendations.push('Ensure proper timer cleanup in all code paths');
+        }
+        // Check memory monitor status
+        if (this.memoryMonitorInterval !== null && this.isDestroyed) {
+            issues.push('Memory monitor still running on destroyed instance');
+            recommendations.push('Fix cleanup sequence to stop monitoring before destruction');
+        }
+        // Check file watcher cleanup
+        if (this.fileWatcherCleanup !== null && this.isDestroyed) {
+            issues.push('File watcher cleanup function not called');
+            recommendations.push('Ensure file watcher cleanup is called in destruction sequence');
+        }
+        // Determine severity
+        let severity = 'low';
+        if (issues.length > 5) {
+            severity = 'high';
+        }
+        else if (issues.length > 2) {
+            severity = 'medium';
+        }
+        return {
+            potentialLeaks: issues,
+            recommendations,
+            severity
+        };
+    }
+    // Get detailed memory statistics
+    getMemoryStats() {
+        const usage = process.memoryUsage();
+        return {
+            heapUsed: usage.heapUsed,
+            heapTotal: usage.heapTotal,
+            cacheSize: this.fileCache.size(),
+            callbackCount: this.watcherCallbacks.size,
+            timersActive: (this.scanDebounceTimer ? 1 : 0) + (this.memoryMonitorInterval ? 1 : 0),
+            isDestroyed: this.isDestroyed
+        };
+    }
+}
+// Factory function for creating new instances
+export function createLightweightContext() {
+    return new LightweightContext();
+}
+// For backward compatibility during transition, export a function that gets the current workspace context
+// This will be removed once all callers are updated to use the WorkspaceContextManager
+export function getLightweightContext() {
+    console.warn('DEPRECATED: getLightweightContext() is deprecated. Use workspaceContextManager.getCurrentContext() instead.');
+    const { workspaceContextManager } = require('./workspace-context-manager.js');
+    return workspaceContextManager.getCurrentContext();
 }
-// Global instance
-export const lightweightContext = new LightweightContext();
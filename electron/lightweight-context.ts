@@ -4,6 +4,8 @@ import { existsSync } from 'fs';
 import { workspacePersistence } from './workspace-persistence.js';
 import { LRUCache } from './lru-cache.js';
 import { fileWatcherService, FileChangeEvent } from './file-watcher.js';
+import { ContentIndex } from './content-index.js';
+import { tokenCounter } from './token-counter.js';
 
 export interface FileInfo {
   path: string;
@@ -13,6 +15,7 @@ export interface FileInfo {
   lastModified: Date;
   isDirectory: boolean;
   relevanceScore?: number;
+  matchedSymbols?: string[]; // Declared symbols that matched the search
 }
 
 export interface ProjectInfo {
@@ -44,6 +47,13 @@ export class LightweightContext {
   private fileWatcherCleanup: (() => void) | null = null;
   private callbackIdCounter: number = 0;
   private scanDebounceTimer: NodeJS.Timeout | null = null;
+  private pendingFileEvents: Map<string, 'add' | 'change' | 'unlink'> = new Map();
+  
+  // Search over file contents and symbols
+  private contentIndex = new ContentIndex();
+  // Tokens per indexed file, the tokenizer that counted them and whether it
+  // counted exactly (files too large to count exactly are estimated)
+  private fileTokens: Map<string, { tokens: number; tokenizer: string; exact: boolean }> = new Map();
   
   // Memory management - VERY conservative limits to prevent EMFILE
   private readonly MAX_FILES = 300; // LRU cache limit - much lower to prevent EMFILE
@@ -225,12 +235,16 @@ export class LightweightContext {
     const startTime = Date.now();
     
     this.fileCache.clear();
+    this.contentIndex.clear();
+    this.fileTokens.clear();
     const files = await this.scanDirectory(this.workspacePath);
     
     // Build project info
     this.projectInfo = this.analyzeProject(files);
     this.lastScanTime = Date.now();
     
+    await this.indexFiles(files);
+    
     console.log(`Workspace scan completed in ${Date.now() - startTime}ms, found ${files.length} files`);
   }
 
@@ -473,15 +487,32 @@ export class LightweightContext {
     }
   }
 
-  // Fast file search using simple text matching
+  // File search ranked by contents and symbols (BM25), with name, path and
+  // language matches and recent edits as extra signals
   async searchFiles(query: string, limit: number = 20): Promise<FileInfo[]> {
     if (this.isDestroyed) return [];
     
     const results: FileInfo[] = [];
     const queryLower = query.toLowerCase();
+    const hits = new Map(
+      this.contentIndex.search(query, Math.max(limit * 3, 50)).map(hit => [hit.path, hit])
+    );
 
+    const candidates = new Map<string, FileInfo>();
     for (const file of this.fileCache.values()) {
-      let score = 0;
+      candidates.set(file.path, file);
+    }
+    // Matching files the cache has dropped since they were indexed
+    for (const path of hits.keys()) {
+      if (!candidates.has(path)) {
+        const file = await this.describeFile(path);
+        if (file) candidates.set(path, file);
+      }
+    }
+
+    for (const file of candidates.values()) {
+      const hit = hits.get(file.path);
+      let score = hit ? hit.score * 10 : 0;
       
       // Score based on filename match
       if (file.name.toLowerCase().includes(queryLower)) {
@@ -498,15 +529,16 @@ export class LightweightContext {
         score += 3;
       }
       
+      if (score === 0) continue;
+      
       // Boost recent files
       const daysSinceModified = (Date.now() - file.lastModified.getTime()) / (1000 * 60 * 60 * 24);
       if (daysSinceModified < 1) score += 5;
       else if (daysSinceModified < 7) score += 2;
       
-      if (score > 0) {
-        file.relevanceScore = score;
-        results.push(file);
-      }
+      file.relevanceScore = Math.round(score * 100) / 100;
+      file.matchedSymbols = hit?.matchedSymbols.slice(0, 5);
+      results.push(file);
     }
 
     return results
@@ -548,7 +580,8 @@ export class LightweightContext {
       context.push('RELEVANT FILES:');
       for (const file of relevantFiles.slice(0, 5)) {
         const relativePath = relative(this.workspacePath, file.path);
-        context.push(`- ${relativePath} (${file.language}) - Score: ${file.relevanceScore}`);
+        const symbols = file.matchedSymbols?.length ? ` [${file.matchedSymbols.join(', ')}]` : '';
+        context.push(`- ${relativePath} (${file.language}) - Score: ${file.relevanceScore}${symbols}`);
       }
       context.push('');
     }
@@ -605,6 +638,62 @@ export class LightweightContext {
     return this.projectInfo;
   }
 
+  // Tokens in the indexed files, counted with the current model's tokenizer.
+  // Files counted before it loaded, for another model, or as estimates for a
+  // model whose counts are exact now, are counted again.
+  async getTokenStatistics(): Promise<{
+    totalTokens: number;
+    files: number;
+    tokenizer: string;
+    exact: boolean;
+    contextWindow: number;
+    byLanguage: Record<string, number>;
+    largestFiles: Array<{ path: string; tokens: number }>;
+  }> {
+    const tokenizer = await tokenCounter.ready();
+    const byLanguage: Record<string, number> = {};
+    let totalTokens = 0;
+    const modelExact = tokenCounter.isExact();
+    let exact = modelExact;
+    let counted = 0;
+    
+    for (const [filePath, entry] of Array.from(this.fileTokens.entries())) {
+      if (this.isDestroyed) break;
+      
+      if (entry.tokenizer !== tokenizer.name || (!entry.exact && modelExact)) {
+        try {
+          Object.assign(entry, tokenCounter.measure(await readFile(filePath, 'utf8')));
+        } catch {
+          this.removeFromIndex(filePath);
+          continue;
+        }
+        if (++counted % 50 === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+      
+      const language = this.languageMap[extname(filePath).toLowerCase()] || 'unknown';
+      byLanguage[language] = (byLanguage[language] || 0) + entry.tokens;
+      totalTokens += entry.tokens;
+      exact = exact && entry.exact;
+    }
+    
+    const largestFiles = Array.from(this.fileTokens.entries())
+      .sort(([, a], [, b]) => b.tokens - a.tokens)
+      .slice(0, 10)
+      .map(([path, entry]) => ({ path: relative(this.workspacePath, path), tokens: entry.tokens }));
+    
+    return {
+      totalTokens,
+      files: this.fileTokens.size,
+      tokenizer: tokenizer.name,
+      exact,
+      contextWindow: tokenCounter.getProfile().contextWindow,
+      byLanguage,
+      largestFiles
+    };
+  }
+
   // Get files by language
   getFilesByLanguage(language: string): FileInfo[] {
     if (this.isDestroyed) return [];
@@ -685,37 +774,44 @@ export class LightweightContext {
   }
   
   private handleFileSystemEvent(eventType: 'add' | 'change' | 'unlink', filePath: string): void {
+    // Collect events per file, so a burst touching several files handles each of them
+    this.pendingFileEvents.set(filePath, eventType);
+    
     // Debounce rapid file system events
     if (this.scanDebounceTimer) {
       clearTimeout(this.scanDebounceTimer);
     }
     
     this.scanDebounceTimer = setTimeout(async () => {
-      try {
-        const relativePath = relative(this.workspacePath, filePath);
-        
-        if (eventType === 'add') {
-          // File added
-          await this.addFileToCache(filePath);
-          this.notifyWatchers('add', filePath);
-        } else if (eventType === 'unlink') {
-          // File removed
-          this.removeFileFromCache(filePath);
-          this.notifyWatchers('remove', filePath);
-        } else if (eventType === 'change') {
-          // File modified
-          if (this.fileCache.has(filePath)) {
-            await this.updateFileInCache(filePath);
-            this.notifyWatchers('change', filePath);
+      this.scanDebounceTimer = null;
+      const events = Array.from(this.pendingFileEvents.entries());
+      this.pendingFileEvents.clear();
+      
+      for (const [filePath, eventType] of events) {
+        if (this.isDestroyed) return;
+        try {
+          if (eventType === 'add') {
+            // File added
+            await this.addFileToCache(filePath);
+            this.notifyWatchers('add', filePath);
+          } else if (eventType === 'unlink') {
+            // File removed
+            this.removeFileFromCache(filePath);
+            this.notifyWatchers('remove', filePath);
+          } else if (eventType === 'change') {
+            // File modified
+            if (this.fileCache.has(filePath) || this.contentIndex.has(filePath)) {
+              await this.updateFileInCache(filePath);
+              this.notifyWatchers('change', filePath);
+            }
           }
+        } catch (error) {
+          console.warn('Error handling file system event:', error);
         }
-        
-        // Update project info if needed
-        await this.updateProjectInfo();
-        
-      } catch (error) {
-        console.warn('Error handling file system event:', error);
       }
+      
+      // Update project info if needed
+      await this.updateProjectInfo();
     }, 300); // 300ms debounce
   }
   
@@ -738,6 +834,7 @@ export class LightweightContext {
           };
           
           this.fileCache.set(filePath, fileInfo);
+          await this.indexFile(filePath);
         }
       }
     } catch (error) {
@@ -747,19 +844,82 @@ export class LightweightContext {
   
   private async updateFileInCache(filePath: string): Promise<void> {
     const existingFile = this.fileCache.get(filePath);
-    if (existingFile) {
-      try {
-        const stats = await stat(filePath);
+    try {
+      const stats = await stat(filePath);
+      if (existingFile) {
         existingFile.lastModified = stats.mtime;
         existingFile.size = stats.size;
-      } catch (error) {
-        console.warn(`Failed to update file in cache: ${filePath}`, error);
       }
+      
+      if (stats.size <= this.MAX_FILE_SIZE) {
+        await this.indexFile(filePath);
+      } else {
+        this.removeFromIndex(filePath);
+      }
+    } catch (error) {
+      console.warn(`Failed to update file in cache: ${filePath}`, error);
     }
   }
   
   private removeFileFromCache(filePath: string): void {
     this.fileCache.delete(filePath);
+    this.removeFromIndex(filePath);
+  }
+  
+  // Index file contents in batches, yielding between them like the scan does
+  private async indexFiles(files: FileInfo[]): Promise<void> {
+    const BATCH_SIZE = 50;
+    // Count with the real tokenizer rather than counting everything twice
+    await tokenCounter.ready();
+    for (let i = 0; i < files.length; i += BATCH_SIZE) {
+      if (this.isDestroyed) return;
+      await Promise.all(files.slice(i, i + BATCH_SIZE).map(file => this.indexFile(file.path)));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  
+  private async indexFile(filePath: string): Promise<void> {
+    try {
+      const content = await readFile(filePath, 'utf8');
+      // Binary content that slipped past the extension check
+      if (content.includes('\u0000')) {
+        this.removeFromIndex(filePath);
+        return;
+      }
+      
+      const symbols = fileWatcherService.extractFileInfo(content, extname(filePath).toLowerCase());
+      this.contentIndex.add(filePath, content, symbols, relative(this.workspacePath, filePath));
+      
+      this.fileTokens.set(filePath, tokenCounter.measure(content));
+    } catch (error) {
+      this.removeFromIndex(filePath);
+    }
+  }
+  
+  private removeFromIndex(filePath: string): void {
+    this.contentIndex.remove(filePath);
+    this.fileTokens.delete(filePath);
+  }
+  
+  // File info for an indexed file that is no longer cached
+  private async describeFile(filePath: string): Promise<FileInfo | null> {
+    try {
+      const stats = await stat(filePath);
+      const fileInfo: FileInfo = {
+        path: filePath,
+        name: basename(filePath),
+        size: stats.size,
+        language: this.languageMap[extname(filePath).toLowerCase()] || 'unknown',
+        lastModified: stats.mtime,
+        isDirectory: false
+      };
+      this.fileCache.set(filePath, fileInfo);
+      return fileInfo;
+    } catch {
+      // Deleted without an event reaching us
+      this.removeFromIndex(filePath);
+      return null;
+    }
   }
   
   private async updateProjectInfo(): Promise<void> {
@@ -924,6 +1084,9 @@ export class LightweightContext {
     this.stopWatching();
     this.stopMemoryMonitor();
     this.fileCache.clear();
+    this.contentIndex.clear();
+    this.fileTokens.clear();
+    this.pendingFileEvents.clear();
     this.projectInfo = null;
     this.watcherCallbacks.clear();
     
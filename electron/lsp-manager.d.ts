@@ -1,3 +1,11 @@
+export interface WorkspaceEditFile {
+  path: string;
+  content?: string;
+  edits?: number;
+  renamedFrom?: string;
+  deleted?: boolean;
+}
+
 export interface LSPManager {
   getServerForFile(filepath: string): Promise<any | null>;
   detectLanguage(filepath: string): string | null;
@@ -6,6 +14,14 @@ export interface LSPManager {
   getHover(filepath: string, content: string, position: { line: number; character: number }): Promise<any | null>;
   getDefinition(filepath: string, content: string, position: { line: number; character: number }): Promise<any | null>;
   getDocumentSymbols(filepath: string, content: string): Promise<any[]>;
+  getReferences(filepath: string, content: string | null, position: { line: number; character: number }, includeDeclaration?: boolean): Promise<any[]>;
+  getSignatureHelp(filepath: string, content: string | null, position: { line: number; character: number }, context?: { triggerKind?: number; triggerCharacter?: string; isRetrigger?: boolean } | null): Promise<any | null>;
+  renameSymbol(filepath: string, content: string | null, position: { line: number; character: number }, newName: string, apply?: boolean): Promise<{ edit: any; applied: boolean; files: WorkspaceEditFile[] }>;
+  formatDocument(filepath: string, content: string, options?: { tabSize?: number; insertSpaces?: boolean; [key: string]: any }): Promise<{ edits: any[]; content: string } | null>;
+  formatRange(filepath: string, content: string, range: { start: { line: number; character: number }; end: { line: number; character: number } }, options?: { tabSize?: number; insertSpaces?: boolean; [key: string]: any }): Promise<{ edits: any[]; content: string } | null>;
+  getWorkspaceSymbols(query: string, filepath?: string | null): Promise<any[]>;
+  applyWorkspaceEdit(edit: any, contents?: Record<string, string>): Promise<{ applied: boolean; failureReason?: string; files: WorkspaceEditFile[] }>;
+  applyTextEdits(content: string, edits: any[]): string;
   shutdown(): Promise<void>;
   checkServerAvailable(language: string): Promise<boolean>;
   getAvailableServers(): Promise<Array<{ language: string; command: string; languages: string[] }>>;
@@ -2,6 +2,9 @@ import { spawn } from 'child_process';
 import * as rpc from 'vscode-jsonrpc/node.js';
 import * as lsp from 'vscode-languageserver-protocol';
 import { v4 as uuidv4 } from 'uuid';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 /**
  * Language Server Protocol Manager
@@ -472,9 +475,11 @@ export class LSPManager {
             return [];
             
           case 'workspace/applyEdit':
-          
-            // Accept the edit
-            return { applied: true };
+            // Edits from code actions and commands
+            return this.applyWorkspaceEdit(params.edit).then(
+              result => ({ applied: result.applied, failureReason: result.failureReason }),
+              error => ({ applied: false, failureReason: error.message })
+            );
             
           default:
             console.warn(`[LSP] Unhandled request method: ${method}`, params);
@@ -596,7 +601,13 @@ export class LSPManager {
               dynamicRegistration: true
             },
             signatureHelp: {
-              dynamicRegistration: true
+              dynamicRegistration: true,
+              signatureInformation: {
+                documentationFormat: ['markdown', 'plaintext'],
+                parameterInformation: {
+                  labelOffsetSupport: true
+                }
+              }
             },
             definition: {
               dynamicRegistration: true
@@ -611,6 +622,12 @@ export class LSPManager {
             formatting: {
               dynamicRegistration: true
             },
+            rangeFormatting: {
+              dynamicRegistration: true
+            },
+            rename: {
+              dynamicRegistration: true
+            },
             synchronization: {
               dynamicRegistration: true,
               willSave: true,
@@ -626,6 +643,15 @@ export class LSPManager {
             configuration: true,
             didChangeWatchedFiles: {
               dynamicRegistration: true
+            },
+            symbol: {
+              dynamicRegistration: true
+            },
+            applyEdit: true,
+            workspaceEdit: {
+              documentChanges: true,
+              resourceOperations: ['create', 'rename', 'delete'],
+              failureHandling: 'abort'
             }
           }
         },
@@ -1169,6 +1195,10 @@ export class LSPManager {
     
     try {
       const uri = `file://${filepath}`;
+      if (content) {
+        await this.syncDocument(connection, uri, language, content);
+      }
+      
       const symbols = await connection.sendRequest(lsp.DocumentSymbolRequest.type, {
         textDocument: { uri }
       });
@@ -1181,9 +1211,9 @@ export class LSPManager {
   }
 
   /**
-   * Get diagnostics for a document
+   * Find all references to the symbol at a position
    */
-  async getDiagnostics(filepath, content) {
+  async getReferences(filepath, content, position, includeDeclaration = true) {
     const language = this.detectLanguage(filepath);
     if (!language) return [];
     
@@ -1192,39 +1222,349 @@ export class LSPManager {
     
     try {
       const uri = `file://${filepath}`;
+      if (content) {
+        await this.syncDocument(connection, uri, language, content);
+      }
+      
+      const references = await connection.sendRequest(lsp.ReferencesRequest.type, {
+        textDocument: { uri },
+        position: {
+          line: position.line - 1,
+          character: position.character
+        },
+        context: { includeDeclaration }
+      });
       
-      // Check if document is already open
-      const isOpen = this.openDocuments.has(uri);
+      return references || [];
+    } catch (error) {
+      console.error(`[LSP] Failed to get references from ${language} server:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the signature of the call at a position
+   */
+  async getSignatureHelp(filepath, content, position, context = null) {
+    const language = this.detectLanguage(filepath);
+    if (!language) return null;
+    
+    const connection = await this.getServerForFile(filepath);
+    if (!connection) return null;
+    
+    try {
+      const uri = `file://${filepath}`;
+      if (content) {
+        await this.syncDocument(connection, uri, language, content);
+      }
       
-      if (!isOpen) {
-        // Open the document
-        await connection.sendNotification(lsp.DidOpenTextDocumentNotification.type, {
-          textDocument: {
-            uri,
-            languageId: language,
-            version: 1,
-            text: content
+      const signatureHelp = await connection.sendRequest(lsp.SignatureHelpRequest.type, {
+        textDocument: { uri },
+        position: {
+          line: position.line - 1,
+          character: position.character
+        },
+        context: context ? {
+          triggerKind: context.triggerKind || 1,
+          triggerCharacter: context.triggerCharacter,
+          isRetrigger: !!context.isRetrigger
+        } : undefined
+      });
+      
+      return signatureHelp || null;
+    } catch (error) {
+      console.error(`[LSP] Failed to get signature help from ${language} server:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Rename the symbol at a position across the project. Returns the
+   * WorkspaceEdit, applied to the files unless apply is false.
+   * Throws if the server can't rename there, so the reason reaches the user.
+   */
+  async renameSymbol(filepath, content, position, newName, apply = true) {
+    const language = this.detectLanguage(filepath);
+    if (!language) {
+      throw new Error(`No language server for ${filepath}`);
+    }
+    
+    const connection = await this.getServerForFile(filepath);
+    if (!connection) {
+      throw new Error(`The ${language} language server is not running`);
+    }
+    
+    const uri = `file://${filepath}`;
+    if (content) {
+      await this.syncDocument(connection, uri, language, content);
+    }
+    
+    const edit = await connection.sendRequest(lsp.RenameRequest.type, {
+      textDocument: { uri },
+      position: {
+        line: position.line - 1,
+        character: position.character
+      },
+      newName
+    });
+    
+    if (!edit) {
+      throw new Error('Nothing to rename at this position');
+    }
+    
+    if (!apply) {
+      return { edit, applied: false, files: [] };
+    }
+    
+    // The server renamed against the editor's content, which may not be saved
+    const result = await this.applyWorkspaceEdit(edit, content ? { [filepath]: content } : {});
+    if (!result.applied) {
+      throw new Error(result.failureReason || 'Failed to apply the rename');
+    }
+    return { edit, ...result };
+  }
+
+  /**
+   * Format a whole document. Returns the edits and the formatted content.
+   */
+  async formatDocument(filepath, content, options = {}) {
+    const language = this.detectLanguage(filepath);
+    if (!language) return null;
+    
+    const connection = await this.getServerForFile(filepath);
+    if (!connection) return null;
+    
+    try {
+      const uri = `file://${filepath}`;
+      await this.syncDocument(connection, uri, language, content);
+      
+      const edits = await connection.sendRequest(lsp.DocumentFormattingRequest.type, {
+        textDocument: { uri },
+        options: { tabSize: 2, insertSpaces: true, ...options }
+      });
+      
+      return { edits: edits || [], content: this.applyTextEdits(content, edits || []) };
+    } catch (error) {
+      console.error(`[LSP] Failed to format document with ${language} server:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Format a range of a document. Range lines are 1-based like positions.
+   */
+  async formatRange(filepath, content, range, options = {}) {
+    const language = this.detectLanguage(filepath);
+    if (!language) return null;
+    
+    const connection = await this.getServerForFile(filepath);
+    if (!connection) return null;
+    
+    try {
+      const uri = `file://${filepath}`;
+      await this.syncDocument(connection, uri, language, content);
+      
+      const edits = await connection.sendRequest(lsp.DocumentRangeFormattingRequest.type, {
+        textDocument: { uri },
+        range: {
+          start: { line: range.start.line - 1, character: range.start.character },
+          end: { line: range.end.line - 1, character: range.end.character }
+        },
+        options: { tabSize: 2, insertSpaces: true, ...options }
+      });
+      
+      return { edits: edits || [], content: this.applyTextEdits(content, edits || []) };
+    } catch (error) {
+      console.error(`[LSP] Failed to format range with ${language} server:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Search symbols across the workspace. Asks the server for the given file,
+   * or every running server when there is none.
+   */
+  async getWorkspaceSymbols(query, filepath = null) {
+    let connections;
+    if (filepath) {
+      const connection = await this.getServerForFile(filepath);
+      connections = connection ? [[this.detectLanguage(filepath), connection]] : [];
+    } else {
+      connections = Array.from(this.connections.entries());
+    }
+    
+    const results = await Promise.all(connections.map(async ([language, connection]) => {
+      try {
+        const symbols = await connection.sendRequest(lsp.WorkspaceSymbolRequest.type, { query });
+        return symbols || [];
+      } catch (error) {
+        console.error(`[LSP] Failed to get workspace symbols from ${language} server:`, error);
+        return [];
+      }
+    }));
+    
+    return results.flat();
+  }
+
+  /**
+   * Apply a WorkspaceEdit to the files on disk, in the order given. Edits apply
+   * to the given contents (path -> text) where there are any, otherwise to the
+   * files as saved. Open documents are sent their new content. Stops at the
+   * first failure; changes made before it are kept, as advertised with
+   * failureHandling 'abort'.
+   */
+  async applyWorkspaceEdit(edit, contents = {}) {
+    const operations = [];
+    if (edit.documentChanges) {
+      operations.push(...edit.documentChanges);
+    } else if (edit.changes) {
+      for (const [uri, edits] of Object.entries(edit.changes)) {
+        operations.push({ textDocument: { uri, version: null }, edits });
+      }
+    }
+    
+    const files = [];
+    for (const operation of operations) {
+      try {
+        if (operation.kind === 'create') {
+          const target = this.uriToPath(operation.uri);
+          const exists = await fs.access(target).then(() => true, () => false);
+          if (exists && !operation.options?.overwrite) {
+            if (operation.options?.ignoreIfExists) continue;
+            throw new Error(`${target} already exists`);
           }
-        });
-        this.openDocuments.set(uri, { version: 1, language });
-        this.documentVersions.set(uri, 1);
-      } else {
-        // Update the document content
-        const currentVersion = this.documentVersions.get(uri) || 1;
-        const newVersion = currentVersion + 1;
-        
-        await connection.sendNotification(lsp.DidChangeTextDocumentNotification.type, {
-          textDocument: {
-            uri,
-            version: newVersion
-          },
-          contentChanges: [{
-            text: content
-          }]
-        });
-        
-        this.documentVersions.set(uri, newVersion);
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.writeFile(target, '', 'utf-8');
+          files.push({ path: target, content: '' });
+        } else if (operation.kind === 'rename') {
+          const from = this.uriToPath(operation.oldUri);
+          const to = this.uriToPath(operation.newUri);
+          const exists = await fs.access(to).then(() => true, () => false);
+          if (exists && !operation.options?.overwrite) {
+            if (operation.options?.ignoreIfExists) continue;
+            throw new Error(`${to} already exists`);
+          }
+          await fs.mkdir(path.dirname(to), { recursive: true });
+          await fs.rename(from, to);
+          await this.closeDocument(from);
+          files.push({ path: to, renamedFrom: from });
+        } else if (operation.kind === 'delete') {
+          const target = this.uriToPath(operation.uri);
+          await fs.rm(target, { recursive: !!operation.options?.recursive, force: !!operation.options?.ignoreIfNotExists });
+          await this.closeDocument(target);
+          files.push({ path: target, deleted: true });
+        } else {
+          const target = this.uriToPath(operation.textDocument.uri);
+          const uri = `file://${target}`;
+          const version = operation.textDocument.version;
+          if (version != null && this.documentVersions.has(uri) && this.documentVersions.get(uri) !== version) {
+            throw new Error(`${target} changed since the edit was computed`);
+          }
+          
+          const original = contents[target] ?? await fs.readFile(target, 'utf-8');
+          const content = this.applyTextEdits(original, operation.edits);
+          contents[target] = content;
+          await fs.writeFile(target, content, 'utf-8');
+          
+          const document = this.openDocuments.get(uri);
+          const connection = document && this.connections.get(document.language);
+          if (connection) {
+            await this.syncDocument(connection, uri, document.language, content);
+          }
+          files.push({ path: target, content, edits: operation.edits.length });
+        }
+      } catch (error) {
+        console.error('[LSP] Failed to apply workspace edit:', error);
+        return { applied: false, failureReason: error.message, files };
       }
+    }
+    
+    return { applied: true, files };
+  }
+
+  /**
+   * Apply text edits to a string. Edits don't overlap and are all relative to
+   * the original text; ones starting at the same place are inserted in order.
+   */
+  applyTextEdits(content, edits) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    
+    // LSP characters are UTF-16 code units, like string indices
+    const offsetOf = ({ line, character }) => {
+      if (line >= lineStarts.length) return content.length;
+      const lineEnd = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : content.length;
+      return Math.min(lineStarts[line] + character, lineEnd);
+    };
+    
+    const sorted = edits
+      .map((edit, index) => ({
+        start: offsetOf(edit.range.start),
+        end: offsetOf(edit.range.end),
+        text: edit.newText,
+        index
+      }))
+      .sort((a, b) => b.start - a.start || b.index - a.index);
+    
+    let result = content;
+    for (const edit of sorted) {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+  }
+
+  uriToPath(uri) {
+    return uri.startsWith('file://') ? fileURLToPath(uri) : uri;
+  }
+
+  /**
+   * Open a document on the server, or send its new content if already open
+   */
+  async syncDocument(connection, uri, language, content) {
+    if (!this.openDocuments.has(uri)) {
+      await connection.sendNotification(lsp.DidOpenTextDocumentNotification.type, {
+        textDocument: {
+          uri,
+          languageId: language,
+          version: 1,
+          text: content
+        }
+      });
+      this.openDocuments.set(uri, { version: 1, language });
+      this.documentVersions.set(uri, 1);
+    } else {
+      const newVersion = (this.documentVersions.get(uri) || 1) + 1;
+      
+      await connection.sendNotification(lsp.DidChangeTextDocumentNotification.type, {
+        textDocument: {
+          uri,
+          version: newVersion
+        },
+        contentChanges: [{
+          text: content
+        }]
+      });
+      
+      this.documentVersions.set(uri, newVersion);
+    }
+  }
+
+  /**
+   * Get diagnostics for a document
+   */
+  async getDiagnostics(filepath, content) {
+    const language = this.detectLanguage(filepath);
+    if (!language) return [];
+    
+    const connection = await this.getServerForFile(filepath);
+    if (!connection) return [];
+    
+    try {
+      const uri = `file://${filepath}`;
+      
+      await this.syncDocument(connection, uri, language, content);
       
       // Give the server a moment to process and send diagnostics
       await new Promise(resolve => setTimeout(resolve, 200));
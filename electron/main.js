@@ -11,10 +11,15 @@ import { readFile, mkdir } from 'fs/promises';
 import { watch as chokidarWatch } from 'chokidar';
 import { homedir } from 'os';
 import { claudeCodeService } from './claude-sdk-service.js';
-import { lightweightContext } from './lightweight-context.js';
+import { workspaceContextManager } from './workspace-context-manager.js';
 import { contextOptimizer } from './context-optimizer.js';
+import { tokenCounter } from './token-counter.js';
+import { dependencyGraph } from './dependency-graph.js';
 import { workspacePersistence } from './workspace-persistence.js';
 import { searchWithRipgrep } from './search-ripgrep.js';
+import { claudeSessionHistory } from './claude-session-history.js';
+import { claudeSessionSearch } from './claude-session-search.js';
+import { autoCheckpointService } from './auto-checkpoint-service.js';
 import { claudeSettingsManager as importedClaudeSettingsManager } from './claude-settings-manager.js';
 import { ClaudeDetector } from './claude-detector.js';
 import { fileWatcherService } from './file-watcher.js';
@@ -24,15 +29,54 @@ import { WorktreeManagerGlobal } from './worktree-manager-global.js';
 import { GitHooksManagerGlobal } from './git-hooks-manager-global.js';
 import { SnapshotService } from './snapshot-service.js';
 import { setupGitTimelineHandlers } from './git-timeline-handlers.js';
+import { setupGitCheckpointHandlers } from './git-checkpoint-handlers.js';
 import { ghostTextService } from './ghost-text-service.js';
+import { AgentExecutor } from './agent-executor.js';
 // LocalDatabase removed - SQLite not actively used
 import { getModeManager, MainProcessMode } from './services/mode-config.js';
 import { RemoteServer } from './services/remote-server.js';
+import { resolvePermissionScope } from './services/remote-permissions.js';
+import { RemoteAuditLog } from './services/remote-audit-log.js';
+import { TerminalRecorder, RecordingReplay } from './services/terminal-recorder.js';
+import { TerminalMultiplexer } from './services/terminal-multiplexer.js';
 import { CloudflareTunnel } from './services/cloudflare-tunnel.js';
 import { RelayClient } from './services/relay-client.js';
 // Load environment variables from .env file
 import { config } from 'dotenv';
 config();
+// Memory and error monitoring
+process.on('uncaughtException', async (error) => {
+    console.error('Uncaught Exception:', error);
+    // Try to clean up and save state before crashing
+    try {
+        await workspaceContextManager.closeAllWorkspaces();
+    }
+    catch (e) {
+        console.error('Error during emergency cleanup:', e);
+    }
+    process.exit(1);
+});
+process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
+// Monitor memory usage
+setInterval(() => {
+    const usage = process.memoryUsage();
+    const heapUsedMB = usage.heapUsed / 1024 / 1024;
+    if (heapUsedMB > 6000) { // 6GB warning threshold
+        console.warn(`Main process high memory usage: ${heapUsedMB.toFixed(2)}MB`);
+        // Emergency cleanup
+        try {
+            if (global.pendingClaudeOutput) {
+                global.pendingClaudeOutput.clear();
+                console.log('Cleared pending Claude output due to high memory usage');
+            }
+        }
+        catch (error) {
+            console.error('Error during emergency memory cleanup:', error);
+        }
+    }
+}, 60000); // Check every minute
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 let mainWindow = null;
@@ -45,6 +89,7 @@ const modeManager = getModeManager();
 let remoteServer = null;
 let cloudflareTunnel = null;
 let relayClient = null;
+let agentExecutor = null;
 // Claude settings manager
 const claudeSettingsManager = importedClaudeSettingsManager;
 // Knowledge cache instances per workspace
@@ -123,7 +168,13 @@ const startNuxtServer = async () => {
     });
 };
 // Clean up server on quit
-app.on('before-quit', () => {
+// Set once cleanup has started, so the app.quit() below isn't intercepted again
+let isQuitting = false;
+app.on('before-quit', async (event) => {
+    if (isQuitting)
+        return;
+    isQuitting = true;
+    event.preventDefault(); // Prevent immediate quit
     if (serverProcess) {
         console.log('Stopping Nuxt server...');
         serverProcess.kill();
@@ -133,6 +184,15 @@ app.on('before-quit', () => {
         console.log('Cleaning up all pending Claude output...');
         global.pendingClaudeOutput.clear();
     }
+    // Clean up workspace contexts
+    try {
+        await workspaceContextManager.shutdown();
+        console.log('Workspace context manager shut down');
+    }
+    catch (error) {
+        console.error('Error shutting down workspace context manager:', error);
+    }
+    app.quit(); // Now actually quit
     // Kill all Claude instances
     claudeInstances.forEach((pty, instanceId) => {
         console.log(`Killing Claude instance ${instanceId}`);
@@ -171,6 +231,10 @@ function createWindow() {
         show: false
     });
     mainWindow.loadURL(nuxtURL);
+    // A reload drops the views of all terminals; they reattach when remounted
+    mainWindow.webContents.on('did-start-loading', () => {
+        TerminalMultiplexer.getInstance().detachAll();
+    });
     mainWindow.once('ready-to-show', () => {
         mainWindow?.show();
         if (isDev) {
@@ -196,6 +260,7 @@ function createWindow() {
     });
     mainWindow.on('closed', () => {
         mainWindow = null;
+        agentExecutor?.setMainWindow(null);
         // Clean up all Claude instances
         claudeInstances.forEach((pty, instanceId) => {
             pty.kill();
@@ -224,13 +289,32 @@ app.whenReady().then(async () => {
     GitServiceManager.getInstance();
     WorktreeManagerGlobal.getInstance();
     GitHooksManagerGlobal.getInstance();
+    TerminalRecorder.getInstance().setEnabled(store.get('recordTerminalSessions') === true);
+    setupTerminalMultiplexer();
     // LocalDatabase removed - SQLite not actively used
     const workspacePath = store.get('workspacePath');
     // Initialize autocomplete services
     await ghostTextService.initialize();
     // Setup Git Timeline handlers
     setupGitTimelineHandlers();
+    // Setup git-native checkpoint handlers
+    setupGitCheckpointHandlers();
+    // Agent Mode executor; it scans the workspace journal for transactions
+    // interrupted by a crash as soon as it is constructed
+    agentExecutor = new AgentExecutor(workspacePath || process.cwd());
+    // Checkpoint before every Claude file change, through a PreToolUse hook
+    try {
+        await autoCheckpointService.start();
+        await claudeSettingsManager.ensureHook(autoCheckpointService.getHook());
+        autoCheckpointService.onCheckpointCreated(entry => {
+            mainWindow?.webContents.send('claude:checkpoint:created', entry);
+        });
+    }
+    catch (error) {
+        console.error('Failed to start automatic checkpoints:', error);
+    }
     createWindow();
+    agentExecutor.setMainWindow(mainWindow);
     // Set up periodic cleanup of orphaned pending output (every 5 minutes)
     setInterval(() => {
         if (global.pendingClaudeOutput && global.pendingClaudeOutput.size > 0) {
@@ -443,6 +527,7 @@ app.whenReady().then(async () => {
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
             createWindow();
+            agentExecutor?.setMainWindow(mainWindow);
             // After creating new window, update remote server reference
             if (remoteServer && mainWindow) {
                 // Give window time to be ready
@@ -461,7 +546,7 @@ app.on('window-all-closed', () => {
     }
 });
 // Claude Process Management using PTY with multi-instance support
-ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, instanceName, runConfig) => {
+async function startClaudeInstance(instanceId, workingDirectory, instanceName, runConfig) {
     if (claudeInstances.has(instanceId)) {
         // Instance already running - return success with existing PID
         const existingPty = claudeInstances.get(instanceId);
@@ -526,6 +611,8 @@ ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, insta
                     CLAUDE_INSTANCE_ID: instanceId,
                     CLAUDE_INSTANCE_NAME: instanceName || `Claude-${instanceId.slice(7, 15)}`, // Use provided name or short ID
                     CLAUDE_IDE_INSTANCE: 'true',
+                    // Lets the auto-checkpoint hook reach the IDE
+                    ...autoCheckpointService.getEnv(),
                     // Force PTY mode to ensure Claude uses the PTY for I/O
                     FORCE_TTY: '1'
                 },
@@ -542,12 +629,47 @@ ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, insta
         }
         // Store this instance
         claudeInstances.set(instanceId, claudePty);
+        TerminalRecorder.getInstance().start('claude', instanceId, {
+            cols: 80,
+            rows: 30,
+            title: instanceName || instanceId,
+            cwd: workingDirectory
+        });
         // Capture initial output for debugging
         let initialOutput = '';
         let outputTimer = null;
+        // MEMORY LEAK FIX: Target ONLY the specific infinite loop issue, not normal keystrokes
+        let lastLargeMessage = '';
+        let largeMessageCount = 0;
+        let totalDataCount = 0;
+        let lastLogTime = 0;
+        const LARGE_MESSAGE_THRESHOLD = 200; // Only track messages > 200 characters
+        const MAX_IDENTICAL_LARGE_MESSAGES = 100; // Allow many more before blocking
+        const LOG_INTERVAL = 5000; // Log at most every 5 seconds
         // Handle output from Claude
         claudePty.onData((data) => {
-            // Capture first few outputs for debugging
+            totalDataCount++;
+            // TARGETED PROTECTION: Only block large identical messages (the actual memory leak source)
+            if (data.length > LARGE_MESSAGE_THRESHOLD) {
+                if (data === lastLargeMessage) {
+                    largeMessageCount++;
+                    if (largeMessageCount > MAX_IDENTICAL_LARGE_MESSAGES) {
+                        const now = Date.now();
+                        // Only log occasionally to prevent log spam
+                        if (now - lastLogTime > LOG_INTERVAL) {
+                            console.warn(`[MEMORY LEAK FIX] Blocking large message loop for ${instanceId} - ${largeMessageCount} identical ${data.length}-char messages`);
+                            lastLogTime = now;
+                        }
+                        return; // Block only large repeated messages
+                    }
+                }
+                else {
+                    lastLargeMessage = data;
+                    largeMessageCount = 0; // Reset counter on different large message
+                }
+            }
+            // NOTE: Small messages (keystrokes, prompts) are never blocked
+            // Capture first few outputs for debugging (reduced logging)
             if (initialOutput.length < 1000) {
                 initialOutput += data;
                 // Log initial output after a short delay
@@ -559,9 +681,9 @@ ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, insta
                     }
                 }, 500);
             }
-            // Send data with instance ID to all windows
+            TerminalRecorder.getInstance().output('claude', instanceId, data);
+            // Send data with instance ID to all windows (reduced logging)
             const windows = BrowserWindow.getAllWindows();
-            console.log(`Sending Claude output to frontend for ${instanceId}, length: ${data.length}, windows: ${windows.length}`);
             if (windows.length === 0) {
                 console.warn('No windows available to send Claude output to!');
                 // Store output to send when window becomes available
@@ -569,8 +691,8 @@ ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, insta
                     global.pendingClaudeOutput = new Map();
                 }
                 const pending = global.pendingClaudeOutput.get(instanceId) || '';
-                // Limit pending output to prevent unbounded memory growth (10MB limit)
-                const MAX_PENDING_SIZE = 10 * 1024 * 1024; // 10MB
+                // MUCH SMALLER LIMIT to prevent memory explosion (1MB instead of 10MB)
+                const MAX_PENDING_SIZE = 1 * 1024 * 1024; // 1MB limit
                 const newPending = pending + data;
                 if (newPending.length > MAX_PENDING_SIZE) {
                     // Keep only the last portion of the output
@@ -584,7 +706,6 @@ ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, insta
             else {
                 windows.forEach(window => {
                     if (!window.isDestroyed()) {
-                        console.log(`Sending to window ${window.id}`);
                         window.webContents.send(`claude:output:${instanceId}`, data);
                     }
                 });
@@ -609,7 +730,11 @@ ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, insta
                     window.webContents.send(`claude:exit:${instanceId}`, exitCode);
                 }
             });
-            claudeInstances.delete(instanceId);
+            // The instance may already have been restarted (e.g. when resuming a session)
+            if (claudeInstances.get(instanceId) === claudePty) {
+                claudeInstances.delete(instanceId);
+                TerminalRecorder.getInstance().stop('claude', instanceId);
+            }
             // Clean up MCP server configuration
             try {
                 await claudeSettingsManager.cleanupClodeIntegration();
@@ -650,6 +775,9 @@ ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, insta
         console.error(`Failed to start Claude for ${instanceId}:`, error);
         return { success: false, error: error instanceof Error ? error.message : String(error) };
     }
+}
+ipcMain.handle('claude:start', async (event, instanceId, workingDirectory, instanceName, runConfig) => {
+    return startClaudeInstance(instanceId, workingDirectory, instanceName, runConfig);
 });
 ipcMain.handle('claude:send', async (event, instanceId, command) => {
     const claudePty = claudeInstances.get(instanceId);
@@ -671,6 +799,7 @@ ipcMain.handle('claude:stop', async (event, instanceId) => {
     if (claudePty) {
         claudePty.kill();
         claudeInstances.delete(instanceId);
+        TerminalRecorder.getInstance().stop('claude', instanceId);
         // Clean up pending output for this instance
         if (global.pendingClaudeOutput?.has(instanceId)) {
             console.log(`Cleaning up pending output for stopped instance ${instanceId}`);
@@ -715,6 +844,7 @@ ipcMain.handle('claude:resize', async (event, instanceId, cols, rows) => {
     if (claudePty) {
         try {
             claudePty.resize(cols, rows);
+            TerminalRecorder.getInstance().resize('claude', instanceId, cols, rows);
             return { success: true };
         }
         catch (error) {
@@ -739,24 +869,45 @@ ipcMain.handle('showNotification', async (event, options) => {
 // File Watcher operations
 ipcMain.handle('fileWatcher:start', async (event, dirPath, options) => {
     try {
-        await fileWatcherService.watchDirectory(dirPath, options);
-        // Set up event forwarding to renderer
-        fileWatcherService.on('file:change', (data) => {
+        // Use VERY conservative settings to prevent EMFILE while still allowing functionality
+        console.log(`[Main] Starting conservative file watching for ${dirPath}`);
+        const conservativeOptions = {
+            ...options,
+            usePolling: true, // Force polling to prevent EMFILE
+            interval: 3000, // Poll every 3 seconds
+            depth: 1, // Only watch top level
+            ignored: [
+                '**/node_modules/**',
+                '**/.git/**',
+                '**/dist/**',
+                '**/build/**',
+                '**/.cache/**'
+            ]
+        };
+        await fileWatcherService.watchDirectory(dirPath, conservativeOptions);
+        // MEMORY LEAK FIX: Store listener references for proper cleanup
+        const fileChangeHandler = (data) => {
             const windows = BrowserWindow.getAllWindows();
             windows.forEach(window => {
                 if (!window.isDestroyed()) {
                     window.webContents.send('file:change', data);
                 }
             });
-        });
-        fileWatcherService.on('batch:change', (data) => {
+        };
+        const batchChangeHandler = (data) => {
             const windows = BrowserWindow.getAllWindows();
             windows.forEach(window => {
                 if (!window.isDestroyed()) {
                     window.webContents.send('batch:change', data);
                 }
             });
-        });
+        };
+        // Remove any existing listeners to prevent accumulation
+        fileWatcherService.removeAllListeners('file:change');
+        fileWatcherService.removeAllListeners('batch:change');
+        // Add new listeners
+        fileWatcherService.on('file:change', fileChangeHandler);
+        fileWatcherService.on('batch:change', batchChangeHandler);
         return { success: true };
     }
     catch (error) {
@@ -781,6 +932,63 @@ ipcMain.handle('fileWatcher:indexFile', async (event, filePath) => {
         return { success: false, error: error instanceof Error ? error.message : String(error) };
     }
 });
+// GRACEFUL FALLBACK: IPC handlers for fallback mode
+ipcMain.handle('fileWatcher:getFallbackStatus', async (event) => {
+    try {
+        const status = fileWatcherService.getFallbackStatus();
+        return { success: true, data: status };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('fileWatcher:resetFallback', async (event) => {
+    try {
+        fileWatcherService.resetFallbackMode();
+        return { success: true };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+// MANUAL REFRESH: IPC handlers for manual file system refresh
+ipcMain.handle('fileWatcher:manualRefresh', async (event, dirPath) => {
+    try {
+        const result = await fileWatcherService.manualRefresh(dirPath);
+        return { success: true, data: result };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('fileWatcher:manualRefreshAll', async (event) => {
+    try {
+        const results = await fileWatcherService.manualRefreshAll();
+        return { success: true, data: results };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+// USER SETTINGS: IPC handlers for file watching configuration
+ipcMain.handle('fileWatcher:getConfiguration', async (event) => {
+    try {
+        const config = fileWatcherService.getWatchingConfiguration();
+        return { success: true, data: config };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('fileWatcher:setConfiguration', async (event, config) => {
+    try {
+        fileWatcherService.setWatchingConfiguration(config);
+        return { success: true };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
 ipcMain.handle('fileWatcher:getStats', () => {
     try {
         const stats = fileWatcherService.getStatistics();
@@ -961,39 +1169,76 @@ ipcMain.handle('store:getHomePath', () => {
     return app.getPath('home');
 });
 // Session operations
-ipcMain.handle('claude:listSessions', async () => {
+ipcMain.handle('claude:listSessions', async (event, workspacePath) => {
     try {
-        // For now, return mock data. In a real implementation, this would read from session storage
-        return {
-            success: true,
-            sessions: [
-                {
-                    id: 'session-1',
-                    name: 'Previous Session',
-                    timestamp: new Date(Date.now() - 3600000).toISOString(),
-                    messageCount: 15,
-                    duration: 1800000,
-                    preview: 'Working on implementing the context system...'
-                },
-                {
-                    id: 'session-2',
-                    name: 'Older Session',
-                    timestamp: new Date(Date.now() - 86400000).toISOString(),
-                    messageCount: 25,
-                    duration: 3600000,
-                    preview: 'Fixed the memory issue with the knowledge base...'
-                }
-            ]
-        };
+        const targetPath = workspacePath || store.get('workspacePath');
+        if (!targetPath) {
+            return { success: true, sessions: [] };
+        }
+        const sessions = await claudeSessionHistory.listSessions(targetPath);
+        return { success: true, sessions };
     }
     catch (error) {
         return { success: false, error: error instanceof Error ? error.message : String(error) };
     }
 });
-ipcMain.handle('claude:resumeSession', async (event, instanceId, sessionId) => {
+ipcMain.handle('claude:resumeSession', async (event, instanceId, sessionId, workspacePath, instanceName) => {
     try {
-        // For now, just return success. In a real implementation, this would restore the session
-        return { success: true };
+        const targetPath = workspacePath || store.get('workspacePath');
+        if (!targetPath) {
+            return { success: false, error: 'No workspace selected' };
+        }
+        const session = await claudeSessionHistory.getSession(targetPath, sessionId);
+        if (!session) {
+            return { success: false, error: `Session ${sessionId} not found` };
+        }
+        // Stop the instance first if it is running, so it can be restarted on the session
+        const existingPty = claudeInstances.get(instanceId);
+        if (existingPty) {
+            await new Promise((resolve) => {
+                const timeout = setTimeout(resolve, 3000);
+                existingPty.onExit(() => {
+                    clearTimeout(timeout);
+                    resolve();
+                });
+                existingPty.kill();
+            });
+            claudeInstances.delete(instanceId);
+        }
+        const result = await startClaudeInstance(instanceId, session.workingDirectory || targetPath, instanceName, { command: 'claude', args: ['--resume', sessionId] });
+        return { ...result, sessionId };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('claude:searchSessions', async (event, query, workspacePath, limit) => {
+    try {
+        const targetPath = workspacePath || store.get('workspacePath');
+        if (!targetPath) {
+            return { success: true, results: [] };
+        }
+        const results = await claudeSessionSearch.search(targetPath, query, limit);
+        return { success: true, results };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+// Checkpoints taken automatically before an instance's file changes, newest first
+ipcMain.handle('claude:getCheckpointTimeline', async (event, instanceId, workspacePath) => {
+    try {
+        const timeline = await autoCheckpointService.getTimeline(instanceId, workspacePath);
+        return { success: true, timeline };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('claude:undoToCheckpoint', async (event, instanceId, checkpointId, workspacePath) => {
+    try {
+        const result = await autoCheckpointService.undo(instanceId, checkpointId, workspacePath);
+        return { success: true, ...result };
     }
     catch (error) {
         return { success: false, error: error instanceof Error ? error.message : String(error) };
@@ -1554,31 +1799,61 @@ ipcMain.handle('search:replaceAllInFile', async (event, options) => {
     }
 });
 // Terminal operations
-const terminals = new Map();
-ipcMain.handle('terminal:create', async (event, options) => {
-    const pty = await import('node-pty');
-    const { v4: uuidv4 } = await import('uuid');
-    try {
-        const id = uuidv4();
-        const shell = process.platform === 'win32' ? 'powershell.exe' : '/bin/bash';
-        const ptyProcess = pty.spawn(shell, [], {
-            name: 'xterm-color',
-            cols: options.cols || 80,
-            rows: options.rows || 24,
-            cwd: options.cwd || process.cwd(),
-            env: process.env
-        });
-        terminals.set(id, ptyProcess);
-        ptyProcess.onData((data) => {
-            mainWindow?.webContents.send(`terminal:data:${id}`, data);
-            // Also forward to remote clients if in hybrid mode
-            if (remoteServer) {
-                remoteServer.forwardDesktopTerminalData(id, data);
+// Desktop terminals live in the multiplexer, so they survive renderer reloads
+// and are respawned after a restart
+function setupTerminalMultiplexer() {
+    const multiplexer = TerminalMultiplexer.getInstance();
+    multiplexer.on('spawn', (id, { cols, rows, cwd }) => {
+        TerminalRecorder.getInstance().start('terminal', id, { cols, rows, cwd });
+    });
+    multiplexer.on('data', (id, data) => {
+        mainWindow?.webContents.send(`terminal:data:${id}`, data);
+        TerminalRecorder.getInstance().output('terminal', id, data);
+        // Also forward to remote clients if in hybrid mode
+        if (remoteServer) {
+            remoteServer.forwardDesktopTerminalData(id, data);
+        }
+    });
+    multiplexer.on('exit', (id, { exitCode, signal }) => {
+        TerminalRecorder.getInstance().stop('terminal', id);
+        mainWindow?.webContents.send(`terminal:exit:${id}`, { exitCode, signal });
+    });
+    // Only respawn terminals a view will reattach to; no view would ever show the others
+    const storedIds = getStoredTerminalIds();
+    const restored = multiplexer.restore(id => storedIds.has(id));
+    if (restored.length > 0) {
+        console.log(`Restored ${restored.length} terminal(s) from the last session`);
+    }
+}
+// Terminal IDs the renderer saved with its terminal tabs, per workspace and worktree
+function getStoredTerminalIds() {
+    const ids = new Set();
+    const collect = (instances) => {
+        if (!Array.isArray(instances))
+            return;
+        for (const instance of instances) {
+            if (typeof instance?.ptyProcessId === 'string') {
+                ids.add(instance.ptyProcessId);
             }
-        });
-        ptyProcess.onExit(({ exitCode, signal }) => {
-            terminals.delete(id);
-            mainWindow?.webContents.send(`terminal:exit:${id}`, { exitCode, signal });
+        }
+    };
+    const saved = store.store;
+    collect(saved.terminalInstances);
+    for (const [key, value] of Object.entries(saved)) {
+        if (key.startsWith('terminal-worktree-')) {
+            collect(value?.instances);
+        }
+    }
+    return ids;
+}
+ipcMain.handle('terminal:create', async (event, options) => {
+    try {
+        const id = TerminalMultiplexer.getInstance().create({
+            cols: options.cols,
+            rows: options.rows,
+            cwd: options.cwd,
+            env: options.env,
+            name: options.name
         });
         return { success: true, id };
     }
@@ -1587,37 +1862,135 @@ ipcMain.handle('terminal:create', async (event, options) => {
         throw error;
     }
 });
+// Reattach a view to a running terminal; returns its scrollback
+ipcMain.handle('terminal:attach', async (event, id) => {
+    const attached = TerminalMultiplexer.getInstance().attach(id);
+    if (attached) {
+        return { success: true, ...attached };
+    }
+    return { success: false, error: 'Terminal not found' };
+});
+ipcMain.handle('terminal:detach', async (event, id) => {
+    if (TerminalMultiplexer.getInstance().detach(id)) {
+        return { success: true };
+    }
+    return { success: false, error: 'Terminal not found' };
+});
+ipcMain.handle('terminal:list', async () => {
+    return TerminalMultiplexer.getInstance().list();
+});
 ipcMain.handle('terminal:write', async (event, id, data) => {
-    const terminal = terminals.get(id);
-    if (terminal) {
-        terminal.write(data);
+    if (TerminalMultiplexer.getInstance().write(id, data)) {
         return { success: true };
     }
     return { success: false, error: 'Terminal not found' };
 });
 ipcMain.handle('terminal:resize', async (event, id, cols, rows) => {
-    const terminal = terminals.get(id);
-    if (terminal) {
-        terminal.resize(cols, rows);
+    if (TerminalMultiplexer.getInstance().resize(id, cols, rows)) {
+        TerminalRecorder.getInstance().resize('terminal', id, cols, rows);
         return { success: true };
     }
     return { success: false, error: 'Terminal not found' };
 });
 ipcMain.handle('terminal:destroy', async (event, id) => {
-    const terminal = terminals.get(id);
-    if (terminal) {
-        terminal.kill();
-        terminals.delete(id);
+    if (TerminalMultiplexer.getInstance().destroy(id)) {
+        TerminalRecorder.getInstance().stop('terminal', id);
         return { success: true };
     }
     return { success: false, error: 'Terminal not found' };
 });
-// Clean up terminals on app quit
+// Save open terminals for the next start, then end them
 app.on('before-quit', () => {
-    for (const [id, terminal] of terminals) {
-        terminal.kill();
+    const multiplexer = TerminalMultiplexer.getInstance();
+    multiplexer.list().forEach(terminal => TerminalRecorder.getInstance().stop('terminal', terminal.id));
+    multiplexer.shutdown();
+});
+// Terminal recordings
+const replays = new Map();
+ipcMain.handle('recording:get-enabled', async () => {
+    return TerminalRecorder.getInstance().isEnabled();
+});
+ipcMain.handle('recording:set-enabled', async (event, enabled) => {
+    store.set('recordTerminalSessions', enabled);
+    TerminalRecorder.getInstance().setEnabled(enabled);
+    return { success: true };
+});
+// Start or stop recording a running terminal or Claude instance
+ipcMain.handle('recording:start', async (event, kind, id, options) => {
+    const running = kind === 'claude'
+        ? claudeInstances.get(id)
+        : TerminalMultiplexer.getInstance().list().find(terminal => terminal.id === id);
+    if (!running) {
+        return { success: false, error: kind === 'claude' ? `No Claude PTY running for instance ${id}` : 'Terminal not found' };
     }
-    terminals.clear();
+    const recordingId = TerminalRecorder.getInstance().start(kind, id, {
+        cols: options?.cols || running.cols,
+        rows: options?.rows || running.rows,
+        title: options?.title
+    }, true);
+    return { success: true, recordingId };
+});
+ipcMain.handle('recording:stop', async (event, kind, id) => {
+    const recordingId = TerminalRecorder.getInstance().stop(kind, id);
+    return recordingId ? { success: true, recordingId } : { success: false, error: 'Not recording' };
+});
+ipcMain.handle('recording:list', async () => {
+    try {
+        return { success: true, recordings: await TerminalRecorder.getInstance().list() };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('recording:delete', async (event, recordingId) => {
+    try {
+        await TerminalRecorder.getInstance().delete(recordingId);
+        return { success: true };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+// Play a recording back through terminal:data:<replayId>, so an xterm can show
+// it like a live terminal. Position, speed and size go to terminal:replay-state:<replayId>.
+// Playback starts paused, so the renderer can subscribe before sending 'play'.
+ipcMain.handle('recording:replay', async (event, recordingId) => {
+    try {
+        const recording = await TerminalRecorder.getInstance().load(recordingId);
+        const { v4: uuidv4 } = await import('uuid');
+        const replayId = `replay-${uuidv4()}`;
+        const sender = event.sender;
+        const send = (channel, payload) => {
+            if (sender.isDestroyed()) {
+                replays.get(replayId)?.stop();
+                replays.delete(replayId);
+                return;
+            }
+            sender.send(channel, payload);
+        };
+        const replay = new RecordingReplay(recording, {
+            data: data => send(`terminal:data:${replayId}`, data),
+            state: state => send(`terminal:replay-state:${replayId}`, state)
+        });
+        replays.set(replayId, replay);
+        return { success: true, replayId, state: replay.getState() };
+    }
+    catch (error) {
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('recording:replay-control', async (event, replayId, action, value) => {
+    const replay = replays.get(replayId);
+    if (!replay) {
+        return { success: false, error: 'Replay not found' };
+    }
+    if (!replay.control(action, value)) {
+        return { success: false, error: `Unknown replay action: ${action}` };
+    }
+    if (action === 'stop') {
+        replays.delete(replayId);
+    }
+    return { success: true, state: replay.getState() };
 });
 // Ghost text handler (for inline AI suggestions)
 ipcMain.handle('autocomplete:getGhostText', async (event, { prefix, suffix, forceManual = false }) => {
@@ -1758,6 +2131,115 @@ ipcMain.handle('lsp:getDiagnostics', async (event, params) => {
         return { success: false, error: error instanceof Error ? error.message : String(error) };
     }
 });
+ipcMain.handle('lsp:getDefinition', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const definition = await lspManager.getDefinition(params.filepath, params.content, params.position);
+        return { success: true, definition };
+    }
+    catch (error) {
+        console.error('LSP definition error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('lsp:getReferences', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const references = await lspManager.getReferences(params.filepath, params.content, params.position, params.includeDeclaration ?? true);
+        return { success: true, references };
+    }
+    catch (error) {
+        console.error('LSP references error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('lsp:getSignatureHelp', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const signatureHelp = await lspManager.getSignatureHelp(params.filepath, params.content, params.position, params.context);
+        return { success: true, signatureHelp };
+    }
+    catch (error) {
+        console.error('LSP signature help error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('lsp:getDocumentSymbols', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const symbols = await lspManager.getDocumentSymbols(params.filepath, params.content);
+        return { success: true, symbols };
+    }
+    catch (error) {
+        console.error('LSP document symbols error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('lsp:getWorkspaceSymbols', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const symbols = await lspManager.getWorkspaceSymbols(params.query, params.filepath);
+        return { success: true, symbols };
+    }
+    catch (error) {
+        console.error('LSP workspace symbols error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+// Renames across files; changed files are written and listed with their new content
+ipcMain.handle('lsp:rename', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const result = await lspManager.renameSymbol(params.filepath, params.content, params.position, params.newName, params.apply ?? true);
+        return { success: true, ...result };
+    }
+    catch (error) {
+        console.error('LSP rename error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('lsp:applyWorkspaceEdit', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const result = await lspManager.applyWorkspaceEdit(params.edit, params.contents);
+        if (!result.applied) {
+            return { success: false, error: result.failureReason, files: result.files };
+        }
+        return { success: true, files: result.files };
+    }
+    catch (error) {
+        console.error('LSP apply edit error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('lsp:formatDocument', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const formatted = await lspManager.formatDocument(params.filepath, params.content, params.options);
+        if (!formatted) {
+            return { success: false, error: 'No language server can format this file' };
+        }
+        return { success: true, ...formatted };
+    }
+    catch (error) {
+        console.error('LSP formatting error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
+ipcMain.handle('lsp:formatRange', async (event, params) => {
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const formatted = await lspManager.formatRange(params.filepath, params.content, params.range, params.options);
+        if (!formatted) {
+            return { success: false, error: 'No language server can format this file' };
+        }
+        return { success: true, ...formatted };
+    }
+    catch (error) {
+        console.error('LSP range formatting error:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
 // LSP Installation handlers
 ipcMain.handle('lsp:install', async (event, params) => {
     try {
@@ -2064,6 +2546,22 @@ Remember: Return ONLY the complete code for the file. No explanations. No markdo
 });
 // Clean up Claude instances on app quit
 app.on('before-quit', async () => {
+    // MEMORY LEAK FIX: Clean up all event listeners first
+    try {
+        fileWatcherService.removeAllListeners();
+        console.log('File watcher event listeners cleaned up');
+    }
+    catch (error) {
+        console.error('Error cleaning up file watcher listeners:', error);
+    }
+    // Shutdown file watchers
+    try {
+        await fileWatcherService.stopAll();
+        console.log('File watchers stopped successfully');
+    }
+    catch (error) {
+        console.error('Failed to stop file watchers:', error);
+    }
     // Shutdown LSP servers
     try {
         const { lspManager } = await import('./lsp-manager.js');
@@ -2358,7 +2856,16 @@ ipcMain.handle('mcp:test', async (event, config) => {
 // Lightweight Context Handlers
 ipcMain.handle('context:initialize', async (event, workspacePath) => {
     try {
-        await lightweightContext.initialize(workspacePath);
+        const context = await workspaceContextManager.getOrCreateContext(workspacePath);
+        // Set up file change notifications to frontend for this workspace
+        context.onFileChange((eventType, filePath) => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('context:file-changed', { event: eventType, filePath });
+            }
+            dependencyGraph.handleFileEvent(workspacePath, eventType, filePath).catch(error => {
+                console.warn('[Main] Failed to update dependency graph:', error);
+            });
+        });
         return { success: true };
     }
     catch (error) {
@@ -2370,7 +2877,11 @@ ipcMain.handle('context:initialize', async (event, workspacePath) => {
 });
 ipcMain.handle('context:searchFiles', async (event, query, limit = 20) => {
     try {
-        const results = await lightweightContext.searchFiles(query, limit);
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const results = await context.searchFiles(query, limit);
         return { success: true, results };
     }
     catch (error) {
@@ -2382,7 +2893,11 @@ ipcMain.handle('context:searchFiles', async (event, query, limit = 20) => {
 });
 ipcMain.handle('context:buildContext', async (event, query, workingFiles, maxTokens = 2000) => {
     try {
-        const context = await lightweightContext.buildContext(query, workingFiles, maxTokens);
+        const contextInstance = workspaceContextManager.getCurrentContext();
+        if (!contextInstance) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const context = await contextInstance.buildContext(query, workingFiles, maxTokens);
         return { success: true, context };
     }
     catch (error) {
@@ -2394,8 +2909,13 @@ ipcMain.handle('context:buildContext', async (event, query, workingFiles, maxTok
 });
 ipcMain.handle('context:getStatistics', async (event) => {
     try {
-        const statistics = lightweightContext.getStatistics();
-        return { success: true, statistics };
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const statistics = context.getStatistics();
+        const tokens = await context.getTokenStatistics();
+        return { success: true, statistics: statistics && { ...statistics, tokens } };
     }
     catch (error) {
         return {
@@ -2404,9 +2924,30 @@ ipcMain.handle('context:getStatistics', async (event) => {
         };
     }
 });
+// Import graph queries: importers, imports, dependents, dependencies, cycles, stats
+ipcMain.handle('context:queryDependencies', async (event, query) => {
+    try {
+        const workspacePath = workspaceContextManager.getCurrentWorkspacePath();
+        if (!workspacePath) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const result = await dependencyGraph.query(workspacePath, query);
+        return { success: true, result };
+    }
+    catch (error) {
+        return {
+            success: false,
+            error: error instanceof Error ? error.message : 'Failed to query dependencies'
+        };
+    }
+});
 ipcMain.handle('context:getFileContent', async (event, filePath) => {
     try {
-        const content = await lightweightContext.getFileContent(filePath);
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const content = await context.getFileContent(filePath);
         return { success: true, content };
     }
     catch (error) {
@@ -2418,7 +2959,11 @@ ipcMain.handle('context:getFileContent', async (event, filePath) => {
 });
 ipcMain.handle('context:getRecentFiles', async (event, hours = 24) => {
     try {
-        const files = lightweightContext.getRecentFiles(hours);
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const files = context.getRecentFiles(hours);
         return { success: true, files };
     }
     catch (error) {
@@ -2430,7 +2975,11 @@ ipcMain.handle('context:getRecentFiles', async (event, hours = 24) => {
 });
 ipcMain.handle('context:rescan', async (event) => {
     try {
-        await lightweightContext.scanWorkspace();
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        await context.scanWorkspace();
         return { success: true };
     }
     catch (error) {
@@ -2442,7 +2991,11 @@ ipcMain.handle('context:rescan', async (event) => {
 });
 ipcMain.handle('context:startWatching', async (event) => {
     try {
-        lightweightContext.startWatching();
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        context.startWatching();
         return { success: true };
     }
     catch (error) {
@@ -2454,7 +3007,11 @@ ipcMain.handle('context:startWatching', async (event) => {
 });
 ipcMain.handle('context:stopWatching', async (event) => {
     try {
-        lightweightContext.stopWatching();
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        context.stopWatching();
         return { success: true };
     }
     catch (error) {
@@ -2464,16 +3021,67 @@ ipcMain.handle('context:stopWatching', async (event) => {
         };
     }
 });
-// Set up file change notifications to frontend
-lightweightContext.onFileChange((event, filePath) => {
-    if (mainWindow) {
-        mainWindow.webContents.send('context:file-changed', { event, filePath });
+// Memory leak detection and monitoring handlers
+ipcMain.handle('context:detectMemoryLeaks', async (event) => {
+    try {
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const leakReport = context.detectMemoryLeaks();
+        return { success: true, leakReport };
+    }
+    catch (error) {
+        return {
+            success: false,
+            error: error instanceof Error ? error.message : 'Failed to detect memory leaks'
+        };
+    }
+});
+ipcMain.handle('context:getMemoryStats', async (event) => {
+    try {
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const memoryStats = context.getMemoryStats();
+        const managerStats = workspaceContextManager.getStats();
+        return {
+            success: true,
+            memoryStats,
+            managerStats
+        };
+    }
+    catch (error) {
+        return {
+            success: false,
+            error: error instanceof Error ? error.message : 'Failed to get memory stats'
+        };
     }
 });
+ipcMain.handle('context:forceCleanup', async (event) => {
+    try {
+        const context = workspaceContextManager.getCurrentContext();
+        if (!context) {
+            return { success: false, error: 'No workspace context available' };
+        }
+        const removedCount = context.forceCleanup();
+        return { success: true, removedCount };
+    }
+    catch (error) {
+        return {
+            success: false,
+            error: error instanceof Error ? error.message : 'Failed to force cleanup'
+        };
+    }
+});
+// Set up file change notifications to frontend - handled by individual contexts now
+// This will be set up when workspaces are initialized
 // Context optimization handlers
-ipcMain.handle('context:analyzeUsage', async (event, messages, currentContext) => {
+ipcMain.handle('context:analyzeUsage', async (event, messages, currentContext, model) => {
     try {
-        const analysis = contextOptimizer.analyzeContextUsage(messages, currentContext);
+        await tokenCounter.ready(model);
+        const analysis = contextOptimizer.analyzeContextUsage(messages, currentContext, model);
         return { success: true, analysis };
     }
     catch (error) {
@@ -2483,9 +3091,21 @@ ipcMain.handle('context:analyzeUsage', async (event, messages, currentContext) =
         };
     }
 });
-ipcMain.handle('context:buildOptimized', async (event, query, workingFiles, maxTokens) => {
+ipcMain.handle('context:setModel', async (event, model) => {
+    try {
+        const profile = contextOptimizer.setModel(model);
+        return { success: true, profile };
+    }
+    catch (error) {
+        return {
+            success: false,
+            error: error instanceof Error ? error.message : 'Failed to set model'
+        };
+    }
+});
+ipcMain.handle('context:buildOptimized', async (event, query, workingFiles, maxTokens, options) => {
     try {
-        const result = await contextOptimizer.buildOptimizedContext(query, workingFiles, maxTokens);
+        const result = await contextOptimizer.buildOptimizedContext(query, workingFiles, maxTokens, options);
         return { success: true, ...result };
     }
     catch (error) {
@@ -2652,6 +3272,8 @@ ipcMain.handle('workspace:setPath', async (event, workspacePath) => {
         catch (error) {
             console.error('[Main] Error updating GitHooksManagerGlobal:', error);
         }
+        // Point the agent journal at the new workspace and check it for interrupted transactions
+        agentExecutor?.updateWorkspacePath(workspacePath);
         // Initialize snapshot service for workspace
         // IMPORTANT: Always use the main repository path for snapshots, not worktree paths
         let snapshotProjectPath = workspacePath;
@@ -2793,13 +3415,33 @@ ipcMain.handle('relay:disconnect', async () => {
     }
     return { success: true };
 });
+ipcMain.handle('relay:setSessionName', async (event, name) => {
+    if (!relayClient) {
+        relayClient = new RelayClient(process.env.RELAY_URL || 'wss://relay.clode.studio');
+    }
+    relayClient.setSessionName(name);
+    // Register under the new name right away if we are connected
+    if (!relayClient.isConnected()) {
+        return { success: true };
+    }
+    try {
+        const info = await relayClient.reconnect();
+        return { success: true, info };
+    }
+    catch (error) {
+        return {
+            success: false,
+            error: error instanceof Error ? error.message : 'Failed to reconnect to relay'
+        };
+    }
+});
 // Store token when QR code is generated
 ipcMain.handle('remote:store-token', async (event, args) => {
     if (!remoteServer) {
         throw new Error('Remote server not initialized');
     }
-    const { token, deviceId, deviceName, pairingCode, expiresAt } = args;
-    remoteServer.storeToken(token, deviceId, deviceName, pairingCode, expiresAt);
+    const { token, deviceId, deviceName, pairingCode, expiresAt, scope } = args;
+    remoteServer.storeToken(token, deviceId, deviceName, pairingCode, expiresAt, resolvePermissionScope(scope));
     return { success: true };
 });
 // Get active remote connections
@@ -2830,6 +3472,35 @@ ipcMain.handle('remote:disconnect-device', async (event, sessionId) => {
     }
     return remoteServer.disconnectDevice(sessionId);
 });
+// Query the audit log of remote actions, newest first
+ipcMain.handle('remote:query-audit-log', async (event, filter) => {
+    return RemoteAuditLog.getInstance().query(filter);
+});
+// Check the audit log's hash chain for edits
+ipcMain.handle('remote:verify-audit-log', async () => {
+    return RemoteAuditLog.getInstance().verify();
+});
+// Export the audit log as JSONL, asking for a destination if none is given
+ipcMain.handle('remote:export-audit-log', async (event, filePath, filter) => {
+    try {
+        if (!filePath) {
+            const result = await dialog.showSaveDialog(mainWindow, {
+                defaultPath: `remote-audit-${new Date().toISOString().slice(0, 10)}.jsonl`,
+                filters: [{ name: 'JSON Lines', extensions: ['jsonl'] }]
+            });
+            if (result.canceled || !result.filePath) {
+                return { success: false, canceled: true };
+            }
+            filePath = result.filePath;
+        }
+        const entries = await RemoteAuditLog.getInstance().exportJsonl(filePath, filter);
+        return { success: true, path: filePath, entries };
+    }
+    catch (error) {
+        console.error('Failed to export audit log:', error);
+        return { success: false, error: error instanceof Error ? error.message : String(error) };
+    }
+});
 // Load persisted token from workspace
 ipcMain.handle('remote:load-persisted-token', async () => {
     const workspacePath = store.get('workspacePath');
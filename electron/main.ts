@@ -12,9 +12,14 @@ import { watch as chokidarWatch } from 'chokidar';
 import { homedir } from 'os';
 import { claudeCodeService } from './claude-sdk-service.js';
 import { workspaceContextManager } from './workspace-context-manager.js';
-import { contextOptimizer } from './context-optimizer.js';
+import { contextOptimizer, BuildContextOptions } from './context-optimizer.js';
+import { tokenCounter } from './token-counter.js';
+import { dependencyGraph, DependencyQuery } from './dependency-graph.js';
 import { workspacePersistence } from './workspace-persistence.js';
 import { searchWithRipgrep } from './search-ripgrep.js';
+import { claudeSessionHistory } from './claude-session-history.js';
+import { claudeSessionSearch } from './claude-session-search.js';
+import { autoCheckpointService } from './auto-checkpoint-service.js';
 import { claudeSettingsManager as importedClaudeSettingsManager } from './claude-settings-manager.js';
 import { ClaudeDetector } from './claude-detector.js';
 import { fileWatcherService } from './file-watcher.js';
@@ -27,10 +32,16 @@ import { GitHooksManagerGlobal } from './git-hooks-manager-global.js';
 import { GitHooksManager } from './git-hooks.js';
 import { SnapshotService } from './snapshot-service.js';
 import { setupGitTimelineHandlers } from './git-timeline-handlers.js';
+import { setupGitCheckpointHandlers } from './git-checkpoint-handlers.js';
 import { ghostTextService } from './ghost-text-service.js';
+import { AgentExecutor } from './agent-executor.js';
 // LocalDatabase removed - SQLite not actively used
 import { getModeManager, MainProcessMode } from './services/mode-config.js';
 import { RemoteServer } from './services/remote-server.js';
+import { resolvePermissionScope } from './services/remote-permissions.js';
+import { RemoteAuditLog, RemoteAuditQuery } from './services/remote-audit-log.js';
+import { TerminalRecorder, RecordingKind, RecordingReplay, ReplayAction } from './services/terminal-recorder.js';
+import { TerminalMultiplexer } from './services/terminal-multiplexer.js';
 import { ClaudeSettingsManager } from './services/claude-settings-manager.js';
 import { CloudflareTunnel } from './services/cloudflare-tunnel.js';
 import { RelayClient } from './services/relay-client.js';
@@ -97,6 +108,7 @@ const modeManager = getModeManager();
 let remoteServer: RemoteServer | null = null;
 let cloudflareTunnel: CloudflareTunnel | null = null;
 let relayClient: RelayClient | null = null;
+let agentExecutor: AgentExecutor | null = null;
 
 // Claude settings manager
 const claudeSettingsManager = importedClaudeSettingsManager;
@@ -197,7 +209,12 @@ const startNuxtServer = async (): Promise<void> => {
 };
 
 // Clean up server on quit
+// Set once cleanup has started, so the app.quit() below isn't intercepted again
+let isQuitting = false;
+
 app.on('before-quit', async (event) => {
+  if (isQuitting) return;
+  isQuitting = true;
   event.preventDefault(); // Prevent immediate quit
   
   if (serverProcess) {
@@ -262,6 +279,11 @@ function createWindow() {
 
   mainWindow.loadURL(nuxtURL);
 
+  // A reload drops the views of all terminals; they reattach when remounted
+  mainWindow.webContents.on('did-start-loading', () => {
+    TerminalMultiplexer.getInstance().detachAll();
+  });
+
   mainWindow.once('ready-to-show', () => {
     mainWindow?.show();
     if (isDev) {
@@ -290,6 +312,7 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
+    agentExecutor?.setMainWindow(null);
     // Clean up all Claude instances
     claudeInstances.forEach((pty, instanceId) => {
       pty.kill();
@@ -321,6 +344,8 @@ app.whenReady().then(async () => {
   GitServiceManager.getInstance();
   WorktreeManagerGlobal.getInstance();
   GitHooksManagerGlobal.getInstance();
+  TerminalRecorder.getInstance().setEnabled((store as any).get('recordTerminalSessions') === true);
+  setupTerminalMultiplexer();
   
   // LocalDatabase removed - SQLite not actively used
   const workspacePath = (store as any).get('workspacePath');
@@ -331,7 +356,26 @@ app.whenReady().then(async () => {
   // Setup Git Timeline handlers
   setupGitTimelineHandlers();
 
+  // Setup git-native checkpoint handlers
+  setupGitCheckpointHandlers();
+
+  // Agent Mode executor; it scans the workspace journal for transactions
+  // interrupted by a crash as soon as it is constructed
+  agentExecutor = new AgentExecutor(workspacePath || process.cwd());
+
+  // Checkpoint before every Claude file change, through a PreToolUse hook
+  try {
+    await autoCheckpointService.start();
+    await claudeSettingsManager.ensureHook(autoCheckpointService.getHook());
+    autoCheckpointService.onCheckpointCreated(entry => {
+      mainWindow?.webContents.send('claude:checkpoint:created', entry);
+    });
+  } catch (error) {
+    console.error('Failed to start automatic checkpoints:', error);
+  }
+
   createWindow();
+  agentExecutor.setMainWindow(mainWindow);
   
   // Set up periodic cleanup of orphaned pending output (every 5 minutes)
   setInterval(() => {
@@ -574,6 +618,7 @@ app.whenReady().then(async () => {
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
+      agentExecutor?.setMainWindow(mainWindow);
       // After creating new window, update remote server reference
       if (remoteServer && mainWindow) {
         // Give window time to be ready
@@ -594,7 +639,7 @@ app.on('window-all-closed', () => {
 });
 
 // Claude Process Management using PTY with multi-instance support
-ipcMain.handle('claude:start', async (event, instanceId: string, workingDirectory: string, instanceName?: string, runConfig?: { command?: string; args?: string[] }) => {
+async function startClaudeInstance(instanceId: string, workingDirectory: string, instanceName?: string, runConfig?: { command?: string; args?: string[] }) {
   if (claudeInstances.has(instanceId)) {
     // Instance already running - return success with existing PID
     const existingPty = claudeInstances.get(instanceId);
@@ -672,6 +717,8 @@ ipcMain.handle('claude:start', async (event, instanceId: string, workingDirector
           CLAUDE_INSTANCE_ID: instanceId,
           CLAUDE_INSTANCE_NAME: instanceName || `Claude-${instanceId.slice(7, 15)}`, // Use provided name or short ID
           CLAUDE_IDE_INSTANCE: 'true',
+          // Lets the auto-checkpoint hook reach the IDE
+          ...autoCheckpointService.getEnv(),
           // Force PTY mode to ensure Claude uses the PTY for I/O
           FORCE_TTY: '1'
         },
@@ -689,6 +736,12 @@ ipcMain.handle('claude:start', async (event, instanceId: string, workingDirector
 
     // Store this instance
     claudeInstances.set(instanceId, claudePty);
+    TerminalRecorder.getInstance().start('claude', instanceId, {
+      cols: 80,
+      rows: 30,
+      title: instanceName || instanceId,
+      cwd: workingDirectory
+    });
 
     // Capture initial output for debugging
     let initialOutput = '';
@@ -740,6 +793,8 @@ ipcMain.handle('claude:start', async (event, instanceId: string, workingDirector
         }, 500);
       }
       
+      TerminalRecorder.getInstance().output('claude', instanceId, data);
+      
       // Send data with instance ID to all windows (reduced logging)
       const windows = BrowserWindow.getAllWindows();
       
@@ -791,7 +846,11 @@ ipcMain.handle('claude:start', async (event, instanceId: string, workingDirector
           window.webContents.send(`claude:exit:${instanceId}`, exitCode);
         }
       });
-      claudeInstances.delete(instanceId);
+      // The instance may already have been restarted (e.g. when resuming a session)
+      if (claudeInstances.get(instanceId) === claudePty) {
+        claudeInstances.delete(instanceId);
+        TerminalRecorder.getInstance().stop('claude', instanceId);
+      }
       
       // Clean up MCP server configuration
       try {
@@ -836,6 +895,10 @@ ipcMain.handle('claude:start', async (event, instanceId: string, workingDirector
     console.error(`Failed to start Claude for ${instanceId}:`, error);
     return { success: false, error: error instanceof Error ? error.message : String(error) };
   }
+}
+
+ipcMain.handle('claude:start', async (event, instanceId: string, workingDirectory: string, instanceName?: string, runConfig?: { command?: string; args?: string[] }) => {
+  return startClaudeInstance(instanceId, workingDirectory, instanceName, runConfig);
 });
 
 ipcMain.handle('claude:send', async (event, instanceId: string, command: string) => {
@@ -860,6 +923,7 @@ ipcMain.handle('claude:stop', async (event, instanceId: string) => {
   if (claudePty) {
     claudePty.kill();
     claudeInstances.delete(instanceId);
+    TerminalRecorder.getInstance().stop('claude', instanceId);
     // Clean up pending output for this instance
     if (global.pendingClaudeOutput?.has(instanceId)) {
       console.log(`Cleaning up pending output for stopped instance ${instanceId}`);
@@ -909,6 +973,7 @@ ipcMain.handle('claude:resize', async (event, instanceId: string, cols: number,
   if (claudePty) {
     try {
       claudePty.resize(cols, rows);
+      TerminalRecorder.getInstance().resize('claude', instanceId, cols, rows);
       return { success: true };
     } catch (error) {
       console.error(`Failed to resize PTY for ${instanceId}:`, error);
@@ -1257,39 +1322,86 @@ ipcMain.handle('store:getHomePath', () => {
 });
 
 // Session operations
-ipcMain.handle('claude:listSessions', async () => {
+ipcMain.handle('claude:listSessions', async (event, workspacePath?: string) => {
   try {
-    // For now, return mock data. In a real implementation, this would read from session storage
-    return {
-      success: true,
-      sessions: [
-        {
-          id: 'session-1',
-          name: 'Previous Session',
-          timestamp: new Date(Date.now() - 3600000).toISOString(),
-          messageCount: 15,
-          duration: 1800000,
-          preview: 'Working on implementing the context system...'
-        },
-        {
-          id: 'session-2',
-          name: 'Older Session',
-          timestamp: new Date(Date.now() - 86400000).toISOString(),
-          messageCount: 25,
-          duration: 3600000,
-          preview: 'Fixed the memory issue with the knowledge base...'
-        }
-      ]
-    };
+    const targetPath = workspacePath || (store as any).get('workspacePath');
+    if (!targetPath) {
+      return { success: true, sessions: [] };
+    }
+
+    const sessions = await claudeSessionHistory.listSessions(targetPath);
+    return { success: true, sessions };
   } catch (error) {
     return { success: false, error: error instanceof Error ? error.message : String(error) };
   }
 });
 
-ipcMain.handle('claude:resumeSession', async (event, instanceId: string, sessionId: string) => {
+ipcMain.handle('claude:resumeSession', async (event, instanceId: string, sessionId: string, workspacePath?: string, instanceName?: string) => {
   try {
-    // For now, just return success. In a real implementation, this would restore the session
-    return { success: true };
+    const targetPath = workspacePath || (store as any).get('workspacePath');
+    if (!targetPath) {
+      return { success: false, error: 'No workspace selected' };
+    }
+
+    const session = await claudeSessionHistory.getSession(targetPath, sessionId);
+    if (!session) {
+      return { success: false, error: `Session ${sessionId} not found` };
+    }
+
+    // Stop the instance first if it is running, so it can be restarted on the session
+    const existingPty = claudeInstances.get(instanceId);
+    if (existingPty) {
+      await new Promise<void>((resolve) => {
+        const timeout = setTimeout(resolve, 3000);
+        existingPty.onExit(() => {
+          clearTimeout(timeout);
+          resolve();
+        });
+        existingPty.kill();
+      });
+      claudeInstances.delete(instanceId);
+    }
+
+    const result = await startClaudeInstance(
+      instanceId,
+      session.workingDirectory || targetPath,
+      instanceName,
+      { command: 'claude', args: ['--resume', sessionId] }
+    );
+    return { ...result, sessionId };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('claude:searchSessions', async (event, query: string, workspacePath?: string, limit?: number) => {
+  try {
+    const targetPath = workspacePath || (store as any).get('workspacePath');
+    if (!targetPath) {
+      return { success: true, results: [] };
+    }
+
+    const results = await claudeSessionSearch.search(targetPath, query, limit);
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+// Checkpoints taken automatically before an instance's file changes, newest first
+ipcMain.handle('claude:getCheckpointTimeline', async (event, instanceId: string, workspacePath?: string) => {
+  try {
+    const timeline = await autoCheckpointService.getTimeline(instanceId, workspacePath);
+    return { success: true, timeline };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('claude:undoToCheckpoint', async (event, instanceId: string, checkpointId?: string, workspacePath?: string) => {
+  try {
+    const result = await autoCheckpointService.undo(instanceId, checkpointId, workspacePath);
+    return { success: true, ...result };
   } catch (error) {
     return { success: false, error: error instanceof Error ? error.message : String(error) };
   }
@@ -1912,40 +2024,69 @@ ipcMain.handle('search:replaceAllInFile', async (event, options) => {
 });
 
 // Terminal operations
-const terminals = new Map<string, any>();
+// Desktop terminals live in the multiplexer, so they survive renderer reloads
+// and are respawned after a restart
+function setupTerminalMultiplexer() {
+  const multiplexer = TerminalMultiplexer.getInstance();
 
-ipcMain.handle('terminal:create', async (event, options) => {
-  const pty = await import('node-pty');
-  const { v4: uuidv4 } = await import('uuid');
+  multiplexer.on('spawn', (id: string, { cols, rows, cwd }: { cols: number; rows: number; cwd: string }) => {
+    TerminalRecorder.getInstance().start('terminal', id, { cols, rows, cwd });
+  });
 
-  try {
-    const id = uuidv4();
-    const shell = process.platform === 'win32' ? 'powershell.exe' : '/bin/bash';
+  multiplexer.on('data', (id: string, data: string) => {
+    mainWindow?.webContents.send(`terminal:data:${id}`, data);
+    TerminalRecorder.getInstance().output('terminal', id, data);
+    
+    // Also forward to remote clients if in hybrid mode
+    if (remoteServer) {
+      remoteServer.forwardDesktopTerminalData(id, data);
+    }
+  });
 
-    const ptyProcess = pty.spawn(shell, [], {
-      name: 'xterm-color',
-      cols: options.cols || 80,
-      rows: options.rows || 24,
-      cwd: options.cwd || process.cwd(),
-      env: process.env as any
-    });
+  multiplexer.on('exit', (id: string, { exitCode, signal }: { exitCode: number; signal?: number }) => {
+    TerminalRecorder.getInstance().stop('terminal', id);
+    mainWindow?.webContents.send(`terminal:exit:${id}`, { exitCode, signal });
+  });
 
-    terminals.set(id, ptyProcess);
+  // Only respawn terminals a view will reattach to; no view would ever show the others
+  const storedIds = getStoredTerminalIds();
+  const restored = multiplexer.restore(id => storedIds.has(id));
+  if (restored.length > 0) {
+    console.log(`Restored ${restored.length} terminal(s) from the last session`);
+  }
+}
 
-    ptyProcess.onData((data) => {
-      mainWindow?.webContents.send(`terminal:data:${id}`, data);
-      
-      // Also forward to remote clients if in hybrid mode
-      if (remoteServer) {
-        remoteServer.forwardDesktopTerminalData(id, data);
+// Terminal IDs the renderer saved with its terminal tabs, per workspace and worktree
+function getStoredTerminalIds(): Set<string> {
+  const ids = new Set<string>();
+  const collect = (instances: unknown) => {
+    if (!Array.isArray(instances)) return;
+    for (const instance of instances) {
+      if (typeof instance?.ptyProcessId === 'string') {
+        ids.add(instance.ptyProcessId);
       }
-    });
+    }
+  };
 
-    ptyProcess.onExit(({ exitCode, signal }) => {
-      terminals.delete(id);
-      mainWindow?.webContents.send(`terminal:exit:${id}`, { exitCode, signal });
-    });
+  const saved = (store as any).store as Record<string, any>;
+  collect(saved.terminalInstances);
+  for (const [key, value] of Object.entries(saved)) {
+    if (key.startsWith('terminal-worktree-')) {
+      collect(value?.instances);
+    }
+  }
+  return ids;
+}
 
+ipcMain.handle('terminal:create', async (event, options) => {
+  try {
+    const id = TerminalMultiplexer.getInstance().create({
+      cols: options.cols,
+      rows: options.rows,
+      cwd: options.cwd,
+      env: options.env,
+      name: options.name
+    });
     return { success: true, id };
   } catch (error) {
     console.error('Failed to create terminal:', error);
@@ -1953,40 +2094,149 @@ ipcMain.handle('terminal:create', async (event, options) => {
   }
 });
 
+// Reattach a view to a running terminal; returns its scrollback
+ipcMain.handle('terminal:attach', async (event, id: string) => {
+  const attached = TerminalMultiplexer.getInstance().attach(id);
+  if (attached) {
+    return { success: true, ...attached };
+  }
+  return { success: false, error: 'Terminal not found' };
+});
+
+ipcMain.handle('terminal:detach', async (event, id: string) => {
+  if (TerminalMultiplexer.getInstance().detach(id)) {
+    return { success: true };
+  }
+  return { success: false, error: 'Terminal not found' };
+});
+
+ipcMain.handle('terminal:list', async () => {
+  return TerminalMultiplexer.getInstance().list();
+});
+
 ipcMain.handle('terminal:write', async (event, id: string, data: string) => {
-  const terminal = terminals.get(id);
-  if (terminal) {
-    terminal.write(data);
+  if (TerminalMultiplexer.getInstance().write(id, data)) {
     return { success: true };
   }
   return { success: false, error: 'Terminal not found' };
 });
 
 ipcMain.handle('terminal:resize', async (event, id: string, cols: number, rows: number) => {
-  const terminal = terminals.get(id);
-  if (terminal) {
-    terminal.resize(cols, rows);
+  if (TerminalMultiplexer.getInstance().resize(id, cols, rows)) {
+    TerminalRecorder.getInstance().resize('terminal', id, cols, rows);
     return { success: true };
   }
   return { success: false, error: 'Terminal not found' };
 });
 
 ipcMain.handle('terminal:destroy', async (event, id: string) => {
-  const terminal = terminals.get(id);
-  if (terminal) {
-    terminal.kill();
-    terminals.delete(id);
+  if (TerminalMultiplexer.getInstance().destroy(id)) {
+    TerminalRecorder.getInstance().stop('terminal', id);
     return { success: true };
   }
   return { success: false, error: 'Terminal not found' };
 });
 
-// Clean up terminals on app quit
+// Save open terminals for the next start, then end them
 app.on('before-quit', () => {
-  for (const [id, terminal] of terminals) {
-    terminal.kill();
+  const multiplexer = TerminalMultiplexer.getInstance();
+  multiplexer.list().forEach(terminal => TerminalRecorder.getInstance().stop('terminal', terminal.id));
+  multiplexer.shutdown();
+});
+
+// Terminal recordings
+const replays = new Map<string, RecordingReplay>();
+
+ipcMain.handle('recording:get-enabled', async () => {
+  return TerminalRecorder.getInstance().isEnabled();
+});
+
+ipcMain.handle('recording:set-enabled', async (event, enabled: boolean) => {
+  (store as any).set('recordTerminalSessions', enabled);
+  TerminalRecorder.getInstance().setEnabled(enabled);
+  return { success: true };
+});
+
+// Start or stop recording a running terminal or Claude instance
+ipcMain.handle('recording:start', async (event, kind: RecordingKind, id: string, options?: { cols?: number; rows?: number; title?: string }) => {
+  const running = kind === 'claude'
+    ? claudeInstances.get(id)
+    : TerminalMultiplexer.getInstance().list().find(terminal => terminal.id === id);
+  if (!running) {
+    return { success: false, error: kind === 'claude' ? `No Claude PTY running for instance ${id}` : 'Terminal not found' };
+  }
+  const recordingId = TerminalRecorder.getInstance().start(kind, id, {
+    cols: options?.cols || running.cols,
+    rows: options?.rows || running.rows,
+    title: options?.title
+  }, true);
+  return { success: true, recordingId };
+});
+
+ipcMain.handle('recording:stop', async (event, kind: RecordingKind, id: string) => {
+  const recordingId = TerminalRecorder.getInstance().stop(kind, id);
+  return recordingId ? { success: true, recordingId } : { success: false, error: 'Not recording' };
+});
+
+ipcMain.handle('recording:list', async () => {
+  try {
+    return { success: true, recordings: await TerminalRecorder.getInstance().list() };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('recording:delete', async (event, recordingId: string) => {
+  try {
+    await TerminalRecorder.getInstance().delete(recordingId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
   }
-  terminals.clear();
+});
+
+// Play a recording back through terminal:data:<replayId>, so an xterm can show
+// it like a live terminal. Position, speed and size go to terminal:replay-state:<replayId>.
+// Playback starts paused, so the renderer can subscribe before sending 'play'.
+ipcMain.handle('recording:replay', async (event, recordingId: string) => {
+  try {
+    const recording = await TerminalRecorder.getInstance().load(recordingId);
+    const { v4: uuidv4 } = await import('uuid');
+    const replayId = `replay-${uuidv4()}`;
+    const sender = event.sender;
+
+    const send = (channel: string, payload: any) => {
+      if (sender.isDestroyed()) {
+        replays.get(replayId)?.stop();
+        replays.delete(replayId);
+        return;
+      }
+      sender.send(channel, payload);
+    };
+    const replay = new RecordingReplay(recording, {
+      data: data => send(`terminal:data:${replayId}`, data),
+      state: state => send(`terminal:replay-state:${replayId}`, state)
+    });
+    replays.set(replayId, replay);
+
+    return { success: true, replayId, state: replay.getState() };
+  } catch (error) {
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('recording:replay-control', async (event, replayId: string, action: ReplayAction, value?: number) => {
+  const replay = replays.get(replayId);
+  if (!replay) {
+    return { success: false, error: 'Replay not found' };
+  }
+  if (!replay.control(action, value)) {
+    return { success: false, error: `Unknown replay action: ${action}` };
+  }
+  if (action === 'stop') {
+    replays.delete(replayId);
+  }
+  return { success: true, state: replay.getState() };
 });
 
 // Ghost text handler (for inline AI suggestions)
@@ -2150,6 +2400,153 @@ ipcMain.handle('lsp:getDiagnostics', async (event, params) => {
   }
 });
 
+ipcMain.handle('lsp:getDefinition', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const definition = await lspManager.getDefinition(
+      params.filepath,
+      params.content,
+      params.position
+    );
+    
+    return { success: true, definition };
+  } catch (error) {
+    console.error('LSP definition error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('lsp:getReferences', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const references = await lspManager.getReferences(
+      params.filepath,
+      params.content,
+      params.position,
+      params.includeDeclaration ?? true
+    );
+    
+    return { success: true, references };
+  } catch (error) {
+    console.error('LSP references error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('lsp:getSignatureHelp', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const signatureHelp = await lspManager.getSignatureHelp(
+      params.filepath,
+      params.content,
+      params.position,
+      params.context
+    );
+    
+    return { success: true, signatureHelp };
+  } catch (error) {
+    console.error('LSP signature help error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('lsp:getDocumentSymbols', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const symbols = await lspManager.getDocumentSymbols(params.filepath, params.content);
+    
+    return { success: true, symbols };
+  } catch (error) {
+    console.error('LSP document symbols error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('lsp:getWorkspaceSymbols', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const symbols = await lspManager.getWorkspaceSymbols(params.query, params.filepath);
+    
+    return { success: true, symbols };
+  } catch (error) {
+    console.error('LSP workspace symbols error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+// Renames across files; changed files are written and listed with their new content
+ipcMain.handle('lsp:rename', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const result = await lspManager.renameSymbol(
+      params.filepath,
+      params.content,
+      params.position,
+      params.newName,
+      params.apply ?? true
+    );
+    
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('LSP rename error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('lsp:applyWorkspaceEdit', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const result = await lspManager.applyWorkspaceEdit(params.edit, params.contents);
+    
+    if (!result.applied) {
+      return { success: false, error: result.failureReason, files: result.files };
+    }
+    return { success: true, files: result.files };
+  } catch (error) {
+    console.error('LSP apply edit error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('lsp:formatDocument', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const formatted = await lspManager.formatDocument(
+      params.filepath,
+      params.content,
+      params.options
+    );
+    
+    if (!formatted) {
+      return { success: false, error: 'No language server can format this file' };
+    }
+    return { success: true, ...formatted };
+  } catch (error) {
+    console.error('LSP formatting error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
+ipcMain.handle('lsp:formatRange', async (event, params) => {
+  try {
+    const { lspManager } = await import('./lsp-manager.js');
+    const formatted = await lspManager.formatRange(
+      params.filepath,
+      params.content,
+      params.range,
+      params.options
+    );
+    
+    if (!formatted) {
+      return { success: false, error: 'No language server can format this file' };
+    }
+    return { success: true, ...formatted };
+  } catch (error) {
+    console.error('LSP range formatting error:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
 // LSP Installation handlers
 ipcMain.handle('lsp:install', async (event, params) => {
   try {
@@ -2856,6 +3253,9 @@ ipcMain.handle('context:initialize', async (event, workspacePath: string) => {
       if (mainWindow && !mainWindow.isDestroyed()) {
         mainWindow.webContents.send('context:file-changed', { event: eventType, filePath });
       }
+      dependencyGraph.handleFileEvent(workspacePath, eventType, filePath).catch(error => {
+        console.warn('[Main] Failed to update dependency graph:', error);
+      });
     });
     
     return { success: true };
@@ -2906,7 +3306,8 @@ ipcMain.handle('context:getStatistics', async (event) => {
       return { success: false, error: 'No workspace context available' };
     }
     const statistics = context.getStatistics();
-    return { success: true, statistics };
+    const tokens = await context.getTokenStatistics();
+    return { success: true, statistics: statistics && { ...statistics, tokens } };
   } catch (error) {
     return {
       success: false,
@@ -2915,6 +3316,23 @@ ipcMain.handle('context:getStatistics', async (event) => {
   }
 });
 
+// Import graph queries: importers, imports, dependents, dependencies, cycles, stats
+ipcMain.handle('context:queryDependencies', async (event, query: DependencyQuery) => {
+  try {
+    const workspacePath = workspaceContextManager.getCurrentWorkspacePath();
+    if (!workspacePath) {
+      return { success: false, error: 'No workspace context available' };
+    }
+    const result = await dependencyGraph.query(workspacePath, query);
+    return { success: true, result };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to query dependencies'
+    };
+  }
+});
+
 ipcMain.handle('context:getFileContent', async (event, filePath: string) => {
   try {
     const context = workspaceContextManager.getCurrentContext();
@@ -3053,9 +3471,10 @@ ipcMain.handle('context:forceCleanup', async (event) => {
 // This will be set up when workspaces are initialized
 
 // Context optimization handlers
-ipcMain.handle('context:analyzeUsage', async (event, messages: any[], currentContext: string) => {
+ipcMain.handle('context:analyzeUsage', async (event, messages: any[], currentContext: string, model?: string) => {
   try {
-    const analysis = contextOptimizer.analyzeContextUsage(messages, currentContext);
+    await tokenCounter.ready(model);
+    const analysis = contextOptimizer.analyzeContextUsage(messages, currentContext, model);
     return { success: true, analysis };
   } catch (error) {
     return {
@@ -3065,9 +3484,21 @@ ipcMain.handle('context:analyzeUsage', async (event, messages: any[], currentCon
   }
 });
 
-ipcMain.handle('context:buildOptimized', async (event, query: string, workingFiles: string[], maxTokens: number) => {
+ipcMain.handle('context:setModel', async (event, model: string) => {
+  try {
+    const profile = contextOptimizer.setModel(model);
+    return { success: true, profile };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to set model'
+    };
+  }
+});
+
+ipcMain.handle('context:buildOptimized', async (event, query: string, workingFiles: string[], maxTokens: number, options?: BuildContextOptions) => {
   try {
-    const result = await contextOptimizer.buildOptimizedContext(query, workingFiles, maxTokens);
+    const result = await contextOptimizer.buildOptimizedContext(query, workingFiles, maxTokens, options);
     return { success: true, ...result };
   } catch (error) {
     return {
@@ -3239,6 +3670,9 @@ ipcMain.handle('workspace:setPath', async (event, workspacePath: string) => {
     } catch (error) {
       console.error('[Main] Error updating GitHooksManagerGlobal:', error);
     }
+
+    // Point the agent journal at the new workspace and check it for interrupted transactions
+    agentExecutor?.updateWorkspacePath(workspacePath);
     
     // Initialize snapshot service for workspace
     // IMPORTANT: Always use the main repository path for snapshots, not worktree paths
@@ -3396,14 +3830,37 @@ ipcMain.handle('relay:disconnect', async () => {
   return { success: true };
 });
 
+ipcMain.handle('relay:setSessionName', async (event, name: string | null) => {
+  if (!relayClient) {
+    relayClient = new RelayClient(
+      process.env.RELAY_URL || 'wss://relay.clode.studio'
+    );
+  }
+  relayClient.setSessionName(name);
+  
+  // Register under the new name right away if we are connected
+  if (!relayClient.isConnected()) {
+    return { success: true };
+  }
+  try {
+    const info = await relayClient.reconnect();
+    return { success: true, info };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : 'Failed to reconnect to relay'
+    };
+  }
+});
+
 // Store token when QR code is generated
 ipcMain.handle('remote:store-token', async (event, args) => {
   if (!remoteServer) {
     throw new Error('Remote server not initialized');
   }
   
-  const { token, deviceId, deviceName, pairingCode, expiresAt } = args;
-  remoteServer.storeToken(token, deviceId, deviceName, pairingCode, expiresAt);
+  const { token, deviceId, deviceName, pairingCode, expiresAt, scope } = args;
+  remoteServer.storeToken(token, deviceId, deviceName, pairingCode, expiresAt, resolvePermissionScope(scope));
   
   return { success: true };
 });
@@ -3444,6 +3901,38 @@ ipcMain.handle('remote:disconnect-device', async (event, sessionId: string) => {
   return remoteServer.disconnectDevice(sessionId);
 });
 
+// Query the audit log of remote actions, newest first
+ipcMain.handle('remote:query-audit-log', async (event, filter?: RemoteAuditQuery) => {
+  return RemoteAuditLog.getInstance().query(filter);
+});
+
+// Check the audit log's hash chain for edits
+ipcMain.handle('remote:verify-audit-log', async () => {
+  return RemoteAuditLog.getInstance().verify();
+});
+
+// Export the audit log as JSONL, asking for a destination if none is given
+ipcMain.handle('remote:export-audit-log', async (event, filePath?: string, filter?: RemoteAuditQuery) => {
+  try {
+    if (!filePath) {
+      const result = await dialog.showSaveDialog(mainWindow!, {
+        defaultPath: `remote-audit-${new Date().toISOString().slice(0, 10)}.jsonl`,
+        filters: [{ name: 'JSON Lines', extensions: ['jsonl'] }]
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      filePath = result.filePath;
+    }
+    
+    const entries = await RemoteAuditLog.getInstance().exportJsonl(filePath, filter);
+    return { success: true, path: filePath, entries };
+  } catch (error) {
+    console.error('Failed to export audit log:', error);
+    return { success: false, error: error instanceof Error ? error.message : String(error) };
+  }
+});
+
 // Load persisted token from workspace
 ipcMain.handle('remote:load-persisted-token', async () => {
   const workspacePath = (store as any).get('workspacePath');
@@ -8,6 +8,7 @@ const electronAPI = {
             'forward-terminal-data',
             'forward-claude-output',
             'forward-claude-response-complete',
+            'forward-claude-spectate',
             'claude-instances-updated',
             'snapshots-list-response',
             'snapshots-capture-response',
@@ -113,8 +114,17 @@ const electronAPI = {
         deleteHook: (id) => electron_1.ipcRenderer.invoke('claude:deleteHook', id),
         testHook: (hook) => electron_1.ipcRenderer.invoke('claude:testHook', hook),
         // Session management
-        listSessions: () => electron_1.ipcRenderer.invoke('claude:listSessions'),
-        resumeSession: (instanceId, sessionId) => electron_1.ipcRenderer.invoke('claude:resumeSession', instanceId, sessionId)
+        listSessions: (workspacePath) => electron_1.ipcRenderer.invoke('claude:listSessions', workspacePath),
+        resumeSession: (instanceId, sessionId, workspacePath, instanceName) => electron_1.ipcRenderer.invoke('claude:resumeSession', instanceId, sessionId, workspacePath, instanceName),
+        searchSessions: (query, workspacePath, limit) => electron_1.ipcRenderer.invoke('claude:searchSessions', query, workspacePath, limit),
+        // Automatic checkpoints (undo timeline)
+        getCheckpointTimeline: (instanceId, workspacePath) => electron_1.ipcRenderer.invoke('claude:getCheckpointTimeline', instanceId, workspacePath),
+        undoToCheckpoint: (instanceId, checkpointId, workspacePath) => electron_1.ipcRenderer.invoke('claude:undoToCheckpoint', instanceId, checkpointId, workspacePath),
+        onCheckpointCreated: (callback) => {
+            const handler = (_, entry) => callback(entry);
+            electron_1.ipcRenderer.on('claude:checkpoint:created', handler);
+            return () => electron_1.ipcRenderer.removeListener('claude:checkpoint:created', handler);
+        }
     },
     fs: {
         readFile: (path) => electron_1.ipcRenderer.invoke('fs:readFile', path),
@@ -190,6 +200,10 @@ const electronAPI = {
     },
     terminal: {
         create: (options) => electron_1.ipcRenderer.invoke('terminal:create', options),
+        // Reattach to a terminal that outlived its view; resolves with its scrollback
+        attach: (id) => electron_1.ipcRenderer.invoke('terminal:attach', id),
+        detach: (id) => electron_1.ipcRenderer.invoke('terminal:detach', id),
+        list: () => electron_1.ipcRenderer.invoke('terminal:list'),
         write: (id, data) => electron_1.ipcRenderer.invoke('terminal:write', id, data),
         resize: (id, cols, rows) => electron_1.ipcRenderer.invoke('terminal:resize', id, cols, rows),
         destroy: (id) => electron_1.ipcRenderer.invoke('terminal:destroy', id),
@@ -199,6 +213,23 @@ const electronAPI = {
             return () => electron_1.ipcRenderer.removeAllListeners(channel);
         }
     },
+    // Recordings of terminal and Claude sessions (asciicast v2). A replay streams
+    // through terminal.onData(replayId), like a live terminal.
+    recording: {
+        getEnabled: () => electron_1.ipcRenderer.invoke('recording:get-enabled'),
+        setEnabled: (enabled) => electron_1.ipcRenderer.invoke('recording:set-enabled', enabled),
+        start: (kind, id, options) => electron_1.ipcRenderer.invoke('recording:start', kind, id, options),
+        stop: (kind, id) => electron_1.ipcRenderer.invoke('recording:stop', kind, id),
+        list: () => electron_1.ipcRenderer.invoke('recording:list'),
+        delete: (recordingId) => electron_1.ipcRenderer.invoke('recording:delete', recordingId),
+        replay: (recordingId) => electron_1.ipcRenderer.invoke('recording:replay', recordingId),
+        control: (replayId, action, value) => electron_1.ipcRenderer.invoke('recording:replay-control', replayId, action, value),
+        onReplayState: (replayId, callback) => {
+            const channel = `terminal:replay-state:${replayId}`;
+            electron_1.ipcRenderer.on(channel, (_, state) => callback(state));
+            return () => electron_1.ipcRenderer.removeAllListeners(channel);
+        }
+    },
     autocomplete: {
         getCompletion: (request) => electron_1.ipcRenderer.invoke('autocomplete:getCompletion', request),
         streamCompletion: (request) => electron_1.ipcRenderer.invoke('autocomplete:streamCompletion', request),
@@ -220,6 +251,15 @@ const electronAPI = {
         getCompletions: (params) => electron_1.ipcRenderer.invoke('lsp:getCompletions', params),
         getHover: (params) => electron_1.ipcRenderer.invoke('lsp:getHover', params),
         getDiagnostics: (params) => electron_1.ipcRenderer.invoke('lsp:getDiagnostics', params),
+        getDefinition: (params) => electron_1.ipcRenderer.invoke('lsp:getDefinition', params),
+        getReferences: (params) => electron_1.ipcRenderer.invoke('lsp:getReferences', params),
+        getSignatureHelp: (params) => electron_1.ipcRenderer.invoke('lsp:getSignatureHelp', params),
+        getDocumentSymbols: (params) => electron_1.ipcRenderer.invoke('lsp:getDocumentSymbols', params),
+        getWorkspaceSymbols: (params) => electron_1.ipcRenderer.invoke('lsp:getWorkspaceSymbols', params),
+        rename: (params) => electron_1.ipcRenderer.invoke('lsp:rename', params),
+        applyWorkspaceEdit: (params) => electron_1.ipcRenderer.invoke('lsp:applyWorkspaceEdit', params),
+        formatDocument: (params) => electron_1.ipcRenderer.invoke('lsp:formatDocument', params),
+        formatRange: (params) => electron_1.ipcRenderer.invoke('lsp:formatRange', params),
         install: (params) => electron_1.ipcRenderer.invoke('lsp:install', params),
         uninstall: (params) => electron_1.ipcRenderer.invoke('lsp:uninstall', params),
         checkCommand: (command) => electron_1.ipcRenderer.invoke('lsp:checkCommand', command)
@@ -236,6 +276,7 @@ const electronAPI = {
         searchFiles: (query, limit) => electron_1.ipcRenderer.invoke('context:searchFiles', query, limit),
         buildContext: (query, workingFiles, maxTokens) => electron_1.ipcRenderer.invoke('context:buildContext', query, workingFiles, maxTokens),
         getStatistics: () => electron_1.ipcRenderer.invoke('context:getStatistics'),
+        queryDependencies: (query) => electron_1.ipcRenderer.invoke('context:queryDependencies', query),
         getFileContent: (filePath) => electron_1.ipcRenderer.invoke('context:getFileContent', filePath),
         getRecentFiles: (hours) => electron_1.ipcRenderer.invoke('context:getRecentFiles', hours),
         rescan: () => electron_1.ipcRenderer.invoke('context:rescan'),
@@ -245,8 +286,9 @@ const electronAPI = {
             electron_1.ipcRenderer.on('context:file-changed', (_, data) => callback(data.event, data.filePath));
             return () => electron_1.ipcRenderer.removeAllListeners('context:file-changed');
         },
-        analyzeUsage: (messages, currentContext) => electron_1.ipcRenderer.invoke('context:analyzeUsage', messages, currentContext),
-        buildOptimized: (query, workingFiles, maxTokens) => electron_1.ipcRenderer.invoke('context:buildOptimized', query, workingFiles, maxTokens),
+        analyzeUsage: (messages, currentContext, model) => electron_1.ipcRenderer.invoke('context:analyzeUsage', messages, currentContext, model),
+        setModel: (model) => electron_1.ipcRenderer.invoke('context:setModel', model),
+        buildOptimized: (query, workingFiles, maxTokens, options) => electron_1.ipcRenderer.invoke('context:buildOptimized', query, workingFiles, maxTokens, options),
         optimize: (content, strategy) => electron_1.ipcRenderer.invoke('context:optimize', content, strategy),
         getRecommendations: (usage) => electron_1.ipcRenderer.invoke('context:getRecommendations', usage),
         shouldInject: (query, availableTokens, contextSize) => electron_1.ipcRenderer.invoke('context:shouldInject', query, availableTokens, contextSize)
@@ -276,6 +318,9 @@ const electronAPI = {
         getActiveTokens: () => electron_1.ipcRenderer.invoke('remote:get-active-tokens'),
         revokeToken: (token) => electron_1.ipcRenderer.invoke('remote:revoke-token', token),
         disconnectDevice: (sessionId) => electron_1.ipcRenderer.invoke('remote:disconnect-device', sessionId),
+        queryAuditLog: (filter) => electron_1.ipcRenderer.invoke('remote:query-audit-log', filter),
+        verifyAuditLog: () => electron_1.ipcRenderer.invoke('remote:verify-audit-log'),
+        exportAuditLog: (filePath, filter) => electron_1.ipcRenderer.invoke('remote:export-audit-log', filePath, filter),
         loadPersistedToken: () => electron_1.ipcRenderer.invoke('remote:load-persisted-token'),
         persistToken: (tokenData) => electron_1.ipcRenderer.invoke('remote:persist-token', tokenData),
         enableHybridMode: (options) => electron_1.ipcRenderer.invoke('remote:enable-hybrid-mode', options),
@@ -292,7 +337,8 @@ const electronAPI = {
     relay: {
         getInfo: () => electron_1.ipcRenderer.invoke('relay:getInfo'),
         connect: () => electron_1.ipcRenderer.invoke('relay:connect'),
-        disconnect: () => electron_1.ipcRenderer.invoke('relay:disconnect')
+        disconnect: () => electron_1.ipcRenderer.invoke('relay:disconnect'),
+        setSessionName: (name) => electron_1.ipcRenderer.invoke('relay:setSessionName', name)
     },
     // Local database removed - SQLite not actively used
     snapshots: {
@@ -311,6 +357,7 @@ const electronAPI = {
         getDiff: (params) => electron_1.ipcRenderer.invoke('snapshots:getDiff', params),
         scanProjectFiles: (params) => electron_1.ipcRenderer.invoke('snapshots:scanProjectFiles', params),
         restoreFiles: (params) => electron_1.ipcRenderer.invoke('snapshots:restoreFiles', params),
+        restoreHunks: (params) => electron_1.ipcRenderer.invoke('snapshots:restoreHunks', params),
         cleanup: (params) => electron_1.ipcRenderer.invoke('snapshots:cleanup', params),
         setCurrentBranch: (branch) => electron_1.ipcRenderer.invoke('snapshots:setCurrentBranch', branch)
     },
@@ -363,6 +410,17 @@ const electronAPI = {
         checkoutBranch: (workspacePath, branchName) => electron_1.ipcRenderer.invoke('git-timeline:checkoutBranch', workspacePath, branchName),
         createBranch: (workspacePath, branchName, startPoint) => electron_1.ipcRenderer.invoke('git-timeline:createBranch', workspacePath, branchName, startPoint)
     },
+    gitCheckpoints: {
+        isAvailable: (workspacePath) => electron_1.ipcRenderer.invoke('git-checkpoint:isAvailable', workspacePath),
+        create: (workspacePath, data, options) => electron_1.ipcRenderer.invoke('git-checkpoint:create', workspacePath, data, options),
+        list: (workspacePath, filter) => electron_1.ipcRenderer.invoke('git-checkpoint:list', workspacePath, filter),
+        get: (workspacePath, checkpointId) => electron_1.ipcRenderer.invoke('git-checkpoint:get', workspacePath, checkpointId),
+        restore: (workspacePath, checkpointId, options) => electron_1.ipcRenderer.invoke('git-checkpoint:restore', workspacePath, checkpointId, options),
+        delete: (workspacePath, checkpointId) => electron_1.ipcRenderer.invoke('git-checkpoint:delete', workspacePath, checkpointId),
+        compare: (workspacePath, checkpointId1, checkpointId2) => electron_1.ipcRenderer.invoke('git-checkpoint:compare', workspacePath, checkpointId1, checkpointId2),
+        getStats: (workspacePath) => electron_1.ipcRenderer.invoke('git-checkpoint:stats', workspacePath),
+        cleanup: (workspacePath) => electron_1.ipcRenderer.invoke('git-checkpoint:cleanup', workspacePath)
+    },
     // Time Machine events
     onTimeMachineFileOperation: (callback) => {
         const channel = 'time-machine:first-file-operation';
@@ -7,6 +7,7 @@ const electronAPI = {
       'forward-terminal-data', 
       'forward-claude-output', 
       'forward-claude-response-complete', 
+      'forward-claude-spectate',
       'claude-instances-updated',
       'snapshots-list-response',
       'snapshots-capture-response', 
@@ -138,9 +139,21 @@ const electronAPI = {
     deleteHook: (id: string) => ipcRenderer.invoke('claude:deleteHook', id),
     testHook: (hook: any) => ipcRenderer.invoke('claude:testHook', hook),
     // Session management
-    listSessions: () => ipcRenderer.invoke('claude:listSessions'),
-    resumeSession: (instanceId: string, sessionId: string) => 
-      ipcRenderer.invoke('claude:resumeSession', instanceId, sessionId)
+    listSessions: (workspacePath?: string) => ipcRenderer.invoke('claude:listSessions', workspacePath),
+    resumeSession: (instanceId: string, sessionId: string, workspacePath?: string, instanceName?: string) => 
+      ipcRenderer.invoke('claude:resumeSession', instanceId, sessionId, workspacePath, instanceName),
+    searchSessions: (query: string, workspacePath?: string, limit?: number) =>
+      ipcRenderer.invoke('claude:searchSessions', query, workspacePath, limit),
+    // Automatic checkpoints (undo timeline)
+    getCheckpointTimeline: (instanceId: string, workspacePath?: string) =>
+      ipcRenderer.invoke('claude:getCheckpointTimeline', instanceId, workspacePath),
+    undoToCheckpoint: (instanceId: string, checkpointId?: string, workspacePath?: string) =>
+      ipcRenderer.invoke('claude:undoToCheckpoint', instanceId, checkpointId, workspacePath),
+    onCheckpointCreated: (callback: (entry: any) => void) => {
+      const handler = (_: any, entry: any) => callback(entry);
+      ipcRenderer.on('claude:checkpoint:created', handler);
+      return () => ipcRenderer.removeListener('claude:checkpoint:created', handler);
+    }
   },
   fs: {
     readFile: (path: string) => ipcRenderer.invoke('fs:readFile', path),
@@ -249,8 +262,15 @@ const electronAPI = {
     }) => ipcRenderer.invoke('search:replaceAllInFile', options)
   },
   terminal: {
-    create: (options: { cols: number; rows: number; cwd?: string }) => 
+    create: (options: { cols: number; rows: number; cwd?: string; env?: Record<string, string>; name?: string }) => 
       ipcRenderer.invoke('terminal:create', options),
+    // Reattach to a terminal that outlived its view; resolves with its scrollback
+    attach: (id: string) => 
+      ipcRenderer.invoke('terminal:attach', id),
+    detach: (id: string) => 
+      ipcRenderer.invoke('terminal:detach', id),
+    list: () => 
+      ipcRenderer.invoke('terminal:list'),
     write: (id: string, data: string) => 
       ipcRenderer.invoke('terminal:write', id, data),
     resize: (id: string, cols: number, rows: number) => 
@@ -263,6 +283,25 @@ const electronAPI = {
       return () => ipcRenderer.removeAllListeners(channel);
     }
   },
+  // Recordings of terminal and Claude sessions (asciicast v2). A replay streams
+  // through terminal.onData(replayId), like a live terminal.
+  recording: {
+    getEnabled: () => ipcRenderer.invoke('recording:get-enabled'),
+    setEnabled: (enabled: boolean) => ipcRenderer.invoke('recording:set-enabled', enabled),
+    start: (kind: 'terminal' | 'claude', id: string, options?: { cols?: number; rows?: number; title?: string }) =>
+      ipcRenderer.invoke('recording:start', kind, id, options),
+    stop: (kind: 'terminal' | 'claude', id: string) => ipcRenderer.invoke('recording:stop', kind, id),
+    list: () => ipcRenderer.invoke('recording:list'),
+    delete: (recordingId: string) => ipcRenderer.invoke('recording:delete', recordingId),
+    replay: (recordingId: string) => ipcRenderer.invoke('recording:replay', recordingId),
+    control: (replayId: string, action: 'play' | 'pause' | 'seek' | 'speed' | 'stop', value?: number) =>
+      ipcRenderer.invoke('recording:replay-control', replayId, action, value),
+    onReplayState: (replayId: string, callback: (state: any) => void) => {
+      const channel = `terminal:replay-state:${replayId}`;
+      ipcRenderer.on(channel, (_, state) => callback(state));
+      return () => ipcRenderer.removeAllListeners(channel);
+    }
+  },
   autocomplete: {
     getCompletion: (request: any) => 
       ipcRenderer.invoke('autocomplete:getCompletion', request),
@@ -297,6 +336,24 @@ const electronAPI = {
       ipcRenderer.invoke('lsp:getHover', params),
     getDiagnostics: (params: any) => 
       ipcRenderer.invoke('lsp:getDiagnostics', params),
+    getDefinition: (params: any) => 
+      ipcRenderer.invoke('lsp:getDefinition', params),
+    getReferences: (params: any) => 
+      ipcRenderer.invoke('lsp:getReferences', params),
+    getSignatureHelp: (params: any) => 
+      ipcRenderer.invoke('lsp:getSignatureHelp', params),
+    getDocumentSymbols: (params: any) => 
+      ipcRenderer.invoke('lsp:getDocumentSymbols', params),
+    getWorkspaceSymbols: (params: { query: string; filepath?: string }) => 
+      ipcRenderer.invoke('lsp:getWorkspaceSymbols', params),
+    rename: (params: any) => 
+      ipcRenderer.invoke('lsp:rename', params),
+    applyWorkspaceEdit: (params: { edit: any; contents?: Record<string, string> }) => 
+      ipcRenderer.invoke('lsp:applyWorkspaceEdit', params),
+    formatDocument: (params: any) => 
+      ipcRenderer.invoke('lsp:formatDocument', params),
+    formatRange: (params: any) => 
+      ipcRenderer.invoke('lsp:formatRange', params),
     install: (params: { id: string; command: string; packageManager: string }) => 
       ipcRenderer.invoke('lsp:install', params),
     uninstall: (params: { id: string; packageManager: string }) => 
@@ -324,6 +381,12 @@ const electronAPI = {
     searchFiles: (query: string, limit?: number) => ipcRenderer.invoke('context:searchFiles', query, limit),
     buildContext: (query: string, workingFiles: string[], maxTokens?: number) => ipcRenderer.invoke('context:buildContext', query, workingFiles, maxTokens),
     getStatistics: () => ipcRenderer.invoke('context:getStatistics'),
+    queryDependencies: (query: {
+      type: 'importers' | 'imports' | 'dependents' | 'dependencies' | 'cycles' | 'stats';
+      file?: string;
+      depth?: number;
+      limit?: number;
+    }) => ipcRenderer.invoke('context:queryDependencies', query),
     getFileContent: (filePath: string) => ipcRenderer.invoke('context:getFileContent', filePath),
     getRecentFiles: (hours?: number) => ipcRenderer.invoke('context:getRecentFiles', hours),
     rescan: () => ipcRenderer.invoke('context:rescan'),
@@ -333,10 +396,15 @@ const electronAPI = {
       ipcRenderer.on('context:file-changed', (_, data) => callback(data.event, data.filePath));
       return () => ipcRenderer.removeAllListeners('context:file-changed');
     },
-    analyzeUsage: (messages: any[], currentContext: string) => 
-      ipcRenderer.invoke('context:analyzeUsage', messages, currentContext),
-    buildOptimized: (query: string, workingFiles: string[], maxTokens: number) =>
-      ipcRenderer.invoke('context:buildOptimized', query, workingFiles, maxTokens),
+    analyzeUsage: (messages: any[], currentContext: string, model?: string) => 
+      ipcRenderer.invoke('context:analyzeUsage', messages, currentContext, model),
+    setModel: (model: string) => ipcRenderer.invoke('context:setModel', model),
+    buildOptimized: (
+      query: string,
+      workingFiles: string[],
+      maxTokens: number,
+      options?: { mode?: 'files' | 'symbols'; cursor?: { path: string; line: number } }
+    ) => ipcRenderer.invoke('context:buildOptimized', query, workingFiles, maxTokens, options),
     optimize: (content: string, strategy: any) =>
       ipcRenderer.invoke('context:optimize', content, strategy),
     getRecommendations: (usage: any) =>
@@ -381,11 +449,27 @@ const electronAPI = {
       deviceName: string;
       pairingCode: string;
       expiresAt?: Date;
+      scope?: {
+        preset?: 'full' | 'edit' | 'read-only' | 'spectator';
+        permissions?: string[];
+        allowedPaths?: string[];
+      };
     }) => ipcRenderer.invoke('remote:store-token', args),
     getConnections: () => ipcRenderer.invoke('remote:get-connections'),
     getActiveTokens: () => ipcRenderer.invoke('remote:get-active-tokens'),
     revokeToken: (token: string) => ipcRenderer.invoke('remote:revoke-token', token),
     disconnectDevice: (sessionId: string) => ipcRenderer.invoke('remote:disconnect-device', sessionId),
+    queryAuditLog: (filter?: {
+      sessionId?: string;
+      deviceId?: string;
+      event?: string;
+      result?: 'success' | 'error' | 'denied';
+      since?: string;
+      until?: string;
+      limit?: number;
+    }) => ipcRenderer.invoke('remote:query-audit-log', filter),
+    verifyAuditLog: () => ipcRenderer.invoke('remote:verify-audit-log'),
+    exportAuditLog: (filePath?: string, filter?: any) => ipcRenderer.invoke('remote:export-audit-log', filePath, filter),
     loadPersistedToken: () => ipcRenderer.invoke('remote:load-persisted-token'),
     persistToken: (tokenData: any) => ipcRenderer.invoke('remote:persist-token', tokenData),
     enableHybridMode: (options?: any) => ipcRenderer.invoke('remote:enable-hybrid-mode', options),
@@ -404,7 +488,8 @@ const electronAPI = {
   relay: {
     getInfo: () => ipcRenderer.invoke('relay:getInfo'),
     connect: () => ipcRenderer.invoke('relay:connect'),
-    disconnect: () => ipcRenderer.invoke('relay:disconnect')
+    disconnect: () => ipcRenderer.invoke('relay:disconnect'),
+    setSessionName: (name: string | null) => ipcRenderer.invoke('relay:setSessionName', name)
   },
   
   // Local database removed - SQLite not actively used
@@ -437,8 +522,10 @@ const electronAPI = {
       ipcRenderer.invoke('snapshots:getDiff', params),
     scanProjectFiles: (params: { projectPath: string }) =>
       ipcRenderer.invoke('snapshots:scanProjectFiles', params),
-    restoreFiles: (params: { fileChanges: any; projectPath: string }) =>
+    restoreFiles: (params: { fileChanges: any; projectPath: string; paths?: string[] }) =>
       ipcRenderer.invoke('snapshots:restoreFiles', params),
+    restoreHunks: (params: { projectPath: string; path: string; diffHash: string; hunks: number[]; reverse?: boolean }) =>
+      ipcRenderer.invoke('snapshots:restoreHunks', params),
     cleanup: (params: { projectPath: string; olderThanDays: number }) =>
       ipcRenderer.invoke('snapshots:cleanup', params),
     setCurrentBranch: (branch: string) =>
@@ -506,6 +593,26 @@ const electronAPI = {
     createBranch: (workspacePath: string, branchName: string, startPoint?: string) =>
       ipcRenderer.invoke('git-timeline:createBranch', workspacePath, branchName, startPoint)
   },
+  gitCheckpoints: {
+    isAvailable: (workspacePath: string) =>
+      ipcRenderer.invoke('git-checkpoint:isAvailable', workspacePath),
+    create: (workspacePath: string, data: any, options?: any) =>
+      ipcRenderer.invoke('git-checkpoint:create', workspacePath, data, options),
+    list: (workspacePath: string, filter?: any) =>
+      ipcRenderer.invoke('git-checkpoint:list', workspacePath, filter),
+    get: (workspacePath: string, checkpointId: string) =>
+      ipcRenderer.invoke('git-checkpoint:get', workspacePath, checkpointId),
+    restore: (workspacePath: string, checkpointId: string, options?: any) =>
+      ipcRenderer.invoke('git-checkpoint:restore', workspacePath, checkpointId, options),
+    delete: (workspacePath: string, checkpointId: string) =>
+      ipcRenderer.invoke('git-checkpoint:delete', workspacePath, checkpointId),
+    compare: (workspacePath: string, checkpointId1: string, checkpointId2: string) =>
+      ipcRenderer.invoke('git-checkpoint:compare', workspacePath, checkpointId1, checkpointId2),
+    getStats: (workspacePath: string) =>
+      ipcRenderer.invoke('git-checkpoint:stats', workspacePath),
+    cleanup: (workspacePath: string) =>
+      ipcRenderer.invoke('git-checkpoint:cleanup', workspacePath)
+  },
   
   // Time Machine events
   onTimeMachineFileOperation: (callback: (data: any) => void) => {
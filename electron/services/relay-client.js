@@ -1,19 +1,23 @@
 import { io } from 'socket.io-client';
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { randomBytes } from 'crypto';
 import Store from 'electron-store';
 import { HttpHandler } from './http-handler.js';
+import { TokenStore } from './token-store.js';
+import { RelayCryptoSession, derivePairingSecret } from './relay-crypto.js';
 export class RelayClient extends EventEmitter {
     relayUrl;
     localPort;
     relaySocket = null;
-    localSocket = null;
     relayInfo = null;
     store;
     reconnectAttempts = 0;
     maxReconnectAttempts = 10;
     httpHandler;
     socketIoPort = 3789; // Socket.IO server port
+    // Remote clients sharing this desktop session, by relay client ID
+    clients = new Map();
     constructor(relayUrl = process.env.RELAY_URL || 'wss://relay.clode.studio', localPort = 3000 // HTTP proxy port for Nuxt UI
     ) {
         super();
@@ -30,13 +34,16 @@ export class RelayClient extends EventEmitter {
                 deviceId = uuidv4();
                 this.store.set('deviceId', deviceId);
             }
+            // A reserved name is reclaimed with the secret it was reserved with
+            const sessionName = this.getSessionName();
             // Connect to relay server
             console.log(`[RelayClient] Connecting to relay: ${this.relayUrl}`);
             this.relaySocket = io(this.relayUrl, {
                 auth: {
                     role: 'desktop',
                     deviceId,
-                    version: process.env.npm_package_version || '1.0.0'
+                    version: process.env.npm_package_version || '1.0.0',
+                    ...(sessionName ? { sessionName, sessionSecret: this.getSessionSecret() } : {})
                 },
                 transports: ['websocket', 'polling'],
                 reconnection: true,
@@ -45,21 +52,35 @@ export class RelayClient extends EventEmitter {
                 reconnectionAttempts: this.maxReconnectAttempts
             });
             // Handle registration
-            this.relaySocket.once('registered', (info) => {
+            let registered = false;
+            this.relaySocket.on('registered', (info) => {
                 console.log(`[RelayClient] Registered with session: ${info.sessionId}`);
                 this.relayInfo = info;
+                if (registered) {
+                    // The relay registers us again after every reconnect. Clients of the
+                    // previous registration reconnect and negotiate new sessions.
+                    for (const clientId of Array.from(this.clients.keys())) {
+                        this.removeClient(clientId);
+                    }
+                    this.emit('registered', info);
+                    return;
+                }
+                registered = true;
                 // Set up HTTP proxy handlers
                 if (this.relaySocket) {
                     this.httpHandler.setupHandlers(this.relaySocket);
                 }
                 // Set up Socket.IO bridge
-                this.setupLocalBridge();
+                this.setupEncryptedBridge();
                 this.emit('registered', info);
                 resolve(info);
             });
             // Handle errors
             this.relaySocket.once('error', (error) => {
                 console.error(`[RelayClient] Connection error: ${error}`);
+                // The relay refused to register us, e.g. because the session name is taken;
+                // reconnecting would be refused again
+                this.relaySocket?.disconnect();
                 reject(new Error(error));
             });
             // Handle reconnection
@@ -85,53 +106,210 @@ export class RelayClient extends EventEmitter {
             });
         });
     }
-    setupLocalBridge() {
+    /**
+     * Bridge remote clients to the local Socket.IO server. Each client gets its own
+     * end-to-end encrypted session and its own local connection, so the local server
+     * treats it like a direct connection and pushes events only to the clients that
+     * subscribed to them. Plaintext is dropped, since the relay itself is not trusted.
+     */
+    setupEncryptedBridge() {
         if (!this.relaySocket)
             return;
+        this.relaySocket.on('bridge:client-connected', (data) => {
+            this.getClient(data.clientId, data.deviceId);
+        });
+        this.relaySocket.on('bridge:client-disconnected', (data) => {
+            this.removeClient(data.clientId);
+        });
+        // Requests with a callback arrive through the relay's request-response pattern
+        this.relaySocket.on('bridge:request', (data) => {
+            const { requestId, clientId, event, args } = data;
+            const respond = (response) => {
+                this.relaySocket?.emit('bridge:response', { requestId, response });
+            };
+            const client = this.getClient(clientId);
+            switch (event) {
+                case 'e2e:hello':
+                    respond(this.handleHello(client, args[0]));
+                    break;
+                case 'e2e:confirm':
+                    respond(this.handleConfirm(client, args[0]));
+                    break;
+                case 'e2e:message':
+                    this.handleEncryptedMessage(client, args[0], respond);
+                    break;
+                default:
+                    console.warn(`[RelayClient] Dropping unencrypted request: ${event}`);
+                    respond({ success: false, error: { message: 'End-to-end encryption required' } });
+            }
+        });
+        // Events without a callback
+        this.relaySocket.on('bridge:event', (data) => {
+            const { clientId, event, args } = data;
+            if (event === 'e2e:message') {
+                this.handleEncryptedMessage(this.getClient(clientId), args[0]);
+            }
+            else {
+                console.warn(`[RelayClient] Dropping unencrypted event: ${event}`);
+            }
+        });
+    }
+    getClient(clientId, deviceId = null) {
+        let client = this.clients.get(clientId);
+        if (!client) {
+            client = {
+                clientId,
+                deviceId,
+                connectedAt: new Date(),
+                cryptoSession: null,
+                pendingCryptoSession: null,
+                localSocket: null
+            };
+            this.clients.set(clientId, client);
+            this.emit('client-connected', { clientId, deviceId });
+        }
+        return client;
+    }
+    removeClient(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client)
+            return;
+        client.localSocket?.disconnect();
+        this.clients.delete(clientId);
+        this.emit('client-disconnected', { clientId, deviceId: client.deviceId });
+    }
+    // First step of the key exchange: answer with our ephemeral key
+    handleHello(client, hello) {
+        try {
+            const { session, reply } = RelayCryptoSession.accept(hello);
+            client.pendingCryptoSession = session;
+            return { success: true, data: reply };
+        }
+        catch (error) {
+            console.error('[RelayClient] Key exchange failed:', error.message);
+            return { success: false, error: { message: error.message } };
+        }
+    }
+    // Second step: the client proves it holds one of the device's pairings
+    handleConfirm(client, params) {
+        const session = client.pendingCryptoSession;
+        client.pendingCryptoSession = null;
+        if (!session) {
+            return { success: false, error: { message: 'No key exchange in progress' } };
+        }
+        const tokens = TokenStore.getInstance().getDeviceTokens(session.deviceId);
+        const result = session.confirm(params?.proof, tokens.map(token => derivePairingSecret(token.token, token.pairingCode)));
+        if (!result) {
+            console.warn(`[RelayClient] Key confirmation failed for device ${session.deviceId}`);
+            return { success: false, error: { message: 'Key confirmation failed' } };
+        }
+        console.log(`[RelayClient] End-to-end encrypted session established with device ${session.deviceId} (${client.clientId})`);
+        client.cryptoSession = session;
+        // Only a device that proved its pairing is identified by its device ID
+        client.deviceId = session.deviceId;
+        this.setupLocalBridge(client, tokens[result.secretIndex]);
+        return { success: true, data: { proof: result.proof } };
+    }
+    // Decrypt a client message and pass it to the local server, encrypting its response
+    handleEncryptedMessage(client, envelope, respond) {
+        const session = client.cryptoSession;
+        const localSocket = client.localSocket;
+        if (!session || !localSocket) {
+            respond?.({ success: false, error: { message: 'Encrypted session not established' } });
+            return;
+        }
+        let message;
+        try {
+            message = session.decrypt(envelope);
+        }
+        catch (error) {
+            console.warn('[RelayClient] Rejected encrypted message:', error.message);
+            respond?.({ success: false, error: { message: 'Could not decrypt message' } });
+            return;
+        }
+        console.log(`[RelayClient] Relay→Local (${client.clientId}): ${message.event}`);
+        if (respond) {
+            localSocket.emit(message.event, ...message.args, (response) => {
+                respond(session.encryptResponse(envelope.seq, response));
+            });
+        }
+        else {
+            localSocket.emit(message.event, ...message.args);
+        }
+    }
+    // Connect to the local server with the pairing the client proved, so it is authenticated like a direct connection
+    setupLocalBridge(client, tokenInfo) {
+        client.localSocket?.disconnect();
         // Connect to local Socket.IO server (port 3789, not HTTP port 3000)
-        console.log(`[RelayClient] Connecting to local Socket.IO server on port ${this.socketIoPort}`);
-        this.localSocket = io(`http://localhost:${this.socketIoPort}`, {
+        console.log(`[RelayClient] Connecting to local Socket.IO server on port ${this.socketIoPort} for ${client.clientId}`);
+        const localSocket = io(`http://localhost:${this.socketIoPort}`, {
             transports: ['websocket'],
-            reconnection: true
+            reconnection: true,
+            forceNew: true, // One connection per client, never shared
+            auth: {
+                token: tokenInfo.token,
+                deviceId: tokenInfo.deviceId,
+                pairing: tokenInfo.pairingCode
+            }
         });
-        this.localSocket.on('connect', () => {
-            console.log('[RelayClient] Connected to local server');
-            // Request-response tracking for callback preservation
-            const pendingRequests = new Map();
-            // Handle special request-response pattern from relay
-            this.relaySocket.on('bridge:request', (data) => {
-                const { requestId, event, args } = data;
-                console.log(`[RelayClient] Relay→Local request: ${event} (${requestId})`);
-                // Emit to local with callback that sends response back through relay
-                this.localSocket.emit(event, ...args, (response) => {
-                    console.log(`[RelayClient] Local response for ${event} (${requestId})`);
-                    this.relaySocket.emit('bridge:response', {
-                        requestId,
-                        response
-                    });
-                });
-            });
-            // Forward regular events from relay to local (no callback)
-            this.relaySocket.onAny((event, ...args) => {
-                // Skip internal events and bridge events
-                if (event.startsWith('$') || event.startsWith('relay:') || event.startsWith('bridge:'))
-                    return;
-                console.log(`[RelayClient] Relay→Local: ${event}`);
-                this.localSocket.emit(event, ...args);
-            });
-            // Forward events from local to relay
-            this.localSocket.onAny((event, ...args) => {
-                // Skip internal events
-                if (event.startsWith('$'))
-                    return;
-                console.log(`[RelayClient] Local→Relay: ${event}`);
-                this.relaySocket.emit(event, ...args);
+        client.localSocket = localSocket;
+        localSocket.on('connect', () => {
+            console.log(`[RelayClient] Connected to local server for ${client.clientId}`);
+        });
+        // Forward events from local to this client only, encrypted with its keys
+        localSocket.onAny((event, ...args) => {
+            // Skip internal events
+            if (event.startsWith('$') || !client.cryptoSession || client.localSocket !== localSocket)
+                return;
+            console.log(`[RelayClient] Local→Relay (${client.clientId}): ${event}`);
+            this.relaySocket?.emit('bridge:send', {
+                clientId: client.clientId,
+                event: 'e2e:message',
+                args: [client.cryptoSession.encrypt({ event, args })]
             });
         });
-        this.localSocket.on('connect_error', (error) => {
+        localSocket.on('connect_error', (error) => {
             console.error('[RelayClient] Local connection error:', error.message);
         });
     }
+    // Clients currently connected through the relay
+    getClients() {
+        return Array.from(this.clients.values()).map(client => ({
+            clientId: client.clientId,
+            deviceId: client.deviceId,
+            connectedAt: client.connectedAt,
+            encrypted: client.cryptoSession !== null
+        }));
+    }
+    /**
+     * Session name reserved on the relay, so the URL stays the same across
+     * reconnects. Falls back to RELAY_SESSION_NAME; without one the relay
+     * assigns a random session ID.
+     */
+    getSessionName() {
+        return this.store.get('relaySessionName') || process.env.RELAY_SESSION_NAME || null;
+    }
+    /**
+     * Change the reserved session name, or pass null for random session IDs.
+     * Takes effect on the next (re)connect.
+     */
+    setSessionName(name) {
+        if (name) {
+            this.store.set('relaySessionName', name.trim().toLowerCase());
+        }
+        else {
+            this.store.delete('relaySessionName');
+        }
+    }
+    // Secret that proves to the relay we are the device that reserved our name
+    getSessionSecret() {
+        let secret = this.store.get('relaySessionSecret');
+        if (!secret) {
+            secret = randomBytes(32).toString('hex');
+            this.store.set('relaySessionSecret', secret);
+        }
+        return secret;
+    }
     getInfo() {
         return this.relayInfo;
     }
@@ -152,7 +330,9 @@ export class RelayClient extends EventEmitter {
     }
     disconnect() {
         console.log('[RelayClient] Disconnecting...');
-        this.localSocket?.disconnect();
+        for (const clientId of Array.from(this.clients.keys())) {
+            this.removeClient(clientId);
+        }
         this.relaySocket?.disconnect();
         this.relayInfo = null;
     }
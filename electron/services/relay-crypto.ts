@@ -0,0 +1,188 @@
+/**
+ * End-to-end encryption for traffic bridged through the relay server.
+ *
+ * The remote client and the desktop agree on keys with an ephemeral ECDH (P-256)
+ * exchange. The keys are derived with the device token and pairing code stored in
+ * the TokenStore as HKDF salt, and both sides prove they derived the same keys
+ * before anything else is exchanged. The relay never learns the token, so it can
+ * neither read the traffic nor sit in the middle of the exchange.
+ *
+ * The remote client implements the same protocol with WebCrypto
+ * (services/remote-client/RelayCrypto.ts); both must stay in sync.
+ */
+import { createCipheriv, createDecipheriv, createECDH, createHash, createHmac, hkdfSync, randomBytes, timingSafeEqual } from 'crypto';
+
+export const RELAY_E2E_VERSION = 1;
+
+const PROTOCOL_LABEL = 'clode-relay-e2e-v1';
+const NONCE_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export interface RelayHello {
+  v: number;
+  deviceId: string;
+  publicKey: string; // base64, uncompressed P-256 point
+  nonce: string;
+}
+
+export interface RelayHelloReply {
+  v: number;
+  publicKey: string;
+  nonce: string;
+}
+
+// Encrypted payload; the relay only ever sees these
+export interface RelayEnvelope {
+  seq: number;
+  iv: string;
+  data: string;
+}
+
+interface SessionKeys {
+  clientKey: Buffer;  // client → desktop
+  desktopKey: Buffer; // desktop → client
+  confirmKey: Buffer;
+}
+
+/**
+ * Secret shared by the desktop and a paired device. The token is high-entropy,
+ * which is what makes guessing it from a recorded handshake impractical.
+ */
+export function derivePairingSecret(token: string, pairingCode?: string): Buffer {
+  return createHash('sha256').update(`${PROTOCOL_LABEL}|${token}|${pairingCode || ''}`).digest();
+}
+
+/**
+ * Desktop side of an end-to-end encrypted session with one remote client
+ */
+export class RelayCryptoSession {
+  readonly deviceId: string;
+  private transcript: Buffer;
+  private sharedSecret: Buffer;
+  private keys: SessionKeys | null = null;
+  private sendSeq = 0;
+  private receiveSeq = 0;
+
+  private constructor(deviceId: string, transcript: Buffer, sharedSecret: Buffer) {
+    this.deviceId = deviceId;
+    this.transcript = transcript;
+    this.sharedSecret = sharedSecret;
+  }
+
+  /**
+   * Answer a client hello with our half of the key exchange
+   */
+  static accept(hello: RelayHello): { session: RelayCryptoSession; reply: RelayHelloReply } {
+    if (hello?.v !== RELAY_E2E_VERSION) {
+      throw new Error(`Unsupported encryption protocol version: ${hello?.v}`);
+    }
+    if (!hello.deviceId || !hello.publicKey || !hello.nonce) {
+      throw new Error('Malformed key exchange');
+    }
+
+    const clientPublicKey = Buffer.from(hello.publicKey, 'base64');
+    const clientNonce = Buffer.from(hello.nonce, 'base64');
+    if (clientNonce.length !== NONCE_LENGTH) {
+      throw new Error('Malformed key exchange');
+    }
+
+    const ecdh = createECDH('prime256v1');
+    const publicKey = ecdh.generateKeys();
+    const nonce = randomBytes(NONCE_LENGTH);
+    // Throws if the client's key is not a valid point on the curve
+    const sharedSecret = ecdh.computeSecret(clientPublicKey);
+
+    const transcript = Buffer.concat([clientPublicKey, publicKey, clientNonce, nonce]);
+    return {
+      session: new RelayCryptoSession(hello.deviceId, transcript, sharedSecret),
+      reply: {
+        v: RELAY_E2E_VERSION,
+        publicKey: publicKey.toString('base64'),
+        nonce: nonce.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * Check the client's key confirmation against the secrets of the device's
+   * pairings. Returns our own confirmation, or null if none of them match.
+   */
+  confirm(clientProof: string, pairingSecrets: Buffer[]): { proof: string; secretIndex: number } | null {
+    const expected = Buffer.from(clientProof || '', 'base64');
+
+    for (let index = 0; index < pairingSecrets.length; index++) {
+      const keys = this.deriveKeys(pairingSecrets[index]);
+      const proof = this.prove(keys.confirmKey, 'client');
+      if (proof.length === expected.length && timingSafeEqual(proof, expected)) {
+        this.keys = keys;
+        return { proof: this.prove(keys.confirmKey, 'desktop').toString('base64'), secretIndex: index };
+      }
+    }
+
+    return null;
+  }
+
+  isEstablished(): boolean {
+    return this.keys !== null;
+  }
+
+  encrypt(payload: any): RelayEnvelope {
+    const seq = ++this.sendSeq;
+    return this.seal(payload, seq, `d2c:${seq}`);
+  }
+
+  // Responses are bound to the request they answer rather than numbered
+  encryptResponse(requestSeq: number, payload: any): RelayEnvelope {
+    return this.seal(payload, requestSeq, `ack:${requestSeq}`);
+  }
+
+  /**
+   * Decrypt a client envelope. Envelopes must arrive in order, which rejects
+   * anything the relay replays.
+   */
+  decrypt(envelope: RelayEnvelope): any {
+    if (!this.keys) {
+      throw new Error('Encrypted session not established');
+    }
+    if (!envelope || typeof envelope.seq !== 'number' || envelope.seq <= this.receiveSeq) {
+      throw new Error('Out of order or replayed message');
+    }
+
+    const sealed = Buffer.from(envelope.data, 'base64');
+    const decipher = createDecipheriv('aes-256-gcm', this.keys.clientKey, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(`c2d:${envelope.seq}`));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+    const plaintext = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+
+    this.receiveSeq = envelope.seq;
+    return JSON.parse(plaintext.toString('utf-8'));
+  }
+
+  private seal(payload: any, seq: number, aad: string): RelayEnvelope {
+    if (!this.keys) {
+      throw new Error('Encrypted session not established');
+    }
+
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv('aes-256-gcm', this.keys.desktopKey, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload ?? null), 'utf-8'), cipher.final(), cipher.getAuthTag()]);
+
+    return { seq, iv: iv.toString('base64'), data: data.toString('base64') };
+  }
+
+  private deriveKeys(pairingSecret: Buffer): SessionKeys {
+    const info = Buffer.concat([Buffer.from(PROTOCOL_LABEL), this.transcript]);
+    const material = Buffer.from(hkdfSync('sha256', this.sharedSecret, pairingSecret, info, 96));
+    return {
+      clientKey: material.subarray(0, 32),
+      desktopKey: material.subarray(32, 64),
+      confirmKey: material.subarray(64, 96)
+    };
+  }
+
+  private prove(confirmKey: Buffer, role: 'client' | 'desktop'): Buffer {
+    return createHmac('sha256', confirmKey).update(role).update(this.transcript).digest();
+  }
+}
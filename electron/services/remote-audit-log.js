@@ -0,0 +1,162 @@
+/**
+ * Audit log for remote access
+ * Appends one JSON object per line to remote-audit.jsonl in the app data directory.
+ * Each entry carries the hash of the one before it, so editing, removing or
+ * reordering entries breaks the chain and shows up in verify().
+ */
+import { app } from 'electron';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_QUERY_LIMIT = 200;
+export class RemoteAuditLog {
+    static instance;
+    logPath;
+    // Appends are chained so entries keep their order
+    writing = Promise.resolve();
+    head = null;
+    constructor() {
+        this.logPath = path.join(app.getPath('userData'), 'remote-audit.jsonl');
+    }
+    static getInstance() {
+        if (!RemoteAuditLog.instance) {
+            RemoteAuditLog.instance = new RemoteAuditLog();
+        }
+        return RemoteAuditLog.instance;
+    }
+    record(record) {
+        const timestamp = new Date().toISOString();
+        this.writing = this.writing
+            .then(async () => {
+            const head = this.head || await this.readHead();
+            const entry = {
+                seq: head.seq + 1,
+                timestamp,
+                ...record,
+                prevHash: head.hash
+            };
+            const hash = hashEntry(entry);
+            await fs.appendFile(this.logPath, JSON.stringify({ ...entry, hash }) + '\n', 'utf-8');
+            this.head = { seq: entry.seq, hash };
+        })
+            .catch(error => console.error('[RemoteAuditLog] Failed to write entry:', error));
+    }
+    /**
+     * Entries matching the filter, newest first
+     */
+    async query(filter = {}) {
+        const limit = filter.limit ?? DEFAULT_QUERY_LIMIT;
+        return (await this.readValidEntries())
+            .filter(entry => matchesQuery(entry, filter))
+            .reverse()
+            .slice(0, limit);
+    }
+    /**
+     * Write the entries matching the filter to a JSONL file, oldest first
+     */
+    async exportJsonl(filePath, filter = {}) {
+        const entries = (await this.readValidEntries()).filter(entry => matchesQuery(entry, filter));
+        await fs.writeFile(filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf-8');
+        return entries.length;
+    }
+    /**
+     * Walk the hash chain. Returns the sequence number of the first entry that
+     * doesn't match its predecessor, if any.
+     */
+    async verify() {
+        const entries = await this.readEntries();
+        let prevHash = GENESIS_HASH;
+        for (const [index, entry] of entries.entries()) {
+            if (!entry) {
+                return { valid: false, entries: entries.length, brokenAt: index + 1 };
+            }
+            const { hash, ...rest } = entry;
+            if (entry.prevHash !== prevHash || hashEntry(rest) !== hash) {
+                return { valid: false, entries: entries.length, brokenAt: entry.seq ?? index + 1 };
+            }
+            prevHash = hash;
+        }
+        return { valid: true, entries: entries.length };
+    }
+    getLogPath() {
+        return this.logPath;
+    }
+    async readValidEntries() {
+        return (await this.readEntries()).filter((entry) => entry !== null);
+    }
+    // Lines that don't parse come back as null, so verify() can point at them
+    async readEntries() {
+        // Let pending appends land first
+        await this.writing;
+        let content;
+        try {
+            content = await fs.readFile(this.logPath, 'utf-8');
+        }
+        catch (error) {
+            if (error.code === 'ENOENT')
+                return [];
+            throw error;
+        }
+        return content
+            .split('\n')
+            .filter(line => line.trim())
+            .map(parseEntry);
+    }
+    async readHead() {
+        let content = '';
+        try {
+            content = await fs.readFile(this.logPath, 'utf-8');
+        }
+        catch (error) {
+            if (error.code !== 'ENOENT')
+                throw error;
+        }
+        const lines = content.trimEnd().split('\n');
+        const last = parseEntry(lines[lines.length - 1]);
+        // A damaged last line starts a new chain; verify() reports the break
+        return last
+            ? { seq: last.seq, hash: last.hash }
+            : { seq: 0, hash: GENESIS_HASH };
+    }
+}
+/**
+ * Wrap the acknowledgement callback of a remote action so its outcome is
+ * recorded. Only a summary of the arguments goes in the log; file contents and
+ * terminal input are reduced to their size.
+ */
+export function auditedCallback(session, event, args, callback) {
+    return ((response) => {
+        const error = response?.error;
+        RemoteAuditLog.getInstance().record({
+            event,
+            result: response?.success ? 'success' : 'error',
+            sessionId: session?.id,
+            deviceId: session?.deviceId,
+            deviceName: session?.deviceName,
+            args,
+            reason: response?.success ? undefined : (typeof error === 'string' ? error : error?.message)
+        });
+        return callback(response);
+    });
+}
+function hashEntry(entry) {
+    return createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+function matchesQuery(entry, filter) {
+    return (!filter.sessionId || entry.sessionId === filter.sessionId) &&
+        (!filter.deviceId || entry.deviceId === filter.deviceId) &&
+        (!filter.event || entry.event === filter.event) &&
+        (!filter.result || entry.result === filter.result) &&
+        (!filter.since || entry.timestamp >= filter.since) &&
+        (!filter.until || entry.timestamp <= filter.until);
+}
+function parseEntry(line) {
+    try {
+        const entry = JSON.parse(line);
+        return entry && typeof entry.hash === 'string' ? entry : null;
+    }
+    catch {
+        return null;
+    }
+}
@@ -1,5 +1,6 @@
 import * as pty from 'node-pty';
 import { RemoteEvent, Permission } from '../remote-protocol.js';
+import { auditedCallback } from '../remote-audit-log.js';
 import { ClaudeDetector } from '../../claude-detector.js';
 import { userIsolation } from '../user-isolation.js';
 // @ts-ignore - xterm runs in Node.js for headless operation
@@ -16,6 +17,9 @@ export class RemoteClaudeHandler {
     claudePath = null;
     // Terminal translators for mobile clients - key is "socketId-instanceId"
     terminalTranslators = new Map();
+    // Sockets watching each desktop instance - key is instanceId, then socketId
+    spectators = new Map();
+    spectateForwardHandler;
     constructor(mainWindow, sessionManager) {
         this.mainWindow = mainWindow;
         this.sessionManager = sessionManager;
@@ -32,7 +36,7 @@ export class RemoteClaudeHandler {
         });
         // Send to Claude
         socket.on('claude:send', async (request, callback) => {
-            await this.handleClaudeSend(socket, request, callback);
+            await this.handleClaudeSend(socket, request, auditedCallback(this.sessionManager.getSessionBySocket(socket.id), 'claude:send', { instanceId: request?.payload?.instanceId, bytes: request?.payload?.data?.length }, callback));
         });
         // Stop Claude instance
         socket.on('claude:stop', async (request, callback) => {
@@ -58,11 +62,24 @@ export class RemoteClaudeHandler {
         socket.on('claude:getBuffer', async (request, callback) => {
             await this.handleGetClaudeBuffer(socket, request, callback);
         });
+        // Watch a desktop Claude instance without taking over its output
+        socket.on('claude:spectate', async (request, callback) => {
+            await this.handleClaudeSpectate(socket, request, callback);
+        });
+        // Stop watching a desktop Claude instance
+        socket.on('claude:unspectate', async (request, callback) => {
+            this.removeSpectator(socket.id, request.payload?.instanceId);
+            callback({
+                id: request.id,
+                success: true
+            });
+        });
     }
     /**
      * Clean up instances for a disconnected socket
      */
     cleanupSocketInstances(socketId) {
+        this.removeSpectator(socketId);
         const instanceIds = this.instancesBySocket.get(socketId);
         if (instanceIds) {
             instanceIds.forEach(instanceId => {
@@ -999,6 +1016,143 @@ export class RemoteClaudeHandler {
             });
         }
     }
+    async handleClaudeSpectate(socket, request, callback) {
+        try {
+            const session = this.sessionManager.getSessionBySocket(socket.id);
+            if (!session) {
+                return callback({
+                    id: request.id,
+                    success: false,
+                    error: { code: 'NO_SESSION', message: 'No active session' }
+                });
+            }
+            if (!this.sessionManager.hasPermission(session, Permission.CLAUDE_VIEW)) {
+                return callback({
+                    id: request.id,
+                    success: false,
+                    error: { code: 'PERMISSION_DENIED', message: 'Claude view permission required' }
+                });
+            }
+            const instanceId = request.payload?.instanceId;
+            if (typeof instanceId !== 'string' || !instanceId) {
+                return callback({
+                    id: request.id,
+                    success: false,
+                    error: { code: 'INVALID_REQUEST', message: 'instanceId is required' }
+                });
+            }
+            const status = await this.mainWindow.webContents.executeJavaScript(`
+        (() => {
+          const store = window.__getClaudeStore ? window.__getClaudeStore() : null;
+          const instance = store ? store.instances.get(${JSON.stringify(instanceId)}) : null;
+          return instance ? instance.status : null;
+        })()
+      `);
+            if (status !== 'connected') {
+                return callback({
+                    id: request.id,
+                    success: false,
+                    error: {
+                        code: status ? 'INSTANCE_NOT_RUNNING' : 'INSTANCE_NOT_FOUND',
+                        message: status ? 'Claude instance is not running' : 'Instance not found'
+                    }
+                });
+            }
+            // Start the stream before taking the scrollback, so nothing falls in between
+            await this.startSpectatorForwarding(instanceId);
+            const buffer = await this.mainWindow.webContents.executeJavaScript(`
+        (() => {
+          if (typeof window.__getClaudeTerminalBuffer === 'function') {
+            return window.__getClaudeTerminalBuffer(${JSON.stringify(instanceId)});
+          }
+          return null;
+        })()
+      `);
+            let watchers = this.spectators.get(instanceId);
+            if (!watchers) {
+                watchers = new Map();
+                this.spectators.set(instanceId, watchers);
+            }
+            watchers.set(socket.id, socket);
+            console.log(`[RemoteClaudeHandler] ${session.deviceName || socket.id} is watching ${instanceId}`);
+            callback({
+                id: request.id,
+                success: true,
+                data: { buffer }
+            });
+        }
+        catch (error) {
+            callback({
+                id: request.id,
+                success: false,
+                error: {
+                    code: 'SPECTATE_ERROR',
+                    message: error.message
+                }
+            });
+        }
+    }
+    /**
+     * Forward a desktop instance's output to its spectators. This listens next to
+     * the controlling client's forwarding rather than replacing it, so watching an
+     * instance never takes it away from whoever is driving it.
+     */
+    async startSpectatorForwarding(instanceId) {
+        if (!this.spectateForwardHandler) {
+            this.spectateForwardHandler = (event, data) => {
+                this.spectators.get(data?.instanceId)?.forEach(spectator => {
+                    spectator.emit(RemoteEvent.CLAUDE_OUTPUT, {
+                        instanceId: data.instanceId,
+                        data: data.data
+                    });
+                });
+            };
+            this.mainWindow.webContents.ipc.on('forward-claude-spectate', this.spectateForwardHandler);
+        }
+        await this.mainWindow.webContents.executeJavaScript(`
+      (() => {
+        if (!window.__remoteClaudeSpectating) {
+          window.__remoteClaudeSpectating = new Map();
+        }
+        
+        const instanceId = ${JSON.stringify(instanceId)};
+        if (window.__remoteClaudeSpectating.has(instanceId) || !window.electronAPI?.claude?.onOutput) {
+          return;
+        }
+        
+        const cleanup = window.electronAPI.claude.onOutput(instanceId, (data) => {
+          window.electronAPI.send('forward-claude-spectate', { instanceId, data });
+        });
+        window.__remoteClaudeSpectating.set(instanceId, cleanup);
+      })()
+    `);
+    }
+    /**
+     * Stop a socket watching one instance, or all of them when no instance is given.
+     * The desktop stops forwarding an instance once nobody watches it.
+     */
+    removeSpectator(socketId, instanceId) {
+        const instanceIds = instanceId ? [instanceId] : Array.from(this.spectators.keys());
+        for (const id of instanceIds) {
+            const watchers = this.spectators.get(id);
+            if (!watchers?.delete(socketId) || watchers.size > 0)
+                continue;
+            this.spectators.delete(id);
+            if (this.mainWindow.isDestroyed())
+                continue;
+            this.mainWindow.webContents.executeJavaScript(`
+        (() => {
+          const cleanup = window.__remoteClaudeSpectating?.get(${JSON.stringify(id)});
+          if (cleanup) {
+            cleanup();
+            window.__remoteClaudeSpectating.delete(${JSON.stringify(id)});
+          }
+        })()
+      `).catch(error => {
+                console.error('[RemoteClaudeHandler] Failed to stop spectator forwarding:', error);
+            });
+        }
+    }
     /**
      * Get instance statistics
      */
@@ -1,6 +1,7 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { Permission } from '../remote-protocol.js';
+import { auditedCallback } from '../remote-audit-log.js';
 export class RemoteFileHandler {
     mainWindow;
     sessionManager;
@@ -18,7 +19,7 @@ export class RemoteFileHandler {
         });
         // Write file
         socket.on('file:write', async (request, callback) => {
-            await this.handleFileWrite(socket, request, callback);
+            await this.handleFileWrite(socket, request, auditedCallback(this.sessionManager.getSessionBySocket(socket.id), 'file:write', { path: request?.payload?.path, bytes: request?.payload?.content?.length }, callback));
         });
         // List directory
         socket.on('file:list', async (request, callback) => {
@@ -26,7 +27,7 @@ export class RemoteFileHandler {
         });
         // Delete file
         socket.on('file:delete', async (request, callback) => {
-            await this.handleFileDelete(socket, request, callback);
+            await this.handleFileDelete(socket, request, auditedCallback(this.sessionManager.getSessionBySocket(socket.id), 'file:delete', { path: request?.payload?.path }, callback));
         });
         // Get file stats
         socket.on('file:stat', async (request, callback) => {
@@ -14,6 +14,7 @@ import {
 } from '../remote-protocol.js';
 import type { RemoteSession } from '../remote-session-manager.js';
 import { RemoteSessionManager } from '../remote-session-manager.js';
+import { auditedCallback } from '../remote-audit-log.js';
 
 export class RemoteFileHandler {
   constructor(
@@ -32,7 +33,12 @@ export class RemoteFileHandler {
     
     // Write file
     socket.on('file:write', async (request: RemoteRequest<FileProtocol.WriteRequest>, callback) => {
-      await this.handleFileWrite(socket, request, callback);
+      await this.handleFileWrite(socket, request, auditedCallback(
+        this.sessionManager.getSessionBySocket(socket.id),
+        'file:write',
+        { path: request?.payload?.path, bytes: request?.payload?.content?.length },
+        callback
+      ));
     });
     
     // List directory
@@ -42,7 +48,12 @@ export class RemoteFileHandler {
     
     // Delete file
     socket.on('file:delete', async (request: RemoteRequest<FileProtocol.DeleteRequest>, callback) => {
-      await this.handleFileDelete(socket, request, callback);
+      await this.handleFileDelete(socket, request, auditedCallback(
+        this.sessionManager.getSessionBySocket(socket.id),
+        'file:delete',
+        { path: request?.payload?.path },
+        callback
+      ));
     });
     
     // Get file stats
@@ -1,6 +1,10 @@
 import { ipcMain, BrowserWindow } from 'electron';
+import { auditedCallback } from '../remote-audit-log.js';
 export class RemoteSnapshotsHandler {
-    constructor() { }
+    sessionManager;
+    constructor(sessionManager) {
+        this.sessionManager = sessionManager;
+    }
     registerHandlers(socket) {
         // Handle snapshot capture
         socket.on('snapshot:capture', async (request, callback) => {
@@ -66,7 +70,8 @@ export class RemoteSnapshotsHandler {
             }
         });
         // Handle snapshot restore
-        socket.on('snapshot:restore', async (request, callback) => {
+        socket.on('snapshot:restore', async (request, ack) => {
+            const callback = auditedCallback(this.sessionManager.getSessionBySocket(socket.id), 'snapshot:restore', { snapshotId: request?.payload?.snapshotId }, ack);
             try {
                 const { snapshotId, options } = request.payload;
                 const result = await new Promise((resolve) => {
@@ -1,8 +1,10 @@
 import { ipcMain, BrowserWindow } from 'electron';
 import type { Socket } from 'socket.io';
+import { RemoteSessionManager } from '../remote-session-manager.js';
+import { auditedCallback } from '../remote-audit-log.js';
 
 export class RemoteSnapshotsHandler {
-  constructor() {}
+  constructor(private sessionManager: RemoteSessionManager) {}
 
   registerHandlers(socket: Socket) {
     // Handle snapshot capture
@@ -75,7 +77,13 @@ export class RemoteSnapshotsHandler {
     });
 
     // Handle snapshot restore
-    socket.on('snapshot:restore', async (request, callback) => {
+    socket.on('snapshot:restore', async (request, ack) => {
+      const callback = auditedCallback(
+        this.sessionManager.getSessionBySocket(socket.id),
+        'snapshot:restore',
+        { snapshotId: request?.payload?.snapshotId },
+        ack
+      );
       try {
         const { snapshotId, options } = request.payload;
         
@@ -1,18 +1,23 @@
 import { Permission } from '../remote-protocol.js';
+import { SyncPatchLog } from '../sync-patch-log.js';
 export class RemoteSyncHandler {
     mainWindow;
     sessionManager;
-    patchStore = new Map();
-    // In-memory patch storage - database removed
+    // Patches are kept per workspace, so every device working on it shares them
+    patchLog = SyncPatchLog.getInstance();
+    sockets = new Map();
     constructor(mainWindow, sessionManager) {
         this.mainWindow = mainWindow;
         this.sessionManager = sessionManager;
-        // Using in-memory storage for sync patches
     }
     /**
      * Register sync handlers on a socket
      */
     registerHandlers(socket) {
+        this.sockets.set(socket.id, socket);
+        socket.on('disconnect', () => {
+            this.sockets.delete(socket.id);
+        });
         // Push patches from client
         socket.on('sync:push', async (request, callback) => {
             await this.handleSyncPush(socket, request, callback);
@@ -47,30 +52,21 @@ export class RemoteSyncHandler {
                     error: { code: 'PERMISSION_DENIED', message: 'Sync permission required' }
                 });
             }
-            let patches = request.payload.patches;
-            // Decompress if needed
-            if (request.payload.compressed) {
-                // TODO: Implement decompression
-            }
-            // Store patches by user/workspace
-            const storeKey = `${session.userId}:${session.workspaceId || 'default'}`;
-            if (!this.patchStore.has(storeKey)) {
-                this.patchStore.set(storeKey, []);
+            const patches = request.payload.patches || [];
+            // Patches this workspace already has are acknowledged but not stored again
+            const { accepted, duplicates, heads } = this.patchLog.append(this.getWorkspaceKey(session), patches, { userId: session.userId, sessionId: session.id });
+            // Let other devices on the workspace know there is something to pull
+            if (accepted.length > 0) {
+                this.broadcastPatches(session, accepted);
             }
-            // Add patches with metadata
-            const enrichedPatches = patches.map(patch => ({
-                ...patch,
-                userId: session.userId,
-                sessionId: session.id,
-                receivedAt: new Date()
-            }));
-            this.patchStore.get(storeKey).push(...enrichedPatches);
-            // Store in memory only - database persistence removed
-            // Broadcast to other sessions of same user/workspace
-            this.broadcastPatches(session, enrichedPatches);
             callback({
                 id: request.id,
-                success: true
+                success: true,
+                data: {
+                    accepted: accepted.length,
+                    duplicates,
+                    heads
+                }
             });
         }
         catch (error) {
@@ -97,24 +93,18 @@ export class RemoteSyncHandler {
                     error: { code: 'NO_SESSION', message: 'No active session' }
                 });
             }
-            const storeKey = `${session.userId}:${session.workspaceId || 'default'}`;
-            // Get patches from memory store
-            let patches = this.getPatchesFromMemory(storeKey, request.payload.since, request.payload.types);
-            // Filter out patches from this session to avoid echoing
-            patches = patches.filter((p) => p.sessionId !== session.id);
-            // Compress if beneficial
-            let compressed = false;
-            if (patches.length > 10 || JSON.stringify(patches).length > 10240) {
-                // TODO: Implement compression
-                compressed = true;
-            }
+            // Only the patches the client is missing; its own are in its seen
+            // vector, and unnumbered ones from this session are skipped to avoid echoing
+            const patches = this.patchLog.pull(this.getWorkspaceKey(session), {
+                seen: request.payload?.seen,
+                since: request.payload?.since,
+                types: request.payload?.types,
+                excludeSessionId: session.id
+            });
             callback({
                 id: request.id,
                 success: true,
-                data: {
-                    patches,
-                    compressed
-                }
+                data: { patches }
             });
         }
         catch (error) {
@@ -141,8 +131,7 @@ export class RemoteSyncHandler {
                     error: { code: 'NO_SESSION', message: 'No active session' }
                 });
             }
-            const storeKey = `${session.userId}:${session.workspaceId || 'default'}`;
-            const stats = this.getMemoryStats(storeKey);
+            const stats = this.patchLog.getStats(this.getWorkspaceKey(session));
             callback({
                 id: request.id,
                 success: true,
@@ -164,15 +153,14 @@ export class RemoteSyncHandler {
      * Broadcast patches to other sessions
      */
     broadcastPatches(senderSession, patches) {
-        // Get all sessions for same user/workspace
-        const sessions = this.sessionManager.getSessionsForUser(senderSession.userId);
+        // Every device on the workspace, whichever token it paired with
+        const sessions = this.sessionManager.getAllSessions();
         sessions.forEach(session => {
             if (session.id === senderSession.id)
                 return; // Skip sender
-            if (session.workspaceId !== senderSession.workspaceId)
+            if (this.getWorkspaceKey(session) !== this.getWorkspaceKey(senderSession))
                 return; // Different workspace
-            // Find socket for session
-            const socket = this.findSocketForSession(session.id);
+            const socket = this.sockets.get(session.socketId);
             if (socket) {
                 socket.emit('sync:patches', {
                     patches,
@@ -181,14 +169,6 @@ export class RemoteSyncHandler {
             }
         });
     }
-    /**
-     * Find socket for a session
-     */
-    findSocketForSession(sessionId) {
-        // TODO: Implement socket lookup
-        // This would require maintaining a map of sessionId -> socket
-        return null;
-    }
     /**
      * Clean up patches for a disconnected session
      */
@@ -196,57 +176,13 @@ export class RemoteSyncHandler {
         // Patches are persisted, so no cleanup needed
         // Could implement patch expiration logic here
     }
-    /**
-     * Get patches from memory store
-     */
-    getPatchesFromMemory(storeKey, since, types) {
-        const patches = this.patchStore.get(storeKey) || [];
-        return patches.filter(patch => {
-            // Filter by date if provided
-            if (since && patch.receivedAt && patch.receivedAt <= since) {
-                return false;
-            }
-            // Filter by types if provided
-            if (types && types.length > 0 && patch.entityType && !types.includes(patch.entityType)) {
-                return false;
-            }
-            return true;
-        });
-    }
-    /**
-     * Get memory statistics for a store key
-     */
-    getMemoryStats(storeKey) {
-        const patches = this.patchStore.get(storeKey) || [];
-        const patchesByType = {};
-        patches.forEach(patch => {
-            const type = patch.entityType || 'unknown';
-            patchesByType[type] = (patchesByType[type] || 0) + 1;
-        });
-        return {
-            totalPatches: patches.length,
-            patchesByType,
-            oldestPatch: patches.length > 0 ? patches[0].receivedAt : null,
-            newestPatch: patches.length > 0 ? patches[patches.length - 1].receivedAt : null
-        };
+    getWorkspaceKey(session) {
+        return session.workspaceId || 'default';
     }
     /**
      * Get sync statistics
      */
     getStats() {
-        const stats = {
-            totalPatches: 0,
-            patchesByType: {},
-            userCount: this.patchStore.size
-        };
-        this.patchStore.forEach((patches) => {
-            stats.totalPatches += patches.length;
-            patches.forEach(patch => {
-                const type = patch.entityType || 'unknown';
-                stats.patchesByType[type] =
-                    (stats.patchesByType[type] || 0) + 1;
-            });
-        });
-        return stats;
+        return this.patchLog.getTotals();
     }
 }
@@ -11,40 +11,39 @@ import {
 } from '../remote-protocol.js';
 import type { RemoteSession } from '../remote-session-manager.js';
 import { RemoteSessionManager } from '../remote-session-manager.js';
-import type { SyncPatch } from '../types/sync-types.js';
-// LocalDatabase removed - using in-memory storage for sync patches
+import type { SyncPatch, VersionVector } from '../types/sync-types.js';
+import { SyncPatchLog } from '../sync-patch-log.js';
+import type { StoredSyncPatch } from '../sync-patch-log.js';
 
 interface SyncPushRequest {
   patches: SyncPatch[];
-  compressed: boolean;
 }
 
 interface SyncPullRequest {
-  since: Date | null;
+  seen?: VersionVector; // Highest patch the client has from each device
+  since?: Date | null; // Used when seen is missing
   types?: string[];
 }
 
-// Extended SyncPatch type for internal storage
-interface StoredSyncPatch extends SyncPatch {
-  receivedAt?: Date;
-  sessionId?: string;
-}
-
 export class RemoteSyncHandler {
-  private patchStore: Map<string, StoredSyncPatch[]> = new Map();
-  // In-memory patch storage - database removed
+  // Patches are kept per workspace, so every device working on it shares them
+  private patchLog = SyncPatchLog.getInstance();
+  private sockets: Map<string, Socket> = new Map();
   
   constructor(
     private mainWindow: BrowserWindow,
     private sessionManager: RemoteSessionManager
-  ) {
-    // Using in-memory storage for sync patches
-  }
+  ) {}
   
   /**
    * Register sync handlers on a socket
    */
   registerHandlers(socket: Socket): void {
+    this.sockets.set(socket.id, socket);
+    socket.on('disconnect', () => {
+      this.sockets.delete(socket.id);
+    });
+    
     // Push patches from client
     socket.on('sync:push', async (request: RemoteRequest<SyncPushRequest>, callback) => {
       await this.handleSyncPush(socket, request, callback);
@@ -88,37 +87,28 @@ export class RemoteSyncHandler {
         });
       }
       
-      let patches = request.payload.patches;
+      const patches = request.payload.patches || [];
       
-      // Decompress if needed
-      if (request.payload.compressed) {
-        // TODO: Implement decompression
-      }
+      // Patches this workspace already has are acknowledged but not stored again
+      const { accepted, duplicates, heads } = this.patchLog.append(
+        this.getWorkspaceKey(session),
+        patches,
+        { userId: session.userId, sessionId: session.id }
+      );
       
-      // Store patches by user/workspace
-      const storeKey = `${session.userId}:${session.workspaceId || 'default'}`;
-      if (!this.patchStore.has(storeKey)) {
-        this.patchStore.set(storeKey, []);
+      // Let other devices on the workspace know there is something to pull
+      if (accepted.length > 0) {
+        this.broadcastPatches(session, accepted);
       }
       
-      // Add patches with metadata
-      const enrichedPatches: StoredSyncPatch[] = patches.map(patch => ({
-        ...patch,
-        userId: session.userId,
-        sessionId: session.id,
-        receivedAt: new Date()
-      }));
-      
-      this.patchStore.get(storeKey)!.push(...enrichedPatches);
-      
-      // Store in memory only - database persistence removed
-      
-      // Broadcast to other sessions of same user/workspace
-      this.broadcastPatches(session, enrichedPatches);
-      
       callback({
         id: request.id,
-        success: true
+        success: true,
+        data: {
+          accepted: accepted.length,
+          duplicates,
+          heads
+        }
       });
     } catch (error) {
       callback({
@@ -138,7 +128,7 @@ export class RemoteSyncHandler {
   private async handleSyncPull(
     socket: Socket,
     request: RemoteRequest<SyncPullRequest>,
-    callback: (response: RemoteResponse<{ patches: SyncPatch[], compressed: boolean }>) => void
+    callback: (response: RemoteResponse<{ patches: SyncPatch[] }>) => void
   ): Promise<void> {
     try {
       const session = this.sessionManager.getSessionBySocket(socket.id);
@@ -150,32 +140,19 @@ export class RemoteSyncHandler {
         });
       }
       
-      const storeKey = `${session.userId}:${session.workspaceId || 'default'}`;
-      
-      // Get patches from memory store
-      let patches = this.getPatchesFromMemory(
-        storeKey,
-        request.payload.since,
-        request.payload.types
-      );
-      
-      // Filter out patches from this session to avoid echoing
-      patches = patches.filter((p: any) => p.sessionId !== session.id);
-      
-      // Compress if beneficial
-      let compressed = false;
-      if (patches.length > 10 || JSON.stringify(patches).length > 10240) {
-        // TODO: Implement compression
-        compressed = true;
-      }
+      // Only the patches the client is missing; its own are in its seen
+      // vector, and unnumbered ones from this session are skipped to avoid echoing
+      const patches = this.patchLog.pull(this.getWorkspaceKey(session), {
+        seen: request.payload?.seen,
+        since: request.payload?.since,
+        types: request.payload?.types,
+        excludeSessionId: session.id
+      });
       
       callback({
         id: request.id,
         success: true,
-        data: {
-          patches,
-          compressed
-        }
+        data: { patches }
       });
     } catch (error) {
       callback({
@@ -207,8 +184,7 @@ export class RemoteSyncHandler {
         });
       }
       
-      const storeKey = `${session.userId}:${session.workspaceId || 'default'}`;
-      const stats = this.getMemoryStats(storeKey);
+      const stats = this.patchLog.getStats(this.getWorkspaceKey(session));
       
       callback({
         id: request.id,
@@ -234,15 +210,14 @@ export class RemoteSyncHandler {
     senderSession: RemoteSession,
     patches: StoredSyncPatch[]
   ): void {
-    // Get all sessions for same user/workspace
-    const sessions = this.sessionManager.getSessionsForUser(senderSession.userId);
+    // Every device on the workspace, whichever token it paired with
+    const sessions = this.sessionManager.getAllSessions();
     
     sessions.forEach(session => {
       if (session.id === senderSession.id) return; // Skip sender
-      if (session.workspaceId !== senderSession.workspaceId) return; // Different workspace
+      if (this.getWorkspaceKey(session) !== this.getWorkspaceKey(senderSession)) return; // Different workspace
       
-      // Find socket for session
-      const socket = this.findSocketForSession(session.id);
+      const socket = this.sockets.get(session.socketId);
       if (socket) {
         socket.emit('sync:patches', {
           patches,
@@ -252,15 +227,6 @@ export class RemoteSyncHandler {
     });
   }
   
-  /**
-   * Find socket for a session
-   */
-  private findSocketForSession(sessionId: string): Socket | null {
-    // TODO: Implement socket lookup
-    // This would require maintaining a map of sessionId -> socket
-    return null;
-  }
-  
   /**
    * Clean up patches for a disconnected session
    */
@@ -269,70 +235,14 @@ export class RemoteSyncHandler {
     // Could implement patch expiration logic here
   }
   
-  /**
-   * Get patches from memory store
-   */
-  private getPatchesFromMemory(
-    storeKey: string,
-    since: Date | null,
-    types?: string[]
-  ): StoredSyncPatch[] {
-    const patches = this.patchStore.get(storeKey) || [];
-    
-    return patches.filter(patch => {
-      // Filter by date if provided
-      if (since && patch.receivedAt && patch.receivedAt <= since) {
-        return false;
-      }
-      
-      // Filter by types if provided
-      if (types && types.length > 0 && patch.entityType && !types.includes(patch.entityType)) {
-        return false;
-      }
-      
-      return true;
-    });
+  private getWorkspaceKey(session: RemoteSession): string {
+    return session.workspaceId || 'default';
   }
   
-  /**
-   * Get memory statistics for a store key
-   */
-  private getMemoryStats(storeKey: string): any {
-    const patches = this.patchStore.get(storeKey) || [];
-    const patchesByType: Record<string, number> = {};
-    
-    patches.forEach(patch => {
-      const type = patch.entityType || 'unknown';
-      patchesByType[type] = (patchesByType[type] || 0) + 1;
-    });
-    
-    return {
-      totalPatches: patches.length,
-      patchesByType,
-      oldestPatch: patches.length > 0 ? patches[0].receivedAt : null,
-      newestPatch: patches.length > 0 ? patches[patches.length - 1].receivedAt : null
-    };
-  }
-
   /**
    * Get sync statistics
    */
   getStats() {
-    const stats: any = {
-      totalPatches: 0,
-      patchesByType: {},
-      userCount: this.patchStore.size
-    };
-    
-    this.patchStore.forEach((patches) => {
-      stats.totalPatches += patches.length;
-      patches.forEach(patch => {
-        const type = patch.entityType || 'unknown';
-        stats.patchesByType[type] = 
-          (stats.patchesByType[type] || 0) + 1;
-      });
-    });
-    
-    return stats;
+    return this.patchLog.getTotals();
   }
 }
\ No newline at end of file
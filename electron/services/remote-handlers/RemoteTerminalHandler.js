@@ -1,10 +1,14 @@
 import * as pty from 'node-pty';
 import { RemoteEvent, Permission } from '../remote-protocol.js';
+import { auditedCallback } from '../remote-audit-log.js';
+import { TerminalRecorder, RecordingReplay } from '../terminal-recorder.js';
+import { TerminalMultiplexer } from '../terminal-multiplexer.js';
 export class RemoteTerminalHandler {
     mainWindow;
     sessionManager;
     terminals = new Map();
     terminalsBySocket = new Map();
+    replays = new Map();
     constructor(mainWindow, sessionManager) {
         this.mainWindow = mainWindow;
         this.sessionManager = sessionManager;
@@ -19,7 +23,7 @@ export class RemoteTerminalHandler {
         });
         // Write to terminal
         socket.on('terminal:write', async (request, callback) => {
-            await this.handleTerminalWrite(socket, request, callback);
+            await this.handleTerminalWrite(socket, request, auditedCallback(this.sessionManager.getSessionBySocket(socket.id), 'terminal:write', { terminalId: request?.payload?.terminalId, bytes: request?.payload?.data?.length }, callback));
         });
         // Resize terminal
         socket.on('terminal:resize', async (request, callback) => {
@@ -33,6 +37,16 @@ export class RemoteTerminalHandler {
         socket.on('terminal:list', async (request, callback) => {
             await this.handleTerminalList(socket, request, callback);
         });
+        // Recorded sessions
+        socket.on('terminal:recordings', async (request, callback) => {
+            await this.handleRecordingList(request, callback);
+        });
+        socket.on('terminal:replay', async (request, callback) => {
+            await this.handleReplay(socket, request, callback);
+        });
+        socket.on('terminal:replay:control', async (request, callback) => {
+            this.handleReplayControl(socket, request, callback);
+        });
     }
     /**
      * Clean up terminals for a disconnected socket
@@ -45,6 +59,12 @@ export class RemoteTerminalHandler {
             });
             this.terminalsBySocket.delete(socketId);
         }
+        this.replays.forEach(({ replay, socketId: owner }, replayId) => {
+            if (owner === socketId) {
+                replay.stop();
+                this.replays.delete(replayId);
+            }
+        });
     }
     async handleTerminalCreate(socket, request, callback) {
         try {
@@ -99,8 +119,15 @@ export class RemoteTerminalHandler {
                 this.terminalsBySocket.set(socket.id, new Set());
             }
             this.terminalsBySocket.get(socket.id).add(terminalId);
+            TerminalRecorder.getInstance().start('terminal', terminalId, {
+                cols: request.payload.cols || 80,
+                rows: request.payload.rows || 24,
+                title: request.payload.name || `Remote terminal (${session.deviceName || 'unknown device'})`,
+                cwd: terminal.workspacePath
+            });
             // Set up PTY data handler - stream binary data
             termPty.onData((data) => {
+                TerminalRecorder.getInstance().output('terminal', terminalId, data);
                 // Send as base64 string for Socket.IO polling compatibility
                 socket.emit(RemoteEvent.TERMINAL_DATA, {
                     terminalId,
@@ -169,6 +196,13 @@ export class RemoteTerminalHandler {
                     success: true
                 });
             }
+            // Desktop terminal addressed by its PTY ID, e.g. a detached one
+            if (TerminalMultiplexer.getInstance().write(request.payload.terminalId, request.payload.data)) {
+                return callback({
+                    id: request.id,
+                    success: true
+                });
+            }
             // Not a remote terminal, try desktop terminal
             // We need to find the PTY ID for this terminal instance ID
             try {
@@ -261,6 +295,7 @@ export class RemoteTerminalHandler {
             }
             // Resize PTY
             terminal.pty.resize(request.payload.cols, request.payload.rows);
+            TerminalRecorder.getInstance().resize('terminal', terminal.id, request.payload.cols, request.payload.rows);
             callback({
                 id: request.id,
                 success: true
@@ -334,6 +369,7 @@ export class RemoteTerminalHandler {
         }
         // Remove from tracking
         this.terminals.delete(terminalId);
+        TerminalRecorder.getInstance().stop('terminal', terminalId);
         // Remove from socket tracking
         const socketTerminals = this.terminalsBySocket.get(terminal.socketId);
         if (socketTerminals) {
@@ -385,12 +421,27 @@ export class RemoteTerminalHandler {
         `);
                 if (result && Array.isArray(result)) {
                     desktopTerminals = result;
-                    // Update the socket's terminal mapping for forwarding
-                    this.updateSocketTerminalMapping(socket.id, desktopTerminals);
                 }
             }
             catch (e) {
             }
+            // Desktop terminals no view is showing, e.g. still running after a reload
+            const multiplexer = TerminalMultiplexer.getInstance();
+            const shownPtyIds = new Set(desktopTerminals.map(term => term.ptyProcessId).filter(Boolean));
+            const detachedTerminals = multiplexer.list()
+                .filter(term => !term.attached && !shownPtyIds.has(term.id))
+                .map(term => ({
+                id: term.id,
+                name: term.name || `Detached terminal ${term.id.slice(0, 8)}`,
+                workingDirectory: term.cwd,
+                ptyProcessId: term.id,
+                createdAt: term.createdAt,
+                currentBuffer: multiplexer.getScrollback(term.id),
+                detached: true
+            }));
+            desktopTerminals = [...desktopTerminals, ...detachedTerminals];
+            // Update the socket's terminal mapping for forwarding
+            this.updateSocketTerminalMapping(socket.id, desktopTerminals);
             // Get remote-created terminals for this session
             const remoteTerminals = Array.from(this.terminals.values())
                 .filter(term => term.sessionId === session.id)
@@ -420,6 +471,79 @@ export class RemoteTerminalHandler {
             });
         }
     }
+    async handleRecordingList(request, callback) {
+        try {
+            callback({
+                id: request.id,
+                success: true,
+                data: await TerminalRecorder.getInstance().list()
+            });
+        }
+        catch (error) {
+            callback({
+                id: request.id,
+                success: false,
+                error: { code: 'LIST_ERROR', message: error.message }
+            });
+        }
+    }
+    async handleReplay(socket, request, callback) {
+        try {
+            const recording = await TerminalRecorder.getInstance().load(request.payload.recordingId);
+            const replayId = `replay-${socket.id}-${Date.now()}`;
+            // Same event shapes as a live terminal, so the xterm client needs no special casing
+            const replay = new RecordingReplay(recording, {
+                data: data => {
+                    socket.emit(RemoteEvent.TERMINAL_DATA, {
+                        terminalId: replayId,
+                        data: Buffer.from(data).toString('base64')
+                    });
+                },
+                state: state => {
+                    socket.emit(RemoteEvent.TERMINAL_REPLAY_STATE, { terminalId: replayId, ...state });
+                }
+            });
+            this.replays.set(replayId, { replay, socketId: socket.id });
+            callback({
+                id: request.id,
+                success: true,
+                data: { replayId, state: { terminalId: replayId, ...replay.getState() } }
+            });
+        }
+        catch (error) {
+            callback({
+                id: request.id,
+                success: false,
+                error: { code: 'REPLAY_ERROR', message: error.message }
+            });
+        }
+    }
+    handleReplayControl(socket, request, callback) {
+        const { replayId, action, value } = request.payload;
+        const entry = this.replays.get(replayId);
+        if (!entry || entry.socketId !== socket.id) {
+            return callback({
+                id: request.id,
+                success: false,
+                error: { code: 'REPLAY_NOT_FOUND', message: 'Replay not found' }
+            });
+        }
+        if (!entry.replay.control(action, value)) {
+            return callback({
+                id: request.id,
+                success: false,
+                error: { code: 'INVALID_ACTION', message: `Unknown replay action: ${action}` }
+            });
+        }
+        if (action === 'stop') {
+            this.replays.delete(replayId);
+        }
+        callback({
+            id: request.id,
+            success: true,
+            data: { terminalId: replayId, ...entry.replay.getState() }
+        });
+    }
     updateSocketTerminalMapping(socketId, terminals) {
         // Access the remote server through the global scope
         const remoteServer = global.__remoteServer;
@@ -14,6 +14,9 @@ import {
 } from '../remote-protocol.js';
 import type { RemoteSession } from '../remote-session-manager.js';
 import { RemoteSessionManager } from '../remote-session-manager.js';
+import { auditedCallback } from '../remote-audit-log.js';
+import { TerminalRecorder, RecordingReplay, RecordingInfo } from '../terminal-recorder.js';
+import { TerminalMultiplexer } from '../terminal-multiplexer.js';
 
 interface RemoteTerminal {
   id: string;
@@ -28,6 +31,7 @@ interface RemoteTerminal {
 export class RemoteTerminalHandler {
   private terminals: Map<string, RemoteTerminal> = new Map();
   private terminalsBySocket: Map<string, Set<string>> = new Map();
+  private replays: Map<string, { replay: RecordingReplay; socketId: string }> = new Map();
   
   constructor(
     private mainWindow: BrowserWindow,
@@ -45,7 +49,12 @@ export class RemoteTerminalHandler {
     
     // Write to terminal
     socket.on('terminal:write', async (request: RemoteRequest<TerminalProtocol.WriteRequest>, callback) => {
-      await this.handleTerminalWrite(socket, request, callback);
+      await this.handleTerminalWrite(socket, request, auditedCallback(
+        this.sessionManager.getSessionBySocket(socket.id),
+        'terminal:write',
+        { terminalId: request?.payload?.terminalId, bytes: request?.payload?.data?.length },
+        callback
+      ));
     });
     
     // Resize terminal
@@ -62,6 +71,19 @@ export class RemoteTerminalHandler {
     socket.on('terminal:list', async (request: RemoteRequest, callback) => {
       await this.handleTerminalList(socket, request, callback);
     });
+    
+    // Recorded sessions
+    socket.on('terminal:recordings', async (request: RemoteRequest, callback) => {
+      await this.handleRecordingList(request, callback);
+    });
+    
+    socket.on('terminal:replay', async (request: RemoteRequest<TerminalProtocol.ReplayRequest>, callback) => {
+      await this.handleReplay(socket, request, callback);
+    });
+    
+    socket.on('terminal:replay:control', async (request: RemoteRequest<TerminalProtocol.ReplayControlRequest>, callback) => {
+      this.handleReplayControl(socket, request, callback);
+    });
   }
   
   /**
@@ -75,6 +97,13 @@ export class RemoteTerminalHandler {
       });
       this.terminalsBySocket.delete(socketId);
     }
+    
+    this.replays.forEach(({ replay, socketId: owner }, replayId) => {
+      if (owner === socketId) {
+        replay.stop();
+        this.replays.delete(replayId);
+      }
+    });
   }
   
   private async handleTerminalCreate(
@@ -141,8 +170,16 @@ export class RemoteTerminalHandler {
       }
       this.terminalsBySocket.get(socket.id)!.add(terminalId);
       
+      TerminalRecorder.getInstance().start('terminal', terminalId, {
+        cols: request.payload.cols || 80,
+        rows: request.payload.rows || 24,
+        title: request.payload.name || `Remote terminal (${session.deviceName || 'unknown device'})`,
+        cwd: terminal.workspacePath
+      });
+      
       // Set up PTY data handler - stream binary data
       termPty.onData((data) => {
+        TerminalRecorder.getInstance().output('terminal', terminalId, data);
         // Send as base64 string for Socket.IO polling compatibility
         socket.emit(RemoteEvent.TERMINAL_DATA, {
           terminalId,
@@ -225,6 +262,14 @@ export class RemoteTerminalHandler {
         });
       }
       
+      // Desktop terminal addressed by its PTY ID, e.g. a detached one
+      if (TerminalMultiplexer.getInstance().write(request.payload.terminalId, request.payload.data)) {
+        return callback({
+          id: request.id,
+          success: true
+        });
+      }
+      
       // Not a remote terminal, try desktop terminal
       // We need to find the PTY ID for this terminal instance ID
       try {
@@ -325,6 +370,7 @@ export class RemoteTerminalHandler {
       
       // Resize PTY
       terminal.pty.resize(request.payload.cols, request.payload.rows);
+      TerminalRecorder.getInstance().resize('terminal', terminal.id, request.payload.cols, request.payload.rows);
       
       callback({
         id: request.id,
@@ -407,6 +453,7 @@ export class RemoteTerminalHandler {
     
     // Remove from tracking
     this.terminals.delete(terminalId);
+    TerminalRecorder.getInstance().stop('terminal', terminalId);
     
     // Remove from socket tracking
     const socketTerminals = this.terminalsBySocket.get(terminal.socketId);
@@ -469,15 +516,30 @@ export class RemoteTerminalHandler {
         
         if (result && Array.isArray(result)) {
           desktopTerminals = result;
-         
-          
-          // Update the socket's terminal mapping for forwarding
-          this.updateSocketTerminalMapping(socket.id, desktopTerminals);
         }
       } catch (e) {
        
       }
       
+      // Desktop terminals no view is showing, e.g. still running after a reload
+      const multiplexer = TerminalMultiplexer.getInstance();
+      const shownPtyIds = new Set(desktopTerminals.map(term => term.ptyProcessId).filter(Boolean));
+      const detachedTerminals = multiplexer.list()
+        .filter(term => !term.attached && !shownPtyIds.has(term.id))
+        .map(term => ({
+          id: term.id,
+          name: term.name || `Detached terminal ${term.id.slice(0, 8)}`,
+          workingDirectory: term.cwd,
+          ptyProcessId: term.id,
+          createdAt: term.createdAt,
+          currentBuffer: multiplexer.getScrollback(term.id),
+          detached: true
+        }));
+      desktopTerminals = [...desktopTerminals, ...detachedTerminals];
+      
+      // Update the socket's terminal mapping for forwarding
+      this.updateSocketTerminalMapping(socket.id, desktopTerminals);
+      
       // Get remote-created terminals for this session
       const remoteTerminals = Array.from(this.terminals.values())
         .filter(term => term.sessionId === session.id)
@@ -511,6 +573,95 @@ export class RemoteTerminalHandler {
     }
   }
   
+  private async handleRecordingList(
+    request: RemoteRequest,
+    callback: (response: RemoteResponse<RecordingInfo[]>) => void
+  ): Promise<void> {
+    try {
+      callback({
+        id: request.id,
+        success: true,
+        data: await TerminalRecorder.getInstance().list()
+      });
+    } catch (error) {
+      callback({
+        id: request.id,
+        success: false,
+        error: { code: 'LIST_ERROR', message: (error as Error).message }
+      });
+    }
+  }
+  
+  private async handleReplay(
+    socket: Socket,
+    request: RemoteRequest<TerminalProtocol.ReplayRequest>,
+    callback: (response: RemoteResponse<TerminalProtocol.ReplayResponse>) => void
+  ): Promise<void> {
+    try {
+      const recording = await TerminalRecorder.getInstance().load(request.payload.recordingId);
+      const replayId = `replay-${socket.id}-${Date.now()}`;
+      
+      // Same event shapes as a live terminal, so the xterm client needs no special casing
+      const replay = new RecordingReplay(recording, {
+        data: data => {
+          socket.emit(RemoteEvent.TERMINAL_DATA, {
+            terminalId: replayId,
+            data: Buffer.from(data).toString('base64')
+          });
+        },
+        state: state => {
+          socket.emit(RemoteEvent.TERMINAL_REPLAY_STATE, { terminalId: replayId, ...state });
+        }
+      });
+      this.replays.set(replayId, { replay, socketId: socket.id });
+      
+      callback({
+        id: request.id,
+        success: true,
+        data: { replayId, state: { terminalId: replayId, ...replay.getState() } }
+      });
+    } catch (error) {
+      callback({
+        id: request.id,
+        success: false,
+        error: { code: 'REPLAY_ERROR', message: (error as Error).message }
+      });
+    }
+  }
+  
+  private handleReplayControl(
+    socket: Socket,
+    request: RemoteRequest<TerminalProtocol.ReplayControlRequest>,
+    callback: (response: RemoteResponse) => void
+  ): void {
+    const { replayId, action, value } = request.payload;
+    const entry = this.replays.get(replayId);
+    if (!entry || entry.socketId !== socket.id) {
+      return callback({
+        id: request.id,
+        success: false,
+        error: { code: 'REPLAY_NOT_FOUND', message: 'Replay not found' }
+      });
+    }
+    
+    if (!entry.replay.control(action, value)) {
+      return callback({
+        id: request.id,
+        success: false,
+        error: { code: 'INVALID_ACTION', message: `Unknown replay action: ${action}` }
+      });
+    }
+    if (action === 'stop') {
+      this.replays.delete(replayId);
+    }
+    
+    callback({
+      id: request.id,
+      success: true,
+      data: { terminalId: replayId, ...entry.replay.getState() }
+    });
+  }
+  
   private updateSocketTerminalMapping(socketId: string, terminals: any[]): void {
     // Access the remote server through the global scope
     const remoteServer = (global as any).__remoteServer;
@@ -1,6 +1,10 @@
 import { ipcMain, BrowserWindow } from 'electron';
+import { auditedCallback } from '../remote-audit-log.js';
 export class RemoteWorktreeHandler {
-    constructor() { }
+    sessionManager;
+    constructor(sessionManager) {
+        this.sessionManager = sessionManager;
+    }
     registerHandlers(socket) {
         // Handle worktree list
         socket.on('worktree:list', async (request, callback) => {
@@ -83,7 +87,8 @@ export class RemoteWorktreeHandler {
             }
         });
         // Handle worktree remove
-        socket.on('worktree:remove', async (request, callback) => {
+        socket.on('worktree:remove', async (request, ack) => {
+            const callback = auditedCallback(this.sessionManager.getSessionBySocket(socket.id), 'worktree:remove', { worktreePath: request?.payload?.worktreePath, force: request?.payload?.force }, ack);
             try {
                 const { worktreePath, force } = request.payload;
                 const result = await new Promise((resolve) => {
@@ -1,8 +1,10 @@
 import { ipcMain, BrowserWindow } from 'electron';
 import type { Socket } from 'socket.io';
+import { RemoteSessionManager } from '../remote-session-manager.js';
+import { auditedCallback } from '../remote-audit-log.js';
 
 export class RemoteWorktreeHandler {
-  constructor() {}
+  constructor(private sessionManager: RemoteSessionManager) {}
 
   registerHandlers(socket: Socket) {
     // Handle worktree list
@@ -93,7 +95,13 @@ export class RemoteWorktreeHandler {
     });
 
     // Handle worktree remove
-    socket.on('worktree:remove', async (request, callback) => {
+    socket.on('worktree:remove', async (request, ack) => {
+      const callback = auditedCallback(
+        this.sessionManager.getSessionBySocket(socket.id),
+        'worktree:remove',
+        { worktreePath: request?.payload?.worktreePath, force: request?.payload?.force },
+        ack
+      );
       try {
         const { worktreePath, force } = request.payload;
         
@@ -0,0 +1,200 @@
+import { realpathSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Permission, PERMISSION_PRESETS, RemoteEvent } from './remote-protocol.js';
+import { RemoteAuditLog } from './remote-audit-log.js';
+// Permission required by each event; null for events every session may send.
+// Events not listed here are denied, so new handlers must be added.
+const EVENT_PERMISSIONS = {
+    'ping': null,
+    'workspace:get': null,
+    'desktop:features:get': null,
+    'file:read': Permission.FILE_READ,
+    'file:list': Permission.FILE_READ,
+    'file:stat': Permission.FILE_READ,
+    'file:watch': Permission.FILE_READ,
+    'file:write': Permission.FILE_WRITE,
+    'file:delete': Permission.FILE_DELETE,
+    'terminal:create': Permission.TERMINAL_CREATE,
+    'terminal:list': Permission.TERMINAL_CREATE,
+    'terminal:destroy': Permission.TERMINAL_CREATE,
+    'terminal:write': Permission.TERMINAL_WRITE,
+    'terminal:resize': Permission.TERMINAL_WRITE,
+    // Recordings hold terminal output, so they need the same access as a terminal
+    'terminal:recordings': Permission.TERMINAL_CREATE,
+    'terminal:replay': Permission.TERMINAL_CREATE,
+    'terminal:replay:control': Permission.TERMINAL_CREATE,
+    'claude:getInstances': Permission.CLAUDE_VIEW,
+    'claude:listDesktop': Permission.CLAUDE_VIEW,
+    'claude:getBuffer': Permission.CLAUDE_VIEW,
+    'claude:spectate': Permission.CLAUDE_VIEW,
+    'claude:unspectate': Permission.CLAUDE_VIEW,
+    'claude:spawn': Permission.CLAUDE_SPAWN,
+    'claude:send': Permission.CLAUDE_CONTROL,
+    'claude:stop': Permission.CLAUDE_CONTROL,
+    'claude:resize': Permission.CLAUDE_CONTROL,
+    'claude:configureTerminal': Permission.CLAUDE_CONTROL,
+    'sync:pull': Permission.FILE_READ,
+    'sync:status': Permission.FILE_READ,
+    'sync:push': Permission.WORKSPACE_MANAGE,
+    'snapshot:list': Permission.FILE_READ,
+    'snapshot:content': Permission.FILE_READ,
+    'snapshot:getDiff': Permission.FILE_READ,
+    'snapshot:scanProjectFiles': Permission.FILE_READ,
+    'snapshot:restore': Permission.FILE_WRITE,
+    'snapshot:capture': Permission.WORKSPACE_MANAGE,
+    'snapshot:update': Permission.WORKSPACE_MANAGE,
+    'snapshot:delete': Permission.WORKSPACE_MANAGE,
+    'worktree:list': Permission.FILE_READ,
+    'worktree:sessions': Permission.FILE_READ,
+    'worktree:compare': Permission.FILE_READ,
+    'worktree:switch': Permission.WORKSPACE_MANAGE,
+    'worktree:remove': Permission.WORKSPACE_MANAGE,
+    'worktree:lock': Permission.WORKSPACE_MANAGE,
+    'worktree:createSession': Permission.WORKSPACE_MANAGE,
+    'worktree:deleteSession': Permission.WORKSPACE_MANAGE,
+    'desktop:features:store': Permission.WORKSPACE_MANAGE,
+    'lsp:request': Permission.FILE_READ,
+    'lsp:didOpen': Permission.FILE_READ,
+    'lsp:didChange': Permission.FILE_READ,
+    'lsp:didClose': Permission.FILE_READ,
+    // Completions are only of use to devices that can edit
+    'ai:ghost-text': Permission.FILE_WRITE,
+    'ai:code-generation': Permission.FILE_WRITE
+};
+// Paths an event operates on, for events that take one. A terminal or Claude
+// instance can still reach outside its working directory, so devices meant to
+// stay inside their allowed paths should be paired without those permissions.
+const EVENT_PATHS = {
+    'file:read': request => [request?.payload?.path],
+    'file:list': request => [request?.payload?.path],
+    'file:stat': request => [request?.payload?.path],
+    'file:watch': request => [request?.payload?.path],
+    'file:write': request => [request?.payload?.path],
+    'file:delete': request => [request?.payload?.path],
+    // Terminals start in the home directory unless told otherwise
+    'terminal:create': request => [request?.payload?.cwd || process.env.HOME],
+    'claude:spawn': request => [request?.payload?.workingDirectory],
+    'worktree:switch': request => [request?.payload?.worktreePath],
+    'worktree:remove': request => [request?.payload?.worktreePath],
+    'worktree:lock': request => [request?.payload?.worktreePath],
+    'worktree:compare': request => [request?.payload?.path1, request?.payload?.path2],
+    'snapshot:content': request => [request?.payload?.projectPath],
+    'snapshot:getDiff': request => [request?.payload?.projectPath],
+    'snapshot:scanProjectFiles': request => [request?.payload?.projectPath],
+    'lsp:request': request => [request?.params?.uri],
+    'lsp:didOpen': params => [params?.uri],
+    'lsp:didChange': params => [params?.uri],
+    'lsp:didClose': params => [params?.uri]
+};
+/**
+ * Build the scope of a new pairing from a preset or an explicit list of
+ * permissions. Admin can't be granted through pairing.
+ */
+export function resolvePermissionScope(input) {
+    const grantable = Object.values(Permission).filter(permission => permission !== Permission.ADMIN);
+    const preset = input?.preset && input.preset in PERMISSION_PRESETS ? input.preset : 'full';
+    const permissions = input?.permissions
+        ? grantable.filter(permission => input.permissions.includes(permission))
+        : [...PERMISSION_PRESETS[preset]];
+    const allowedPaths = (input?.allowedPaths || [])
+        .filter(allowed => typeof allowed === 'string' && path.isAbsolute(allowed))
+        .map(allowed => path.resolve(allowed));
+    return {
+        permissions,
+        allowedPaths: allowedPaths.length > 0 ? allowedPaths : undefined
+    };
+}
+/**
+ * Check a path against an allow-list. Symlinks are resolved first, so a link
+ * inside an allowed directory can't lead out of it.
+ */
+export function isPathAllowed(target, allowedPaths) {
+    if (!allowedPaths || allowedPaths.length === 0)
+        return true;
+    const resolved = resolveRealPath(target);
+    return allowedPaths.some(allowed => {
+        const root = resolveRealPath(allowed);
+        return resolved === root || resolved.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+    });
+}
+// Resolve symlinks as far as the path exists; the rest may be created later
+function resolveRealPath(target) {
+    let current = path.resolve(target);
+    const rest = [];
+    while (true) {
+        try {
+            return path.join(realpathSync(current), ...rest);
+        }
+        catch {
+            const parent = path.dirname(current);
+            if (parent === current) {
+                return path.resolve(target);
+            }
+            rest.unshift(path.basename(current));
+            current = parent;
+        }
+    }
+}
+function toFilePath(value) {
+    return value.startsWith('file://') ? fileURLToPath(value) : value;
+}
+/**
+ * Check one event of a session. Returns the error to answer with, or null if allowed.
+ */
+export function checkEventPermission(sessionManager, session, event, request) {
+    if (!(event in EVENT_PERMISSIONS)) {
+        return { code: 'PERMISSION_DENIED', message: `Unknown remote operation: ${event}` };
+    }
+    const permission = EVENT_PERMISSIONS[event];
+    if (permission && !sessionManager.hasPermission(session, permission)) {
+        return { code: 'PERMISSION_DENIED', message: `${permission} permission required` };
+    }
+    const getPaths = EVENT_PATHS[event];
+    if (getPaths && session.allowedPaths && session.allowedPaths.length > 0) {
+        const paths = getPaths(request).filter((value) => typeof value === 'string' && value.length > 0);
+        if (paths.length === 0) {
+            return { code: 'INVALID_PATH', message: 'A path inside the allowed directories is required' };
+        }
+        if (!paths.every(value => isPathAllowed(toFilePath(value), session.allowedPaths))) {
+            return { code: 'INVALID_PATH', message: 'Path is outside the allowed directories' };
+        }
+    }
+    return null;
+}
+/**
+ * Check every incoming event of a socket before its handlers run
+ */
+export function enforcePermissions(socket, sessionManager) {
+    socket.use(([event, ...args], next) => {
+        const session = sessionManager.getSessionBySocket(socket.id);
+        const error = session
+            ? checkEventPermission(sessionManager, session, event, args[0])
+            : { code: 'NO_SESSION', message: 'No active session' };
+        if (!error) {
+            return next();
+        }
+        console.warn(`[RemotePermissions] Denied ${event} for ${session?.deviceName || socket.id}: ${error.message}`);
+        RemoteAuditLog.getInstance().record({
+            event,
+            result: 'denied',
+            sessionId: session?.id,
+            deviceId: session?.deviceId,
+            deviceName: session?.deviceName,
+            reason: error.message,
+            paths: EVENT_PATHS[event]?.(args[0]).filter((value) => typeof value === 'string')
+        });
+        // Answer like the handler would have, so the client doesn't wait for a timeout
+        const callback = args[args.length - 1];
+        if (typeof callback === 'function') {
+            callback({ id: args[0]?.id, success: false, error });
+        }
+        else if (event.startsWith('lsp:') && args[0]?.requestId !== undefined) {
+            // LSP requests are answered by event rather than acknowledgement
+            socket.emit('lsp:response', { requestId: args[0].requestId, error: error.message });
+        }
+        else {
+            socket.emit(RemoteEvent.PERMISSION_DENIED, { event, error });
+        }
+    });
+}
@@ -8,6 +8,7 @@ export var RemoteEvent;
     // Terminal events
     RemoteEvent["TERMINAL_DATA"] = "terminal:data";
     RemoteEvent["TERMINAL_EXIT"] = "terminal:exit";
+    RemoteEvent["TERMINAL_REPLAY_STATE"] = "terminal:replay:state";
     // Claude events
     RemoteEvent["CLAUDE_OUTPUT"] = "claude:output";
     RemoteEvent["CLAUDE_ERROR"] = "claude:error";
@@ -21,6 +22,7 @@ export var RemoteEvent;
     RemoteEvent["CONNECTION_ERROR"] = "connection:error";
     RemoteEvent["SESSION_EXPIRED"] = "session:expired";
     RemoteEvent["SERVER_SHUTDOWN"] = "server:shutdown";
+    RemoteEvent["PERMISSION_DENIED"] = "permission:denied";
 })(RemoteEvent || (RemoteEvent = {}));
 // Permission levels
 export var Permission;
@@ -30,8 +32,38 @@ export var Permission;
     Permission["FILE_DELETE"] = "file:delete";
     Permission["TERMINAL_CREATE"] = "terminal:create";
     Permission["TERMINAL_WRITE"] = "terminal:write";
+    Permission["CLAUDE_VIEW"] = "claude:view";
     Permission["CLAUDE_SPAWN"] = "claude:spawn";
     Permission["CLAUDE_CONTROL"] = "claude:control";
     Permission["WORKSPACE_MANAGE"] = "workspace:manage";
     Permission["ADMIN"] = "admin";
 })(Permission || (Permission = {}));
+export const PERMISSION_PRESETS = {
+    full: [
+        Permission.FILE_READ,
+        Permission.FILE_WRITE,
+        Permission.FILE_DELETE,
+        Permission.TERMINAL_CREATE,
+        Permission.TERMINAL_WRITE,
+        Permission.CLAUDE_VIEW,
+        Permission.CLAUDE_SPAWN,
+        Permission.CLAUDE_CONTROL,
+        Permission.WORKSPACE_MANAGE
+    ],
+    // Edit files, but no shell. Claude input is left out too, since Claude can run commands.
+    edit: [
+        Permission.FILE_READ,
+        Permission.FILE_WRITE,
+        Permission.FILE_DELETE,
+        Permission.CLAUDE_VIEW
+    ],
+    // Browse files and watch Claude, e.g. for a reviewer
+    'read-only': [
+        Permission.FILE_READ,
+        Permission.CLAUDE_VIEW
+    ],
+    // Watch Claude and nothing else; granted by spectator share links
+    spectator: [
+        Permission.CLAUDE_VIEW
+    ]
+};
@@ -90,6 +90,34 @@ export namespace TerminalProtocol {
     terminalId: string;
     data: Buffer;
   }
+  
+  // Play a recording back as terminal:data events for the returned replayId.
+  // Playback starts paused.
+  export interface ReplayRequest {
+    recordingId: string;
+  }
+  
+  export interface ReplayResponse {
+    replayId: string;
+    state: ReplayStateEvent;
+  }
+  
+  export interface ReplayControlRequest {
+    replayId: string;
+    action: 'play' | 'pause' | 'seek' | 'speed' | 'stop';
+    value?: number; // Seconds for seek, multiplier for speed
+  }
+  
+  export interface ReplayStateEvent {
+    terminalId: string; // The replayId
+    position: number;
+    duration: number;
+    speed: number;
+    playing: boolean;
+    ended: boolean;
+    cols: number;
+    rows: number;
+  }
 }
 
 // Claude operation protocols
@@ -138,6 +166,15 @@ export namespace ClaudeProtocol {
     rows: number;
   }
   
+  // Watch a running desktop instance without controlling it
+  export interface SpectateRequest {
+    instanceId: string;
+  }
+  
+  export interface SpectateResponse {
+    buffer: string | null; // Scrollback up to the point the live stream starts
+  }
+  
   // Events
   export interface OutputEvent {
     instanceId: string;
@@ -195,6 +232,7 @@ export enum RemoteEvent {
   // Terminal events
   TERMINAL_DATA = 'terminal:data',
   TERMINAL_EXIT = 'terminal:exit',
+  TERMINAL_REPLAY_STATE = 'terminal:replay:state',
   
   // Claude events
   CLAUDE_OUTPUT = 'claude:output',
@@ -210,7 +248,8 @@ export enum RemoteEvent {
   // System events
   CONNECTION_ERROR = 'connection:error',
   SESSION_EXPIRED = 'session:expired',
-  SERVER_SHUTDOWN = 'server:shutdown'
+  SERVER_SHUTDOWN = 'server:shutdown',
+  PERMISSION_DENIED = 'permission:denied'
 }
 
 // Permission levels
@@ -220,8 +259,47 @@ export enum Permission {
   FILE_DELETE = 'file:delete',
   TERMINAL_CREATE = 'terminal:create',
   TERMINAL_WRITE = 'terminal:write',
+  CLAUDE_VIEW = 'claude:view',
   CLAUDE_SPAWN = 'claude:spawn',
   CLAUDE_CONTROL = 'claude:control',
   WORKSPACE_MANAGE = 'workspace:manage',
   ADMIN = 'admin'
-}
\ No newline at end of file
+}
+
+// What a paired device may do, chosen when its connection is generated
+export interface PermissionScope {
+  permissions: Permission[];
+  allowedPaths?: string[]; // Directories the device is limited to; unrestricted if empty
+}
+
+export type PermissionPreset = 'full' | 'edit' | 'read-only' | 'spectator';
+
+export const PERMISSION_PRESETS: Record<PermissionPreset, Permission[]> = {
+  full: [
+    Permission.FILE_READ,
+    Permission.FILE_WRITE,
+    Permission.FILE_DELETE,
+    Permission.TERMINAL_CREATE,
+    Permission.TERMINAL_WRITE,
+    Permission.CLAUDE_VIEW,
+    Permission.CLAUDE_SPAWN,
+    Permission.CLAUDE_CONTROL,
+    Permission.WORKSPACE_MANAGE
+  ],
+  // Edit files, but no shell. Claude input is left out too, since Claude can run commands.
+  edit: [
+    Permission.FILE_READ,
+    Permission.FILE_WRITE,
+    Permission.FILE_DELETE,
+    Permission.CLAUDE_VIEW
+  ],
+  // Browse files and watch Claude, e.g. for a reviewer
+  'read-only': [
+    Permission.FILE_READ,
+    Permission.CLAUDE_VIEW
+  ],
+  // Watch Claude and nothing else; granted by spectator share links
+  spectator: [
+    Permission.CLAUDE_VIEW
+  ]
+};
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 import { Server as SocketIOServer } from 'socket.io';
 import { createServer } from 'http';
+import { fileURLToPath } from 'url';
 import type { ModeConfig } from './mode-config';
 import type { BrowserWindow } from 'electron';
 import { RemoteSessionManager } from './remote-session-manager.js';
@@ -15,8 +16,15 @@ import { RemoteWorkspaceHandler } from './remote-handlers/RemoteWorkspaceHandler
 import { RemoteDesktopFeaturesHandler } from './remote-handlers/RemoteDesktopFeaturesHandler.js';
 import { RemoteSnapshotsHandler } from './remote-handlers/RemoteSnapshotsHandler.js';
 import { RemoteWorktreeHandler } from './remote-handlers/RemoteWorktreeHandler.js';
-import { RemoteEvent } from './remote-protocol.js';
+import { RemoteEvent, PermissionScope, Permission } from './remote-protocol.js';
 import { TokenStore } from './token-store.js';
+import { enforcePermissions, isPathAllowed } from './remote-permissions.js';
+import { RemoteAuditLog } from './remote-audit-log.js';
+import type { RemoteSession } from './remote-session-manager.js';
+import type { Socket } from 'socket.io';
+
+// Longest delay setTimeout accepts (about 24 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
 export interface RemoteServerOptions {
   config: ModeConfig;
@@ -78,9 +86,9 @@ export class RemoteServer {
       this.sessionManager
     );
     
-    this.snapshotsHandler = new RemoteSnapshotsHandler();
+    this.snapshotsHandler = new RemoteSnapshotsHandler(this.sessionManager);
     
-    this.worktreeHandler = new RemoteWorktreeHandler();
+    this.worktreeHandler = new RemoteWorktreeHandler(this.sessionManager);
   }
   
   updateMainWindow(mainWindow: BrowserWindow): void {
@@ -244,6 +252,9 @@ export class RemoteServer {
     this.io.on('connection', (socket) => {
       const session = this.sessionManager.getSessionBySocket(socket.id);
      
+      // Check permissions before any handler runs. Middleware stays in place
+      // when handlers are re-registered for a new main window.
+      enforcePermissions(socket, this.sessionManager);
       
       // Register handlers
       this.fileHandler.registerHandlers(socket);
@@ -267,9 +278,14 @@ export class RemoteServer {
       // Send initial connection success
       socket.emit('connection:ready', {
         sessionId: (socket as any).sessionId,
-        permissions: session?.permissions || []
+        permissions: session?.permissions || [],
+        allowedPaths: session?.allowedPaths || []
       });
       
+      if (session) {
+        this.scheduleSessionExpiry(socket, session);
+      }
+      
       // Handle disconnection
       socket.on('disconnect', () => {
        
@@ -291,6 +307,33 @@ export class RemoteServer {
     });
   }
   
+  /**
+   * Disconnect a socket once the token it connected with expires, so
+   * short-lived links like spectator invites can't be used to stay connected.
+   * Tokens that outlive any timer are left to the session timeout.
+   */
+  private scheduleSessionExpiry(socket: Socket, session: RemoteSession): void {
+    if (!session.expiresAt) return;
+    
+    const remaining = session.expiresAt.getTime() - Date.now();
+    if (remaining > MAX_TIMER_DELAY) return;
+    
+    const timer = setTimeout(() => {
+      if (!socket.connected) return;
+      
+      socket.emit('server:disconnected', {
+        reason: 'Token expired',
+        message: 'This connection link has expired'
+      });
+      setTimeout(() => {
+        socket.disconnect(true);
+      }, 100);
+      console.log(`[RemoteServer] Token expired for ${session.deviceName} (${session.deviceId})`);
+    }, Math.max(remaining, 0));
+    
+    socket.once('disconnect', () => clearTimeout(timer));
+  }
+  
   async stop(): Promise<void> {
     // Disconnect all clients
     if (this.io) {
@@ -341,9 +384,10 @@ export class RemoteServer {
     deviceId: string,
     deviceName: string,
     pairingCode: string,
-    expiresAt?: Date
+    expiresAt?: Date,
+    scope?: PermissionScope
   ): void {
-    TokenStore.getInstance().storeToken(token, deviceId, deviceName, pairingCode, expiresAt);
+    TokenStore.getInstance().storeToken(token, deviceId, deviceName, pairingCode, expiresAt, scope);
   }
   
   /**
@@ -545,6 +589,43 @@ export class RemoteServer {
    
   }
   
+  /**
+   * Apply a rename computed for a remote client, if every file it changes is
+   * inside the session's allowed paths
+   */
+  private async applyRemoteRename(session: RemoteSession, params: { filepath: string; content: string; newName: string }, edit: any): Promise<any> {
+    const uris = [
+      ...Object.keys(edit.changes || {}),
+      ...(edit.documentChanges || []).flatMap((change: any) =>
+        change.kind === 'rename' ? [change.oldUri, change.newUri] : [change.uri || change.textDocument?.uri]
+      )
+    ];
+    const paths = Array.from(new Set(uris.map((uri: string) => uri.startsWith('file://') ? fileURLToPath(uri) : uri)));
+    
+    const denied = paths.filter(target => !isPathAllowed(target, session.allowedPaths));
+    const result = denied.length > 0
+      ? { success: false, error: `Rename would change files outside the allowed directories: ${denied.join(', ')}` }
+      : await this.mainWindow.webContents.executeJavaScript(`
+          window.electronAPI.lsp.applyWorkspaceEdit(${JSON.stringify({
+            edit,
+            contents: params.content ? { [params.filepath]: params.content } : {}
+          })})
+        `);
+    
+    RemoteAuditLog.getInstance().record({
+      event: 'lsp:request',
+      result: result?.success ? 'success' : 'error',
+      sessionId: session.id,
+      deviceId: session.deviceId,
+      deviceName: session.deviceName,
+      args: { method: 'textDocument/rename', newName: params.newName },
+      paths,
+      reason: result?.success ? undefined : result?.error
+    });
+    
+    return result?.success ? { ...result, edit } : result;
+  }
+  
   private setupLSPProxy(socket: any): void {
     // Handle LSP requests from remote clients
     socket.on('lsp:request', async (request: any) => {
@@ -557,10 +638,22 @@ export class RemoteServer {
             filepath: request.params.uri, // Map uri to filepath
             content: request.params.content || '', // Include content for LSP
             position: request.params.position,
-            context: request.params.context
+            context: request.params.context,
+            includeDeclaration: request.params.context?.includeDeclaration,
+            newName: request.params.newName,
+            range: request.params.range,
+            options: request.params.options,
+            query: request.params.query
           };
           
-          const result = await this.mainWindow.webContents.executeJavaScript(`
+          // Renaming writes files, so it needs more than the read access lsp:request is checked for
+          const session = this.sessionManager.getSessionBySocket(socket.id);
+          if (request.method === 'textDocument/rename' &&
+              (!session || !this.sessionManager.hasPermission(session, Permission.FILE_WRITE))) {
+            throw new Error('File write permission required to rename');
+          }
+          
+          let result = await this.mainWindow.webContents.executeJavaScript(`
             (async () => {
               if (window.electronAPI?.lsp) {
                 // Forward the LSP request based on method
@@ -576,10 +669,19 @@ export class RemoteServer {
                     return await window.electronAPI.lsp.getDefinition(params);
                   case 'textDocument/references':
                     return await window.electronAPI.lsp.getReferences(params);
+                  case 'textDocument/signatureHelp':
+                    return await window.electronAPI.lsp.getSignatureHelp(params);
                   case 'textDocument/documentSymbol':
                     return await window.electronAPI.lsp.getDocumentSymbols(params);
                   case 'textDocument/formatting':
                     return await window.electronAPI.lsp.formatDocument(params);
+                  case 'textDocument/rangeFormatting':
+                    return await window.electronAPI.lsp.formatRange(params);
+                  case 'textDocument/rename':
+                    // Applied below, once every file it touches is checked
+                    return await window.electronAPI.lsp.rename({ ...params, apply: false });
+                  case 'workspace/symbol':
+                    return await window.electronAPI.lsp.getWorkspaceSymbols({ query: params.query || '' });
                   default:
                     throw new Error('Unsupported LSP method: ' + method);
                 }
@@ -588,6 +690,10 @@ export class RemoteServer {
             })()
           `);
           
+          if (request.method === 'textDocument/rename' && result?.success) {
+            result = await this.applyRemoteRename(session!, desktopParams, result.edit);
+          }
+          
           // Send response back to client
           socket.emit('lsp:response', {
             requestId: request.requestId,
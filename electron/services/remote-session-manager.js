@@ -3,7 +3,7 @@
  * Handles user sessions, authentication, and permissions
  */
 import { randomBytes } from 'crypto';
-import { Permission } from './remote-protocol.js';
+import { Permission, PERMISSION_PRESETS } from './remote-protocol.js';
 import { TokenStore } from './token-store.js';
 export class RemoteSessionManager {
     authRequired;
@@ -27,9 +27,11 @@ export class RemoteSessionManager {
         // Determine user and permissions
         let userId;
         let permissions;
+        let allowedPaths;
         let deviceId;
         let deviceName;
         let token;
+        let expiresAt;
         if (authData && (authData.token || authData.deviceId)) {
             // Validate authentication with token store
             const validation = await this.validateAuth(authData);
@@ -38,9 +40,11 @@ export class RemoteSessionManager {
             }
             userId = validation.user.id;
             permissions = validation.user.permissions;
+            allowedPaths = validation.allowedPaths;
             deviceId = validation.deviceId;
             deviceName = validation.deviceName;
             token = validation.token;
+            expiresAt = validation.expiresAt;
         }
         else {
             // Anonymous user with default permissions (only if auth not required)
@@ -56,11 +60,13 @@ export class RemoteSessionManager {
             userId,
             socketId: socket.id,
             permissions,
+            allowedPaths,
             createdAt: new Date(),
             lastActivity: new Date(),
             deviceId,
             deviceName,
-            token
+            token,
+            expiresAt
         };
         // Store session
         this.sessions.set(sessionId, session);
@@ -172,26 +178,20 @@ export class RemoteSessionManager {
                 error: validation.reason
             };
         }
-        // Create user with appropriate permissions
+        // Create user with the permissions granted when the device was paired
         const user = {
             id: `device-${deviceId}`,
             username: validation.tokenInfo?.deviceName || 'Remote Device',
-            permissions: [
-                Permission.FILE_READ,
-                Permission.FILE_WRITE,
-                Permission.TERMINAL_CREATE,
-                Permission.TERMINAL_WRITE,
-                Permission.CLAUDE_SPAWN,
-                Permission.CLAUDE_CONTROL,
-                Permission.WORKSPACE_MANAGE
-            ],
+            permissions: validation.tokenInfo?.permissions || this.getDefaultPermissions(),
             workspaces: []
         };
         return {
             user,
             deviceId,
             deviceName: validation.tokenInfo?.deviceName,
-            token
+            token,
+            allowedPaths: validation.tokenInfo?.allowedPaths,
+            expiresAt: validation.tokenInfo?.expiresAt
         };
     }
     /**
@@ -199,15 +199,7 @@ export class RemoteSessionManager {
      */
     getDefaultPermissions() {
         // In non-auth mode, grant most permissions except admin
-        return [
-            Permission.FILE_READ,
-            Permission.FILE_WRITE,
-            Permission.TERMINAL_CREATE,
-            Permission.TERMINAL_WRITE,
-            Permission.CLAUDE_SPAWN,
-            Permission.CLAUDE_CONTROL,
-            Permission.WORKSPACE_MANAGE
-        ];
+        return [...PERMISSION_PRESETS.full];
     }
     /**
      * Generate unique session ID
@@ -252,6 +244,8 @@ export class RemoteSessionManager {
             deviceName: s.deviceName || 'Unknown Device',
             deviceId: s.deviceId || 'anonymous',
             token: s.token,
+            permissions: s.permissions,
+            allowedPaths: s.allowedPaths,
             connectedAt: s.createdAt,
             lastActivity: s.lastActivity,
             isActive: now - s.lastActivity.getTime() < 300000
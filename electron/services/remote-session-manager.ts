@@ -4,7 +4,7 @@
  */
 import { randomBytes } from 'crypto';
 import type { Socket } from 'socket.io';
-import { Permission } from './remote-protocol.js';
+import { Permission, PERMISSION_PRESETS } from './remote-protocol.js';
 import { TokenStore } from './token-store.js';
 
 export interface RemoteSession {
@@ -13,12 +13,14 @@ export interface RemoteSession {
   socketId: string;
   workspaceId?: string;
   permissions: Permission[];
+  allowedPaths?: string[];
   createdAt: Date;
   lastActivity: Date;
   metadata?: Record<string, any>;
   deviceId?: string;
   deviceName?: string;
   token?: string;
+  expiresAt?: Date; // When the token the session was opened with expires
 }
 
 export interface RemoteUser {
@@ -51,9 +53,11 @@ export class RemoteSessionManager {
     // Determine user and permissions
     let userId: string;
     let permissions: Permission[];
+    let allowedPaths: string[] | undefined;
     let deviceId: string | undefined;
     let deviceName: string | undefined;
     let token: string | undefined;
+    let expiresAt: Date | undefined;
     
     if (authData && (authData.token || authData.deviceId)) {
       // Validate authentication with token store
@@ -63,9 +67,11 @@ export class RemoteSessionManager {
       }
       userId = validation.user.id;
       permissions = validation.user.permissions;
+      allowedPaths = validation.allowedPaths;
       deviceId = validation.deviceId;
       deviceName = validation.deviceName;
       token = validation.token;
+      expiresAt = validation.expiresAt;
     } else {
       // Anonymous user with default permissions (only if auth not required)
       if (this.authRequired) {
@@ -81,11 +87,13 @@ export class RemoteSessionManager {
       userId,
       socketId: socket.id,
       permissions,
+      allowedPaths,
       createdAt: new Date(),
       lastActivity: new Date(),
       deviceId,
       deviceName,
-      token
+      token,
+      expiresAt
     };
     
     // Store session
@@ -197,6 +205,8 @@ export class RemoteSessionManager {
     deviceId?: string;
     deviceName?: string;
     token?: string;
+    allowedPaths?: string[];
+    expiresAt?: Date;
   }> {
     const tokenStore = TokenStore.getInstance();
     
@@ -224,19 +234,11 @@ export class RemoteSessionManager {
       };
     }
     
-    // Create user with appropriate permissions
+    // Create user with the permissions granted when the device was paired
     const user: RemoteUser = {
       id: `device-${deviceId}`,
       username: validation.tokenInfo?.deviceName || 'Remote Device',
-      permissions: [
-        Permission.FILE_READ,
-        Permission.FILE_WRITE,
-        Permission.TERMINAL_CREATE,
-        Permission.TERMINAL_WRITE,
-        Permission.CLAUDE_SPAWN,
-        Permission.CLAUDE_CONTROL,
-        Permission.WORKSPACE_MANAGE
-      ],
+      permissions: validation.tokenInfo?.permissions || this.getDefaultPermissions(),
       workspaces: []
     };
     
@@ -244,7 +246,9 @@ export class RemoteSessionManager {
       user,
       deviceId,
       deviceName: validation.tokenInfo?.deviceName,
-      token
+      token,
+      allowedPaths: validation.tokenInfo?.allowedPaths,
+      expiresAt: validation.tokenInfo?.expiresAt
     };
   }
   
@@ -253,15 +257,7 @@ export class RemoteSessionManager {
    */
   private getDefaultPermissions(): Permission[] {
     // In non-auth mode, grant most permissions except admin
-    return [
-      Permission.FILE_READ,
-      Permission.FILE_WRITE,
-      Permission.TERMINAL_CREATE,
-      Permission.TERMINAL_WRITE,
-      Permission.CLAUDE_SPAWN,
-      Permission.CLAUDE_CONTROL,
-      Permission.WORKSPACE_MANAGE
-    ];
+    return [...PERMISSION_PRESETS.full];
   }
   
   /**
@@ -308,6 +304,8 @@ export class RemoteSessionManager {
     deviceName: string;
     deviceId: string;
     token?: string;
+    permissions: Permission[];
+    allowedPaths?: string[];
     connectedAt: Date;
     lastActivity: Date;
     isActive: boolean;
@@ -320,6 +318,8 @@ export class RemoteSessionManager {
         deviceName: s.deviceName || 'Unknown Device',
         deviceId: s.deviceId || 'anonymous',
         token: s.token,
+        permissions: s.permissions,
+        allowedPaths: s.allowedPaths,
         connectedAt: s.createdAt,
         lastActivity: s.lastActivity,
         isActive: now - s.lastActivity.getTime() < 300000
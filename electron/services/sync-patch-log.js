@@ -0,0 +1,158 @@
+/**
+ * Patch log behind remote sync
+ * Keeps every patch pushed for a workspace, in the order it arrived, in one
+ * JSONL file per workspace under sync/ in the app data directory. Clients
+ * number their patches per device, so a retried push is recognised and a pull
+ * can return just the patches a client hasn't seen.
+ */
+import { app } from 'electron';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, promises as fs, readFileSync } from 'fs';
+import path from 'path';
+export class SyncPatchLog {
+    static instance;
+    logDir;
+    logs = new Map();
+    // Appends are chained so patches keep their order on disk
+    writing = Promise.resolve();
+    constructor() {
+        this.logDir = path.join(app.getPath('userData'), 'sync');
+    }
+    static getInstance() {
+        if (!SyncPatchLog.instance) {
+            SyncPatchLog.instance = new SyncPatchLog();
+        }
+        return SyncPatchLog.instance;
+    }
+    /**
+     * Add patches to a workspace. Patches at or below the head of their device
+     * were stored by an earlier push whose acknowledgement got lost.
+     */
+    append(workspace, patches, meta) {
+        const log = this.getLog(workspace);
+        const receivedAt = new Date().toISOString();
+        const accepted = [];
+        let duplicates = 0;
+        for (const patch of patches) {
+            if (patch.deviceId && typeof patch.seq === 'number') {
+                if (patch.seq <= (log.heads[patch.deviceId] || 0)) {
+                    duplicates++;
+                    continue;
+                }
+                log.heads[patch.deviceId] = patch.seq;
+            }
+            accepted.push({
+                ...patch,
+                userId: meta.userId,
+                sessionId: meta.sessionId,
+                receivedAt
+            });
+        }
+        if (accepted.length > 0) {
+            log.patches.push(...accepted);
+            const logPath = this.getLogPath(workspace);
+            const lines = accepted.map(patch => JSON.stringify(patch) + '\n').join('');
+            this.writing = this.writing
+                .then(() => fs.appendFile(logPath, lines, 'utf-8'))
+                .catch(error => console.error('[SyncPatchLog] Failed to write patches:', error));
+        }
+        return { accepted, duplicates, heads: { ...log.heads } };
+    }
+    /**
+     * Patches the client is missing, in the order they arrived
+     */
+    pull(workspace, filter = {}) {
+        const since = filter.since ? new Date(filter.since).getTime() : null;
+        return this.getLog(workspace).patches.filter(patch => {
+            if (filter.types && filter.types.length > 0 && patch.entityType && !filter.types.includes(patch.entityType)) {
+                return false;
+            }
+            if (filter.seen && patch.deviceId && typeof patch.seq === 'number') {
+                return patch.seq > (filter.seen[patch.deviceId] || 0);
+            }
+            // Unnumbered patches, or a client that doesn't send what it has seen
+            if (filter.excludeSessionId && patch.sessionId === filter.excludeSessionId) {
+                return false;
+            }
+            return since === null || new Date(patch.receivedAt).getTime() > since;
+        });
+    }
+    getHeads(workspace) {
+        return { ...this.getLog(workspace).heads };
+    }
+    getStats(workspace) {
+        const patches = this.getLog(workspace).patches;
+        const patchesByType = {};
+        patches.forEach(patch => {
+            const type = patch.entityType || 'unknown';
+            patchesByType[type] = (patchesByType[type] || 0) + 1;
+        });
+        return {
+            totalPatches: patches.length,
+            patchesByType,
+            heads: this.getHeads(workspace),
+            oldestPatch: patches.length > 0 ? patches[0].receivedAt : null,
+            newestPatch: patches.length > 0 ? patches[patches.length - 1].receivedAt : null
+        };
+    }
+    /**
+     * Totals over the workspaces loaded so far
+     */
+    getTotals() {
+        const totals = {
+            totalPatches: 0,
+            patchesByType: {},
+            workspaceCount: this.logs.size
+        };
+        this.logs.forEach(log => {
+            totals.totalPatches += log.patches.length;
+            log.patches.forEach(patch => {
+                const type = patch.entityType || 'unknown';
+                totals.patchesByType[type] = (totals.patchesByType[type] || 0) + 1;
+            });
+        });
+        return totals;
+    }
+    getLog(workspace) {
+        let log = this.logs.get(workspace);
+        if (!log) {
+            log = this.load(workspace);
+            this.logs.set(workspace, log);
+        }
+        return log;
+    }
+    load(workspace) {
+        const log = { patches: [], heads: {} };
+        const logPath = this.getLogPath(workspace);
+        try {
+            if (!existsSync(this.logDir)) {
+                mkdirSync(this.logDir, { recursive: true });
+            }
+            if (!existsSync(logPath))
+                return log;
+            for (const line of readFileSync(logPath, 'utf-8').split('\n')) {
+                if (!line.trim())
+                    continue;
+                try {
+                    const patch = JSON.parse(line);
+                    log.patches.push(patch);
+                    if (patch.deviceId && typeof patch.seq === 'number') {
+                        log.heads[patch.deviceId] = Math.max(log.heads[patch.deviceId] || 0, patch.seq);
+                    }
+                }
+                catch {
+                    // A line cut short by a crash
+                }
+            }
+        }
+        catch (error) {
+            console.error(`[SyncPatchLog] Failed to load patches for ${workspace}:`, error);
+        }
+        return log;
+    }
+    getLogPath(workspace) {
+        // Workspace IDs can be paths
+        const name = createHash('sha256').update(workspace).digest('hex').slice(0, 16);
+        return path.join(this.logDir, `${name}.jsonl`);
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * Terminal multiplexer for desktop terminals
+ * Owns the PTYs behind terminal:create so they outlive the renderer: a reload
+ * detaches its terminals instead of losing them, and a reattaching view gets
+ * the scrollback first. Terminals still open at quit are respawned in the same
+ * working directory and environment on the next start.
+ */
+import { app } from 'electron';
+import { EventEmitter } from 'events';
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, readlinkSync, writeFileSync } from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import * as pty from 'node-pty';
+
+export interface MultiplexedTerminalOptions {
+  cols?: number;
+  rows?: number;
+  cwd?: string;
+  env?: Record<string, string>; // On top of the app environment; kept for respawning
+  name?: string;
+}
+
+export interface MultiplexedTerminalInfo {
+  id: string;
+  name?: string;
+  cwd: string;
+  cols: number;
+  rows: number;
+  pid: number;
+  attached: boolean;
+  restored: boolean; // Respawned after an app restart
+  createdAt: string;
+}
+
+export interface AttachResult {
+  buffer: string;
+  cols: number;
+  rows: number;
+  cwd: string;
+  restored: boolean;
+}
+
+interface MultiplexedTerminal {
+  id: string;
+  pty: pty.IPty;
+  name?: string;
+  cwd: string;
+  env?: Record<string, string>;
+  cols: number;
+  rows: number;
+  scrollback: ScrollbackBuffer;
+  attached: boolean;
+  restored: boolean;
+  createdAt: string;
+}
+
+interface PersistedTerminal {
+  id: string;
+  name?: string;
+  cwd: string;
+  env?: Record<string, string>;
+  cols: number;
+  rows: number;
+  createdAt: string;
+  scrollback?: string;
+}
+
+const SCROLLBACK_LIMIT = 512 * 1024; // Characters kept per terminal
+const RESTORED_NOTICE = '\r\n\x1b[90m[Restored after restart; processes from the previous session have ended]\x1b[0m\r\n';
+
+/**
+ * Output of a terminal, capped at a fixed size by dropping the oldest chunks
+ */
+class ScrollbackBuffer {
+  private chunks: string[] = [];
+  private length = 0;
+
+  constructor(private readonly limit: number = SCROLLBACK_LIMIT) {}
+
+  push(data: string): void {
+    this.chunks.push(data);
+    this.length += data.length;
+
+    while (this.length > this.limit && this.chunks.length > 0) {
+      const excess = this.length - this.limit;
+      if (this.chunks[0].length <= excess) {
+        this.length -= this.chunks.shift()!.length;
+      } else {
+        this.chunks[0] = this.chunks[0].slice(excess);
+        this.length -= excess;
+      }
+    }
+  }
+
+  toString(): string {
+    // Join once, so repeated reads don't re-join
+    if (this.chunks.length > 1) {
+      this.chunks = [this.chunks.join('')];
+    }
+    return this.chunks[0] || '';
+  }
+}
+
+/**
+ * Events: 'data' (id, data), 'exit' (id, { exitCode, signal }),
+ * 'spawn' (id, { cols, rows, cwd, restored })
+ */
+export class TerminalMultiplexer extends EventEmitter {
+  private static instance: TerminalMultiplexer;
+  private terminals: Map<string, MultiplexedTerminal> = new Map();
+  private statePath: string;
+  private shuttingDown = false;
+
+  private constructor() {
+    super();
+    this.statePath = path.join(app.getPath('userData'), 'terminals.json');
+  }
+
+  static getInstance(): TerminalMultiplexer {
+    if (!TerminalMultiplexer.instance) {
+      TerminalMultiplexer.instance = new TerminalMultiplexer();
+    }
+    return TerminalMultiplexer.instance;
+  }
+
+  create(options: MultiplexedTerminalOptions = {}): string {
+    const terminal = this.spawn({
+      id: uuidv4(),
+      name: options.name,
+      cwd: options.cwd || process.cwd(),
+      env: options.env,
+      cols: options.cols || 80,
+      rows: options.rows || 24,
+      createdAt: new Date().toISOString()
+    }, false);
+
+    // The view that created it is showing it
+    terminal.attached = true;
+    this.persist();
+    return terminal.id;
+  }
+
+  /**
+   * Respawn the terminals that were open when the app last quit. Each keeps its
+   * ID, so views that stored it can reattach. Terminals rejected by `keep` are
+   * not respawned and are dropped from the saved state.
+   */
+  restore(keep?: (id: string) => boolean): string[] {
+    let saved: PersistedTerminal[] = [];
+    try {
+      if (existsSync(this.statePath)) {
+        saved = JSON.parse(readFileSync(this.statePath, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('[TerminalMultiplexer] Failed to read saved terminals:', error);
+    }
+
+    const restored: string[] = [];
+    for (const entry of Array.isArray(saved) ? saved : []) {
+      if (!entry?.id || this.terminals.has(entry.id)) continue;
+      if (keep && !keep(entry.id)) continue;
+      try {
+        const terminal = this.spawn({
+          ...entry,
+          // The directory may have been removed since
+          cwd: entry.cwd && existsSync(entry.cwd) ? entry.cwd : homedir()
+        }, true);
+        if (entry.scrollback) {
+          terminal.scrollback.push(entry.scrollback);
+        }
+        terminal.scrollback.push(RESTORED_NOTICE);
+        restored.push(entry.id);
+      } catch (error) {
+        console.error(`[TerminalMultiplexer] Failed to restore terminal ${entry.id}:`, error);
+      }
+    }
+
+    this.persist();
+    return restored;
+  }
+
+  has(id: string): boolean {
+    return this.terminals.has(id);
+  }
+
+  write(id: string, data: string): boolean {
+    const terminal = this.terminals.get(id);
+    if (!terminal) return false;
+    terminal.pty.write(data);
+    return true;
+  }
+
+  resize(id: string, cols: number, rows: number): boolean {
+    const terminal = this.terminals.get(id);
+    if (!terminal) return false;
+    terminal.pty.resize(cols, rows);
+    terminal.cols = cols;
+    terminal.rows = rows;
+    return true;
+  }
+
+  /**
+   * Reattach handshake. Returns the scrollback up to this point; output after
+   * it arrives as terminal:data events, so listen as soon as this resolves.
+   */
+  attach(id: string): AttachResult | null {
+    const terminal = this.terminals.get(id);
+    if (!terminal) return null;
+
+    terminal.attached = true;
+    return {
+      buffer: terminal.scrollback.toString(),
+      cols: terminal.cols,
+      rows: terminal.rows,
+      cwd: this.getCurrentCwd(terminal),
+      restored: terminal.restored
+    };
+  }
+
+  detach(id: string): boolean {
+    const terminal = this.terminals.get(id);
+    if (!terminal) return false;
+    terminal.attached = false;
+    return true;
+  }
+
+  /**
+   * Called when the renderer reloads; its views are gone but the PTYs stay
+   */
+  detachAll(): void {
+    this.terminals.forEach(terminal => {
+      terminal.attached = false;
+    });
+  }
+
+  destroy(id: string): boolean {
+    const terminal = this.terminals.get(id);
+    if (!terminal) return false;
+
+    this.terminals.delete(id);
+    try {
+      terminal.pty.kill();
+    } catch (error) {
+      console.error(`[TerminalMultiplexer] Error killing terminal ${id}:`, error);
+    }
+    this.persist();
+    return true;
+  }
+
+  list(): MultiplexedTerminalInfo[] {
+    return Array.from(this.terminals.values()).map(terminal => ({
+      id: terminal.id,
+      name: terminal.name,
+      cwd: this.getCurrentCwd(terminal),
+      cols: terminal.cols,
+      rows: terminal.rows,
+      pid: terminal.pty.pid,
+      attached: terminal.attached,
+      restored: terminal.restored,
+      createdAt: terminal.createdAt
+    }));
+  }
+
+  getScrollback(id: string): string | null {
+    return this.terminals.get(id)?.scrollback.toString() ?? null;
+  }
+
+  /**
+   * Save the open terminals with their scrollback and current directory, then
+   * end them. Safe to call more than once.
+   */
+  shutdown(): void {
+    if (this.shuttingDown) return;
+    this.persist(true);
+    this.shuttingDown = true;
+
+    this.terminals.forEach((terminal, id) => {
+      try {
+        terminal.pty.kill();
+      } catch (error) {
+        console.error(`[TerminalMultiplexer] Error killing terminal ${id}:`, error);
+      }
+    });
+    this.terminals.clear();
+  }
+
+  private spawn(entry: PersistedTerminal, restored: boolean): MultiplexedTerminal {
+    const shell = process.platform === 'win32' ? 'powershell.exe' : '/bin/bash';
+    const termPty = pty.spawn(shell, [], {
+      name: 'xterm-color',
+      cols: entry.cols,
+      rows: entry.rows,
+      cwd: entry.cwd,
+      env: { ...process.env, ...entry.env } as Record<string, string>
+    });
+
+    const terminal: MultiplexedTerminal = {
+      id: entry.id,
+      pty: termPty,
+      name: entry.name,
+      cwd: entry.cwd,
+      env: entry.env,
+      cols: entry.cols,
+      rows: entry.rows,
+      scrollback: new ScrollbackBuffer(),
+      attached: false,
+      restored,
+      createdAt: entry.createdAt
+    };
+    this.terminals.set(entry.id, terminal);
+
+    termPty.onData(data => {
+      terminal.scrollback.push(data);
+      this.emit('data', entry.id, data);
+    });
+
+    termPty.onExit(({ exitCode, signal }) => {
+      // Terminals killed at quit are meant to come back
+      if (this.shuttingDown) return;
+      if (this.terminals.get(entry.id) === terminal) {
+        this.terminals.delete(entry.id);
+        this.persist();
+      }
+      this.emit('exit', entry.id, { exitCode, signal });
+    });
+
+    this.emit('spawn', entry.id, { cols: entry.cols, rows: entry.rows, cwd: entry.cwd, restored });
+    return terminal;
+  }
+
+  private persist(withScrollback = false): void {
+    if (this.shuttingDown) return;
+
+    const saved: PersistedTerminal[] = Array.from(this.terminals.values()).map(terminal => ({
+      id: terminal.id,
+      name: terminal.name,
+      cwd: withScrollback ? this.getCurrentCwd(terminal) : terminal.cwd,
+      env: terminal.env,
+      cols: terminal.cols,
+      rows: terminal.rows,
+      createdAt: terminal.createdAt,
+      scrollback: withScrollback ? terminal.scrollback.toString() : undefined
+    }));
+
+    try {
+      writeFileSync(this.statePath, JSON.stringify(saved), 'utf-8');
+    } catch (error) {
+      console.error('[TerminalMultiplexer] Failed to save terminals:', error);
+    }
+  }
+
+  // Where the shell is now, which may differ from where it started
+  private getCurrentCwd(terminal: MultiplexedTerminal): string {
+    try {
+      if (process.platform === 'linux') {
+        return readlinkSync(`/proc/${terminal.pty.pid}/cwd`);
+      }
+      if (process.platform === 'darwin') {
+        const output = execFileSync('lsof', ['-a', '-p', String(terminal.pty.pid), '-d', 'cwd', '-Fn'], {
+          encoding: 'utf-8',
+          timeout: 1000
+        });
+        const line = output.split('\n').find(entry => entry.startsWith('n'));
+        if (line) return line.slice(1);
+      }
+    } catch {
+      // The shell may have just exited
+    }
+    return terminal.cwd;
+  }
+}
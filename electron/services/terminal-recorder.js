@@ -0,0 +1,387 @@
+/**
+ * Terminal session recording
+ * Writes terminal and Claude PTY output to asciicast v2 files
+ * (https://docs.asciinema.org/manual/asciicast/v2/) in the app data directory,
+ * and plays them back with seek and speed controls.
+ * Only output and resizes are recorded; keystrokes can hold passwords.
+ */
+import { app } from 'electron';
+import { createWriteStream, mkdirSync, promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+const RECORDING_ID = /^[\w-]+$/;
+export class TerminalRecorder {
+    static instance;
+    recordingsDir;
+    enabled = false;
+    active = new Map();
+    constructor() {
+        this.recordingsDir = path.join(app.getPath('userData'), 'recordings');
+    }
+    static getInstance() {
+        if (!TerminalRecorder.instance) {
+            TerminalRecorder.instance = new TerminalRecorder();
+        }
+        return TerminalRecorder.instance;
+    }
+    /**
+     * Whether new PTYs are recorded automatically. Running PTYs are not affected.
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+    isEnabled() {
+        return this.enabled;
+    }
+    getRecordingsDir() {
+        return this.recordingsDir;
+    }
+    /**
+     * Start recording a PTY. Does nothing unless recording is enabled or forced.
+     * Returns the recording ID.
+     */
+    start(kind, sourceId, options, force = false) {
+        if (!this.enabled && !force)
+            return null;
+        // A source has one recording at a time
+        this.stop(kind, sourceId);
+        const id = `${kind}-${new Date().toISOString().replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}`;
+        mkdirSync(this.recordingsDir, { recursive: true });
+        const stream = createWriteStream(this.getRecordingPath(id), { flags: 'wx' });
+        stream.on('error', error => {
+            console.error(`[TerminalRecorder] Failed to write ${id}:`, error);
+            this.active.delete(recordingKey(kind, sourceId));
+        });
+        const header = {
+            version: 2,
+            width: options.cols,
+            height: options.rows,
+            timestamp: Math.floor(Date.now() / 1000),
+            title: options.title,
+            env: { TERM: 'xterm-256color', SHELL: process.env.SHELL || '' },
+            source: { kind, id: sourceId, cwd: options.cwd }
+        };
+        stream.write(JSON.stringify(header) + '\n');
+        this.active.set(recordingKey(kind, sourceId), { id, stream, startedAt: performance.now() });
+        return id;
+    }
+    output(kind, sourceId, data) {
+        this.writeEvent(kind, sourceId, 'o', data);
+    }
+    resize(kind, sourceId, cols, rows) {
+        this.writeEvent(kind, sourceId, 'r', `${cols}x${rows}`);
+    }
+    stop(kind, sourceId) {
+        const key = recordingKey(kind, sourceId);
+        const recording = this.active.get(key);
+        if (!recording)
+            return null;
+        recording.stream.end();
+        this.active.delete(key);
+        return recording.id;
+    }
+    isRecording(kind, sourceId) {
+        return this.active.has(recordingKey(kind, sourceId));
+    }
+    /**
+     * Recordings on disk, newest first
+     */
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.recordingsDir);
+        }
+        catch (error) {
+            if (error.code === 'ENOENT')
+                return [];
+            throw error;
+        }
+        const activeIds = new Set(Array.from(this.active.values()).map(recording => recording.id));
+        const recordings = [];
+        for (const file of files.filter(name => name.endsWith('.cast'))) {
+            const id = file.slice(0, -'.cast'.length);
+            try {
+                const { header, duration, size } = await this.readSummary(id);
+                recordings.push({
+                    id,
+                    kind: header.source?.kind || 'terminal',
+                    sourceId: header.source?.id || '',
+                    title: header.title,
+                    cwd: header.source?.cwd,
+                    startedAt: new Date(header.timestamp * 1000).toISOString(),
+                    width: header.width,
+                    height: header.height,
+                    duration,
+                    size,
+                    active: activeIds.has(id)
+                });
+            }
+            catch (error) {
+                console.warn(`[TerminalRecorder] Skipping unreadable recording ${file}:`, error);
+            }
+        }
+        return recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+    async load(id) {
+        const content = await fs.readFile(this.getRecordingPath(id), 'utf-8');
+        const [headerLine, ...lines] = content.split('\n');
+        const header = JSON.parse(headerLine);
+        if (header.version !== 2) {
+            throw new Error(`Unsupported asciicast version: ${header.version}`);
+        }
+        const events = [];
+        for (const line of lines) {
+            if (!line.trim())
+                continue;
+            try {
+                const event = JSON.parse(line);
+                if (Array.isArray(event) && typeof event[0] === 'number' && (event[1] === 'o' || event[1] === 'r')) {
+                    events.push(event);
+                }
+            }
+            catch {
+                // The last line of a recording cut off by a crash may be partial
+            }
+        }
+        return { header, events };
+    }
+    async delete(id) {
+        for (const [key, recording] of this.active) {
+            if (recording.id === id) {
+                recording.stream.end();
+                this.active.delete(key);
+            }
+        }
+        await fs.unlink(this.getRecordingPath(id));
+    }
+    writeEvent(kind, sourceId, type, data) {
+        const recording = this.active.get(recordingKey(kind, sourceId));
+        if (!recording)
+            return;
+        const elapsed = Math.round(performance.now() - recording.startedAt) / 1000;
+        recording.stream.write(JSON.stringify([elapsed, type, data]) + '\n');
+    }
+    // Header and duration without parsing every event
+    async readSummary(id) {
+        const handle = await fs.open(this.getRecordingPath(id), 'r');
+        try {
+            const { size } = await handle.stat();
+            const head = Buffer.alloc(Math.min(size, 8192));
+            await handle.read(head, 0, head.length, 0);
+            const header = JSON.parse(head.toString('utf-8').split('\n')[0]);
+            const tail = Buffer.alloc(Math.min(size, 65536));
+            await handle.read(tail, 0, tail.length, size - tail.length);
+            let duration = 0;
+            for (const line of tail.toString('utf-8').trimEnd().split('\n').reverse()) {
+                try {
+                    const event = JSON.parse(line);
+                    if (Array.isArray(event) && typeof event[0] === 'number') {
+                        duration = event[0];
+                        break;
+                    }
+                }
+                catch {
+                    // Partial line at the start of the chunk or end of the file
+                }
+            }
+            return { header, duration, size };
+        }
+        finally {
+            await handle.close();
+        }
+    }
+    getRecordingPath(id) {
+        if (!RECORDING_ID.test(id)) {
+            throw new Error(`Invalid recording ID: ${id}`);
+        }
+        return path.join(this.recordingsDir, `${id}.cast`);
+    }
+}
+/**
+ * Plays a recording back into a sink. The transport (IPC or socket) lives in
+ * the sink, so desktop and remote terminals share the timing logic.
+ */
+export class RecordingReplay {
+    recording;
+    sink;
+    index = 0; // Next event to emit
+    position = 0; // Recording time at `anchor`
+    anchor = 0; // performance.now() when playback last started or moved
+    speed = 1;
+    playing = false;
+    timer = null;
+    size;
+    duration;
+    constructor(recording, sink) {
+        this.recording = recording;
+        this.sink = sink;
+        const events = recording.events;
+        this.duration = events.length > 0 ? events[events.length - 1][0] : 0;
+        this.size = { cols: recording.header.width, rows: recording.header.height };
+    }
+    play() {
+        if (this.playing)
+            return;
+        if (this.index >= this.recording.events.length) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.anchor = performance.now();
+        this.schedule();
+        this.emitState();
+    }
+    pause() {
+        if (!this.playing)
+            return;
+        this.position = this.currentPosition();
+        this.playing = false;
+        this.clearTimer();
+        this.emitState();
+    }
+    /**
+     * Jump to a point in the recording. The terminal is reset and everything up
+     * to that point is written at once.
+     */
+    seek(seconds) {
+        this.clearTimer();
+        const target = Math.max(0, Math.min(seconds, this.duration));
+        const { header, events } = this.recording;
+        let output = '';
+        let size = { cols: header.width, rows: header.height };
+        let index = 0;
+        while (index < events.length && events[index][0] <= target) {
+            const [, type, data] = events[index];
+            if (type === 'o') {
+                output += data;
+            }
+            else {
+                size = parseSize(data) || size;
+            }
+            index++;
+        }
+        this.index = index;
+        this.position = target;
+        this.anchor = performance.now();
+        this.size = size;
+        this.emitState();
+        // \x1bc resets the terminal, clearing the screen and scrollback
+        this.sink.data('\x1bc' + output);
+        if (this.playing) {
+            this.schedule();
+        }
+    }
+    setSpeed(speed) {
+        if (!(speed > 0))
+            return;
+        this.position = this.currentPosition();
+        this.anchor = performance.now();
+        this.speed = Math.min(speed, 64);
+        if (this.playing) {
+            this.clearTimer();
+            this.schedule();
+        }
+        this.emitState();
+    }
+    stop() {
+        this.playing = false;
+        this.clearTimer();
+    }
+    /**
+     * Apply a control sent by a client. Returns false for unknown actions.
+     */
+    control(action, value) {
+        switch (action) {
+            case 'play':
+                this.play();
+                break;
+            case 'pause':
+                this.pause();
+                break;
+            case 'seek':
+                this.seek(value ?? 0);
+                break;
+            case 'speed':
+                this.setSpeed(value ?? 1);
+                break;
+            case 'stop':
+                this.stop();
+                break;
+            default: return false;
+        }
+        return true;
+    }
+    getState() {
+        return {
+            position: this.currentPosition(),
+            duration: this.duration,
+            speed: this.speed,
+            playing: this.playing,
+            ended: this.index >= this.recording.events.length,
+            cols: this.size.cols,
+            rows: this.size.rows
+        };
+    }
+    currentPosition() {
+        if (!this.playing)
+            return this.position;
+        const elapsed = (performance.now() - this.anchor) / 1000 * this.speed;
+        return Math.min(this.position + elapsed, this.duration);
+    }
+    schedule() {
+        const events = this.recording.events;
+        if (this.index >= events.length) {
+            this.playing = false;
+            this.position = this.duration;
+            this.emitState();
+            return;
+        }
+        const delay = Math.max(0, (events[this.index][0] - this.currentPosition()) / this.speed * 1000);
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+    tick() {
+        this.timer = null;
+        const events = this.recording.events;
+        const now = this.currentPosition();
+        // Batch everything that is due, so fast output doesn't become one write per chunk
+        let output = '';
+        while (this.index < events.length && events[this.index][0] <= now) {
+            const [, type, data] = events[this.index];
+            if (type === 'o') {
+                output += data;
+            }
+            else {
+                if (output) {
+                    this.sink.data(output);
+                    output = '';
+                }
+                const size = parseSize(data);
+                if (size) {
+                    this.size = size;
+                    this.emitState();
+                }
+            }
+            this.index++;
+        }
+        if (output) {
+            this.sink.data(output);
+        }
+        this.schedule();
+    }
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+    emitState() {
+        this.sink.state(this.getState());
+    }
+}
+function recordingKey(kind, sourceId) {
+    return `${kind}:${sourceId}`;
+}
+function parseSize(data) {
+    const match = /^(\d+)x(\d+)$/.exec(data);
+    return match ? { cols: Number(match[1]), rows: Number(match[2]) } : null;
+}
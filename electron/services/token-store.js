@@ -1,7 +1,3 @@
-/**
- * Token store for validating remote connections
- * Stores valid tokens generated for QR codes and validates incoming connections
- */
 export class TokenStore {
     static instance;
     tokens = new Map();
@@ -19,7 +15,7 @@ export class TokenStore {
     /**
      * Store a new token when QR code is generated
      */
-    storeToken(token, deviceId, deviceName, pairingCode, expiresAt) {
+    storeToken(token, deviceId, deviceName, pairingCode, expiresAt, scope) {
         const storedToken = {
             token,
             deviceId,
@@ -27,7 +23,9 @@ export class TokenStore {
             pairingCode,
             createdAt: new Date(),
             expiresAt: expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
-            connectionCount: 0
+            connectionCount: 0,
+            permissions: scope?.permissions,
+            allowedPaths: scope?.allowedPaths
         };
         this.tokens.set(token, storedToken);
         // Track tokens by device
@@ -71,6 +69,15 @@ export class TokenStore {
         storedToken.connectionCount++;
         return { valid: true, tokenInfo: storedToken };
     }
+    /**
+     * Get the unexpired tokens issued to a device, without counting it as a connection
+     */
+    getDeviceTokens(deviceId) {
+        const now = new Date();
+        return (this.deviceTokens.get(deviceId) || [])
+            .map(token => this.tokens.get(token))
+            .filter((token) => !!token && now <= token.expiresAt);
+    }
     /**
      * Get all active connections
      */
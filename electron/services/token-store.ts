@@ -2,6 +2,7 @@
  * Token store for validating remote connections
  * Stores valid tokens generated for QR codes and validates incoming connections
  */
+import type { Permission, PermissionScope } from './remote-protocol.js';
 
 export interface StoredToken {
   token: string;
@@ -12,6 +13,9 @@ export interface StoredToken {
   expiresAt: Date;
   lastUsed?: Date;
   connectionCount: number;
+  // Granted when the connection was generated; unset means the default permissions
+  permissions?: Permission[];
+  allowedPaths?: string[];
 }
 
 export class TokenStore {
@@ -39,7 +43,8 @@ export class TokenStore {
     deviceId: string,
     deviceName: string,
     pairingCode: string,
-    expiresAt?: Date
+    expiresAt?: Date,
+    scope?: PermissionScope
   ): void {
     const storedToken: StoredToken = {
       token,
@@ -48,7 +53,9 @@ export class TokenStore {
       pairingCode,
       createdAt: new Date(),
       expiresAt: expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
-      connectionCount: 0
+      connectionCount: 0,
+      permissions: scope?.permissions,
+      allowedPaths: scope?.allowedPaths
     };
     
     this.tokens.set(token, storedToken);
@@ -107,6 +114,16 @@ export class TokenStore {
     return { valid: true, tokenInfo: storedToken };
   }
   
+  /**
+   * Get the unexpired tokens issued to a device, without counting it as a connection
+   */
+  getDeviceTokens(deviceId: string): StoredToken[] {
+    const now = new Date();
+    return (this.deviceTokens.get(deviceId) || [])
+      .map(token => this.tokens.get(token))
+      .filter((token): token is StoredToken => !!token && now <= token.expiresAt);
+  }
+
   /**
    * Get all active connections
    */
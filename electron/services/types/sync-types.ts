@@ -3,19 +3,28 @@
  * Duplicated here to avoid importing from outside electron directory
  */
 
+/**
+ * Highest patch sequence number seen from each device
+ */
+export type VersionVector = Record<string, number>;
+
 export interface SyncPatch {
   id: string;
-  timestamp: number;
+  timestamp: number | string;
   userId: string;
+  entityId?: string;
   entityType?: string;
   operations: SyncOperation[];
+  deviceId?: string; // Set by clients that number their patches
+  seq?: number;
+  baseVector?: VersionVector;
 }
 
 export interface SyncOperation {
-  type: 'create' | 'update' | 'delete';
+  op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
   path: string;
-  data?: any;
-  oldData?: any;
+  value?: any;
+  from?: string;
 }
 
 export interface SyncState {
@@ -29,4 +38,4 @@ export interface SyncConflict {
   localValue: any;
   remoteValue: any;
   timestamp: number;
-}
\ No newline at end of file
+}
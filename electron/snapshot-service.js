@@ -5,6 +5,7 @@ import { homedir } from 'os';
 import * as zlib from 'zlib';
 import { promisify } from 'util';
 import { isText } from 'istextorbinary';
+import { applyPatch, parsePatch, reversePatch } from 'diff';
 const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 export class SnapshotService {
@@ -12,13 +13,23 @@ export class SnapshotService {
     projectPath;
     projectName;
     projectSnapshotsDir;
+    // Content and diff objects shared by all branches. Git forbids ref names
+    // starting with a dot, so this can't clash with a branch directory.
+    objectsDir;
     currentBranch = 'main';
+    refCounts = { content: {}, diffs: {} };
+    refCountsWrite = Promise.resolve();
+    ready;
+    STORE_VERSION = 2;
+    // Objects stored this recently are never reclaimed: they may belong to a snapshot still being captured
+    GC_GRACE_PERIOD_MS = 60 * 60 * 1000;
     constructor(projectPath) {
         this.projectPath = projectPath;
         this.projectName = path.basename(projectPath);
         this.baseDir = path.join(homedir(), '.claude-snapshots');
         this.projectSnapshotsDir = path.join(this.baseDir, this.projectName);
-        this.initialize();
+        this.objectsDir = path.join(this.projectSnapshotsDir, '.objects');
+        this.ready = this.initialize();
     }
     getBranchDir(branch) {
         const branchName = (branch || this.currentBranch).replace(/\//g, '-');
@@ -27,17 +38,17 @@ export class SnapshotService {
     getSnapshotsDir(branch) {
         return path.join(this.getBranchDir(branch), 'snapshots');
     }
-    getContentDir(branch) {
-        return path.join(this.getBranchDir(branch), 'content');
-    }
-    getDiffDir(branch) {
-        return path.join(this.getBranchDir(branch), 'diffs');
+    getObjectDir(kind) {
+        return path.join(this.objectsDir, kind);
     }
     async initialize() {
         try {
-            await fs.ensureDir(this.projectSnapshotsDir);
+            await fs.ensureDir(this.getObjectDir('content'));
+            await fs.ensureDir(this.getObjectDir('diffs'));
             // Ensure .claude-snapshots is in .gitignore
             await this.ensureGitignore();
+            await this.migrateBranchStores();
+            await this.loadRefCounts();
         }
         catch (error) {
             console.error('Failed to initialize snapshot directories:', error);
@@ -46,15 +57,29 @@ export class SnapshotService {
     /**
      * Generate content-addressable path (2-level directory structure)
      */
-    getContentPath(hash, branch) {
+    getObjectPath(kind, hash) {
         const prefix = hash.substring(0, 2);
         const suffix = hash.substring(2);
-        return path.join(this.getContentDir(branch), prefix, suffix + '.json');
+        return path.join(this.getObjectDir(kind), prefix, suffix + '.json');
     }
-    getDiffPath(hash, branch) {
-        const prefix = hash.substring(0, 2);
-        const suffix = hash.substring(2);
-        return path.join(this.getDiffDir(branch), prefix, suffix + '.json');
+    getContentPath(hash) {
+        return this.getObjectPath('content', hash);
+    }
+    getDiffPath(hash) {
+        return this.getObjectPath('diffs', hash);
+    }
+    // Branch directories holding snapshots (the shared object store is skipped)
+    async listBranchDirs() {
+        if (!await fs.pathExists(this.projectSnapshotsDir)) {
+            return [];
+        }
+        const branchDirs = [];
+        for (const entry of await fs.readdir(this.projectSnapshotsDir, { withFileTypes: true })) {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                branchDirs.push(path.join(this.projectSnapshotsDir, entry.name));
+            }
+        }
+        return branchDirs;
     }
     setCurrentBranch(branch) {
         this.currentBranch = branch;
@@ -65,16 +90,16 @@ export class SnapshotService {
             try {
                 const branch = snapshot.gitBranch || 'main';
                 const snapshotsDir = this.getSnapshotsDir(branch);
-                // Ensure branch directories exist
+                // Ensure branch directory exists
                 await fs.ensureDir(snapshotsDir);
-                await fs.ensureDir(this.getContentDir(branch));
-                await fs.ensureDir(this.getDiffDir(branch));
                 const filename = `${snapshot.id}.json`;
                 const filepath = path.join(snapshotsDir, filename);
+                const previous = await this.readSnapshotFile(filepath);
                 // Calculate actual size
                 const content = JSON.stringify(snapshot, null, 2);
                 snapshot.sizeKb = Buffer.byteLength(content) / 1024;
                 await fs.writeJson(filepath, snapshot, { spaces: 2 });
+                await this.updateReferences(previous, snapshot);
                 return { success: true, snapshot };
             }
             catch (error) {
@@ -93,21 +118,16 @@ export class SnapshotService {
                 if (branch) {
                     const filename = `${snapshotId}.json`;
                     const filepath = path.join(this.getSnapshotsDir(branch), filename);
-                    await fs.remove(filepath);
+                    await this.removeSnapshotFile(filepath);
                     return { success: true };
                 }
                 // Otherwise, search for the snapshot in all branches
-                const branchDirs = await fs.readdir(this.projectSnapshotsDir);
-                for (const branchDir of branchDirs) {
-                    const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-                    const stat = await fs.stat(branchPath);
-                    if (stat.isDirectory()) {
-                        const filename = `${snapshotId}.json`;
-                        const filepath = path.join(branchPath, 'snapshots', filename);
-                        if (await fs.pathExists(filepath)) {
-                            await fs.remove(filepath);
-                            return { success: true };
-                        }
+                for (const branchPath of await this.listBranchDirs()) {
+                    const filename = `${snapshotId}.json`;
+                    const filepath = path.join(branchPath, 'snapshots', filename);
+                    if (await fs.pathExists(filepath)) {
+                        await this.removeSnapshotFile(filepath);
+                        return { success: true };
                     }
                 }
                 return { success: false, error: 'Snapshot not found' };
@@ -123,7 +143,9 @@ export class SnapshotService {
                 const branch = snapshot.gitBranch || 'main';
                 const filename = `${snapshot.id}.json`;
                 const filepath = path.join(this.getSnapshotsDir(branch), filename);
+                const previous = await this.readSnapshotFile(filepath);
                 await fs.writeJson(filepath, snapshot, { spaces: 2 });
+                await this.updateReferences(previous, snapshot);
                 return { success: true };
             }
             catch (error) {
@@ -162,7 +184,9 @@ export class SnapshotService {
                     const filepath = path.join(this.getSnapshotsDir(branch), filename);
                     // Don't overwrite existing snapshots
                     if (!await fs.pathExists(filepath)) {
+                        await fs.ensureDir(path.dirname(filepath));
                         await fs.writeJson(filepath, snapshot, { spaces: 2 });
+                        await this.updateReferences(null, snapshot);
                         imported++;
                     }
                 }
@@ -188,7 +212,7 @@ export class SnapshotService {
         // Content storage
         ipcMain.handle('snapshots:storeContent', async (_, params) => {
             try {
-                const success = await this.storeContentObject(params.hash, params.content, params.mimeType, params.encoding, params.branch);
+                const success = await this.storeContentObject(params.hash, params.content, params.mimeType, params.encoding);
                 return { success };
             }
             catch (error) {
@@ -199,7 +223,7 @@ export class SnapshotService {
         // Content retrieval
         ipcMain.handle('snapshots:getContent', async (_, params) => {
             try {
-                const content = await this.getContentObject(params.hash, params.branch);
+                const content = await this.getContentObject(params.hash);
                 return { success: true, content };
             }
             catch (error) {
@@ -210,7 +234,7 @@ export class SnapshotService {
         // Diff storage
         ipcMain.handle('snapshots:storeDiff', async (_, params) => {
             try {
-                const success = await this.storeDiffObject(params.hash, params.diffObject, params.branch);
+                const success = await this.storeDiffObject(params.hash, params.diffObject);
                 return { success };
             }
             catch (error) {
@@ -221,7 +245,7 @@ export class SnapshotService {
         // Diff retrieval
         ipcMain.handle('snapshots:getDiff', async (_, params) => {
             try {
-                const diffObject = await this.getDiffObject(params.hash, params.branch);
+                const diffObject = await this.getDiffObject(params.hash);
                 return { success: true, diffObject };
             }
             catch (error) {
@@ -254,7 +278,7 @@ export class SnapshotService {
         // File restoration
         ipcMain.handle('snapshots:restoreFiles', async (_, params) => {
             try {
-                const success = await this.restoreProjectFiles(params.fileChanges, params.projectPath);
+                const success = await this.restoreProjectFiles(params.fileChanges, params.projectPath, params.paths);
                 return { success };
             }
             catch (error) {
@@ -262,6 +286,16 @@ export class SnapshotService {
                 return { success: false, error: error.message };
             }
         });
+        // Hunk-level restoration from a stored diff
+        ipcMain.handle('snapshots:restoreHunks', async (_, params) => {
+            try {
+                return await this.restoreHunks(params);
+            }
+            catch (error) {
+                console.error('Failed to restore hunks:', error);
+                return { success: false, error: error.message, failedHunks: params.hunks };
+            }
+        });
         // Enhanced storage info
         ipcMain.handle('snapshots:getStorageInfo', async (_, params) => {
             try {
@@ -271,23 +305,16 @@ export class SnapshotService {
                     const stats = await fs.stat(this.projectSnapshotsDir);
                     totalSize = stats.size;
                 }
-                // Calculate content storage stats
-                let contentSize = 0;
-                let contentCount = 0;
-                try {
-                    const contentStats = await this.calculateContentStats();
-                    contentSize = contentStats.size;
-                    contentCount = contentStats.count;
-                }
-                catch (error) {
-                    console.warn('Failed to calculate content stats:', error);
-                }
+                // Content storage stats come from a dry run of the garbage collector
+                const objectStats = await this.collectGarbage({ dryRun: true });
                 const storageInfo = {
                     totalSnapshots: 0, // Will be filled by snapshots store
                     totalSizeKb: totalSize / 1024,
-                    totalContentSizeKb: contentSize / 1024,
+                    totalContentSizeKb: objectStats.totalSize / 1024,
                     compressionRatio: 0, // Calculate based on stored objects
-                    deduplicationSavings: 0, // Calculate based on content hash duplicates
+                    deduplicationSavings: objectStats.deduplicationSavings,
+                    objectCount: objectStats.objectCount,
+                    reclaimableKb: objectStats.unreferencedSize / 1024,
                     oldestSnapshot: new Date().toISOString(),
                     newestSnapshot: new Date().toISOString(),
                     storageDirectory: this.projectSnapshotsDir
@@ -305,6 +332,8 @@ export class SnapshotService {
                         totalContentSizeKb: 0,
                         compressionRatio: 0,
                         deduplicationSavings: 0,
+                        objectCount: 0,
+                        reclaimableKb: 0,
                         oldestSnapshot: new Date().toISOString(),
                         newestSnapshot: new Date().toISOString(),
                         storageDirectory: this.projectSnapshotsDir
@@ -315,8 +344,8 @@ export class SnapshotService {
         // Cleanup
         ipcMain.handle('snapshots:cleanup', async (_, params) => {
             try {
-                const removed = await this.cleanup(params.olderThanDays);
-                return { success: true, stats: { removed, sizeFreed: 0 } };
+                const { removed, sizeFreed } = await this.cleanup(params.olderThanDays);
+                return { success: true, stats: { removed, sizeFreed } };
             }
             catch (error) {
                 console.error('Failed to cleanup:', error);
@@ -324,47 +353,232 @@ export class SnapshotService {
             }
         });
     }
-    async calculateContentStats() {
-        let totalSize = 0;
-        let count = 0;
-        async function walkContentDir(dir) {
-            try {
-                const entries = await fs.readdir(dir, { withFileTypes: true });
-                for (const entry of entries) {
-                    const fullPath = path.join(dir, entry.name);
-                    if (entry.isDirectory()) {
-                        await walkContentDir(fullPath);
+    /**
+     * Move the objects of the per-branch stores used before version 2 into the
+     * shared store. Identical objects were stored once per branch, so duplicates
+     * are dropped. Runs once per project; store.json records that it happened.
+     */
+    async migrateBranchStores() {
+        const markerPath = path.join(this.objectsDir, 'store.json');
+        if (await fs.pathExists(markerPath)) {
+            return;
+        }
+        let migrated = 0;
+        let duplicates = 0;
+        for (const branchPath of await this.listBranchDirs()) {
+            for (const kind of ['content', 'diffs']) {
+                const legacyDir = path.join(branchPath, kind);
+                if (!await fs.pathExists(legacyDir))
+                    continue;
+                for (const object of await this.listObjectFiles(legacyDir)) {
+                    const target = path.join(this.getObjectDir(kind), path.relative(legacyDir, object.path));
+                    if (await fs.pathExists(target)) {
+                        await fs.remove(object.path);
+                        duplicates++;
                     }
-                    else if (entry.isFile() && entry.name.endsWith('.json')) {
-                        const stats = await fs.stat(fullPath);
-                        totalSize += stats.size;
-                        count++;
+                    else {
+                        await fs.move(object.path, target);
+                        migrated++;
                     }
                 }
+                await fs.remove(legacyDir);
+            }
+        }
+        await fs.writeJson(markerPath, {
+            version: this.STORE_VERSION,
+            migratedAt: new Date().toISOString(),
+            migrated,
+            duplicates
+        }, { spaces: 2 });
+        // Counts are rebuilt from the snapshots once the objects are in place
+        await fs.remove(path.join(this.objectsDir, 'refs.json'));
+    }
+    async loadRefCounts() {
+        const refsPath = path.join(this.objectsDir, 'refs.json');
+        try {
+            if (await fs.pathExists(refsPath)) {
+                const refCounts = await fs.readJson(refsPath);
+                this.refCounts = { content: refCounts.content || {}, diffs: refCounts.diffs || {} };
+                return;
+            }
+        }
+        catch (error) {
+            console.warn('Failed to read snapshot reference counts, rebuilding them:', error);
+        }
+        await this.markReferences();
+    }
+    saveRefCounts() {
+        // Chained so concurrent updates never interleave their writes
+        const refsPath = path.join(this.objectsDir, 'refs.json');
+        this.refCountsWrite = this.refCountsWrite
+            .then(() => fs.writeJson(refsPath, this.refCounts))
+            .catch(error => console.error('Failed to save snapshot reference counts:', error));
+        return this.refCountsWrite;
+    }
+    // Objects a snapshot points to
+    getSnapshotReferences(snapshot) {
+        const references = { content: new Set(), diffs: new Set() };
+        if (!snapshot)
+            return references;
+        const { fileChanges, contentStorage } = snapshot;
+        if (fileChanges) {
+            for (const change of [...fileChanges.added, ...fileChanges.modified, ...fileChanges.removed, ...(fileChanges.unchanged || [])]) {
+                if (change.contentHash)
+                    references.content.add(change.contentHash);
+                if (change.previousHash)
+                    references.content.add(change.previousHash);
+                if (change.diffHash)
+                    references.diffs.add(change.diffHash);
+            }
+        }
+        for (const hash of contentStorage?.objectHashes || []) {
+            references.content.add(hash);
+        }
+        return references;
+    }
+    /**
+     * Move the references of a snapshot from its previous version to the new one
+     * (either may be null when a snapshot is created or deleted). Objects no
+     * snapshot points to anymore are removed right away.
+     */
+    async updateReferences(previous, next) {
+        await this.ready;
+        const before = this.getSnapshotReferences(previous);
+        const after = this.getSnapshotReferences(next);
+        const released = [];
+        for (const kind of ['content', 'diffs']) {
+            const counts = this.refCounts[kind];
+            for (const hash of after[kind]) {
+                if (!before[kind].has(hash))
+                    counts[hash] = (counts[hash] || 0) + 1;
+            }
+            for (const hash of before[kind]) {
+                if (after[kind].has(hash))
+                    continue;
+                counts[hash] = (counts[hash] || 0) - 1;
+                if (counts[hash] <= 0) {
+                    delete counts[hash];
+                    released.push({ kind, hash });
+                }
+            }
+        }
+        await this.saveRefCounts();
+        const cutoff = Date.now() - this.GC_GRACE_PERIOD_MS;
+        for (const { kind, hash } of released) {
+            const objectPath = this.getObjectPath(kind, hash);
+            try {
+                const stats = await fs.stat(objectPath);
+                if (stats.mtimeMs < cutoff) {
+                    await fs.remove(objectPath);
+                }
             }
             catch (error) {
-                // Ignore errors in content directory walking
-            }
-        }
-        // Walk through all branch directories
-        if (await fs.pathExists(this.projectSnapshotsDir)) {
-            const branchDirs = await fs.readdir(this.projectSnapshotsDir);
-            for (const branchDir of branchDirs) {
-                const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-                const stat = await fs.stat(branchPath);
-                if (stat.isDirectory()) {
-                    const contentDir = path.join(branchPath, 'content');
-                    const diffDir = path.join(branchPath, 'diffs');
-                    if (await fs.pathExists(contentDir)) {
-                        await walkContentDir(contentDir);
-                    }
-                    if (await fs.pathExists(diffDir)) {
-                        await walkContentDir(diffDir);
-                    }
+                // Already gone
+            }
+        }
+    }
+    async readSnapshotFile(filepath) {
+        try {
+            return await fs.readJson(filepath);
+        }
+        catch (error) {
+            return null;
+        }
+    }
+    async removeSnapshotFile(filepath) {
+        const snapshot = await this.readSnapshotFile(filepath);
+        await fs.remove(filepath);
+        await this.updateReferences(snapshot, null);
+    }
+    // Every object file below a store directory
+    async listObjectFiles(dir) {
+        const files = [];
+        async function walk(current) {
+            let entries;
+            try {
+                entries = await fs.readdir(current, { withFileTypes: true });
+            }
+            catch (error) {
+                return;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
                 }
+                else if (entry.isFile() && entry.name.endsWith('.json')) {
+                    const stats = await fs.stat(fullPath);
+                    files.push({ path: fullPath, size: stats.size, mtimeMs: stats.mtimeMs });
+                }
+            }
+        }
+        await walk(dir);
+        return files;
+    }
+    async listStoredObjects() {
+        const objects = [];
+        for (const kind of ['content', 'diffs']) {
+            const dir = this.getObjectDir(kind);
+            for (const file of await this.listObjectFiles(dir)) {
+                const [prefix, name] = path.relative(dir, file.path).split(path.sep);
+                objects.push({ kind, hash: prefix + path.basename(name, '.json'), ...file });
+            }
+        }
+        return objects;
+    }
+    // Mark phase: count the references of every snapshot on every branch
+    async markReferences() {
+        const refCounts = { content: {}, diffs: {} };
+        const { data: snapshots } = await this.handleListSnapshots(null, { allBranches: true });
+        for (const snapshot of snapshots) {
+            const references = this.getSnapshotReferences(snapshot);
+            for (const kind of ['content', 'diffs']) {
+                for (const hash of references[kind]) {
+                    refCounts[kind][hash] = (refCounts[kind][hash] || 0) + 1;
+                }
+            }
+        }
+        this.refCounts = refCounts;
+        await this.saveRefCounts();
+        return refCounts;
+    }
+    /**
+     * Mark-and-sweep garbage collection of the shared object store.
+     * Objects no snapshot references are removed, unless they were stored within
+     * the grace period. A dry run only reports what would be reclaimed.
+     */
+    async collectGarbage(options = {}) {
+        await this.ready;
+        const refCounts = await this.markReferences();
+        const cutoff = Date.now() - this.GC_GRACE_PERIOD_MS;
+        const result = {
+            objectCount: 0,
+            totalSize: 0,
+            referencedSize: 0,
+            unreferencedCount: 0,
+            unreferencedSize: 0,
+            deduplicationSavings: 0,
+            removed: 0,
+            sizeFreed: 0
+        };
+        for (const object of await this.listStoredObjects()) {
+            const references = refCounts[object.kind][object.hash] || 0;
+            result.objectCount++;
+            result.totalSize += object.size;
+            if (references > 0) {
+                result.referencedSize += object.size;
+                result.deduplicationSavings += object.size * (references - 1);
+                continue;
+            }
+            result.unreferencedCount++;
+            result.unreferencedSize += object.size;
+            if (!options.dryRun && object.mtimeMs < cutoff) {
+                await fs.remove(object.path);
+                result.removed++;
+                result.sizeFreed += object.size;
             }
         }
-        return { size: totalSize, count };
+        return result;
     }
     /**
      * Ensure Claude directories are in .gitignore
@@ -490,24 +704,19 @@ export class SnapshotService {
             }
             if (options?.allBranches) {
                 // List all branch directories
-                const branchDirs = await fs.readdir(this.projectSnapshotsDir);
-                for (const branchDir of branchDirs) {
-                    const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-                    const stat = await fs.stat(branchPath);
-                    if (stat.isDirectory()) {
-                        const snapshotsDir = path.join(branchPath, 'snapshots');
-                        if (await fs.pathExists(snapshotsDir)) {
-                            const files = await fs.readdir(snapshotsDir);
-                            for (const file of files) {
-                                if (file.endsWith('.json')) {
-                                    const filepath = path.join(snapshotsDir, file);
-                                    try {
-                                        const snapshot = await fs.readJson(filepath);
-                                        snapshots.push(snapshot);
-                                    }
-                                    catch (error) {
-                                        console.error(`Failed to read snapshot ${file}:`, error);
-                                    }
+                for (const branchPath of await this.listBranchDirs()) {
+                    const snapshotsDir = path.join(branchPath, 'snapshots');
+                    if (await fs.pathExists(snapshotsDir)) {
+                        const files = await fs.readdir(snapshotsDir);
+                        for (const file of files) {
+                            if (file.endsWith('.json')) {
+                                const filepath = path.join(snapshotsDir, file);
+                                try {
+                                    const snapshot = await fs.readJson(filepath);
+                                    snapshots.push(snapshot);
+                                }
+                                catch (error) {
+                                    console.error(`Failed to read snapshot ${file}:`, error);
                                 }
                             }
                         }
@@ -541,41 +750,35 @@ export class SnapshotService {
             return { success: false, error: error.message, data: [] };
         }
     }
-    // Clean up old snapshots
+    // Clean up old snapshots, then reclaim the objects only they referenced
     async cleanup(daysToKeep = 30) {
         try {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-            let deleted = 0;
+            let removed = 0;
             // Clean up snapshots in all branch directories
-            if (await fs.pathExists(this.projectSnapshotsDir)) {
-                const branchDirs = await fs.readdir(this.projectSnapshotsDir);
-                for (const branchDir of branchDirs) {
-                    const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-                    const stat = await fs.stat(branchPath);
-                    if (stat.isDirectory()) {
-                        const snapshotsDir = path.join(branchPath, 'snapshots');
-                        if (await fs.pathExists(snapshotsDir)) {
-                            const files = await fs.readdir(snapshotsDir);
-                            for (const file of files) {
-                                if (file.endsWith('.json')) {
-                                    const filepath = path.join(snapshotsDir, file);
-                                    const stats = await fs.stat(filepath);
-                                    if (stats.mtime < cutoffDate) {
-                                        await fs.remove(filepath);
-                                        deleted++;
-                                    }
-                                }
+            for (const branchPath of await this.listBranchDirs()) {
+                const snapshotsDir = path.join(branchPath, 'snapshots');
+                if (await fs.pathExists(snapshotsDir)) {
+                    const files = await fs.readdir(snapshotsDir);
+                    for (const file of files) {
+                        if (file.endsWith('.json')) {
+                            const filepath = path.join(snapshotsDir, file);
+                            const stats = await fs.stat(filepath);
+                            if (stats.mtime < cutoffDate) {
+                                await fs.remove(filepath);
+                                removed++;
                             }
                         }
                     }
                 }
             }
-            return deleted;
+            const { sizeFreed } = await this.collectGarbage();
+            return { removed, sizeFreed };
         }
         catch (error) {
             console.error('Failed to cleanup snapshots:', error);
-            return 0;
+            return { removed: 0, sizeFreed: 0 };
         }
     }
     /**
@@ -703,10 +906,14 @@ export class SnapshotService {
         }
     }
     // Content storage
-    async storeContentObject(hash, content, mimeType, encoding, branch) {
-        const contentPath = this.getContentPath(hash, branch);
+    async storeContentObject(hash, content, mimeType, encoding) {
+        await this.ready;
+        const contentPath = this.getContentPath(hash);
         // Check if content already exists (deduplication)
         if (await fs.pathExists(contentPath)) {
+            // Refresh its age so the collector leaves it alone while the snapshot is saved
+            const now = new Date();
+            await fs.utimes(contentPath, now, now).catch(() => { });
             return true;
         }
         try {
@@ -733,8 +940,9 @@ export class SnapshotService {
             return false;
         }
     }
-    async getContentObject(hash, branch) {
-        const contentPath = this.getContentPath(hash, branch);
+    async getContentObject(hash) {
+        await this.ready;
+        const contentPath = this.getContentPath(hash);
         if (!await fs.pathExists(contentPath)) {
             return null;
         }
@@ -754,8 +962,9 @@ export class SnapshotService {
         }
     }
     // Diff storage
-    async storeDiffObject(hash, diffObject, branch) {
-        const diffPath = this.getDiffPath(hash, branch);
+    async storeDiffObject(hash, diffObject) {
+        await this.ready;
+        const diffPath = this.getDiffPath(hash);
         try {
             await fs.ensureDir(path.dirname(diffPath));
             await fs.writeJson(diffPath, diffObject);
@@ -766,8 +975,9 @@ export class SnapshotService {
             return false;
         }
     }
-    async getDiffObject(hash, branch) {
-        const diffPath = this.getDiffPath(hash, branch);
+    async getDiffObject(hash) {
+        await this.ready;
+        const diffPath = this.getDiffPath(hash);
         if (!await fs.pathExists(diffPath)) {
             return null;
         }
@@ -862,10 +1072,12 @@ export class SnapshotService {
         await walkDir(projectPath);
         return files;
     }
-    // File restoration
-    async restoreProjectFiles(fileChanges, projectPath) {
+    // File restoration, optionally limited to the given paths
+    async restoreProjectFiles(fileChanges, projectPath, paths) {
         try {
-            const allFiles = [...fileChanges.added, ...fileChanges.modified];
+            const selected = paths ? new Set(paths) : null;
+            const isSelected = (fileChange) => !selected || selected.has(fileChange.path);
+            const allFiles = [...fileChanges.added, ...fileChanges.modified].filter(isSelected);
             // Debug: Log files being restored
             for (const fileChange of allFiles) {
                 const fullPath = path.join(projectPath, fileChange.path);
@@ -905,7 +1117,7 @@ export class SnapshotService {
                 }
             }
             // Remove files that were removed in the snapshot
-            for (const fileChange of fileChanges.removed) {
+            for (const fileChange of fileChanges.removed.filter(isSelected)) {
                 const fullPath = path.join(projectPath, fileChange.path);
                 if (await fs.pathExists(fullPath)) {
                     await fs.unlink(fullPath);
@@ -918,4 +1130,55 @@ export class SnapshotService {
             return false;
         }
     }
+    /**
+     * Apply selected hunks of a stored diff to the current file. With `reverse`
+     * the hunks are undone instead, e.g. to get back code the snapshot removed.
+     * Hunks are matched with some fuzz since the file may have changed since;
+     * nothing is written unless every selected hunk applies.
+     */
+    async restoreHunks(params) {
+        const diffObject = await this.getDiffObject(params.diffHash);
+        if (!diffObject) {
+            return { success: false, appliedHunks: [], failedHunks: params.hunks, error: 'Diff not found' };
+        }
+        const [patch] = parsePatch(diffObject.diffContent);
+        if (!patch) {
+            return { success: false, appliedHunks: [], failedHunks: params.hunks, error: 'Diff is empty' };
+        }
+        const fullPath = path.resolve(params.projectPath, params.path);
+        if (path.relative(params.projectPath, fullPath).startsWith('..')) {
+            throw new Error(`Path is outside the project: ${params.path}`);
+        }
+        let content = await fs.pathExists(fullPath) ? await fs.readFile(fullPath, 'utf8') : '';
+        const appliedHunks = [];
+        const failedHunks = [];
+        // Apply one hunk at a time so a failure can be reported per hunk
+        for (const index of [...params.hunks].sort((a, b) => a - b)) {
+            const hunk = patch.hunks[index];
+            if (!hunk) {
+                failedHunks.push(index);
+                continue;
+            }
+            const single = { ...patch, hunks: [hunk] };
+            const result = applyPatch(content, params.reverse ? reversePatch(single) : single, { fuzzFactor: 2 });
+            if (result === false) {
+                failedHunks.push(index);
+            }
+            else {
+                content = result;
+                appliedHunks.push(index);
+            }
+        }
+        if (failedHunks.length > 0) {
+            return {
+                success: false,
+                appliedHunks: [],
+                failedHunks,
+                error: `Could not apply ${failedHunks.length} hunk${failedHunks.length === 1 ? '' : 's'}: the file has changed too much`
+            };
+        }
+        await fs.ensureDir(path.dirname(fullPath));
+        await fs.writeFile(fullPath, content, 'utf8');
+        return { success: true, appliedHunks, failedHunks };
+    }
 }
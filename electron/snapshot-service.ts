@@ -6,24 +6,59 @@ import { createHash } from 'crypto';
 import * as zlib from 'zlib';
 import { promisify } from 'util';
 import { isText } from 'istextorbinary';
+import { applyPatch, parsePatch, reversePatch } from 'diff';
 import type { ClaudeSnapshot, ContentObject, DiffObject } from '../types/snapshot';
 
 const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 
+type ObjectKind = 'content' | 'diffs';
+
+// Number of snapshots referencing each stored object, by object kind
+type ReferenceCounts = Record<ObjectKind, Record<string, number>>;
+
+interface StoredObject {
+  kind: ObjectKind;
+  hash: string;
+  path: string;
+  size: number;
+  mtimeMs: number;
+}
+
+export interface GarbageCollectionResult {
+  objectCount: number;
+  totalSize: number;
+  referencedSize: number;
+  unreferencedCount: number;
+  unreferencedSize: number;
+  deduplicationSavings: number; // bytes that would be stored again without sharing objects
+  removed: number;
+  sizeFreed: number;
+}
+
 export class SnapshotService {
   private baseDir: string;
   private projectPath: string;
   private projectName: string;
   private projectSnapshotsDir: string;
+  // Content and diff objects shared by all branches. Git forbids ref names
+  // starting with a dot, so this can't clash with a branch directory.
+  private objectsDir: string;
   private currentBranch: string = 'main';
+  private refCounts: ReferenceCounts = { content: {}, diffs: {} };
+  private refCountsWrite: Promise<void> = Promise.resolve();
+  private ready: Promise<void>;
+  private readonly STORE_VERSION = 2;
+  // Objects stored this recently are never reclaimed: they may belong to a snapshot still being captured
+  private readonly GC_GRACE_PERIOD_MS = 60 * 60 * 1000;
 
   constructor(projectPath: string) {
     this.projectPath = projectPath;
     this.projectName = path.basename(projectPath);
     this.baseDir = path.join(homedir(), '.claude-snapshots');
     this.projectSnapshotsDir = path.join(this.baseDir, this.projectName);
-    this.initialize();
+    this.objectsDir = path.join(this.projectSnapshotsDir, '.objects');
+    this.ready = this.initialize();
   }
 
   private getBranchDir(branch?: string): string {
@@ -35,20 +70,20 @@ export class SnapshotService {
     return path.join(this.getBranchDir(branch), 'snapshots');
   }
 
-  private getContentDir(branch?: string): string {
-    return path.join(this.getBranchDir(branch), 'content');
-  }
-
-  private getDiffDir(branch?: string): string {
-    return path.join(this.getBranchDir(branch), 'diffs');
+  private getObjectDir(kind: ObjectKind): string {
+    return path.join(this.objectsDir, kind);
   }
 
   private async initialize() {
     try {
-      await fs.ensureDir(this.projectSnapshotsDir);
+      await fs.ensureDir(this.getObjectDir('content'));
+      await fs.ensureDir(this.getObjectDir('diffs'));
       
       // Ensure .claude-snapshots is in .gitignore
       await this.ensureGitignore();
+
+      await this.migrateBranchStores();
+      await this.loadRefCounts();
     } catch (error) {
       console.error('Failed to initialize snapshot directories:', error);
     }
@@ -57,16 +92,33 @@ export class SnapshotService {
   /**
    * Generate content-addressable path (2-level directory structure)
    */
-  private getContentPath(hash: string, branch?: string): string {
+  private getObjectPath(kind: ObjectKind, hash: string): string {
     const prefix = hash.substring(0, 2);
     const suffix = hash.substring(2);
-    return path.join(this.getContentDir(branch), prefix, suffix + '.json');
+    return path.join(this.getObjectDir(kind), prefix, suffix + '.json');
   }
 
-  private getDiffPath(hash: string, branch?: string): string {
-    const prefix = hash.substring(0, 2);
-    const suffix = hash.substring(2);
-    return path.join(this.getDiffDir(branch), prefix, suffix + '.json');
+  private getContentPath(hash: string): string {
+    return this.getObjectPath('content', hash);
+  }
+
+  private getDiffPath(hash: string): string {
+    return this.getObjectPath('diffs', hash);
+  }
+
+  // Branch directories holding snapshots (the shared object store is skipped)
+  private async listBranchDirs(): Promise<string[]> {
+    if (!await fs.pathExists(this.projectSnapshotsDir)) {
+      return [];
+    }
+
+    const branchDirs: string[] = [];
+    for (const entry of await fs.readdir(this.projectSnapshotsDir, { withFileTypes: true })) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        branchDirs.push(path.join(this.projectSnapshotsDir, entry.name));
+      }
+    }
+    return branchDirs;
   }
 
   public setCurrentBranch(branch: string) {
@@ -81,19 +133,19 @@ export class SnapshotService {
         const branch = snapshot.gitBranch || 'main';
         const snapshotsDir = this.getSnapshotsDir(branch);
         
-        // Ensure branch directories exist
+        // Ensure branch directory exists
         await fs.ensureDir(snapshotsDir);
-        await fs.ensureDir(this.getContentDir(branch));
-        await fs.ensureDir(this.getDiffDir(branch));
         
         const filename = `${snapshot.id}.json`;
         const filepath = path.join(snapshotsDir, filename);
+        const previous = await this.readSnapshotFile(filepath);
         
         // Calculate actual size
         const content = JSON.stringify(snapshot, null, 2);
         snapshot.sizeKb = Buffer.byteLength(content) / 1024;
         
         await fs.writeJson(filepath, snapshot, { spaces: 2 });
+        await this.updateReferences(previous, snapshot);
         
         return { success: true, snapshot };
       } catch (error: any) {
@@ -114,25 +166,18 @@ export class SnapshotService {
         if (branch) {
           const filename = `${snapshotId}.json`;
           const filepath = path.join(this.getSnapshotsDir(branch), filename);
-          await fs.remove(filepath);
+          await this.removeSnapshotFile(filepath);
           return { success: true };
         }
         
         // Otherwise, search for the snapshot in all branches
-        const branchDirs = await fs.readdir(this.projectSnapshotsDir);
-        
-        for (const branchDir of branchDirs) {
-          const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-          const stat = await fs.stat(branchPath);
+        for (const branchPath of await this.listBranchDirs()) {
+          const filename = `${snapshotId}.json`;
+          const filepath = path.join(branchPath, 'snapshots', filename);
           
-          if (stat.isDirectory()) {
-            const filename = `${snapshotId}.json`;
-            const filepath = path.join(branchPath, 'snapshots', filename);
-            
-            if (await fs.pathExists(filepath)) {
-              await fs.remove(filepath);
-              return { success: true };
-            }
+          if (await fs.pathExists(filepath)) {
+            await this.removeSnapshotFile(filepath);
+            return { success: true };
           }
         }
         
@@ -149,8 +194,10 @@ export class SnapshotService {
         const branch = snapshot.gitBranch || 'main';
         const filename = `${snapshot.id}.json`;
         const filepath = path.join(this.getSnapshotsDir(branch), filename);
+        const previous = await this.readSnapshotFile(filepath);
         
         await fs.writeJson(filepath, snapshot, { spaces: 2 });
+        await this.updateReferences(previous, snapshot);
         
         return { success: true };
       } catch (error: any) {
@@ -196,7 +243,9 @@ export class SnapshotService {
           
           // Don't overwrite existing snapshots
           if (!await fs.pathExists(filepath)) {
+            await fs.ensureDir(path.dirname(filepath));
             await fs.writeJson(filepath, snapshot, { spaces: 2 });
+            await this.updateReferences(null, snapshot);
             imported++;
           }
         }
@@ -224,7 +273,7 @@ export class SnapshotService {
     // Content storage
     ipcMain.handle('snapshots:storeContent', async (_, params: { hash: string; content: string; mimeType: string; encoding: string; projectPath: string; branch?: string }) => {
       try {
-        const success = await this.storeContentObject(params.hash, params.content, params.mimeType, params.encoding, params.branch);
+        const success = await this.storeContentObject(params.hash, params.content, params.mimeType, params.encoding);
         return { success };
       } catch (error: any) {
         console.error('Failed to store content:', error);
@@ -235,7 +284,7 @@ export class SnapshotService {
     // Content retrieval
     ipcMain.handle('snapshots:getContent', async (_, params: { hash: string; projectPath: string; branch?: string }) => {
       try {
-        const content = await this.getContentObject(params.hash, params.branch);
+        const content = await this.getContentObject(params.hash);
         return { success: true, content };
       } catch (error: any) {
         console.error('Failed to get content:', error);
@@ -246,7 +295,7 @@ export class SnapshotService {
     // Diff storage
     ipcMain.handle('snapshots:storeDiff', async (_, params: { hash: string; diffObject: DiffObject; projectPath: string; branch?: string }) => {
       try {
-        const success = await this.storeDiffObject(params.hash, params.diffObject, params.branch);
+        const success = await this.storeDiffObject(params.hash, params.diffObject);
         return { success };
       } catch (error: any) {
         console.error('Failed to store diff:', error);
@@ -257,7 +306,7 @@ export class SnapshotService {
     // Diff retrieval
     ipcMain.handle('snapshots:getDiff', async (_, params: { hash: string; projectPath: string; branch?: string }) => {
       try {
-        const diffObject = await this.getDiffObject(params.hash, params.branch);
+        const diffObject = await this.getDiffObject(params.hash);
         return { success: true, diffObject };
       } catch (error: any) {
         console.error('Failed to get diff:', error);
@@ -288,9 +337,9 @@ export class SnapshotService {
     });
 
     // File restoration
-    ipcMain.handle('snapshots:restoreFiles', async (_, params: { fileChanges: any; projectPath: string }) => {
+    ipcMain.handle('snapshots:restoreFiles', async (_, params: { fileChanges: any; projectPath: string; paths?: string[] }) => {
       try {
-        const success = await this.restoreProjectFiles(params.fileChanges, params.projectPath);
+        const success = await this.restoreProjectFiles(params.fileChanges, params.projectPath, params.paths);
         return { success };
       } catch (error: any) {
         console.error('Failed to restore files:', error);
@@ -298,6 +347,23 @@ export class SnapshotService {
       }
     });
 
+    // Hunk-level restoration from a stored diff
+    ipcMain.handle('snapshots:restoreHunks', async (_, params: {
+      projectPath: string;
+      path: string;
+      diffHash: string;
+      hunks: number[];
+      reverse?: boolean;
+      branch?: string;
+    }) => {
+      try {
+        return await this.restoreHunks(params);
+      } catch (error: any) {
+        console.error('Failed to restore hunks:', error);
+        return { success: false, error: error.message, failedHunks: params.hunks };
+      }
+    });
+
     // Enhanced storage info
     ipcMain.handle('snapshots:getStorageInfo', async (_, params?: { projectPath: string }) => {
       try {
@@ -308,23 +374,17 @@ export class SnapshotService {
           totalSize = stats.size;
         }
         
-        // Calculate content storage stats
-        let contentSize = 0;
-        let contentCount = 0;
-        try {
-          const contentStats = await this.calculateContentStats();
-          contentSize = contentStats.size;
-          contentCount = contentStats.count;
-        } catch (error) {
-          console.warn('Failed to calculate content stats:', error);
-        }
+        // Content storage stats come from a dry run of the garbage collector
+        const objectStats = await this.collectGarbage({ dryRun: true });
         
         const storageInfo = {
           totalSnapshots: 0, // Will be filled by snapshots store
           totalSizeKb: totalSize / 1024,
-          totalContentSizeKb: contentSize / 1024,
+          totalContentSizeKb: objectStats.totalSize / 1024,
           compressionRatio: 0, // Calculate based on stored objects
-          deduplicationSavings: 0, // Calculate based on content hash duplicates
+          deduplicationSavings: objectStats.deduplicationSavings,
+          objectCount: objectStats.objectCount,
+          reclaimableKb: objectStats.unreferencedSize / 1024,
           oldestSnapshot: new Date().toISOString(),
           newestSnapshot: new Date().toISOString(),
           storageDirectory: this.projectSnapshotsDir
@@ -342,6 +402,8 @@ export class SnapshotService {
             totalContentSizeKb: 0,
             compressionRatio: 0,
             deduplicationSavings: 0,
+            objectCount: 0,
+            reclaimableKb: 0,
             oldestSnapshot: new Date().toISOString(),
             newestSnapshot: new Date().toISOString(),
             storageDirectory: this.projectSnapshotsDir
@@ -353,8 +415,8 @@ export class SnapshotService {
     // Cleanup
     ipcMain.handle('snapshots:cleanup', async (_, params: { projectPath: string; olderThanDays: number }) => {
       try {
-        const removed = await this.cleanup(params.olderThanDays);
-        return { success: true, stats: { removed, sizeFreed: 0 } };
+        const { removed, sizeFreed } = await this.cleanup(params.olderThanDays);
+        return { success: true, stats: { removed, sizeFreed } };
       } catch (error: any) {
         console.error('Failed to cleanup:', error);
         return { success: false, error: error.message, stats: { removed: 0, sizeFreed: 0 } };
@@ -362,53 +424,253 @@ export class SnapshotService {
     });
   }
 
-  private async calculateContentStats(): Promise<{ size: number; count: number }> {
-    let totalSize = 0;
-    let count = 0;
-    
-    async function walkContentDir(dir: string): Promise<void> {
-      try {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          const fullPath = path.join(dir, entry.name);
-          
-          if (entry.isDirectory()) {
-            await walkContentDir(fullPath);
-          } else if (entry.isFile() && entry.name.endsWith('.json')) {
-            const stats = await fs.stat(fullPath);
-            totalSize += stats.size;
-            count++;
+  /**
+   * Move the objects of the per-branch stores used before version 2 into the
+   * shared store. Identical objects were stored once per branch, so duplicates
+   * are dropped. Runs once per project; store.json records that it happened.
+   */
+  private async migrateBranchStores(): Promise<void> {
+    const markerPath = path.join(this.objectsDir, 'store.json');
+    if (await fs.pathExists(markerPath)) {
+      return;
+    }
+
+    let migrated = 0;
+    let duplicates = 0;
+
+    for (const branchPath of await this.listBranchDirs()) {
+      for (const kind of ['content', 'diffs'] as ObjectKind[]) {
+        const legacyDir = path.join(branchPath, kind);
+        if (!await fs.pathExists(legacyDir)) continue;
+
+        for (const object of await this.listObjectFiles(legacyDir)) {
+          const target = path.join(this.getObjectDir(kind), path.relative(legacyDir, object.path));
+          if (await fs.pathExists(target)) {
+            await fs.remove(object.path);
+            duplicates++;
+          } else {
+            await fs.move(object.path, target);
+            migrated++;
           }
         }
+
+        await fs.remove(legacyDir);
+      }
+    }
+
+    await fs.writeJson(markerPath, {
+      version: this.STORE_VERSION,
+      migratedAt: new Date().toISOString(),
+      migrated,
+      duplicates
+    }, { spaces: 2 });
+
+    // Counts are rebuilt from the snapshots once the objects are in place
+    await fs.remove(path.join(this.objectsDir, 'refs.json'));
+  }
+
+  private async loadRefCounts(): Promise<void> {
+    const refsPath = path.join(this.objectsDir, 'refs.json');
+    try {
+      if (await fs.pathExists(refsPath)) {
+        const refCounts = await fs.readJson(refsPath);
+        this.refCounts = { content: refCounts.content || {}, diffs: refCounts.diffs || {} };
+        return;
+      }
+    } catch (error) {
+      console.warn('Failed to read snapshot reference counts, rebuilding them:', error);
+    }
+
+    await this.markReferences();
+  }
+
+  private saveRefCounts(): Promise<void> {
+    // Chained so concurrent updates never interleave their writes
+    const refsPath = path.join(this.objectsDir, 'refs.json');
+    this.refCountsWrite = this.refCountsWrite
+      .then(() => fs.writeJson(refsPath, this.refCounts))
+      .catch(error => console.error('Failed to save snapshot reference counts:', error));
+    return this.refCountsWrite;
+  }
+
+  // Objects a snapshot points to
+  private getSnapshotReferences(snapshot: ClaudeSnapshot | null): Record<ObjectKind, Set<string>> {
+    const references: Record<ObjectKind, Set<string>> = { content: new Set(), diffs: new Set() };
+    if (!snapshot) return references;
+
+    const { fileChanges, contentStorage } = snapshot;
+    if (fileChanges) {
+      for (const change of [...fileChanges.added, ...fileChanges.modified, ...fileChanges.removed, ...(fileChanges.unchanged || [])]) {
+        if (change.contentHash) references.content.add(change.contentHash);
+        if (change.previousHash) references.content.add(change.previousHash);
+        if (change.diffHash) references.diffs.add(change.diffHash);
+      }
+    }
+    for (const hash of contentStorage?.objectHashes || []) {
+      references.content.add(hash);
+    }
+
+    return references;
+  }
+
+  /**
+   * Move the references of a snapshot from its previous version to the new one
+   * (either may be null when a snapshot is created or deleted). Objects no
+   * snapshot points to anymore are removed right away.
+   */
+  private async updateReferences(previous: ClaudeSnapshot | null, next: ClaudeSnapshot | null): Promise<void> {
+    await this.ready;
+
+    const before = this.getSnapshotReferences(previous);
+    const after = this.getSnapshotReferences(next);
+    const released: Array<{ kind: ObjectKind; hash: string }> = [];
+
+    for (const kind of ['content', 'diffs'] as ObjectKind[]) {
+      const counts = this.refCounts[kind];
+      for (const hash of after[kind]) {
+        if (!before[kind].has(hash)) counts[hash] = (counts[hash] || 0) + 1;
+      }
+      for (const hash of before[kind]) {
+        if (after[kind].has(hash)) continue;
+        counts[hash] = (counts[hash] || 0) - 1;
+        if (counts[hash] <= 0) {
+          delete counts[hash];
+          released.push({ kind, hash });
+        }
+      }
+    }
+
+    await this.saveRefCounts();
+
+    const cutoff = Date.now() - this.GC_GRACE_PERIOD_MS;
+    for (const { kind, hash } of released) {
+      const objectPath = this.getObjectPath(kind, hash);
+      try {
+        const stats = await fs.stat(objectPath);
+        if (stats.mtimeMs < cutoff) {
+          await fs.remove(objectPath);
+        }
       } catch (error) {
-        // Ignore errors in content directory walking
+        // Already gone
       }
     }
-    
-    // Walk through all branch directories
-    if (await fs.pathExists(this.projectSnapshotsDir)) {
-      const branchDirs = await fs.readdir(this.projectSnapshotsDir);
-      
-      for (const branchDir of branchDirs) {
-        const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-        const stat = await fs.stat(branchPath);
-        
-        if (stat.isDirectory()) {
-          const contentDir = path.join(branchPath, 'content');
-          const diffDir = path.join(branchPath, 'diffs');
-          
-          if (await fs.pathExists(contentDir)) {
-            await walkContentDir(contentDir);
-          }
-          if (await fs.pathExists(diffDir)) {
-            await walkContentDir(diffDir);
-          }
+  }
+
+  private async readSnapshotFile(filepath: string): Promise<ClaudeSnapshot | null> {
+    try {
+      return await fs.readJson(filepath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  private async removeSnapshotFile(filepath: string): Promise<void> {
+    const snapshot = await this.readSnapshotFile(filepath);
+    await fs.remove(filepath);
+    await this.updateReferences(snapshot, null);
+  }
+
+  // Every object file below a store directory
+  private async listObjectFiles(dir: string): Promise<Array<{ path: string; size: number; mtimeMs: number }>> {
+    const files: Array<{ path: string; size: number; mtimeMs: number }> = [];
+
+    async function walk(current: string): Promise<void> {
+      let entries;
+      try {
+        entries = await fs.readdir(current, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && entry.name.endsWith('.json')) {
+          const stats = await fs.stat(fullPath);
+          files.push({ path: fullPath, size: stats.size, mtimeMs: stats.mtimeMs });
         }
       }
     }
-    
-    return { size: totalSize, count };
+
+    await walk(dir);
+    return files;
+  }
+
+  private async listStoredObjects(): Promise<StoredObject[]> {
+    const objects: StoredObject[] = [];
+    for (const kind of ['content', 'diffs'] as ObjectKind[]) {
+      const dir = this.getObjectDir(kind);
+      for (const file of await this.listObjectFiles(dir)) {
+        const [prefix, name] = path.relative(dir, file.path).split(path.sep);
+        objects.push({ kind, hash: prefix + path.basename(name, '.json'), ...file });
+      }
+    }
+    return objects;
+  }
+
+  // Mark phase: count the references of every snapshot on every branch
+  private async markReferences(): Promise<ReferenceCounts> {
+    const refCounts: ReferenceCounts = { content: {}, diffs: {} };
+    const { data: snapshots } = await this.handleListSnapshots(null, { allBranches: true });
+
+    for (const snapshot of snapshots) {
+      const references = this.getSnapshotReferences(snapshot);
+      for (const kind of ['content', 'diffs'] as ObjectKind[]) {
+        for (const hash of references[kind]) {
+          refCounts[kind][hash] = (refCounts[kind][hash] || 0) + 1;
+        }
+      }
+    }
+
+    this.refCounts = refCounts;
+    await this.saveRefCounts();
+    return refCounts;
+  }
+
+  /**
+   * Mark-and-sweep garbage collection of the shared object store.
+   * Objects no snapshot references are removed, unless they were stored within
+   * the grace period. A dry run only reports what would be reclaimed.
+   */
+  async collectGarbage(options: { dryRun?: boolean } = {}): Promise<GarbageCollectionResult> {
+    await this.ready;
+
+    const refCounts = await this.markReferences();
+    const cutoff = Date.now() - this.GC_GRACE_PERIOD_MS;
+    const result: GarbageCollectionResult = {
+      objectCount: 0,
+      totalSize: 0,
+      referencedSize: 0,
+      unreferencedCount: 0,
+      unreferencedSize: 0,
+      deduplicationSavings: 0,
+      removed: 0,
+      sizeFreed: 0
+    };
+
+    for (const object of await this.listStoredObjects()) {
+      const references = refCounts[object.kind][object.hash] || 0;
+      result.objectCount++;
+      result.totalSize += object.size;
+
+      if (references > 0) {
+        result.referencedSize += object.size;
+        result.deduplicationSavings += object.size * (references - 1);
+        continue;
+      }
+
+      result.unreferencedCount++;
+      result.unreferencedSize += object.size;
+
+      if (!options.dryRun && object.mtimeMs < cutoff) {
+        await fs.remove(object.path);
+        result.removed++;
+        result.sizeFreed += object.size;
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -552,27 +814,20 @@ export class SnapshotService {
       
       if (options?.allBranches) {
         // List all branch directories
-        const branchDirs = await fs.readdir(this.projectSnapshotsDir);
-        
-        for (const branchDir of branchDirs) {
-          const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-          const stat = await fs.stat(branchPath);
+        for (const branchPath of await this.listBranchDirs()) {
+          const snapshotsDir = path.join(branchPath, 'snapshots');
           
-          if (stat.isDirectory()) {
-            const snapshotsDir = path.join(branchPath, 'snapshots');
+          if (await fs.pathExists(snapshotsDir)) {
+            const files = await fs.readdir(snapshotsDir);
             
-            if (await fs.pathExists(snapshotsDir)) {
-              const files = await fs.readdir(snapshotsDir);
-              
-              for (const file of files) {
-                if (file.endsWith('.json')) {
-                  const filepath = path.join(snapshotsDir, file);
-                  try {
-                    const snapshot = await fs.readJson(filepath);
-                    snapshots.push(snapshot);
-                  } catch (error) {
-                    console.error(`Failed to read snapshot ${file}:`, error);
-                  }
+            for (const file of files) {
+              if (file.endsWith('.json')) {
+                const filepath = path.join(snapshotsDir, file);
+                try {
+                  const snapshot = await fs.readJson(filepath);
+                  snapshots.push(snapshot);
+                } catch (error) {
+                  console.error(`Failed to read snapshot ${file}:`, error);
                 }
               }
             }
@@ -607,51 +862,44 @@ export class SnapshotService {
     }
   }
 
-  // Clean up old snapshots
-  async cleanup(daysToKeep: number = 30) {
+  // Clean up old snapshots, then reclaim the objects only they referenced
+  async cleanup(daysToKeep: number = 30): Promise<{ removed: number; sizeFreed: number }> {
     try {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
       
-      let deleted = 0;
+      let removed = 0;
       
       // Clean up snapshots in all branch directories
-      if (await fs.pathExists(this.projectSnapshotsDir)) {
-        const branchDirs = await fs.readdir(this.projectSnapshotsDir);
+      for (const branchPath of await this.listBranchDirs()) {
+        const snapshotsDir = path.join(branchPath, 'snapshots');
         
-        for (const branchDir of branchDirs) {
-          const branchPath = path.join(this.projectSnapshotsDir, branchDir);
-          const stat = await fs.stat(branchPath);
+        if (await fs.pathExists(snapshotsDir)) {
+          const files = await fs.readdir(snapshotsDir);
           
-          if (stat.isDirectory()) {
-            const snapshotsDir = path.join(branchPath, 'snapshots');
-            
-            if (await fs.pathExists(snapshotsDir)) {
-              const files = await fs.readdir(snapshotsDir);
+          for (const file of files) {
+            if (file.endsWith('.json')) {
+              const filepath = path.join(snapshotsDir, file);
+              const stats = await fs.stat(filepath);
               
-              for (const file of files) {
-                if (file.endsWith('.json')) {
-                  const filepath = path.join(snapshotsDir, file);
-                  const stats = await fs.stat(filepath);
-                  
-                  if (stats.mtime < cutoffDate) {
-                    await fs.remove(filepath);
-                    deleted++;
-                  }
-                }
+              if (stats.mtime < cutoffDate) {
+                await fs.remove(filepath);
+                removed++;
               }
             }
           }
         }
       }
       
-      return deleted;
+      const { sizeFreed } = await this.collectGarbage();
+      return { removed, sizeFreed };
     } catch (error) {
       console.error('Failed to cleanup snapshots:', error);
-      return 0;
+      return { removed: 0, sizeFreed: 0 };
     }
   }
 
+
   /**
    * Enhanced snapshot operations
    */
@@ -798,11 +1046,15 @@ export class SnapshotService {
   }
 
   // Content storage
-  private async storeContentObject(hash: string, content: string, mimeType: string, encoding: string, branch?: string): Promise<boolean> {
-    const contentPath = this.getContentPath(hash, branch);
+  private async storeContentObject(hash: string, content: string, mimeType: string, encoding: string): Promise<boolean> {
+    await this.ready;
+    const contentPath = this.getContentPath(hash);
     
     // Check if content already exists (deduplication)
     if (await fs.pathExists(contentPath)) {
+      // Refresh its age so the collector leaves it alone while the snapshot is saved
+      const now = new Date();
+      await fs.utimes(contentPath, now, now).catch(() => {});
       return true;
     }
 
@@ -834,8 +1086,9 @@ export class SnapshotService {
     }
   }
 
-  private async getContentObject(hash: string, branch?: string): Promise<string | null> {
-    const contentPath = this.getContentPath(hash, branch);
+  private async getContentObject(hash: string): Promise<string | null> {
+    await this.ready;
+    const contentPath = this.getContentPath(hash);
     
     if (!await fs.pathExists(contentPath)) {
       return null;
@@ -861,8 +1114,9 @@ export class SnapshotService {
   }
 
   // Diff storage
-  private async storeDiffObject(hash: string, diffObject: DiffObject, branch?: string): Promise<boolean> {
-    const diffPath = this.getDiffPath(hash, branch);
+  private async storeDiffObject(hash: string, diffObject: DiffObject): Promise<boolean> {
+    await this.ready;
+    const diffPath = this.getDiffPath(hash);
     
     try {
       await fs.ensureDir(path.dirname(diffPath));
@@ -874,8 +1128,9 @@ export class SnapshotService {
     }
   }
 
-  private async getDiffObject(hash: string, branch?: string): Promise<DiffObject | null> {
-    const diffPath = this.getDiffPath(hash, branch);
+  private async getDiffObject(hash: string): Promise<DiffObject | null> {
+    await this.ready;
+    const diffPath = this.getDiffPath(hash);
     
     if (!await fs.pathExists(diffPath)) {
       return null;
@@ -994,10 +1249,12 @@ export class SnapshotService {
     return files;
   }
 
-  // File restoration
-  private async restoreProjectFiles(fileChanges: any, projectPath: string): Promise<boolean> {
+  // File restoration, optionally limited to the given paths
+  private async restoreProjectFiles(fileChanges: any, projectPath: string, paths?: string[]): Promise<boolean> {
     try {
-      const allFiles = [...fileChanges.added, ...fileChanges.modified];
+      const selected = paths ? new Set(paths) : null;
+      const isSelected = (fileChange: any) => !selected || selected.has(fileChange.path);
+      const allFiles = [...fileChanges.added, ...fileChanges.modified].filter(isSelected);
       
       // Debug: Log files being restored
     
@@ -1048,7 +1305,7 @@ export class SnapshotService {
       }
 
       // Remove files that were removed in the snapshot
-      for (const fileChange of fileChanges.removed) {
+      for (const fileChange of fileChanges.removed.filter(isSelected)) {
         const fullPath = path.join(projectPath, fileChange.path);
         if (await fs.pathExists(fullPath)) {
           await fs.unlink(fullPath);
@@ -1061,4 +1318,69 @@ export class SnapshotService {
       return false;
     }
   }
+
+  /**
+   * Apply selected hunks of a stored diff to the current file. With `reverse`
+   * the hunks are undone instead, e.g. to get back code the snapshot removed.
+   * Hunks are matched with some fuzz since the file may have changed since;
+   * nothing is written unless every selected hunk applies.
+   */
+  private async restoreHunks(params: {
+    projectPath: string;
+    path: string;
+    diffHash: string;
+    hunks: number[];
+    reverse?: boolean;
+    branch?: string;
+  }): Promise<{ success: boolean; appliedHunks: number[]; failedHunks: number[]; error?: string }> {
+    const diffObject = await this.getDiffObject(params.diffHash);
+    if (!diffObject) {
+      return { success: false, appliedHunks: [], failedHunks: params.hunks, error: 'Diff not found' };
+    }
+
+    const [patch] = parsePatch(diffObject.diffContent);
+    if (!patch) {
+      return { success: false, appliedHunks: [], failedHunks: params.hunks, error: 'Diff is empty' };
+    }
+
+    const fullPath = path.resolve(params.projectPath, params.path);
+    if (path.relative(params.projectPath, fullPath).startsWith('..')) {
+      throw new Error(`Path is outside the project: ${params.path}`);
+    }
+
+    let content = await fs.pathExists(fullPath) ? await fs.readFile(fullPath, 'utf8') : '';
+    const appliedHunks: number[] = [];
+    const failedHunks: number[] = [];
+
+    // Apply one hunk at a time so a failure can be reported per hunk
+    for (const index of [...params.hunks].sort((a, b) => a - b)) {
+      const hunk = patch.hunks[index];
+      if (!hunk) {
+        failedHunks.push(index);
+        continue;
+      }
+
+      const single = { ...patch, hunks: [hunk] };
+      const result = applyPatch(content, params.reverse ? reversePatch(single) : single, { fuzzFactor: 2 });
+      if (result === false) {
+        failedHunks.push(index);
+      } else {
+        content = result;
+        appliedHunks.push(index);
+      }
+    }
+
+    if (failedHunks.length > 0) {
+      return {
+        success: false,
+        appliedHunks: [],
+        failedHunks,
+        error: `Could not apply ${failedHunks.length} hunk${failedHunks.length === 1 ? '' : 's'}: the file has changed too much`
+      };
+    }
+
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.writeFile(fullPath, content, 'utf8');
+    return { success: true, appliedHunks, failedHunks };
+  }
 }
\ No newline at end of file
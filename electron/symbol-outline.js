@@ -0,0 +1,294 @@
+/**
+ * Symbol outlines of source files.
+ * Outlines come from the language server when one is already running for the
+ * file, and otherwise from a parser: the TypeScript compiler for JS/TS/Vue,
+ * indentation for Python and brace matching for other C-like languages.
+ */
+import { extname } from 'path';
+// LSP SymbolKind numbers
+const LSP_SYMBOL_KINDS = {
+    2: 'module', 3: 'namespace', 5: 'class', 6: 'method', 7: 'property', 8: 'field',
+    9: 'constructor', 10: 'enum', 11: 'interface', 12: 'function', 13: 'variable',
+    14: 'constant', 22: 'enumMember', 23: 'struct', 26: 'typeParameter'
+};
+// Symbols worth showing in an outline; locals and literals are left out
+const OUTLINE_KINDS = new Set([
+    'module', 'namespace', 'class', 'method', 'constructor', 'enum', 'interface',
+    'function', 'struct', 'type', 'property'
+]);
+const TS_EXTENSIONS = new Set(['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts']);
+const BRACE_EXTENSIONS = new Set(['.go', '.rs', '.java', '.kt', '.scala', '.swift', '.c', '.cc', '.cpp', '.h', '.hpp', '.cs', '.php']);
+const BRACE_DECLARATION = /^\s*(?:(?:pub(?:\([^)]*\))?|public|private|protected|internal|static|final|abstract|async|export|override|open|data|sealed|inline|virtual|unsafe|extern)\s+)*(fn|func|function|class|struct|interface|trait|impl|enum|object|record|fun|def|type)\b\s*(?:\([^)]*\)\s*)?([A-Za-z_]\w*)?/;
+let typescript = null;
+// The compiler is large, so it is only loaded once an outline needs it
+function loadTypeScript() {
+    if (!typescript) {
+        typescript = import('typescript')
+            .then(module => (module.default || module))
+            .catch(error => {
+            console.error('[SymbolOutline] Failed to load the TypeScript parser:', error);
+            return null;
+        });
+    }
+    return typescript;
+}
+/**
+ * Outline of a file. Uses a running language server if there is one for the
+ * file's language; never starts one.
+ */
+export async function getOutline(filePath, content) {
+    const lines = content.split('\n');
+    try {
+        const { lspManager } = await import('./lsp-manager.js');
+        const language = lspManager.detectLanguage(filePath);
+        if (language && lspManager.getConnectedServers().includes(language)) {
+            const symbols = fromLspSymbols(await lspManager.getDocumentSymbols(filePath, content), lines);
+            if (symbols.length > 0) {
+                return { symbols, source: 'lsp' };
+            }
+        }
+    }
+    catch (error) {
+        console.warn(`[SymbolOutline] Language server outline failed for ${filePath}:`, error);
+    }
+    return { symbols: await parseOutline(filePath, content), source: 'parser' };
+}
+/**
+ * Convert a textDocument/documentSymbol response. Servers answer with either
+ * nested DocumentSymbols or flat SymbolInformation; flat results are nested
+ * by range.
+ */
+export function fromLspSymbols(symbols, lines) {
+    if (!Array.isArray(symbols) || symbols.length === 0)
+        return [];
+    const convert = (symbol) => {
+        const range = symbol.range || symbol.location?.range;
+        if (!range)
+            return null;
+        const kind = LSP_SYMBOL_KINDS[symbol.kind] || 'symbol';
+        if (!OUTLINE_KINDS.has(kind))
+            return null;
+        const startLine = range.start.line;
+        const endLine = range.end.line;
+        return {
+            name: symbol.name,
+            kind,
+            startLine,
+            endLine,
+            signatureEndLine: findSignatureEnd(lines, symbol.selectionRange?.start.line ?? startLine, endLine),
+            children: (symbol.children || []).map(convert).filter(Boolean)
+        };
+    };
+    const converted = symbols.map(convert).filter(Boolean);
+    return symbols[0].location ? nestByRange(converted) : converted;
+}
+export async function parseOutline(filePath, content) {
+    const extension = extname(filePath).toLowerCase();
+    if (TS_EXTENSIONS.has(extension)) {
+        return parseTypeScript(filePath, content, 0);
+    }
+    if (extension === '.vue') {
+        // Only the script block has symbols; keep its line numbers file-relative
+        const match = /<script[^>]*>([\s\S]*?)<\/script>/.exec(content);
+        if (!match)
+            return [];
+        const offset = content.slice(0, match.index + match[0].indexOf('>') + 1).split('\n').length - 1;
+        return parseTypeScript(filePath.replace(/\.vue$/, '.ts'), match[1], offset);
+    }
+    if (extension === '.py') {
+        return parsePython(content.split('\n'));
+    }
+    if (BRACE_EXTENSIONS.has(extension)) {
+        return parseBraces(content.split('\n'));
+    }
+    return [];
+}
+/**
+ * The innermost symbol that contains a line
+ */
+export function findEnclosingSymbol(symbols, line) {
+    for (const symbol of symbols) {
+        if (line < symbol.startLine || line > symbol.endLine)
+            continue;
+        return findEnclosingSymbol(symbol.children, line) || symbol;
+    }
+    return null;
+}
+async function parseTypeScript(filePath, content, lineOffset) {
+    const ts = await loadTypeScript();
+    if (!ts)
+        return [];
+    const sourceFile = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true);
+    const lineOf = (position) => sourceFile.getLineAndCharacterOfPosition(position).line + lineOffset;
+    const symbol = (node, name, kind, body, children = []) => {
+        const startLine = lineOf(node.getStart(sourceFile));
+        return {
+            name,
+            kind,
+            startLine,
+            endLine: lineOf(node.getEnd()),
+            // The line the body opens on is part of the signature
+            signatureEndLine: body ? Math.max(startLine, lineOf(body.getStart(sourceFile))) : lineOf(node.getEnd()),
+            children
+        };
+    };
+    const nameOf = (node) => (node.name && ts.isIdentifier(node.name) ? node.name.text : node.name?.getText(sourceFile)) || 'default';
+    const visitMembers = (members) => {
+        const result = [];
+        for (const member of members) {
+            if (ts.isMethodDeclaration(member) || ts.isGetAccessor(member) || ts.isSetAccessor(member)) {
+                result.push(symbol(member, nameOf(member), 'method', member.body));
+            }
+            else if (ts.isConstructorDeclaration(member)) {
+                result.push(symbol(member, 'constructor', 'constructor', member.body));
+            }
+            else if (ts.isPropertyDeclaration(member) && member.initializer &&
+                (ts.isArrowFunction(member.initializer) || ts.isFunctionExpression(member.initializer))) {
+                result.push(symbol(member, nameOf(member), 'method', member.initializer.body));
+            }
+        }
+        return result;
+    };
+    const visit = (statements) => {
+        const result = [];
+        for (const statement of statements) {
+            if (ts.isFunctionDeclaration(statement)) {
+                result.push(symbol(statement, nameOf(statement), 'function', statement.body));
+            }
+            else if (ts.isClassDeclaration(statement)) {
+                const first = statement.members[0];
+                const node = symbol(statement, nameOf(statement), 'class', null, visitMembers(statement.members));
+                node.signatureEndLine = first ? Math.max(node.startLine, lineOf(first.getStart(sourceFile)) - 1) : node.endLine;
+                result.push(node);
+            }
+            else if (ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement) || ts.isEnumDeclaration(statement)) {
+                // Declarations without bodies to elide are shown whole
+                const kind = ts.isInterfaceDeclaration(statement) ? 'interface' : ts.isEnumDeclaration(statement) ? 'enum' : 'type';
+                result.push(symbol(statement, nameOf(statement), kind, null));
+            }
+            else if (ts.isVariableStatement(statement)) {
+                for (const declaration of statement.declarationList.declarations) {
+                    const initializer = declaration.initializer;
+                    if (initializer && (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer))) {
+                        const node = symbol(statement, nameOf(declaration), 'function', initializer.body);
+                        // Expression bodies are one line; show them like a signature
+                        if (!ts.isBlock(initializer.body))
+                            node.signatureEndLine = node.endLine;
+                        result.push(node);
+                    }
+                }
+            }
+            else if (ts.isModuleDeclaration(statement) && statement.body && ts.isModuleBlock(statement.body)) {
+                result.push(symbol(statement, nameOf(statement), 'namespace', statement.body, visit(statement.body.statements)));
+            }
+            else if (ts.isExportAssignment(statement) && ts.isObjectLiteralExpression(statement.expression)) {
+                // Vue options objects: export default { methods: { ... } }
+                const properties = statement.expression.properties.filter((property) => ts.isMethodDeclaration(property) ||
+                    (ts.isPropertyAssignment(property) && ts.isObjectLiteralExpression(property.initializer)));
+                result.push(symbol(statement, 'default', 'module', statement.expression, properties.map((property) => ts.isMethodDeclaration(property)
+                    ? symbol(property, nameOf(property), 'method', property.body)
+                    : symbol(property, nameOf(property), 'property', property.initializer, visitMembers(property.initializer.properties)))));
+            }
+        }
+        return result;
+    };
+    return visit(sourceFile.statements);
+}
+function parsePython(lines) {
+    const root = [];
+    const stack = [];
+    const indentOf = (line) => line.length - line.trimStart().length;
+    const close = (indent, line) => {
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            stack.pop().symbol.endLine = lastCodeLine(lines, line - 1);
+        }
+    };
+    lines.forEach((line, index) => {
+        if (!line.trim() || line.trimStart().startsWith('#'))
+            return;
+        const indent = indentOf(line);
+        close(indent, index);
+        const match = /^\s*(?:async\s+)?(def|class)\s+(\w+)/.exec(line);
+        if (!match)
+            return;
+        const symbol = {
+            name: match[2],
+            kind: match[1] === 'class' ? 'class' : stack[stack.length - 1]?.symbol.kind === 'class' ? 'method' : 'function',
+            startLine: index,
+            endLine: index,
+            signatureEndLine: findSignatureEnd(lines, index, lines.length - 1),
+            children: []
+        };
+        (stack.length > 0 ? stack[stack.length - 1].symbol.children : root).push(symbol);
+        stack.push({ indent, symbol });
+    });
+    close(0, lines.length);
+    return root;
+}
+// Rough: braces in strings and comments are counted too
+function parseBraces(lines) {
+    const symbols = [];
+    for (let index = 0; index < lines.length; index++) {
+        const match = BRACE_DECLARATION.exec(lines[index]);
+        if (!match)
+            continue;
+        const signatureEndLine = findSignatureEnd(lines, index, Math.min(lines.length - 1, index + 10));
+        if (!lines[signatureEndLine].includes('{'))
+            continue;
+        let depth = 0;
+        let endLine = signatureEndLine;
+        for (let line = signatureEndLine; line < lines.length; line++) {
+            for (const char of lines[line]) {
+                if (char === '{')
+                    depth++;
+                else if (char === '}')
+                    depth--;
+            }
+            endLine = line;
+            if (depth <= 0)
+                break;
+        }
+        symbols.push({
+            name: match[2] || match[1],
+            kind: ['class', 'struct', 'interface', 'trait', 'impl', 'enum', 'object', 'record', 'type'].includes(match[1]) ? 'class' : 'function',
+            startLine: index,
+            endLine,
+            signatureEndLine,
+            children: []
+        });
+    }
+    return nestByRange(symbols);
+}
+// First line at or after start that opens a body, within the symbol
+function findSignatureEnd(lines, start, end) {
+    for (let line = start; line <= Math.min(end, start + 10); line++) {
+        const text = (lines[line] || '').replace(/\s*(\/\/|#).*$/, '');
+        if (text.endsWith('{') || text.endsWith(':') || text.endsWith('=>'))
+            return line;
+    }
+    return start;
+}
+function lastCodeLine(lines, from) {
+    let line = from;
+    while (line > 0 && !lines[line].trim())
+        line--;
+    return line;
+}
+function nestByRange(symbols) {
+    const sorted = [...symbols].sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+    const root = [];
+    const stack = [];
+    for (const symbol of sorted) {
+        while (stack.length > 0 && stack[stack.length - 1].endLine < symbol.startLine)
+            stack.pop();
+        const parent = stack[stack.length - 1];
+        if (parent && symbol.endLine <= parent.endLine) {
+            parent.children.push(symbol);
+        }
+        else {
+            root.push(symbol);
+        }
+        stack.push(symbol);
+    }
+    return root;
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k from 'js-tiktoken/ranks/cl100k_base';
+import { tokenCounter } from '../token-counter.js';
+
+const encoder = new Tiktoken(cl100k);
+const SIZE = 512 * 1024; // Largest file the context index reads
+const CODE = 'export function retryPayment(id: string) {\n  return queue.push({ id, attempts: 3 });\n}\n';
+
+test('counts ordinary code exactly', async () => {
+  await tokenCounter.ready('gpt-4');
+  const code = CODE.repeat(40);
+  assert.equal(tokenCounter.count(code, 'gpt-4'), encoder.encode(code, [], []).length);
+});
+
+test('estimates long runs inside otherwise exact text', async () => {
+  await tokenCounter.ready('claude');
+  const text = `${CODE}const data = '${'QmFzZTY0'.repeat(512)}';\n${CODE}`;
+  const start = Date.now();
+  const tokens = tokenCounter.count(text, 'claude');
+  assert.ok(Date.now() - start < 1000, `took ${Date.now() - start} ms`);
+  const exact = encoder.encode(text, [], []).length;
+  assert.ok(Math.abs(tokens - exact) / exact < 0.5, `${tokens} tokens, ${exact} exactly`);
+});
+
+test('reports counts of large files as estimates', async () => {
+  await tokenCounter.ready('gpt-4');
+  const count = tokenCounter.measure(CODE.repeat(Math.ceil(SIZE / CODE.length)), 'gpt-4');
+  assert.equal(count.exact, false);
+  assert.equal(count.tokenizer, 'cl100k_base');
+  assert.equal(tokenCounter.measure(CODE, 'gpt-4').exact, true);
+});
+
+for (const [name, unit] of [['letters', 'a'], ['whitespace', ' '], ['punctuation', '='], ['base64', 'QmFzZTY0K2Rh/dGE=']]) {
+  test(`counts ${SIZE / 1024} KB of ${name} in time`, async () => {
+    await tokenCounter.ready('claude');
+    const text = unit.repeat(Math.ceil(SIZE / unit.length)).slice(0, SIZE);
+    const start = Date.now();
+    const tokens = tokenCounter.count(text, 'claude');
+    const elapsed = Date.now() - start;
+
+    assert.ok(tokens > 0);
+    assert.ok(elapsed < 3000, `took ${elapsed} ms`);
+  });
+}
+
+test('reports counts for models without a published vocabulary as estimates', async () => {
+  await tokenCounter.ready('claude');
+  await tokenCounter.ready('gpt-4o');
+  assert.deepEqual(await tokenCounter.countExact(CODE, 'claude'), {
+    tokens: encoder.encode(CODE, [], []).length,
+    tokenizer: 'cl100k_base',
+    exact: false
+  });
+  assert.equal(tokenCounter.isExact('claude'), false);
+  assert.equal((await tokenCounter.countExact(CODE, 'gpt-4o')).exact, true);
+  assert.equal(tokenCounter.isExact('gpt-4o'), true);
+});
@@ -0,0 +1,204 @@
+/**
+ * Token counting for context budgets.
+ * Counts with the BPE vocabulary of the model in use instead of guessing from
+ * character counts, which is off by 2x and more for code, CJK text or minified
+ * files. Vocabularies load on first use; until then, or if one fails to load,
+ * counts come from a heuristic and are reported as estimates. So are counts for
+ * models whose vocabulary isn't published and is stood in for by another.
+ */
+import { createHash } from 'crypto';
+import { LRUCache } from './lru-cache.js';
+// First match wins, so more specific prefixes come first
+const MODEL_PROFILES = [
+    // Claude's vocabulary isn't published; cl100k_base is the closest public one
+    { model: 'claude', encoding: 'cl100k_base', contextWindow: 200000, exact: false },
+    { model: 'gpt-4o', encoding: 'o200k_base', contextWindow: 128000 },
+    { model: 'gpt-4.1', encoding: 'o200k_base', contextWindow: 1000000 },
+    { model: 'gpt-4', encoding: 'cl100k_base', contextWindow: 128000 },
+    { model: 'gpt-3.5', encoding: 'cl100k_base', contextWindow: 16385 }
+];
+const DEFAULT_PROFILE = MODEL_PROFILES[0];
+// Vocabularies shipped with js-tiktoken. The paths only exist in the package's
+// exports map, which the electron build's module resolution doesn't read, so
+// they are imported by name.
+const BPE_RANKS = {
+    cl100k_base: 'js-tiktoken/ranks/cl100k_base',
+    o200k_base: 'js-tiktoken/ranks/o200k_base'
+};
+// Texts shorter than this are cheaper to count than to hash
+const CACHE_MIN_LENGTH = 1024;
+// Counting runs on the main process, and BPE is slow there: about a second
+// for 512 KB of minified code. Longer texts are estimated, and counts of
+// them are reported as estimates.
+const MAX_EXACT_LENGTH = 64 * 1024;
+// BPE also takes time quadratic in the length of a pre-tokenized piece, and a
+// run of letters, whitespace or punctuation is one piece: 5 KB of one takes
+// seconds. Runs this long only come from minified code, encoded data and the
+// like, so they are estimated too.
+const LONG_RUN_PATTERN = /\p{L}{32,}|\s{32,}|[^\s\p{L}\p{N}]{32,}/gu;
+// Roughly how BPE vocabularies split text: a CJK character is about a token,
+// common words are one or two, numbers go in groups of three, punctuation
+// pairs up and a single space merges into the word after it
+const HEURISTIC_PATTERN = /([\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff])|([A-Za-z\u00c0-\u024f]+)|(\d{1,3})|( (?=\S))|(\s+)|([^\s\w]+|[\s\S])/g;
+export const heuristicTokenizer = {
+    name: 'heuristic',
+    exact: false,
+    count(text) {
+        let tokens = 0;
+        for (const match of text.matchAll(HEURISTIC_PATTERN)) {
+            if (match[2])
+                tokens += Math.ceil(match[2].length / 5);
+            else if (match[6])
+                tokens += Math.ceil(match[6].length / 2);
+            else if (match[4] === undefined)
+                tokens++;
+        }
+        return tokens;
+    }
+};
+function countWithLongRunsEstimated(text, encode) {
+    let tokens = 0;
+    let start = 0;
+    for (const match of text.matchAll(LONG_RUN_PATTERN)) {
+        if (match.index > start)
+            tokens += encode(text.slice(start, match.index));
+        tokens += heuristicTokenizer.count(match[0]);
+        start = match.index + match[0].length;
+    }
+    return start < text.length ? tokens + encode(text.slice(start)) : tokens;
+}
+function bpeLoader(encoding) {
+    return async () => {
+        const { Tiktoken } = await import('js-tiktoken/lite');
+        const ranks = (await import(BPE_RANKS[encoding])).default;
+        const encoder = new Tiktoken(ranks);
+        return {
+            name: encoding,
+            exact: true,
+            // Special tokens in file contents are plain text, not control tokens
+            count: (text) => countWithLongRunsEstimated(text, piece => encoder.encode(piece, [], []).length)
+        };
+    };
+}
+export class TokenCounter {
+    static instance;
+    loaders = new Map();
+    tokenizers = new Map();
+    loading = new Map();
+    profile = DEFAULT_PROFILE;
+    // "<tokenizer>:<content hash>" -> tokens
+    counts = new LRUCache(5000, 60 * 60 * 1000);
+    constructor() {
+        Object.keys(BPE_RANKS).forEach(encoding => {
+            this.loaders.set(encoding, bpeLoader(encoding));
+        });
+    }
+    static getInstance() {
+        if (!TokenCounter.instance) {
+            TokenCounter.instance = new TokenCounter();
+        }
+        return TokenCounter.instance;
+    }
+    /**
+     * Use another tokenizer for an encoding, or add an encoding for a profile
+     */
+    registerTokenizer(encoding, loader) {
+        this.loaders.set(encoding, loader);
+        this.tokenizers.delete(encoding);
+        this.loading.delete(encoding);
+        this.counts.clear();
+    }
+    registerProfile(profile) {
+        MODEL_PROFILES.unshift(profile);
+    }
+    getProfile(model) {
+        if (!model)
+            return this.profile;
+        const name = model.toLowerCase();
+        return MODEL_PROFILES.find(profile => name.startsWith(profile.model)) || DEFAULT_PROFILE;
+    }
+    /**
+     * Count for this model from now on. Its vocabulary starts loading right away.
+     */
+    setModel(model) {
+        this.profile = this.getProfile(model);
+        void this.ready();
+        return this.profile;
+    }
+    /**
+     * Resolves once the model's tokenizer is loaded, so counts after it are as
+     * close as they get
+     */
+    async ready(model) {
+        const encoding = this.getProfile(model).encoding;
+        const loaded = this.tokenizers.get(encoding);
+        if (loaded)
+            return loaded;
+        const loader = this.loaders.get(encoding);
+        if (!loader)
+            return heuristicTokenizer;
+        let loading = this.loading.get(encoding);
+        if (!loading) {
+            loading = loader()
+                .then(tokenizer => {
+                this.tokenizers.set(encoding, tokenizer);
+                return tokenizer;
+            })
+                .catch(error => {
+                console.error(`[TokenCounter] Failed to load ${encoding}, estimating instead:`, error);
+                this.tokenizers.set(encoding, heuristicTokenizer);
+                return heuristicTokenizer;
+            });
+            this.loading.set(encoding, loading);
+        }
+        return loading;
+    }
+    getTokenizer(model) {
+        const encoding = this.getProfile(model).encoding;
+        const tokenizer = this.tokenizers.get(encoding);
+        if (!tokenizer) {
+            void this.ready(model);
+        }
+        return tokenizer || heuristicTokenizer;
+    }
+    count(text, model) {
+        return this.measure(text, model).tokens;
+    }
+    /**
+     * Whether counts for this model are exact: its tokenizer has loaded and is
+     * the model's own
+     */
+    isExact(model) {
+        return this.getTokenizer(model).exact && this.getProfile(model).exact !== false;
+    }
+    /**
+     * Count along with which tokenizer counted and whether the count is exact
+     */
+    measure(text, model) {
+        const loaded = this.getTokenizer(model);
+        const tokenizer = text.length > MAX_EXACT_LENGTH ? heuristicTokenizer : loaded;
+        const result = { tokens: 0, tokenizer: loaded.name, exact: tokenizer.exact && this.isExact(model) };
+        if (!text)
+            return result;
+        if (text.length < CACHE_MIN_LENGTH)
+            return { ...result, tokens: tokenizer.count(text) };
+        const key = `${tokenizer.name}:${createHash('sha1').update(text).digest('hex')}`;
+        const cached = this.counts.get(key);
+        if (cached !== undefined)
+            return { ...result, tokens: cached };
+        const tokens = tokenizer.count(text);
+        this.counts.set(key, tokens);
+        return { ...result, tokens };
+    }
+    /**
+     * Count with the tokenizer loaded first, along with which tokenizer it was
+     */
+    async countExact(text, model) {
+        await this.ready(model);
+        return this.measure(text, model);
+    }
+    getCacheStats() {
+        return this.counts.getStats();
+    }
+}
+export const tokenCounter = TokenCounter.getInstance();
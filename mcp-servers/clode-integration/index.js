@@ -25,12 +25,39 @@ class ClodeIntegrationServer {
       instanceName: process.env.CLAUDE_INSTANCE_NAME || 'Claude',
       workingDirectory: process.env.PWD || process.cwd(),
       userId: process.env.USER_ID || process.env.USER || 'unknown',
-      workspaceId: process.env.WORKSPACE_ID || 'default'
+      workspaceId: process.env.WORKSPACE_ID || 'default',
+      // The running Clode Studio app, which serves the workspace's session history
+      apiUrl: process.env.CLODE_API_URL || 'http://localhost:3000'
     };
     
     this.setupHandlers();
   }
   
+  /**
+   * Call the Clode Studio REST API; errors carry the API's message
+   */
+  async callApi(route, params = {}) {
+    const url = new URL(`/api/${route}`, this.context.apiUrl);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+    
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`Clode Studio is not reachable at ${this.context.apiUrl}`);
+    }
+    
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(body?.statusMessage || body?.message || `${response.status} ${response.statusText}`);
+    }
+    return body;
+  }
+  
   setupHandlers() {
     // File operations
     this.server.tool(
@@ -297,6 +324,95 @@ class ClodeIntegrationServer {
       }
     );
     
+    // Claude session history
+    this.server.tool(
+      'clode_search_sessions',
+      'Search past Claude conversation transcripts of this workspace for earlier decisions and discussions',
+      {
+        query: z.string().describe('Search query, e.g. "where did we decide on the retry policy"'),
+        limit: z.number().optional().describe('Maximum number of matching messages (default: 10)')
+      },
+      async (args) => {
+        try {
+          const { results } = await this.callApi('sessions/search', { q: args.query, limit: args.limit || 10 });
+          
+          if (results.length === 0) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `No past sessions match "${args.query}".`
+                }
+              ]
+            };
+          }
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(results.map(result => ({
+                  sessionId: result.sessionId,
+                  session: result.sessionName,
+                  messageIndex: result.messageIndex,
+                  role: result.role,
+                  timestamp: result.timestamp,
+                  snippet: result.snippet
+                })), null, 2)
+              }
+            ]
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error searching sessions: ${error.message}`
+              }
+            ],
+            isError: true
+          };
+        }
+      }
+    );
+    
+    // Import graph
+    this.server.tool(
+      'clode_dependencies',
+      'Query the import graph of this workspace: who imports a file, what breaks if it changes, import cycles',
+      {
+        type: z.enum(['importers', 'imports', 'dependents', 'dependencies', 'cycles', 'stats'])
+          .describe('importers/imports: direct edges of a file; dependents/dependencies: transitive; cycles; stats'),
+        file: z.string().optional().describe('File path, relative to the workspace (required except for cycles and stats)'),
+        depth: z.number().optional().describe('Maximum depth for dependents and dependencies (default: unlimited)'),
+        limit: z.number().optional().describe('Maximum number of results')
+      },
+      async (args) => {
+        try {
+          const result = await this.callApi('context/dependencies', args);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2)
+              }
+            ]
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error querying dependencies: ${error.message}`
+              }
+            ],
+            isError: true
+          };
+        }
+      }
+    );
+
     // Knowledge base access
     this.server.tool(
       'clode_search_knowledge',
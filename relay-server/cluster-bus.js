@@ -0,0 +1,64 @@
+// Message bus between relay instances, over Redis pub/sub
+import { EventEmitter } from 'events';
+import { customAlphabet } from 'nanoid';
+
+const generateInstanceId = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyz', 12);
+
+/**
+ * Lets relay instances reach sockets connected to other instances.
+ * Every instance subscribes to its own channel; a message for a socket is
+ * published to the channel of the instance holding it. Messages for this
+ * instance, or all messages when running without Redis, are delivered in-process.
+ */
+export class ClusterBus extends EventEmitter {
+  constructor(redis) {
+    super();
+    this.instanceId = generateInstanceId();
+    this.redis = redis;
+    this.subscriber = null;
+  }
+
+  channel(instanceId) {
+    return `relay:instance:${instanceId}`;
+  }
+
+  async start() {
+    if (!this.redis) return;
+
+    // A subscribed connection can't issue other commands, so it gets its own
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.on('error', (err) => {
+      console.error('[ClusterBus] Subscriber error:', err.message);
+    });
+    this.subscriber.on('message', (channel, raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (err) {
+        console.error('[ClusterBus] Dropping malformed message');
+        return;
+      }
+      this.emit(message.type, message);
+    });
+
+    await this.subscriber.subscribe(this.channel(this.instanceId));
+    console.log(`[ClusterBus] Instance ${this.instanceId} listening on Redis`);
+  }
+
+  send(instanceId, type, payload) {
+    if (!instanceId || instanceId === this.instanceId || !this.subscriber) {
+      this.emit(type, { type, ...payload });
+      return;
+    }
+
+    this.redis.publish(this.channel(instanceId), JSON.stringify({ type, ...payload }))
+      .catch(err => console.error(`[ClusterBus] Failed to publish ${type}:`, err.message));
+  }
+
+  async stop() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+}
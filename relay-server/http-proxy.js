@@ -5,10 +5,13 @@ export class HttpProxy extends EventEmitter {
   constructor() {
     super();
     this.pendingRequests = new Map();
+    // Requests forwarded for another relay instance, whose responses are handed back to it
+    this.remoteRequests = new Map();
   }
 
-  // Handle incoming HTTP request and forward through WebSocket
-  async handleHttpRequest(req, res, desktopSocket, sessionId) {
+  // Handle incoming HTTP request and forward through WebSocket.
+  // forward delivers the request data to the desktop, directly or through the instance holding it.
+  async handleHttpRequest(req, res, sessionId, forward) {
     const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     // Get the full URL path
@@ -49,18 +52,18 @@ export class HttpProxy extends EventEmitter {
       if (req.body) {
         // Body was already parsed by express.json() middleware
         requestData.body = Buffer.from(JSON.stringify(req.body)).toString('base64');
-        this.sendRequest(desktopSocket, requestData);
+        forward(requestData);
       } else {
         // Body not parsed yet, read it manually
         const chunks = [];
         req.on('data', chunk => chunks.push(chunk));
         req.on('end', () => {
           requestData.body = Buffer.concat(chunks).toString('base64');
-          this.sendRequest(desktopSocket, requestData);
+          forward(requestData);
         });
       }
     } else {
-      this.sendRequest(desktopSocket, requestData);
+      forward(requestData);
     }
 
     // Set longer timeout for assets, shorter for main requests
@@ -80,8 +83,14 @@ export class HttpProxy extends EventEmitter {
     desktopSocket.emit('http:request', requestData);
   }
 
+  // Send a request received by another instance to a desktop connected to this one
+  forwardRequest(desktopSocket, requestData, instanceId, sessionId) {
+    this.remoteRequests.set(requestData.id, { instanceId, sessionId, timestamp: Date.now() });
+    this.sendRequest(desktopSocket, requestData);
+  }
+
   // Handle response from desktop
-  handleHttpResponse(responseData, sessionId) {
+  handleHttpResponse(responseData) {
     const { id, status, headers, body } = responseData;
     const pending = this.pendingRequests.get(id);
     
@@ -138,24 +147,46 @@ export class HttpProxy extends EventEmitter {
         this.pendingRequests.delete(id);
       }
     }
+    
+    // Assets can take up to 60 seconds
+    for (const [id, remote] of this.remoteRequests.entries()) {
+      if (now - remote.timestamp > 60000) {
+        this.remoteRequests.delete(id);
+      }
+    }
+  }
+
+  // Fail the requests waiting on a desktop that went away
+  failSession(sessionId, status, message) {
+    for (const [id, pending] of this.pendingRequests.entries()) {
+      if (pending.sessionId !== sessionId) continue;
+      
+      if (!pending.res.headersSent) {
+        pending.res.status(status).send(message);
+      }
+      this.pendingRequests.delete(id);
+    }
   }
 
   // Set up desktop socket handlers
   setupDesktopHandlers(desktopSocket, sessionId) {
     desktopSocket.on('http:response', (responseData) => {
-      // Get sessionId from pending request
-      const pending = this.pendingRequests.get(responseData.id);
-      const sid = pending ? pending.sessionId : sessionId;
-      this.handleHttpResponse(responseData, sid);
+      const remote = this.remoteRequests.get(responseData.id);
+      if (remote) {
+        this.remoteRequests.delete(responseData.id);
+        this.emit('remote-response', remote.instanceId, responseData);
+        return;
+      }
+      
+      this.handleHttpResponse(responseData);
     });
 
     desktopSocket.on('disconnect', () => {
-      // Clean up all pending requests for this desktop
-      for (const [id, pending] of this.pendingRequests.entries()) {
-        if (!pending.res.headersSent) {
-          pending.res.status(503).send('Desktop disconnected');
+      // Requests from other instances are failed there, when they learn the session closed
+      for (const [id, remote] of this.remoteRequests.entries()) {
+        if (remote.sessionId === sessionId) {
+          this.remoteRequests.delete(id);
         }
-        this.pendingRequests.delete(id);
       }
     });
   }
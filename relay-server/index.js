@@ -7,6 +7,9 @@ import jwt from 'jsonwebtoken';
 import cors from 'cors';
 import fetch from 'node-fetch';
 import { HttpProxy } from './http-proxy.js';
+import { ClusterBus } from './cluster-bus.js';
+import { ReservationStore, GENERATED_ID_PATTERN, isSessionName, parseSessionId } from './reservations.js';
+import crypto from 'crypto';
 
 const app = express();
 const httpServer = createServer(app);
@@ -16,6 +19,8 @@ const PORT = process.env.PORT || 3790;
 const REDIS_URL = process.env.REDIS_URL;
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
 const DOMAIN = process.env.DOMAIN || 'relay.clode.studio';
+// Enables the admin API when set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
 // Use Redis if available, otherwise use in-memory storage
 let redis = null;
@@ -49,10 +54,17 @@ app.use((req, res, next) => {
     // Format: sessionid.relay.clode.studio
     const parts = host.split('.');
     if (parts.length >= 3) {
-      // Check if first part looks like a session ID (6 uppercase alphanumeric)
+      // Check if first part looks like a session ID (6 uppercase alphanumeric),
+      // or a reserved session name under our domain
       const potentialSession = parts[0].toUpperCase();
-      if (/^[A-Z0-9]{6}$/.test(potentialSession)) {
+      const potentialName = parts[0].toLowerCase();
+      if (GENERATED_ID_PATTERN.test(potentialSession)) {
         req.sessionId = potentialSession;
+      } else if (host.toLowerCase().endsWith(`.${DOMAIN.toLowerCase()}`) && isSessionName(potentialName)) {
+        req.sessionId = potentialName;
+      }
+      
+      if (req.sessionId) {
         // Only log non-asset requests to reduce noise
         const isAsset = req.url && (req.url.includes('/_nuxt/') || req.url.includes('/node_modules/'));
         if (!isAsset && req.url !== '/favicon.ico') {
@@ -91,22 +103,76 @@ const io = new SocketIOServer(httpServer, {
 });
 
 // Connection management
+//
+// A desktop and the clients of its session can be connected to different relay
+// instances. Whatever is addressed to a socket on another instance goes over the
+// cluster bus: client traffic to the instance holding the desktop, and responses
+// and desktop events to the instances holding the clients.
 class ConnectionManager {
-  constructor() {
+  constructor(bus) {
+    this.bus = bus;
+    // Desktops connected to this instance
     this.desktops = new Map();
-    this.clients = new Map();
-    this.sessions = new Map();
+    this.sessions = new Map(); // session ID -> desktop socket ID
+    // Clients of those desktops, wherever they are connected
+    this.clients = new Map(); // client socket ID -> client info
+    this.sessionClients = new Map(); // session ID -> Set of client socket IDs
+    this.requestRoutes = new Map(); // request ID -> { instanceId, sessionId, timer }
+    // Client sockets connected to this instance
+    this.localClients = new Map(); // client socket ID -> { socket, sessionId, desktopInstanceId }
+    this.pendingRequests = new Map(); // request ID -> { clientId, callback, timer }
     this.httpProxy = new HttpProxy();
+    this.reservations = new ReservationStore(() => redis);
+    
+    this.httpProxy.on('remote-response', (instanceId, responseData) => {
+      this.bus.send(instanceId, 'http:response', { responseData });
+    });
+    this.setupBusHandlers();
+  }
+
+  async getDesktopInfo(sessionId) {
+    let desktopData;
+    
+    if (redis) {
+      desktopData = await redis.get(`desktop:${sessionId}`);
+    } else {
+      const stored = memoryStore.get(`desktop:${sessionId}`);
+      if (stored && stored.expires > Date.now()) {
+        desktopData = JSON.stringify(stored.data);
+      }
+    }
+    
+    return desktopData ? JSON.parse(desktopData) : null;
+  }
+
+  // Socket of a desktop connected to this instance
+  getDesktopSocket(sessionId) {
+    const socket = io.sockets.sockets.get(this.sessions.get(sessionId));
+    return socket && socket.connected ? socket : null;
   }
 
   async registerDesktop(socket, auth) {
-    const sessionId = generateId();
+    const sessionId = auth.sessionName ? String(auth.sessionName).toLowerCase() : generateId();
+    
+    // A desktop reconnecting under its name replaces its previous connection,
+    // which may not have timed out yet
+    const previous = auth.sessionName ? await this.getDesktopInfo(sessionId) : null;
+    if (previous && previous.deviceId !== auth.deviceId) {
+      throw new Error(`Session name ${sessionId} is in use by another device`);
+    }
+    
+    // Desktops with a reserved name get it back on every registration
+    if (auth.sessionName) {
+      await this.reservations.claim(sessionId, auth.deviceId, auth.sessionSecret);
+    }
+    
     // Use subdomain-based URL
     const sessionUrl = `https://${sessionId.toLowerCase()}.${DOMAIN}`;
     
     const desktopInfo = {
       sessionId,
       socketId: socket.id,
+      instanceId: this.bus.instanceId,
       deviceId: auth.deviceId,
       url: sessionUrl,
       createdAt: Date.now()
@@ -129,11 +195,19 @@ class ConnectionManager {
     this.desktops.set(socket.id, desktopInfo);
     this.sessions.set(sessionId, socket.id);
     
+    // Only now, so its cleanup sees it has been replaced
+    if (previous && previous.socketId !== socket.id) {
+      this.bus.send(previous.instanceId, 'desktop:replaced', { sessionId, socketId: previous.socketId });
+    }
+    
     socket.join(`desktop:${sessionId}`);
     
     // Set up HTTP proxy handlers for this desktop
     this.httpProxy.setupDesktopHandlers(socket, sessionId);
     
+    // Route desktop events to the clients of this session
+    this.setupDesktopBridge(socket, sessionId);
+    
     // Generate auth token
     const token = jwt.sign(
       { sessionId, exp: Math.floor(Date.now() / 1000) + 3600 },
@@ -153,169 +227,345 @@ class ConnectionManager {
   }
 
   async connectClient(clientSocket, sessionId, auth) {
-    let desktopData;
-    
-    if (redis) {
-      desktopData = await redis.get(`desktop:${sessionId}`);
-    } else {
-      const stored = memoryStore.get(`desktop:${sessionId}`);
-      if (stored && stored.expires > Date.now()) {
-        desktopData = JSON.stringify(stored.data);
-      }
-    }
+    const desktop = await this.getDesktopInfo(sessionId);
     
-    if (!desktopData) {
+    if (!desktop) {
       throw new Error('Session not found or expired');
     }
     
-    const desktop = JSON.parse(desktopData);
-    const desktopSocket = io.sockets.sockets.get(desktop.socketId);
-    
-    if (!desktopSocket || !desktopSocket.connected) {
+    // A desktop on another instance is checked there, which rejects the client if it is gone
+    const desktopInstanceId = desktop.instanceId || this.bus.instanceId;
+    if (desktopInstanceId === this.bus.instanceId && !this.getDesktopSocket(sessionId)) {
       throw new Error('Desktop is offline');
     }
     
     // Set up bidirectional relay
-    this.setupRelay(clientSocket, desktopSocket, sessionId);
+    this.setupRelay(clientSocket, sessionId, desktopInstanceId, auth);
     
     console.log(`Client connected to session: ${sessionId}`);
     
     return { success: true };
   }
 
-  setupRelay(clientSocket, desktopSocket, sessionId) {
+  // Events that are part of the relay protocol rather than the bridged application traffic
+  isInternalEvent(event) {
+    return event.startsWith('$') || event.startsWith('relay:') || event.startsWith('bridge:') || event.startsWith('http:');
+  }
+
+  /**
+   * Any number of clients can share a desktop session. Events from a client reach
+   * the desktop tagged with the client's ID, and callbacks are routed back to the
+   * client that made the request.
+   */
+  setupRelay(clientSocket, sessionId, desktopInstanceId, auth = {}) {
     const clientId = clientSocket.id;
-    const desktopId = desktopSocket.id;
+    const instanceId = this.bus.instanceId;
     
-    // Store mappings
-    this.clients.set(clientId, desktopId);
-    this.clients.set(desktopId, clientId);
+    this.localClients.set(clientId, { socket: clientSocket, sessionId, desktopInstanceId });
     
     // Join session room
     clientSocket.join(`session:${sessionId}`);
     
-    // Track pending requests for callback preservation
-    const pendingRequests = new Map();
+    this.bus.send(desktopInstanceId, 'client:connected', {
+      sessionId,
+      clientId,
+      instanceId,
+      deviceId: auth.deviceId || null,
+      address: clientSocket.handshake.address,
+      connectedAt: Date.now()
+    });
+    
     let requestCounter = 0;
     
     // Forward events from client to desktop
     clientSocket.onAny((event, ...args) => {
-      if (!event.startsWith('$') && !event.startsWith('relay:') && !event.startsWith('bridge:')) {
-        console.log(`[Relay] Client→Desktop: ${event}`);
+      if (this.isInternalEvent(event)) return;
+      
+      console.log(`[Relay] Client ${clientId}→Desktop: ${event}`);
+      
+      // Check if last argument is a callback (Socket.IO acknowledgment)
+      const lastArg = args[args.length - 1];
+      if (typeof lastArg === 'function') {
+        // This is a request with callback - use bridge pattern
+        const callback = args.pop();
+        const requestId = `${clientId}-${++requestCounter}`;
         
-        // Check if last argument is a callback (Socket.IO acknowledgment)
-        const lastArg = args[args.length - 1];
-        if (typeof lastArg === 'function') {
-          // This is a request with callback - use bridge pattern
-          const callback = args.pop();
-          const requestId = `${clientId}-${++requestCounter}`;
-          
-          // Store the callback
-          pendingRequests.set(requestId, callback);
-          
-          // Send as bridge:request to desktop
-          desktopSocket.emit('bridge:request', {
-            requestId,
-            event,
-            args
-          });
-          
-          // Clean up after timeout (30 seconds)
-          setTimeout(() => {
-            if (pendingRequests.has(requestId)) {
-              const cb = pendingRequests.get(requestId);
-              pendingRequests.delete(requestId);
-              cb({ error: 'Request timeout' });
-            }
-          }, 30000);
-        } else {
-          // Regular event without callback
-          desktopSocket.emit(event, ...args);
-        }
+        // Clean up after timeout (30 seconds)
+        const timer = setTimeout(() => {
+          if (this.pendingRequests.has(requestId)) {
+            this.pendingRequests.delete(requestId);
+            callback({ error: 'Request timeout' });
+          }
+        }, 30000);
+        this.pendingRequests.set(requestId, { clientId, callback, timer });
+        
+        this.bus.send(desktopInstanceId, 'client:request', { sessionId, clientId, instanceId, requestId, event, args });
+      } else {
+        this.bus.send(desktopInstanceId, 'client:event', { sessionId, clientId, event, args });
       }
     });
     
-    // Handle bridge responses from desktop
-    // Store the handler so we can remove it later
-    const bridgeResponseHandler = (data) => {
+    // Cleanup on disconnect
+    clientSocket.once('disconnect', () => {
+      this.localClients.delete(clientId);
+      
+      // Requests of this client can't be answered anymore
+      for (const [requestId, pending] of this.pendingRequests) {
+        if (pending.clientId === clientId) {
+          clearTimeout(pending.timer);
+          this.pendingRequests.delete(requestId);
+        }
+      }
+      
+      this.bus.send(desktopInstanceId, 'client:disconnected', { sessionId, clientId });
+      
+      console.log(`[Relay] Client ${clientId} left session ${sessionId}`);
+    });
+  }
+
+  // Set up once per desktop, however many clients join its session
+  setupDesktopBridge(desktopSocket, sessionId) {
+    // Responses go to the client that made the request
+    desktopSocket.on('bridge:response', (data) => {
       const { requestId, response } = data;
+      const route = this.requestRoutes.get(requestId);
+      if (!route) return;
+      
       console.log(`[Relay] Desktop response for request ${requestId}`);
+      clearTimeout(route.timer);
+      this.requestRoutes.delete(requestId);
+      this.bus.send(route.instanceId, 'client:response', { requestId, response });
+    });
+    
+    // Events addressed to a single client
+    desktopSocket.on('bridge:send', (data) => {
+      const { clientId, event, args } = data;
+      const client = this.clients.get(clientId);
+      if (!client || client.sessionId !== sessionId) return;
       
-      if (pendingRequests.has(requestId)) {
-        const callback = pendingRequests.get(requestId);
-        pendingRequests.delete(requestId);
-        callback(response);
-      }
-    };
+      this.bus.send(client.instanceId, 'client:emit', { clientId, event, args: args || [] });
+    });
     
-    // Remove any existing bridge:response listeners from this desktop socket
-    // This prevents accumulation when clients reconnect
-    desktopSocket.removeAllListeners('bridge:response');
+    // Anything else the desktop emits is broadcast to every client of the session
+    desktopSocket.onAny((event, ...args) => {
+      if (this.isInternalEvent(event)) return;
+      
+      console.log(`[Relay] Desktop→Clients: ${event}`);
+      for (const instanceId of this.getSessionInstances(sessionId)) {
+        this.bus.send(instanceId, 'session:broadcast', { sessionId, event, args });
+      }
+    });
     
-    desktopSocket.on('bridge:response', bridgeResponseHandler);
+    desktopSocket.once('disconnect', () => {
+      for (const instanceId of new Set([...this.getSessionInstances(sessionId), this.bus.instanceId])) {
+        this.bus.send(instanceId, 'session:closed', { sessionId });
+      }
+      
+      for (const [requestId, route] of this.requestRoutes) {
+        if (route.sessionId === sessionId) {
+          clearTimeout(route.timer);
+          this.requestRoutes.delete(requestId);
+        }
+      }
+      // Only this desktop's clients; a desktop replacing it may already have new ones
+      const clientIds = Array.from(this.sessionClients.get(sessionId) || []);
+      for (const clientId of clientIds) {
+        this.clients.delete(clientId);
+      }
+      this.sessionClients.delete(sessionId);
+      if (redis && clientIds.length > 0) {
+        redis.hdel(`clients:${sessionId}`, ...clientIds).catch(() => {});
+      }
+    });
+  }
+
+  // Instances holding clients of a session
+  getSessionInstances(sessionId) {
+    const instances = new Set();
+    for (const clientId of this.sessionClients.get(sessionId) || []) {
+      instances.add(this.clients.get(clientId).instanceId);
+    }
+    return instances;
+  }
+
+  setupBusHandlers() {
+    // On the instance holding the desktop
+    this.bus.on('client:connected', (message) => {
+      const { sessionId, clientId, instanceId } = message;
+      const desktopSocket = this.getDesktopSocket(sessionId);
+      if (!desktopSocket) {
+        this.bus.send(instanceId, 'client:rejected', { clientId, error: 'Desktop is offline' });
+        return;
+      }
+      
+      const client = {
+        clientId,
+        sessionId,
+        instanceId,
+        deviceId: message.deviceId,
+        address: message.address,
+        connectedAt: message.connectedAt
+      };
+      this.clients.set(clientId, client);
+      if (!this.sessionClients.has(sessionId)) {
+        this.sessionClients.set(sessionId, new Set());
+      }
+      this.sessionClients.get(sessionId).add(clientId);
+      
+      // Shared, so every instance can list the clients of a session
+      if (redis) {
+        redis.multi()
+          .hset(`clients:${sessionId}`, clientId, JSON.stringify(client))
+          .expire(`clients:${sessionId}`, 3600)
+          .exec()
+          .catch(err => console.error('Failed to store client:', err.message));
+      }
+      
+      // Let the desktop know who is connected, so it can keep per-client state
+      desktopSocket.emit('bridge:client-connected', { clientId, deviceId: client.deviceId });
+    });
     
-    // Forward regular events from desktop to client
-    const forwardToClient = (event, ...args) => {
-      if (!event.startsWith('$') && !event.startsWith('relay:') && !event.startsWith('bridge:')) {
-        console.log(`[Relay] Desktop→Client: ${event}`);
-        clientSocket.emit(event, ...args);
+    this.bus.on('client:request', ({ sessionId, clientId, instanceId, requestId, event, args }) => {
+      const desktopSocket = this.getDesktopSocket(sessionId);
+      if (!desktopSocket) {
+        this.bus.send(instanceId, 'client:response', { requestId, response: { error: 'Desktop is offline' } });
+        return;
       }
-    };
+      
+      const timer = setTimeout(() => this.requestRoutes.delete(requestId), 30000);
+      this.requestRoutes.set(requestId, { instanceId, sessionId, timer });
+      desktopSocket.emit('bridge:request', { requestId, clientId, event, args });
+    });
     
-    // Listen for desktop events
-    desktopSocket.onAny(forwardToClient);
+    this.bus.on('client:event', ({ sessionId, clientId, event, args }) => {
+      this.getDesktopSocket(sessionId)?.emit('bridge:event', { clientId, event, args });
+    });
     
-    // Cleanup on disconnect
-    const cleanup = () => {
+    this.bus.on('client:disconnected', ({ sessionId, clientId }) => {
       this.clients.delete(clientId);
-      this.clients.delete(desktopId);
-      clientSocket.leave(`session:${sessionId}`);
-      
-      // Safely remove listeners if they exist
-      if (forwardToClient && desktopSocket) {
-        try {
-          desktopSocket.offAny(forwardToClient);
-        } catch (err) {
-          console.warn('[Relay] Error removing forwardToClient listener:', err.message);
+      const sessionClients = this.sessionClients.get(sessionId);
+      if (sessionClients) {
+        sessionClients.delete(clientId);
+        if (sessionClients.size === 0) {
+          this.sessionClients.delete(sessionId);
         }
       }
+      if (redis) {
+        redis.hdel(`clients:${sessionId}`, clientId).catch(() => {});
+      }
       
-      if (desktopSocket) {
-        try {
-          // Remove the specific handler we added
-          desktopSocket.off('bridge:response', bridgeResponseHandler);
-        } catch (err) {
-          console.warn('[Relay] Error removing bridge:response listener:', err.message);
-        }
+      this.getDesktopSocket(sessionId)?.emit('bridge:client-disconnected', { clientId });
+    });
+    
+    this.bus.on('http:request', ({ sessionId, requestData, instanceId }) => {
+      const desktopSocket = this.getDesktopSocket(sessionId);
+      if (!desktopSocket) {
+        this.bus.send(instanceId, 'http:response', {
+          responseData: { id: requestData.id, status: 503, body: Buffer.from('Desktop is offline').toString('base64') }
+        });
+        return;
       }
       
-      // Clear any pending requests
-      for (const [requestId, callback] of pendingRequests) {
-        if (typeof callback === 'function') {
-          callback({ error: 'Connection closed' });
+      this.httpProxy.forwardRequest(desktopSocket, requestData, instanceId, sessionId);
+    });
+    
+    this.bus.on('desktop:replaced', ({ socketId }) => {
+      io.sockets.sockets.get(socketId)?.disconnect(true);
+    });
+    
+    // On the instances holding the clients
+    this.bus.on('client:response', ({ requestId, response }) => {
+      const pending = this.pendingRequests.get(requestId);
+      if (!pending) return;
+      
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(requestId);
+      pending.callback(response);
+    });
+    
+    this.bus.on('client:emit', ({ clientId, event, args }) => {
+      this.localClients.get(clientId)?.socket.emit(event, ...args);
+    });
+    
+    this.bus.on('client:rejected', ({ clientId, error }) => {
+      const client = this.localClients.get(clientId);
+      if (!client) return;
+      
+      client.socket.emit('error', error);
+      client.socket.disconnect();
+    });
+    
+    this.bus.on('session:broadcast', ({ sessionId, event, args }) => {
+      io.to(`session:${sessionId}`).emit(event, ...args);
+    });
+    
+    this.bus.on('session:closed', ({ sessionId }) => {
+      for (const [requestId, pending] of this.pendingRequests) {
+        if (this.localClients.get(pending.clientId)?.sessionId === sessionId) {
+          clearTimeout(pending.timer);
+          this.pendingRequests.delete(requestId);
+          pending.callback({ error: 'Connection closed' });
         }
       }
-      pendingRequests.clear();
-    };
+      this.httpProxy.failSession(sessionId, 503, 'Desktop disconnected');
+    });
+    
+    this.bus.on('http:response', ({ responseData }) => {
+      this.httpProxy.handleHttpResponse(responseData);
+    });
+  }
+
+  // Proxy an HTTP request to the desktop, wherever it is connected
+  proxyHttpRequest(req, res, desktop) {
+    const { sessionId } = desktop;
+    const desktopInstanceId = desktop.instanceId || this.bus.instanceId;
+    
+    if (desktopInstanceId === this.bus.instanceId) {
+      const desktopSocket = this.getDesktopSocket(sessionId);
+      if (!desktopSocket) {
+        console.log(`[Relay] Desktop for session ${sessionId} is offline`);
+        return res.status(503).send('Desktop is offline');
+      }
+      
+      this.httpProxy.handleHttpRequest(req, res, sessionId, (requestData) => {
+        this.httpProxy.sendRequest(desktopSocket, requestData);
+      });
+    } else {
+      this.httpProxy.handleHttpRequest(req, res, sessionId, (requestData) => {
+        this.bus.send(desktopInstanceId, 'http:request', { sessionId, requestData, instanceId: this.bus.instanceId });
+      });
+    }
+  }
+
+  async getSessionClients(sessionId) {
+    if (redis) {
+      const stored = await redis.hgetall(`clients:${sessionId}`);
+      return Object.values(stored).map(client => JSON.parse(client));
+    }
     
-    clientSocket.once('disconnect', cleanup);
+    return Array.from(this.sessionClients.get(sessionId) || [])
+      .map(clientId => this.clients.get(clientId))
+      .filter(Boolean);
   }
 }
 
-const manager = new ConnectionManager();
+const bus = new ClusterBus(redis);
+const manager = new ConnectionManager(bus);
 
 // Add middleware to log all Socket.IO connection attempts
 io.use((socket, next) => {
-  console.log('[Socket.IO] Connection attempt from:', socket.handshake.address, 'Auth:', socket.handshake.auth);
+  // Never log the auth payload: clients predating end-to-end encryption sent their device token in it
+  console.log('[Socket.IO] Connection attempt from:', socket.handshake.address, 'Role:', socket.handshake.auth?.role);
   next();
 });
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   const auth = socket.handshake.auth;
-  const { role, sessionId } = auth;
+  const { role } = auth;
+  const sessionId = auth.sessionId && parseSessionId(auth.sessionId);
   
-  console.log('[Socket.IO] New connection - Role:', role, 'SessionId:', sessionId, 'Auth:', auth);
+  console.log('[Socket.IO] New connection - Role:', role, 'SessionId:', sessionId);
   
   if (role === 'desktop') {
     // Desktop registering
@@ -325,6 +575,7 @@ io.on('connection', (socket) => {
         const keepAlive = setInterval(async () => {
           if (redis) {
             await redis.expire(`desktop:${info.sessionId}`, 3600);
+            await redis.expire(`clients:${info.sessionId}`, 3600);
           } else {
             // Refresh memory store expiry
             const stored = memoryStore.get(`desktop:${info.sessionId}`);
@@ -334,14 +585,21 @@ io.on('connection', (socket) => {
           }
         }, 300000);
         
-        socket.once('disconnect', () => {
+        socket.once('disconnect', async () => {
           clearInterval(keepAlive);
           manager.desktops.delete(socket.id);
-          manager.sessions.delete(info.sessionId);
-          if (redis) {
-            redis.del(`desktop:${info.sessionId}`);
-          } else {
-            memoryStore.delete(`desktop:${info.sessionId}`);
+          if (manager.sessions.get(info.sessionId) === socket.id) {
+            manager.sessions.delete(info.sessionId);
+          }
+          
+          // Unless the desktop has reconnected under its reserved name in the meantime
+          const current = await manager.getDesktopInfo(info.sessionId);
+          if (current && current.socketId === socket.id) {
+            if (redis) {
+              redis.del(`desktop:${info.sessionId}`);
+            } else {
+              memoryStore.delete(`desktop:${info.sessionId}`);
+            }
           }
           console.log(`Desktop disconnected: ${info.sessionId}`);
         });
@@ -408,61 +666,34 @@ app.use('*', async (req, res, next) => {
   }
   
   // First check Redis/memory store for the desktop info
-  let desktopData;
-  if (redis) {
-    desktopData = await redis.get(`desktop:${sessionId}`);
-  } else {
-    const stored = memoryStore.get(`desktop:${sessionId}`);
-    if (stored && stored.expires > Date.now()) {
-      desktopData = JSON.stringify(stored.data);
-    }
-  }
+  const desktop = await manager.getDesktopInfo(sessionId);
   
-  if (!desktopData) {
+  if (!desktop) {
     console.log(`[Relay] Session ${sessionId} not found in storage`);
     return res.status(404).send(`Session ${sessionId} not found`);
   }
   
-  const desktop = JSON.parse(desktopData);
-  const desktopSocketId = desktop.socketId;
-  
-  // Check if the desktop socket is on THIS instance
-  const desktopSocket = io.sockets.sockets.get(desktopSocketId);
-  if (!desktopSocket || !desktopSocket.connected) {
-    // Desktop might be connected to a different instance
-    console.log(`[Relay] Desktop for session ${sessionId} is on a different instance or offline`);
-    return res.status(503).send('Desktop is connected to a different relay instance. Try refreshing.');
-  }
-  
   // No path manipulation needed! Just proxy as-is
   // Already logged in middleware, so skip logging here
-  manager.httpProxy.handleHttpRequest(req, res, desktopSocket, sessionId);
+  manager.proxyHttpRequest(req, res, desktop);
 });
 
 // REST API endpoints
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
+    instanceId: bus.instanceId,
     desktops: manager.desktops.size,
-    clients: manager.clients.size / 2,
+    clients: manager.localClients.size,
     uptime: process.uptime()
   });
 });
 
 app.get('/api/session/:sessionId', async (req, res) => {
-  let data;
+  const sessionId = parseSessionId(req.params.sessionId);
+  const desktop = sessionId && await manager.getDesktopInfo(sessionId);
   
-  if (redis) {
-    data = await redis.get(`desktop:${req.params.sessionId}`);
-  } else {
-    const stored = memoryStore.get(`desktop:${req.params.sessionId}`);
-    if (stored && stored.expires > Date.now()) {
-      data = JSON.stringify(stored.data);
-    }
-  }
-  
-  if (data) {
-    const desktop = JSON.parse(data);
+  if (desktop) {
     res.json({
       active: true,
       created: desktop.createdAt,
@@ -473,6 +704,71 @@ app.get('/api/session/:sessionId', async (req, res) => {
   }
 });
 
+// Clients connected to a session. Only the desktop that owns the session can list them.
+app.get('/api/session/:sessionId/clients', async (req, res) => {
+  const sessionId = parseSessionId(req.params.sessionId);
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.sessionId !== sessionId) {
+      throw new Error('Token is for another session');
+    }
+  } catch (err) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  res.json({
+    sessionId,
+    clients: (await manager.getSessionClients(sessionId)).map(client => ({
+      clientId: client.clientId,
+      deviceId: client.deviceId,
+      address: client.address,
+      connectedAt: client.connectedAt
+    }))
+  });
+});
+
+// Admin API, authenticated with ADMIN_TOKEN
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: 'Admin API is disabled' });
+  }
+  
+  const token = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+app.get('/api/admin/reservations', requireAdmin, async (req, res) => {
+  const reservations = await manager.reservations.list();
+  
+  res.json({
+    reservations: await Promise.all(reservations.map(async reservation => ({
+      name: reservation.name,
+      deviceId: reservation.deviceId,
+      createdAt: reservation.createdAt,
+      lastUsedAt: reservation.lastUsedAt,
+      online: !!(await manager.getDesktopInfo(reservation.name))
+    })))
+  });
+});
+
+// A desktop that is online keeps its session until it disconnects
+app.delete('/api/admin/reservations/:name', requireAdmin, async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  
+  if (await manager.reservations.release(name)) {
+    console.log(`Released session name: ${name}`);
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Reservation not found' });
+  }
+});
+
 // Clean up expired sessions periodically (for memory store)
 if (!redis) {
   setInterval(() => {
@@ -486,6 +782,10 @@ if (!redis) {
 }
 
 // Start server
+bus.start().catch(err => {
+  console.error('Failed to join the relay cluster, routing within this instance only:', err);
+});
+
 httpServer.listen(PORT, () => {
   console.log(`Clode Relay Server running on port ${PORT}`);
   console.log(`Domain: ${DOMAIN}`);
@@ -0,0 +1,122 @@
+// Reserved session names, so a desktop keeps its URL across reconnects
+import crypto from 'crypto';
+
+// Generated session IDs (see generateId in index.js)
+export const GENERATED_ID_PATTERN = /^[A-Z0-9]{6}$/;
+
+// 3-32 lowercase letters, digits and inner hyphens, e.g. alice-laptop
+const SESSION_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,30}[a-z0-9]$/;
+
+// Subdomains the relay may use for itself
+const RESERVED_NAMES = new Set(['www', 'api', 'app', 'admin', 'relay', 'status', 'health', 'static']);
+
+const MIN_SECRET_LENGTH = 32;
+
+export function isSessionName(name) {
+  return typeof name === 'string' &&
+    SESSION_NAME_PATTERN.test(name) &&
+    !RESERVED_NAMES.has(name) &&
+    // Names of six letters and digits would be taken for generated IDs
+    !GENERATED_ID_PATTERN.test(name.toUpperCase());
+}
+
+// Normalize a session ID or name as it appears in a URL or in client auth
+export function parseSessionId(value) {
+  if (typeof value !== 'string') return null;
+
+  if (GENERATED_ID_PATTERN.test(value.toUpperCase())) {
+    return value.toUpperCase();
+  }
+  const name = value.toLowerCase();
+  return isSessionName(name) ? name : null;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Session names reserved by desktops. A reservation belongs to a device ID and
+ * the secret the desktop registered it with; only the relay's hash of the secret
+ * is stored. Reservations don't expire, they are released through the admin API.
+ */
+export class ReservationStore {
+  // getRedis returns the current Redis client, or null when running in memory
+  constructor(getRedis) {
+    this.getRedis = getRedis;
+    this.memory = new Map();
+  }
+
+  async get(name) {
+    const redis = this.getRedis();
+    if (redis) {
+      const data = await redis.hget('reservations', name);
+      return data ? JSON.parse(data) : null;
+    }
+    return this.memory.get(name) || null;
+  }
+
+  async list() {
+    const redis = this.getRedis();
+    const reservations = redis
+      ? Object.values(await redis.hgetall('reservations')).map(data => JSON.parse(data))
+      : Array.from(this.memory.values());
+    return reservations.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async release(name) {
+    const redis = this.getRedis();
+    if (redis) {
+      return (await redis.hdel('reservations', name)) > 0;
+    }
+    return this.memory.delete(name);
+  }
+
+  /**
+   * Claim a name for a desktop. A free name is reserved for it; a reserved name
+   * only by the device holding it, with the same secret.
+   */
+  async claim(name, deviceId, secret) {
+    if (!isSessionName(name)) {
+      throw new Error(`Invalid session name: ${name}`);
+    }
+    if (!deviceId || typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`A session name needs a device ID and a secret of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    const secretHash = hashSecret(secret);
+    const existing = await this.get(name);
+
+    if (existing) {
+      const matches = existing.deviceId === deviceId &&
+        crypto.timingSafeEqual(Buffer.from(existing.secretHash, 'hex'), Buffer.from(secretHash, 'hex'));
+      if (!matches) {
+        throw new Error(`Session name ${name} is reserved by another device`);
+      }
+    }
+
+    const reservation = {
+      name,
+      deviceId,
+      secretHash,
+      createdAt: existing ? existing.createdAt : Date.now(),
+      lastUsedAt: Date.now()
+    };
+
+    const redis = this.getRedis();
+    if (redis) {
+      const data = JSON.stringify(reservation);
+      // Two desktops may race for a free name; only one of them gets it
+      const stored = existing
+        ? await redis.hset('reservations', name, data)
+        : await redis.hsetnx('reservations', name, data);
+      if (!existing && !stored) {
+        throw new Error(`Session name ${name} is reserved by another device`);
+      }
+    } else {
+      this.memory.set(name, reservation);
+    }
+
+    return reservation;
+  }
+}
@@ -0,0 +1,32 @@
+import { dependencyGraph, DependencyQueryType } from '../../../electron/dependency-graph.js';
+
+const QUERY_TYPES: DependencyQueryType[] = ['importers', 'imports', 'dependents', 'dependencies', 'cycles', 'stats'];
+
+export default defineEventHandler(async (event) => {
+  try {
+    const query = getQuery(event);
+    const type = (query.type as DependencyQueryType) || 'stats';
+
+    if (!QUERY_TYPES.includes(type)) {
+      throw new Error(`Query type must be one of: ${QUERY_TYPES.join(', ')}`);
+    }
+
+    const workspacePath = global.__currentWorkspace;
+    if (!workspacePath) {
+      throw new Error('No workspace selected');
+    }
+
+    return await dependencyGraph.query(workspacePath, {
+      type,
+      file: query.file as string | undefined,
+      depth: query.depth ? parseInt(query.depth as string) : undefined,
+      limit: query.limit ? parseInt(query.limit as string) : undefined
+    });
+  } catch (error) {
+    console.error('[API] /context/dependencies error:', error);
+    throw createError({
+      statusCode: 400,
+      statusMessage: error.message || 'Failed to query dependencies'
+    });
+  }
+});
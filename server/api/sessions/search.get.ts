@@ -0,0 +1,30 @@
+import { claudeSessionSearch } from '../../../electron/claude-session-search.js';
+
+export default defineEventHandler(async (event) => {
+  try {
+    const query = getQuery(event);
+    const searchQuery = (query.q as string || '').trim();
+
+    if (!searchQuery) {
+      throw new Error('A search query is required');
+    }
+
+    const workspacePath = global.__currentWorkspace;
+    if (!workspacePath) {
+      throw new Error('No workspace selected');
+    }
+
+    const results = await claudeSessionSearch.search(
+      workspacePath,
+      searchQuery,
+      query.limit ? parseInt(query.limit as string) : undefined
+    );
+    return { results };
+  } catch (error) {
+    console.error('[API] /sessions/search error:', error);
+    throw createError({
+      statusCode: 400,
+      statusMessage: error.message || 'Failed to search sessions'
+    });
+  }
+});
@@ -46,11 +46,14 @@ export class DeviceAuthService {
     // Create a short pairing code for manual entry
     const pairingCode = this.generatePairingCode();
     
-    // Build connection URL with auth info
+    // Build connection URL with auth info. It goes in the fragment, which browsers
+    // never send to the server, so a relay or tunnel in between doesn't see it.
     const url = new URL(serverUrl);
-    url.searchParams.set('deviceId', deviceAuth.deviceId);
-    url.searchParams.set('token', deviceAuth.token);
-    url.searchParams.set('pairing', pairingCode);
+    const params = new URLSearchParams();
+    params.set('deviceId', deviceAuth.deviceId);
+    params.set('token', deviceAuth.token);
+    params.set('pairing', pairingCode);
+    url.hash = params.toString();
     
     return {
       url: url.toString(),
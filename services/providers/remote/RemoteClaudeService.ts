@@ -145,6 +145,19 @@ export class RemoteClaudeService implements IClaudeService {
     }
   }
   
+  /**
+   * Watch a desktop instance without controlling it. Returns its scrollback;
+   * live output then arrives through onOutput.
+   */
+  async spectate(instanceId: string): Promise<string | null> {
+    const result = await this.request<{ instanceId: string }, { buffer: string | null }>('claude:spectate', { instanceId });
+    return result.buffer;
+  }
+  
+  async unspectate(instanceId: string): Promise<void> {
+    await this.request('claude:unspectate', { instanceId });
+  }
+  
   async configureTerminal(instanceId: string, cols: number, rows: number): Promise<void> {
     try {
       await this.request('claude:configureTerminal', { instanceId, cols, rows });
@@ -204,6 +204,41 @@ export class RemoteTerminalService implements ITerminalService {
     };
   }
   
+  // Recordings. A replay streams through onTerminalData(replayId) like a live
+  // terminal and starts paused, so subscribe before sending 'play'.
+  async listRecordings(): Promise<any[]> {
+    return await this.emit('terminal:recordings');
+  }
+
+  async replayRecording(recordingId: string): Promise<{ replayId: string; state: any }> {
+    return await this.emit('terminal:replay', { recordingId });
+  }
+
+  async controlReplay(
+    replayId: string,
+    action: 'play' | 'pause' | 'seek' | 'speed' | 'stop',
+    value?: number
+  ): Promise<any> {
+    return await this.emit('terminal:replay:control', { replayId, action, value });
+  }
+
+  onReplayState(replayId: string, callback: (state: any) => void): () => void {
+    const socket = this.getSocket();
+    if (!socket) {
+      return () => {};
+    }
+
+    const handler = (event: { terminalId: string }) => {
+      if (event.terminalId === replayId) {
+        callback(event);
+      }
+    };
+    socket.on('terminal:replay:state', handler);
+    return () => {
+      socket.off('terminal:replay:state', handler);
+    };
+  }
+
   // Session management (for remote)
   async saveTerminalState(terminalId: string): Promise<TerminalState> {
     return await this.emit('terminal:saveState', terminalId);
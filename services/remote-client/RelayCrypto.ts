@@ -0,0 +1,296 @@
+/**
+ * End-to-end encryption for connections through the relay server.
+ *
+ * Client side of the protocol in electron/services/relay-crypto.ts, built on
+ * WebCrypto. After every (re)connect the socket negotiates keys with the desktop,
+ * bound to the device token and pairing code from the connection link. Until that
+ * succeeds, outgoing events are held back; afterwards every event and every
+ * response is encrypted, so the relay only ever forwards ciphertext.
+ */
+import type { Socket } from 'socket.io-client';
+
+const PROTOCOL_VERSION = 1;
+const PROTOCOL_LABEL = 'clode-relay-e2e-v1';
+const NONCE_LENGTH = 16;
+const IV_LENGTH = 12;
+const HANDSHAKE_TIMEOUT = 15000;
+
+// Events of the socket itself, which are never encrypted
+const RESERVED_EVENTS = ['connect', 'connect_error', 'disconnect', 'disconnecting'];
+
+export interface RelayCredentials {
+  deviceId: string;
+  token: string;
+  pairingCode?: string;
+}
+
+interface RelayEnvelope {
+  seq: number;
+  iv: string;
+  data: string;
+}
+
+interface SessionKeys {
+  clientKey: CryptoKey;
+  desktopKey: CryptoKey;
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  bytes.forEach(byte => binary += String.fromCharCode(byte));
+  return btoa(binary);
+}
+
+function fromBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+function concat(...parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function timeout<T>(promise: Promise<T>, ms: number, message: string): Promise<T> {
+  return Promise.race([
+    promise,
+    new Promise<T>((_, reject) => setTimeout(() => reject(new Error(message)), ms))
+  ]);
+}
+
+class RelayCryptoChannel {
+  private keys: SessionKeys | null = null;
+  private sendSeq = 0;
+  private receiveSeq = 0;
+  private queue: Array<{ event: string; args: any[] }> = [];
+  // Encryption is asynchronous; chaining keeps messages in sequence order
+  private sending: Promise<void> = Promise.resolve();
+  private receiving: Promise<void> = Promise.resolve();
+  private send: (event: string, ...args: any[]) => Socket;
+
+  constructor(
+    private socket: Socket,
+    private credentials: RelayCredentials,
+    private onError: (error: Error) => void
+  ) {
+    this.send = socket.emit.bind(socket);
+
+    // Application code keeps using emit; events are sealed on the way out
+    socket.emit = ((event: string, ...args: any[]) => {
+      if (RESERVED_EVENTS.includes(event)) {
+        return this.send(event, ...args);
+      }
+      if (this.keys) {
+        this.sendEncrypted(event, args);
+      } else {
+        this.queue.push({ event, args });
+      }
+      return socket;
+    }) as Socket['emit'];
+
+    socket.on('connect', () => this.handshake());
+    socket.on('disconnect', () => {
+      this.keys = null;
+    });
+    socket.on('e2e:message', (envelope: RelayEnvelope) => {
+      this.receiving = this.receiving.then(() => this.receive(envelope));
+    });
+
+    if (socket.connected) {
+      this.handshake();
+    }
+  }
+
+  private async handshake() {
+    this.keys = null;
+    this.sendSeq = 0;
+    this.receiveSeq = 0;
+
+    try {
+      this.keys = await timeout(this.negotiate(), HANDSHAKE_TIMEOUT, 'Encryption handshake timed out');
+      console.log('[RelayCrypto] End-to-end encrypted session established');
+
+      const queued = this.queue;
+      this.queue = [];
+      for (const { event, args } of queued) {
+        this.sendEncrypted(event, args);
+      }
+    } catch (error) {
+      console.error('[RelayCrypto] Encryption handshake failed:', error);
+      this.onError(error as Error);
+      this.socket.disconnect();
+    }
+  }
+
+  private async negotiate(): Promise<SessionKeys> {
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    const nonce = crypto.getRandomValues(new Uint8Array(NONCE_LENGTH));
+
+    const reply = await this.call('e2e:hello', {
+      v: PROTOCOL_VERSION,
+      deviceId: this.credentials.deviceId,
+      publicKey: toBase64(publicKey),
+      nonce: toBase64(nonce)
+    });
+    if (reply.v !== PROTOCOL_VERSION) {
+      throw new Error(`Unsupported encryption protocol version: ${reply.v}`);
+    }
+
+    const desktopPublicKey = fromBase64(reply.publicKey);
+    const desktopNonce = fromBase64(reply.nonce);
+    const transcript = concat(publicKey, desktopPublicKey, nonce, desktopNonce);
+
+    const peerKey = await crypto.subtle.importKey('raw', desktopPublicKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerKey }, keyPair.privateKey, 256);
+
+    // Same derivation as derivePairingSecret on the desktop
+    const pairingSecret = await crypto.subtle.digest(
+      'SHA-256',
+      encoder.encode(`${PROTOCOL_LABEL}|${this.credentials.token}|${this.credentials.pairingCode || ''}`)
+    );
+    const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveBits']);
+    const material = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'HKDF', hash: 'SHA-256', salt: pairingSecret, info: concat(encoder.encode(PROTOCOL_LABEL), transcript) },
+      hkdfKey,
+      96 * 8
+    ));
+
+    const confirmKey = await crypto.subtle.importKey('raw', material.slice(64, 96), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    const proof = new Uint8Array(await crypto.subtle.sign('HMAC', confirmKey, concat(encoder.encode('client'), transcript)));
+
+    // The desktop only answers if we derived the same keys, and we check its proof in turn
+    const confirmation = await this.call('e2e:confirm', { proof: toBase64(proof) });
+    const verified = await crypto.subtle.verify(
+      'HMAC',
+      confirmKey,
+      fromBase64(confirmation.proof),
+      concat(encoder.encode('desktop'), transcript)
+    );
+    if (!verified) {
+      throw new Error('The desktop could not prove it holds this pairing');
+    }
+
+    return {
+      clientKey: await crypto.subtle.importKey('raw', material.slice(0, 32), 'AES-GCM', false, ['encrypt']),
+      desktopKey: await crypto.subtle.importKey('raw', material.slice(32, 64), 'AES-GCM', false, ['decrypt'])
+    };
+  }
+
+  // Plaintext request used only for the key exchange
+  private call(event: string, payload: any): Promise<any> {
+    return new Promise((resolve, reject) => {
+      this.send(event, payload, (response: any) => {
+        if (response?.success) {
+          resolve(response.data);
+        } else {
+          reject(new Error(response?.error?.message || response?.error || 'Encryption handshake failed'));
+        }
+      });
+    });
+  }
+
+  private sendEncrypted(event: string, args: any[]) {
+    this.sending = this.sending.then(() => this.sealAndSend(event, args));
+  }
+
+  private async sealAndSend(event: string, args: any[]) {
+    const keys = this.keys;
+    if (!keys) {
+      // Disconnected in the meantime; the next session sends it
+      this.queue.push({ event, args });
+      return;
+    }
+
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const seq = ++this.sendSeq;
+
+    try {
+      const envelope = await this.seal(keys.clientKey, { event, args }, seq, `c2d:${seq}`);
+      if (!callback) {
+        this.send('e2e:message', envelope);
+        return;
+      }
+
+      this.send('e2e:message', envelope, async (response: any) => {
+        // Anything but a sealed answer to this very request comes from the relay
+        if (!response || response.seq !== seq || !response.data) {
+          callback({ success: false, error: { message: response?.error?.message || response?.error || 'Invalid encrypted response' } });
+          return;
+        }
+        try {
+          callback(await this.open(keys.desktopKey, response, `ack:${seq}`));
+        } catch (error) {
+          callback({ success: false, error: { message: 'Could not decrypt response' } });
+        }
+      });
+    } catch (error) {
+      console.error(`[RelayCrypto] Failed to encrypt ${event}:`, error);
+    }
+  }
+
+  private async receive(envelope: RelayEnvelope) {
+    const keys = this.keys;
+    if (!keys || !envelope || typeof envelope.seq !== 'number' || envelope.seq <= this.receiveSeq) {
+      console.warn('[RelayCrypto] Dropping out of order or unexpected message');
+      return;
+    }
+
+    let message: { event: string; args?: any[] };
+    try {
+      message = await this.open(keys.desktopKey, envelope, `d2c:${envelope.seq}`);
+    } catch (error) {
+      console.warn('[RelayCrypto] Dropping message that failed to decrypt');
+      return;
+    }
+    this.receiveSeq = envelope.seq;
+    this.dispatch(message.event, message.args || []);
+  }
+
+  /**
+   * Hand a decrypted event to the socket's listeners as if it had arrived
+   * unencrypted. Listeners are copied first, since they may unregister themselves.
+   */
+  private dispatch(event: string, args: any[]) {
+    for (const listener of [...this.socket.listenersAny()]) {
+      listener(event, ...args);
+    }
+    for (const listener of [...this.socket.listeners(event)]) {
+      listener.apply(this.socket, args);
+    }
+  }
+
+  private async seal(key: CryptoKey, payload: any, seq: number, aad: string): Promise<RelayEnvelope> {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(aad) },
+      key,
+      encoder.encode(JSON.stringify(payload ?? null))
+    );
+    return { seq, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+  }
+
+  private async open(key: CryptoKey, envelope: RelayEnvelope, aad: string): Promise<any> {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: encoder.encode(aad) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(decoder.decode(plaintext));
+  }
+}
+
+/**
+ * Encrypt everything sent and received on a socket connected through the relay.
+ * onError is called when the desktop can't be authenticated; the socket is then disconnected.
+ */
+export function secureRelaySocket(socket: Socket, credentials: RelayCredentials, onError: (error: Error) => void): void {
+  new RelayCryptoChannel(socket, credentials, onError);
+}
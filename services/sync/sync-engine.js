@@ -1,9 +1,43 @@
 /**
  * Sync Engine for State Synchronization
- * Implements intelligent sync with JSON patches and conflict resolution
+ * Implements intelligent sync with JSON patches and conflict resolution.
+ * Every patch is numbered per device and carries the version vector of the
+ * entity it was made against, so edits made concurrently on two devices are
+ * detected exactly and merged with the strategy registered for their type.
  */
 import { EventEmitter } from 'events';
 import * as jsonpatch from 'fast-json-patch';
+const QUEUE_KEY = 'clode-sync-queue';
+const STATE_KEY = 'clode-sync-state';
+const PERSIST_DELAY = 500;
+// Keyed form of a list of objects with ids, used by list-merge
+const LIST_ITEMS = '$items';
+const LIST_ORDER = '$order';
+export function compareVectors(a, b) {
+    let aAhead = false;
+    let bAhead = false;
+    for (const device of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        const delta = (a[device] || 0) - (b[device] || 0);
+        if (delta > 0)
+            aAhead = true;
+        if (delta < 0)
+            bAhead = true;
+    }
+    if (aAhead && bAhead)
+        return 'concurrent';
+    if (aAhead)
+        return 'after';
+    if (bAhead)
+        return 'before';
+    return 'equal';
+}
+export function mergeVectors(a, b) {
+    const merged = { ...a };
+    for (const [device, seq] of Object.entries(b)) {
+        merged[device] = Math.max(merged[device] || 0, seq);
+    }
+    return merged;
+}
 export class SyncEngine extends EventEmitter {
     localState = new Map();
     pendingPatches = new Map();
@@ -11,8 +45,13 @@ export class SyncEngine extends EventEmitter {
     conflicts = new Map();
     metrics;
     syncInProgress = false;
-    lastSyncTimestamp = new Map();
-    constructor() {
+    stamps = new Map();
+    seen = {};
+    deviceId;
+    seq = 0;
+    storage;
+    persistTimer = null;
+    constructor(storage = getDefaultStorage()) {
         super();
         this.metrics = {
             totalSyncs: 0,
@@ -22,14 +61,41 @@ export class SyncEngine extends EventEmitter {
             dataTransferred: 0,
             averageSyncDuration: 0
         };
+        this.storage = storage;
+        this.deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.restore();
         // Set default priorities
         this.setupDefaultPriorities();
     }
     /**
      * Register a syncable entity type with priority
      */
-    registerEntityType(type, priority, strategy = 'batch') {
-        this.syncPriorities.set(type, { type, priority, strategy });
+    registerEntityType(type, priority, strategy = 'batch', merge = 'field-merge') {
+        this.syncPriorities.set(type, { type, priority, strategy, merge });
+    }
+    /**
+     * Change how concurrent edits to a type are merged
+     */
+    setMergeStrategy(type, merge) {
+        const priority = this.syncPriorities.get(type);
+        if (priority) {
+            priority.merge = merge;
+        }
+        else {
+            this.registerEntityType(type, 0, 'batch', merge);
+        }
+    }
+    getMergeStrategy(type) {
+        return this.syncPriorities.get(type)?.merge || 'field-merge';
+    }
+    getDeviceId() {
+        return this.deviceId;
+    }
+    /**
+     * Highest patch seen from each device, so the server can send only the rest
+     */
+    getSeenVector() {
+        return { ...this.seen };
     }
     /**
      * Track state changes and generate patches
@@ -37,23 +103,36 @@ export class SyncEngine extends EventEmitter {
     trackState(entity) {
         const key = `${entity.type}:${entity.id}`;
         const existing = this.localState.get(key);
-        if (existing) {
-            // Generate patch from existing to new state
-            const patch = this.generatePatch(existing, entity);
-            if (patch.operations.length > 0) {
-                this.addPendingPatch(patch);
-                // Check if immediate sync needed
-                const priority = this.syncPriorities.get(entity.type);
-                if (priority?.strategy === 'immediate') {
-                    this.emit('sync:needed', entity.type);
-                }
+        // Copy, so later in-place edits to the caller's object still show up as changes
+        const tracked = {
+            ...entity,
+            data: jsonpatch.deepClone(entity.data),
+            vector: { ...existing?.vector }
+        };
+        // The first time an entity is seen its whole state goes out as a baseline,
+        // so devices that never had it start from the same data
+        const before = existing ? existing.data : (Array.isArray(entity.data) ? [] : {});
+        const patch = this.generatePatch(existing || tracked, tracked, before, !existing);
+        this.localState.set(key, tracked);
+        if (patch) {
+            this.addPendingPatch(patch);
+            // Check if immediate sync needed
+            const priority = this.syncPriorities.get(entity.type);
+            if (priority?.strategy === 'immediate') {
+                this.emit('sync:needed', entity.type);
             }
         }
-        // Update local state
-        this.localState.set(key, entity);
+        this.schedulePersist();
     }
     /**
-     * Get pending patches for sync
+     * Get local state for an entity, including merged remote changes
+     */
+    getState(entityType, entityId) {
+        return this.localState.get(`${entityType}:${entityId}`);
+    }
+    /**
+     * Get pending patches for sync, in the order they were made. The server
+     * relies on that order to tell which patches it already has.
      */
     getPendingPatches(types) {
         const patches = [];
@@ -61,19 +140,27 @@ export class SyncEngine extends EventEmitter {
         const entriesToSync = types
             ? Array.from(this.pendingPatches.entries()).filter(([key]) => types.some(type => key.startsWith(type + ':')))
             : Array.from(this.pendingPatches.entries());
-        // Sort by priority
-        entriesToSync.sort(([keyA], [keyB]) => {
-            const typeA = keyA.split(':')[0];
-            const typeB = keyB.split(':')[0];
-            const priorityA = this.syncPriorities.get(typeA)?.priority || 0;
-            const priorityB = this.syncPriorities.get(typeB)?.priority || 0;
-            return priorityB - priorityA;
-        });
         // Collect patches
         for (const [_, entityPatches] of entriesToSync) {
             patches.push(...entityPatches);
         }
-        return patches;
+        return patches.sort((a, b) => a.seq - b.seq);
+    }
+    /**
+     * Drop patches from the queue once the server has them
+     */
+    acknowledgePatches(patches) {
+        const sent = new Set(patches.map(patch => patch.id));
+        for (const [key, entityPatches] of this.pendingPatches) {
+            const remaining = entityPatches.filter(patch => !sent.has(patch.id));
+            if (remaining.length > 0) {
+                this.pendingPatches.set(key, remaining);
+            }
+            else {
+                this.pendingPatches.delete(key);
+            }
+        }
+        this.persistQueue();
     }
     /**
      * Apply remote patches and detect conflicts
@@ -81,93 +168,55 @@ export class SyncEngine extends EventEmitter {
     applyRemotePatches(patches) {
         const conflicts = [];
         for (const patch of patches) {
-            const key = `${patch.entityType}:${patch.entityId}`;
-            const localEntity = this.localState.get(key);
-            if (!localEntity) {
-                // No local version, apply patch to empty object
-                const newEntity = {
-                    id: patch.entityId,
-                    type: patch.entityType,
-                    version: patch.toVersion,
-                    lastModified: patch.timestamp,
-                    data: {}
-                };
-                try {
-                    const result = jsonpatch.applyPatch(newEntity.data, patch.operations);
-                    newEntity.data = result.newDocument;
-                    this.localState.set(key, newEntity);
-                }
-                catch (error) {
-                    console.error('Failed to apply remote patch:', error);
-                }
-            }
-            else if (localEntity.version < patch.fromVersion) {
-                // Local version is behind, need to sync up first
-                this.emit('sync:behind', { entity: localEntity, patch });
+            // Patches from older clients carry no causality and can't be merged
+            if (!patch.deviceId || typeof patch.seq !== 'number') {
+                console.warn('Ignoring remote patch without a device sequence:', patch.id);
+                continue;
             }
-            else if (localEntity.version > patch.fromVersion) {
-                // Conflict detected
-                const localPatches = this.pendingPatches.get(key) || [];
-                const conflict = {
-                    entityId: patch.entityId,
-                    entityType: patch.entityType,
-                    localVersion: localEntity.version,
-                    remoteVersion: patch.toVersion,
-                    localPatch: localPatches[localPatches.length - 1],
-                    remotePatch: patch
-                };
+            const conflict = this.applyRemotePatch(patch);
+            if (conflict && !conflicts.includes(conflict)) {
                 conflicts.push(conflict);
-                this.conflicts.set(key, conflict);
-            }
-            else {
-                // Versions match, apply patch
-                try {
-                    const result = jsonpatch.applyPatch(localEntity.data, patch.operations);
-                    localEntity.data = result.newDocument;
-                    localEntity.version = patch.toVersion;
-                    localEntity.lastModified = patch.timestamp;
-                    // Clear pending local patches as they're now obsolete
-                    this.pendingPatches.delete(key);
-                }
-                catch (error) {
-                    console.error('Failed to apply remote patch:', error);
-                }
             }
         }
+        if (patches.length > 0) {
+            this.schedulePersist();
+        }
         return conflicts;
     }
     /**
-     * Resolve conflicts
+     * Resolve conflicts. Concurrent edits are already merged automatically;
+     * 'merge' keeps that result, while 'local' and 'remote' write the chosen
+     * side's values for every conflicting path as a new edit.
      */
     resolveConflict(entityId, entityType, resolution) {
         const key = `${entityType}:${entityId}`;
         const conflict = this.conflicts.get(key);
         if (!conflict)
             return;
-        switch (resolution) {
-            case 'local':
-                // Keep local version, will sync on next cycle
-                break;
-            case 'remote':
-                // Accept remote version
-                const localEntity = this.localState.get(key);
-                if (localEntity && conflict.remotePatch) {
-                    try {
-                        const result = jsonpatch.applyPatch(localEntity.data, conflict.remotePatch.operations);
-                        localEntity.data = result.newDocument;
-                        localEntity.version = conflict.remotePatch.toVersion;
-                        localEntity.lastModified = conflict.remotePatch.timestamp;
-                        this.pendingPatches.delete(key);
-                    }
-                    catch (error) {
-                        console.error('Failed to apply remote patch in conflict resolution:', error);
+        const localEntity = this.localState.get(key);
+        if (localEntity && resolution !== 'merge') {
+            const loser = resolution === 'local' ? 'remote' : 'local';
+            const values = resolution === 'local' ? conflict.localValues : conflict.remoteValues;
+            const paths = conflict.paths.filter(path => conflict.kept[path] === loser);
+            if (paths.length > 0) {
+                try {
+                    const listMerge = conflict.strategy === 'list-merge';
+                    let document = listMerge ? toKeyed(localEntity.data) : jsonpatch.deepClone(localEntity.data);
+                    for (const path of paths) {
+                        document = writePath(document, path, values[path]);
                     }
+                    this.trackState({
+                        ...localEntity,
+                        version: localEntity.version + 1,
+                        lastModified: new Date(),
+                        data: listMerge ? fromKeyed(document) : document
+                    });
+                    this.emit('entity:updated', this.localState.get(key));
                 }
-                break;
-            case 'merge':
-                // TODO: Implement three-way merge
-                console.warn('Merge resolution not yet implemented');
-                break;
+                catch (error) {
+                    console.error('Failed to apply conflict resolution:', error);
+                }
+            }
         }
         conflict.resolution = resolution;
         this.conflicts.delete(key);
@@ -187,15 +236,12 @@ export class SyncEngine extends EventEmitter {
             this.metrics.totalSyncs++;
             // Get patches to send
             const outgoingPatches = this.getPendingPatches();
-            // Send local patches
+            // Send local patches. They stay queued until the server confirms them,
+            // so a dropped connection only delays them.
             if (outgoingPatches.length > 0) {
                 await sendPatches(outgoingPatches);
                 this.metrics.dataTransferred += JSON.stringify(outgoingPatches).length;
-                // Clear sent patches
-                for (const patch of outgoingPatches) {
-                    const key = `${patch.entityType}:${patch.entityId}`;
-                    this.pendingPatches.delete(key);
-                }
+                this.acknowledgePatches(outgoingPatches);
             }
             // Receive remote patches
             const incomingPatches = await receivePatches();
@@ -230,21 +276,162 @@ export class SyncEngine extends EventEmitter {
         }
     }
     /**
-     * Generate patch between two states
+     * Generate patch between two states, or null if nothing changed
      */
-    generatePatch(oldState, newState) {
-        const operations = jsonpatch.compare(oldState.data, newState.data);
+    generatePatch(oldState, newState, before, baseline) {
+        const operations = this.diff(newState.type, before, newState.data);
+        if (operations.length === 0)
+            return null;
+        const seq = ++this.seq;
+        const baseVector = { ...newState.vector };
+        const timestamp = new Date();
+        // Record the edit as ours
+        newState.vector = { ...baseVector, [this.deviceId]: seq };
+        this.seen[this.deviceId] = seq;
+        const stamp = { deviceId: this.deviceId, seq, timestamp: baseline ? 0 : timestamp.getTime() };
+        const stamps = this.getStamps(`${newState.type}:${newState.id}`);
+        for (const operation of operations) {
+            setStamp(stamps, operation.path, { ...stamp, removed: operation.op === 'remove' });
+        }
         return {
-            id: `patch-${Date.now()}-${Math.random()}`,
+            id: `${this.deviceId}:${seq}`,
             entityId: oldState.id,
             entityType: oldState.type,
             fromVersion: oldState.version,
             toVersion: newState.version,
             operations,
-            timestamp: new Date(),
-            source: 'local'
+            timestamp,
+            source: 'local',
+            deviceId: this.deviceId,
+            seq,
+            baseVector,
+            ...(baseline ? { baseline } : {})
         };
     }
+    /**
+     * Operations from one state to the next, at the granularity the type merges at
+     */
+    diff(type, before, after) {
+        switch (this.getMergeStrategy(type)) {
+            case 'last-writer-wins':
+                return jsonpatch.compare(before, after).length > 0
+                    ? [{ op: 'replace', path: '', value: jsonpatch.deepClone(after) }]
+                    : [];
+            case 'list-merge':
+                return collapseToItems(jsonpatch.compare(toKeyed(before), toKeyed(after)), toKeyed(after));
+            default:
+                return jsonpatch.compare(before, after);
+        }
+    }
+    /**
+     * Merge one remote patch into local state. Each operation is checked against
+     * the local writes to the same path, its parents and its children that the
+     * remote device hadn't seen; if there are none it applies as is, otherwise
+     * the entity's merge strategy picks a side.
+     */
+    applyRemotePatch(patch) {
+        const key = `${patch.entityType}:${patch.entityId}`;
+        let localEntity = this.localState.get(key);
+        // Already applied
+        if (localEntity && (localEntity.vector?.[patch.deviceId] || 0) >= patch.seq) {
+            return null;
+        }
+        if (!localEntity) {
+            localEntity = {
+                id: patch.entityId,
+                type: patch.entityType,
+                version: patch.toVersion,
+                lastModified: new Date(patch.timestamp),
+                data: {},
+                vector: {}
+            };
+            this.localState.set(key, localEntity);
+        }
+        const strategy = this.getMergeStrategy(patch.entityType);
+        const listMerge = strategy === 'list-merge';
+        const stamps = this.getStamps(key);
+        const baseVector = patch.baseVector || {};
+        const remoteStamp = {
+            deviceId: patch.deviceId,
+            seq: patch.seq,
+            timestamp: patch.baseline ? 0 : new Date(patch.timestamp).getTime()
+        };
+        let document = listMerge ? toKeyed(localEntity.data) : jsonpatch.deepClone(localEntity.data);
+        let conflict = null;
+        for (const operation of patch.operations) {
+            const rivals = Object.entries(stamps).filter(([path, stamp]) => isRelatedPath(path, operation.path) && (baseVector[stamp.deviceId] || 0) < stamp.seq);
+            const applies = rivals.length === 0 ||
+                remoteWins(operation, rivals.map(([, stamp]) => stamp), remoteStamp, listMerge);
+            const localValue = readPath(document, operation.path);
+            const remoteValue = operation.op === 'remove' || !('value' in operation) ? undefined : operation.value;
+            if (applies) {
+                try {
+                    document = writePath(document, operation.path, remoteValue);
+                    setStamp(stamps, operation.path, { ...remoteStamp, removed: operation.op === 'remove' });
+                }
+                catch (error) {
+                    // The parent is gone locally; the local removal stands
+                    console.warn(`Skipping remote change to ${operation.path}:`, error);
+                    continue;
+                }
+            }
+            // Baselines only fill in missing state, so losing one isn't worth reporting
+            const contested = rivals.some(([, stamp]) => stamp.timestamp > 0) && !patch.baseline;
+            if (contested && JSON.stringify(localValue) !== JSON.stringify(remoteValue)) {
+                conflict = this.recordConflict(localEntity, patch, strategy, operation.path, {
+                    kept: applies ? 'remote' : 'local',
+                    localValue,
+                    remoteValue
+                });
+            }
+        }
+        localEntity.data = listMerge ? fromKeyed(document) : document;
+        localEntity.vector = mergeVectors(mergeVectors(localEntity.vector || {}, baseVector), { [patch.deviceId]: patch.seq });
+        localEntity.version = Math.max(localEntity.version, patch.toVersion);
+        localEntity.lastModified = new Date();
+        this.seen = mergeVectors(this.seen, { [patch.deviceId]: patch.seq });
+        this.emit('entity:updated', localEntity);
+        return conflict;
+    }
+    recordConflict(localEntity, remotePatch, strategy, path, outcome) {
+        const key = `${localEntity.type}:${localEntity.id}`;
+        const localPatches = this.pendingPatches.get(key) || [];
+        let conflict = this.conflicts.get(key);
+        if (!conflict) {
+            conflict = {
+                entityId: localEntity.id,
+                entityType: localEntity.type,
+                localVersion: localEntity.version,
+                remoteVersion: remotePatch.toVersion,
+                remotePatch,
+                strategy,
+                paths: [],
+                kept: {},
+                localValues: {},
+                remoteValues: {}
+            };
+            this.conflicts.set(key, conflict);
+        }
+        conflict.localPatch = localPatches[localPatches.length - 1];
+        conflict.remotePatch = remotePatch;
+        conflict.remoteVersion = remotePatch.toVersion;
+        if (!conflict.paths.includes(path)) {
+            conflict.paths.push(path);
+            // The first local value is what this device had before any remote edit
+            conflict.localValues[path] = outcome.localValue;
+        }
+        conflict.kept[path] = outcome.kept;
+        conflict.remoteValues[path] = outcome.remoteValue;
+        return conflict;
+    }
+    getStamps(key) {
+        let stamps = this.stamps.get(key);
+        if (!stamps) {
+            stamps = {};
+            this.stamps.set(key, stamps);
+        }
+        return stamps;
+    }
     /**
      * Add patch to pending queue
      */
@@ -254,21 +441,100 @@ export class SyncEngine extends EventEmitter {
             this.pendingPatches.set(key, []);
         }
         this.pendingPatches.get(key).push(patch);
+        this.persistQueue();
+    }
+    /**
+     * Save the outgoing queue right away, so edits made offline survive a restart
+     */
+    persistQueue() {
+        if (!this.storage)
+            return;
+        const queue = {
+            deviceId: this.deviceId,
+            seq: this.seq,
+            patches: this.getPendingPatches()
+        };
+        try {
+            this.storage.save(QUEUE_KEY, JSON.stringify(queue));
+        }
+        catch (error) {
+            console.error('Failed to save sync queue:', error);
+        }
+    }
+    /**
+     * Save merged state shortly after it changes
+     */
+    schedulePersist() {
+        if (!this.storage || this.persistTimer)
+            return;
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persistState();
+        }, PERSIST_DELAY);
+    }
+    persistState() {
+        if (!this.storage)
+            return;
+        const state = {
+            seen: this.seen,
+            entities: Array.from(this.localState.values()),
+            stamps: Object.fromEntries(this.stamps)
+        };
+        try {
+            this.storage.save(STATE_KEY, JSON.stringify(state));
+        }
+        catch (error) {
+            console.error('Failed to save sync state:', error);
+        }
+    }
+    restore() {
+        if (!this.storage)
+            return;
+        try {
+            const queue = JSON.parse(this.storage.load(QUEUE_KEY) || 'null');
+            if (queue?.deviceId) {
+                this.deviceId = queue.deviceId;
+                this.seq = queue.seq || 0;
+                this.seen[this.deviceId] = this.seq;
+                queue.patches.forEach(patch => {
+                    const key = `${patch.entityType}:${patch.entityId}`;
+                    this.pendingPatches.set(key, [...(this.pendingPatches.get(key) || []), patch]);
+                });
+            }
+            const state = JSON.parse(this.storage.load(STATE_KEY) || 'null');
+            if (state) {
+                this.seen = mergeVectors(state.seen || {}, this.seen);
+                (state.entities || []).forEach(entity => {
+                    this.localState.set(`${entity.type}:${entity.id}`, {
+                        ...entity,
+                        lastModified: new Date(entity.lastModified)
+                    });
+                });
+                Object.entries(state.stamps || {}).forEach(([key, stamps]) => this.stamps.set(key, stamps));
+            }
+        }
+        catch (error) {
+            console.error('Failed to restore sync state:', error);
+        }
+        // Make sure the device ID sticks from the first run
+        this.persistQueue();
     }
     /**
      * Set up default sync priorities
      */
     setupDefaultPriorities() {
         // High priority - sync immediately
-        this.registerEntityType('claude.conversation', 100, 'immediate');
-        this.registerEntityType('editor.activeFile', 95, 'immediate');
+        this.registerEntityType('claude.conversation', 100, 'immediate', 'last-writer-wins');
+        this.registerEntityType('editor.activeFile', 95, 'immediate', 'last-writer-wins');
         // Medium priority - batch sync
-        this.registerEntityType('tasks.update', 80, 'batch');
-        this.registerEntityType('knowledge.entry', 70, 'batch');
-        this.registerEntityType('git.status', 60, 'batch');
+        this.registerEntityType('tasks.board', 80, 'batch', 'list-merge');
+        this.registerEntityType('tasks.update', 80, 'batch', 'list-merge');
+        this.registerEntityType('knowledge.entry', 70, 'batch', 'list-merge');
+        this.registerEntityType('git.status', 60, 'batch', 'last-writer-wins');
         // Low priority - lazy sync
-        this.registerEntityType('layout.config', 40, 'lazy');
-        this.registerEntityType('settings.preference', 30, 'lazy');
+        this.registerEntityType('workspace', 50, 'lazy', 'field-merge');
+        this.registerEntityType('layout.config', 40, 'lazy', 'field-merge');
+        this.registerEntityType('settings.preference', 30, 'lazy', 'field-merge');
     }
     /**
      * Get sync metrics
@@ -277,14 +543,18 @@ export class SyncEngine extends EventEmitter {
         return { ...this.metrics };
     }
     /**
-     * Reset sync engine
+     * Reset sync engine. The device keeps its ID and sequence, so the server
+     * doesn't mistake its next patches for ones it already has.
      */
     reset() {
         this.localState.clear();
         this.pendingPatches.clear();
         this.conflicts.clear();
-        this.lastSyncTimestamp.clear();
+        this.stamps.clear();
+        this.seen = { [this.deviceId]: this.seq };
         this.syncInProgress = false;
+        this.persistQueue();
+        this.persistState();
     }
     /**
      * Get conflicts
@@ -300,5 +570,195 @@ export class SyncEngine extends EventEmitter {
         return this.pendingPatches.has(key) && this.pendingPatches.get(key).length > 0;
     }
 }
+function getDefaultStorage() {
+    if (typeof localStorage === 'undefined')
+        return null;
+    return {
+        load: key => localStorage.getItem(key),
+        save: (key, value) => localStorage.setItem(key, value)
+    };
+}
+/**
+ * Decide whether a remote operation beats the concurrent local writes to the
+ * same part of the entity. The later write wins, with the device ID breaking
+ * ties; for list items an edit also beats a removal.
+ */
+function remoteWins(operation, rivals, remote, listMerge) {
+    if (listMerge && isItemPath(operation.path)) {
+        if (operation.op === 'remove') {
+            return rivals.every(stamp => stamp.removed);
+        }
+        rivals = rivals.filter(stamp => !stamp.removed);
+    }
+    return rivals.every(stamp => remote.timestamp !== stamp.timestamp
+        ? remote.timestamp > stamp.timestamp
+        : remote.deviceId > stamp.deviceId);
+}
+// The same path, or one containing the other
+function isRelatedPath(a, b) {
+    return a === b || a.startsWith(b + '/') || b.startsWith(a + '/') || a === '' || b === '';
+}
+function isItemPath(path) {
+    const segments = path.split('/');
+    return segments.length >= 2 && segments[segments.length - 2] === LIST_ITEMS;
+}
+// A write replaces whatever was recorded at or below its path
+function setStamp(stamps, path, stamp) {
+    for (const existing of Object.keys(stamps)) {
+        if (existing === path || existing.startsWith(path + '/') || path === '') {
+            delete stamps[existing];
+        }
+    }
+    stamps[path] = stamp;
+}
+function readPath(document, path) {
+    if (path === '')
+        return document;
+    try {
+        return jsonpatch.getValueByPointer(document, path);
+    }
+    catch {
+        return undefined;
+    }
+}
+/**
+ * Set or remove the value at a path, creating missing parent objects. Returns
+ * the document, which is replaced outright when the path is the root.
+ */
+function writePath(document, path, value) {
+    if (path === '')
+        return jsonpatch.deepClone(value);
+    const segments = path.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    let parent = document;
+    for (let i = 0; i < segments.length - 1; i++) {
+        if (parent[segments[i]] === undefined || parent[segments[i]] === null) {
+            if (value === undefined)
+                return document;
+            const next = segments[i + 1];
+            parent[segments[i]] = next === LIST_ITEMS || next === LIST_ORDER ? { [LIST_ITEMS]: {}, [LIST_ORDER]: [] } : {};
+        }
+        parent = parent[segments[i]];
+        if (typeof parent !== 'object') {
+            throw new Error(`Cannot write below a value at ${path}`);
+        }
+    }
+    const last = segments[segments.length - 1];
+    if (Array.isArray(parent)) {
+        const index = last === '-' ? parent.length : Number(last);
+        if (value === undefined) {
+            if (index < parent.length)
+                parent.splice(index, 1);
+        }
+        else {
+            parent[index] = jsonpatch.deepClone(value);
+        }
+    }
+    else if (value === undefined) {
+        delete parent[last];
+    }
+    else {
+        parent[last] = jsonpatch.deepClone(value);
+    }
+    return document;
+}
+function isIdentifiedList(value) {
+    if (value.length === 0)
+        return true;
+    const ids = new Set();
+    for (const item of value) {
+        if (!item || typeof item !== 'object' || (typeof item.id !== 'string' && typeof item.id !== 'number')) {
+            return false;
+        }
+        ids.add(String(item.id));
+    }
+    return ids.size === value.length;
+}
+function isKeyedList(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+        typeof value[LIST_ITEMS] === 'object' && Array.isArray(value[LIST_ORDER]);
+}
+/**
+ * Turn arrays of objects with unique ids into { $items: { id: item }, $order: [id] },
+ * so a JSON patch addresses items by id instead of by position
+ */
+function toKeyed(value) {
+    if (Array.isArray(value)) {
+        if (!isIdentifiedList(value))
+            return jsonpatch.deepClone(value);
+        const items = {};
+        value.forEach(item => {
+            items[String(item.id)] = toKeyed(item);
+        });
+        return { [LIST_ITEMS]: items, [LIST_ORDER]: value.map(item => String(item.id)) };
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toKeyed(entry)]));
+    }
+    return value;
+}
+function fromKeyed(value) {
+    if (isKeyedList(value)) {
+        const items = value[LIST_ITEMS];
+        const ids = [];
+        for (const id of value[LIST_ORDER]) {
+            if (Object.prototype.hasOwnProperty.call(items, id) && !ids.includes(id))
+                ids.push(id);
+        }
+        // Items added on another device may be missing from the order that won
+        Object.keys(items).sort().forEach(id => {
+            if (!ids.includes(id))
+                ids.push(id);
+        });
+        return ids.map(id => fromKeyed(items[id]));
+    }
+    if (Array.isArray(value)) {
+        return value.map(fromKeyed);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fromKeyed(entry)]));
+    }
+    return value;
+}
+/**
+ * Rewrite keyed operations so each list item, and each list's order, changes
+ * as a whole. Items then merge by id, and two edits to one item resolve to
+ * one of them rather than a mix.
+ */
+function collapseToItems(operations, after) {
+    const collapsed = new Map();
+    const add = (path, value) => {
+        // A new list is sent item by item, so it merges with one made elsewhere
+        if (isKeyedList(value)) {
+            Object.entries(value[LIST_ITEMS]).forEach(([id, item]) => {
+                add(`${path}/${LIST_ITEMS}/${id.replace(/~/g, '~0').replace(/\//g, '~1')}`, item);
+            });
+            collapsed.set(`${path}/${LIST_ORDER}`, { op: 'add', path: `${path}/${LIST_ORDER}`, value: value[LIST_ORDER] });
+            return;
+        }
+        collapsed.delete(path);
+        collapsed.set(path, { op: 'add', path, value });
+    };
+    for (const operation of operations) {
+        const segments = operation.path.split('/');
+        const boundary = segments.findIndex((segment, index) => segment === LIST_ORDER || (segment === LIST_ITEMS && index < segments.length - 1));
+        if (boundary === -1) {
+            if (operation.op === 'add') {
+                add(operation.path, operation.value);
+            }
+            else {
+                collapsed.set(operation.path, operation);
+            }
+            continue;
+        }
+        const path = segments.slice(0, segments[boundary] === LIST_ORDER ? boundary + 1 : boundary + 2).join('/');
+        if (operation.op === 'remove' && operation.path === path) {
+            collapsed.set(path, operation);
+        }
+        else {
+            collapsed.set(path, { op: 'add', path, value: jsonpatch.getValueByPointer(after, path) });
+        }
+    }
+    return Array.from(collapsed.values());
+}
 // Export singleton instance
 export const syncEngine = new SyncEngine();
@@ -1,11 +1,28 @@
 /**
  * Sync Engine for State Synchronization
- * Implements intelligent sync with JSON patches and conflict resolution
+ * Implements intelligent sync with JSON patches and conflict resolution.
+ * Every patch is numbered per device and carries the version vector of the
+ * entity it was made against, so edits made concurrently on two devices are
+ * detected exactly and merged with the strategy registered for their type.
  */
 import { EventEmitter } from 'events';
 import * as jsonpatch from 'fast-json-patch';
 import type { Operation } from 'fast-json-patch';
 
+/**
+ * Highest patch sequence number seen from each device
+ */
+export type VersionVector = Record<string, number>;
+
+/**
+ * How concurrent edits to one entity are combined:
+ * - last-writer-wins: the newer edit replaces the whole entity
+ * - field-merge: edits to different fields both apply; the newer edit wins a field
+ * - list-merge: like field-merge, but arrays of objects with an `id` merge per
+ *   item, and an edited item survives a concurrent removal
+ */
+export type MergeStrategy = 'last-writer-wins' | 'field-merge' | 'list-merge';
+
 export interface SyncableState {
   id: string;
   type: string;
@@ -13,6 +30,7 @@ export interface SyncableState {
   lastModified: Date;
   data: any;
   checksum?: string;
+  vector?: VersionVector;
 }
 
 export interface SyncPatch {
@@ -24,6 +42,10 @@ export interface SyncPatch {
   operations: Operation[];
   timestamp: Date;
   source: 'local' | 'remote';
+  deviceId: string;
+  seq: number; // Per device, so deviceId and seq identify the patch
+  baseVector: VersionVector; // Entity vector the patch was made against
+  baseline?: boolean; // State the device had before it first synced; loses every conflict
 }
 
 export interface SyncConflict {
@@ -31,8 +53,13 @@ export interface SyncConflict {
   entityType: string;
   localVersion: number;
   remoteVersion: number;
-  localPatch: SyncPatch;
+  localPatch?: SyncPatch;
   remotePatch: SyncPatch;
+  strategy: MergeStrategy;
+  paths: string[]; // Changed on both sides
+  kept: Record<string, 'local' | 'remote'>; // Which side each path kept in the automatic merge
+  localValues: Record<string, any>; // Per path; undefined where the path was removed
+  remoteValues: Record<string, any>;
   resolution?: 'local' | 'remote' | 'merge';
 }
 
@@ -40,6 +67,7 @@ export interface SyncPriority {
   type: string;
   priority: number;
   strategy: 'immediate' | 'batch' | 'lazy';
+  merge: MergeStrategy;
 }
 
 export interface SyncMetrics {
@@ -52,6 +80,68 @@ export interface SyncMetrics {
   averageSyncDuration: number;
 }
 
+/**
+ * Where the engine keeps its state between runs
+ */
+export interface SyncStorage {
+  load(key: string): string | null;
+  save(key: string, value: string): void;
+}
+
+// Who last wrote a path, and when
+interface PathStamp {
+  deviceId: string;
+  seq: number;
+  timestamp: number;
+  removed?: boolean;
+}
+
+type PathStamps = Record<string, PathStamp>;
+
+interface PersistedQueue {
+  deviceId: string;
+  seq: number;
+  patches: SyncPatch[];
+}
+
+interface PersistedState {
+  seen: VersionVector;
+  entities: SyncableState[];
+  stamps: Record<string, PathStamps>;
+}
+
+const QUEUE_KEY = 'clode-sync-queue';
+const STATE_KEY = 'clode-sync-state';
+const PERSIST_DELAY = 500;
+
+// Keyed form of a list of objects with ids, used by list-merge
+const LIST_ITEMS = '$items';
+const LIST_ORDER = '$order';
+
+export function compareVectors(a: VersionVector, b: VersionVector): 'equal' | 'before' | 'after' | 'concurrent' {
+  let aAhead = false;
+  let bAhead = false;
+  
+  for (const device of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const delta = (a[device] || 0) - (b[device] || 0);
+    if (delta > 0) aAhead = true;
+    if (delta < 0) bAhead = true;
+  }
+  
+  if (aAhead && bAhead) return 'concurrent';
+  if (aAhead) return 'after';
+  if (bAhead) return 'before';
+  return 'equal';
+}
+
+export function mergeVectors(a: VersionVector, b: VersionVector): VersionVector {
+  const merged = { ...a };
+  for (const [device, seq] of Object.entries(b)) {
+    merged[device] = Math.max(merged[device] || 0, seq);
+  }
+  return merged;
+}
+
 export class SyncEngine extends EventEmitter {
   private localState: Map<string, SyncableState> = new Map();
   private pendingPatches: Map<string, SyncPatch[]> = new Map();
@@ -59,9 +149,14 @@ export class SyncEngine extends EventEmitter {
   private conflicts: Map<string, SyncConflict> = new Map();
   private metrics: SyncMetrics;
   private syncInProgress: boolean = false;
-  private lastSyncTimestamp: Map<string, Date> = new Map();
+  private stamps: Map<string, PathStamps> = new Map();
+  private seen: VersionVector = {};
+  private deviceId: string;
+  private seq = 0;
+  private storage: SyncStorage | null;
+  private persistTimer: ReturnType<typeof setTimeout> | null = null;
   
-  constructor() {
+  constructor(storage: SyncStorage | null = getDefaultStorage()) {
     super();
     
     this.metrics = {
@@ -73,6 +168,10 @@ export class SyncEngine extends EventEmitter {
       averageSyncDuration: 0
     };
     
+    this.storage = storage;
+    this.deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    this.restore();
+    
     // Set default priorities
     this.setupDefaultPriorities();
   }
@@ -80,8 +179,40 @@ export class SyncEngine extends EventEmitter {
   /**
    * Register a syncable entity type with priority
    */
-  registerEntityType(type: string, priority: number, strategy: 'immediate' | 'batch' | 'lazy' = 'batch'): void {
-    this.syncPriorities.set(type, { type, priority, strategy });
+  registerEntityType(
+    type: string,
+    priority: number,
+    strategy: 'immediate' | 'batch' | 'lazy' = 'batch',
+    merge: MergeStrategy = 'field-merge'
+  ): void {
+    this.syncPriorities.set(type, { type, priority, strategy, merge });
+  }
+  
+  /**
+   * Change how concurrent edits to a type are merged
+   */
+  setMergeStrategy(type: string, merge: MergeStrategy): void {
+    const priority = this.syncPriorities.get(type);
+    if (priority) {
+      priority.merge = merge;
+    } else {
+      this.registerEntityType(type, 0, 'batch', merge);
+    }
+  }
+  
+  getMergeStrategy(type: string): MergeStrategy {
+    return this.syncPriorities.get(type)?.merge || 'field-merge';
+  }
+  
+  getDeviceId(): string {
+    return this.deviceId;
+  }
+  
+  /**
+   * Highest patch seen from each device, so the server can send only the rest
+   */
+  getSeenVector(): VersionVector {
+    return { ...this.seen };
   }
   
   /**
@@ -91,52 +222,78 @@ export class SyncEngine extends EventEmitter {
     const key = `${entity.type}:${entity.id}`;
     const existing = this.localState.get(key);
     
-    if (existing) {
-      // Generate patch from existing to new state
-      const patch = this.generatePatch(existing, entity);
-      if (patch.operations.length > 0) {
-        this.addPendingPatch(patch);
-        
-        // Check if immediate sync needed
-        const priority = this.syncPriorities.get(entity.type);
-        if (priority?.strategy === 'immediate') {
-          this.emit('sync:needed', entity.type);
-        }
+    // Copy, so later in-place edits to the caller's object still show up as changes
+    const tracked: SyncableState = {
+      ...entity,
+      data: jsonpatch.deepClone(entity.data),
+      vector: { ...existing?.vector }
+    };
+    
+    // The first time an entity is seen its whole state goes out as a baseline,
+    // so devices that never had it start from the same data
+    const before = existing ? existing.data : (Array.isArray(entity.data) ? [] : {});
+    const patch = this.generatePatch(existing || tracked, tracked, before, !existing);
+    
+    this.localState.set(key, tracked);
+    
+    if (patch) {
+      this.addPendingPatch(patch);
+      
+      // Check if immediate sync needed
+      const priority = this.syncPriorities.get(entity.type);
+      if (priority?.strategy === 'immediate') {
+        this.emit('sync:needed', entity.type);
       }
     }
     
-    // Update local state
-    this.localState.set(key, entity);
+    this.schedulePersist();
+  }
+  
+  /**
+   * Get local state for an entity, including merged remote changes
+   */
+  getState(entityType: string, entityId: string): SyncableState | undefined {
+    return this.localState.get(`${entityType}:${entityId}`);
   }
   
   /**
-   * Get pending patches for sync
+   * Get pending patches for sync, in the order they were made. The server
+   * relies on that order to tell which patches it already has.
    */
   getPendingPatches(types?: string[]): SyncPatch[] {
     const patches: SyncPatch[] = [];
     
     // Filter by types if specified
-    const entriesToSync = types 
-      ? Array.from(this.pendingPatches.entries()).filter(([key]) => 
+    const entriesToSync = types
+      ? Array.from(this.pendingPatches.entries()).filter(([key]) =>
           types.some(type => key.startsWith(type + ':'))
         )
       : Array.from(this.pendingPatches.entries());
     
-    // Sort by priority
-    entriesToSync.sort(([keyA], [keyB]) => {
-      const typeA = keyA.split(':')[0];
-      const typeB = keyB.split(':')[0];
-      const priorityA = this.syncPriorities.get(typeA)?.priority || 0;
-      const priorityB = this.syncPriorities.get(typeB)?.priority || 0;
-      return priorityB - priorityA;
-    });
-    
     // Collect patches
     for (const [_, entityPatches] of entriesToSync) {
       patches.push(...entityPatches);
     }
     
-    return patches;
+    return patches.sort((a, b) => a.seq - b.seq);
+  }
+  
+  /**
+   * Drop patches from the queue once the server has them
+   */
+  acknowledgePatches(patches: SyncPatch[]): void {
+    const sent = new Set(patches.map(patch => patch.id));
+    
+    for (const [key, entityPatches] of this.pendingPatches) {
+      const remaining = entityPatches.filter(patch => !sent.has(patch.id));
+      if (remaining.length > 0) {
+        this.pendingPatches.set(key, remaining);
+      } else {
+        this.pendingPatches.delete(key);
+      }
+    }
+    
+    this.persistQueue();
   }
   
   /**
@@ -146,63 +303,29 @@ export class SyncEngine extends EventEmitter {
     const conflicts: SyncConflict[] = [];
     
     for (const patch of patches) {
-      const key = `${patch.entityType}:${patch.entityId}`;
-      const localEntity = this.localState.get(key);
+      // Patches from older clients carry no causality and can't be merged
+      if (!patch.deviceId || typeof patch.seq !== 'number') {
+        console.warn('Ignoring remote patch without a device sequence:', patch.id);
+        continue;
+      }
       
-      if (!localEntity) {
-        // No local version, apply patch to empty object
-        const newEntity: SyncableState = {
-          id: patch.entityId,
-          type: patch.entityType,
-          version: patch.toVersion,
-          lastModified: patch.timestamp,
-          data: {}
-        };
-        
-        try {
-          const result = jsonpatch.applyPatch(newEntity.data, patch.operations);
-          newEntity.data = result.newDocument;
-          this.localState.set(key, newEntity);
-        } catch (error) {
-          console.error('Failed to apply remote patch:', error);
-        }
-      } else if (localEntity.version < patch.fromVersion) {
-        // Local version is behind, need to sync up first
-        this.emit('sync:behind', { entity: localEntity, patch });
-      } else if (localEntity.version > patch.fromVersion) {
-        // Conflict detected
-        const localPatches = this.pendingPatches.get(key) || [];
-        const conflict: SyncConflict = {
-          entityId: patch.entityId,
-          entityType: patch.entityType,
-          localVersion: localEntity.version,
-          remoteVersion: patch.toVersion,
-          localPatch: localPatches[localPatches.length - 1],
-          remotePatch: patch
-        };
+      const conflict = this.applyRemotePatch(patch);
+      if (conflict && !conflicts.includes(conflict)) {
         conflicts.push(conflict);
-        this.conflicts.set(key, conflict);
-      } else {
-        // Versions match, apply patch
-        try {
-          const result = jsonpatch.applyPatch(localEntity.data, patch.operations);
-          localEntity.data = result.newDocument;
-          localEntity.version = patch.toVersion;
-          localEntity.lastModified = patch.timestamp;
-          
-          // Clear pending local patches as they're now obsolete
-          this.pendingPatches.delete(key);
-        } catch (error) {
-          console.error('Failed to apply remote patch:', error);
-        }
       }
     }
     
+    if (patches.length > 0) {
+      this.schedulePersist();
+    }
+    
     return conflicts;
   }
   
   /**
-   * Resolve conflicts
+   * Resolve conflicts. Concurrent edits are already merged automatically;
+   * 'merge' keeps that result, while 'local' and 'remote' write the chosen
+   * side's values for every conflicting path as a new edit.
    */
   resolveConflict(entityId: string, entityType: string, resolution: 'local' | 'remote' | 'merge'): void {
     const key = `${entityType}:${entityId}`;
@@ -210,31 +333,31 @@ export class SyncEngine extends EventEmitter {
     
     if (!conflict) return;
     
-    switch (resolution) {
-      case 'local':
-        // Keep local version, will sync on next cycle
-        break;
-        
-      case 'remote':
-        // Accept remote version
-        const localEntity = this.localState.get(key);
-        if (localEntity && conflict.remotePatch) {
-          try {
-            const result = jsonpatch.applyPatch(localEntity.data, conflict.remotePatch.operations);
-            localEntity.data = result.newDocument;
-            localEntity.version = conflict.remotePatch.toVersion;
-            localEntity.lastModified = conflict.remotePatch.timestamp;
-            this.pendingPatches.delete(key);
-          } catch (error) {
-            console.error('Failed to apply remote patch in conflict resolution:', error);
+    const localEntity = this.localState.get(key);
+    if (localEntity && resolution !== 'merge') {
+      const loser = resolution === 'local' ? 'remote' : 'local';
+      const values = resolution === 'local' ? conflict.localValues : conflict.remoteValues;
+      const paths = conflict.paths.filter(path => conflict.kept[path] === loser);
+      
+      if (paths.length > 0) {
+        try {
+          const listMerge = conflict.strategy === 'list-merge';
+          let document = listMerge ? toKeyed(localEntity.data) : jsonpatch.deepClone(localEntity.data);
+          for (const path of paths) {
+            document = writePath(document, path, values[path]);
           }
+          
+          this.trackState({
+            ...localEntity,
+            version: localEntity.version + 1,
+            lastModified: new Date(),
+            data: listMerge ? fromKeyed(document) : document
+          });
+          this.emit('entity:updated', this.localState.get(key));
+        } catch (error) {
+          console.error('Failed to apply conflict resolution:', error);
         }
-        break;
-        
-      case 'merge':
-        // TODO: Implement three-way merge
-        console.warn('Merge resolution not yet implemented');
-        break;
+      }
     }
     
     conflict.resolution = resolution;
@@ -264,16 +387,12 @@ export class SyncEngine extends EventEmitter {
       // Get patches to send
       const outgoingPatches = this.getPendingPatches();
       
-      // Send local patches
+      // Send local patches. They stay queued until the server confirms them,
+      // so a dropped connection only delays them.
       if (outgoingPatches.length > 0) {
         await sendPatches(outgoingPatches);
         this.metrics.dataTransferred += JSON.stringify(outgoingPatches).length;
-        
-        // Clear sent patches
-        for (const patch of outgoingPatches) {
-          const key = `${patch.entityType}:${patch.entityId}`;
-          this.pendingPatches.delete(key);
-        }
+        this.acknowledgePatches(outgoingPatches);
       }
       
       // Receive remote patches
@@ -288,7 +407,7 @@ export class SyncEngine extends EventEmitter {
       this.metrics.lastSyncTime = new Date();
       
       const duration = Date.now() - startTime;
-      this.metrics.averageSyncDuration = 
+      this.metrics.averageSyncDuration =
         (this.metrics.averageSyncDuration * (this.metrics.totalSyncs - 1) + duration) / this.metrics.totalSyncs;
       
       this.emit('sync:complete', {
@@ -313,23 +432,199 @@ export class SyncEngine extends EventEmitter {
   }
   
   /**
-   * Generate patch between two states
+   * Generate patch between two states, or null if nothing changed
    */
-  private generatePatch(oldState: SyncableState, newState: SyncableState): SyncPatch {
-    const operations = jsonpatch.compare(oldState.data, newState.data);
+  private generatePatch(
+    oldState: SyncableState,
+    newState: SyncableState,
+    before: any,
+    baseline: boolean
+  ): SyncPatch | null {
+    const operations = this.diff(newState.type, before, newState.data);
+    if (operations.length === 0) return null;
+    
+    const seq = ++this.seq;
+    const baseVector = { ...newState.vector };
+    const timestamp = new Date();
+    
+    // Record the edit as ours
+    newState.vector = { ...baseVector, [this.deviceId]: seq };
+    this.seen[this.deviceId] = seq;
+    const stamp: PathStamp = { deviceId: this.deviceId, seq, timestamp: baseline ? 0 : timestamp.getTime() };
+    const stamps = this.getStamps(`${newState.type}:${newState.id}`);
+    for (const operation of operations) {
+      setStamp(stamps, operation.path, { ...stamp, removed: operation.op === 'remove' });
+    }
     
     return {
-      id: `patch-${Date.now()}-${Math.random()}`,
+      id: `${this.deviceId}:${seq}`,
       entityId: oldState.id,
       entityType: oldState.type,
       fromVersion: oldState.version,
       toVersion: newState.version,
       operations,
-      timestamp: new Date(),
-      source: 'local'
+      timestamp,
+      source: 'local',
+      deviceId: this.deviceId,
+      seq,
+      baseVector,
+      ...(baseline ? { baseline } : {})
     };
   }
   
+  /**
+   * Operations from one state to the next, at the granularity the type merges at
+   */
+  private diff(type: string, before: any, after: any): Operation[] {
+    switch (this.getMergeStrategy(type)) {
+      case 'last-writer-wins':
+        return jsonpatch.compare(before, after).length > 0
+          ? [{ op: 'replace', path: '', value: jsonpatch.deepClone(after) }]
+          : [];
+      
+      case 'list-merge':
+        return collapseToItems(jsonpatch.compare(toKeyed(before), toKeyed(after)), toKeyed(after));
+      
+      default:
+        return jsonpatch.compare(before, after);
+    }
+  }
+  
+  /**
+   * Merge one remote patch into local state. Each operation is checked against
+   * the local writes to the same path, its parents and its children that the
+   * remote device hadn't seen; if there are none it applies as is, otherwise
+   * the entity's merge strategy picks a side.
+   */
+  private applyRemotePatch(patch: SyncPatch): SyncConflict | null {
+    const key = `${patch.entityType}:${patch.entityId}`;
+    let localEntity = this.localState.get(key);
+    
+    // Already applied
+    if (localEntity && (localEntity.vector?.[patch.deviceId] || 0) >= patch.seq) {
+      return null;
+    }
+    
+    if (!localEntity) {
+      localEntity = {
+        id: patch.entityId,
+        type: patch.entityType,
+        version: patch.toVersion,
+        lastModified: new Date(patch.timestamp),
+        data: {},
+        vector: {}
+      };
+      this.localState.set(key, localEntity);
+    }
+    
+    const strategy = this.getMergeStrategy(patch.entityType);
+    const listMerge = strategy === 'list-merge';
+    const stamps = this.getStamps(key);
+    const baseVector = patch.baseVector || {};
+    const remoteStamp: PathStamp = {
+      deviceId: patch.deviceId,
+      seq: patch.seq,
+      timestamp: patch.baseline ? 0 : new Date(patch.timestamp).getTime()
+    };
+    
+    let document = listMerge ? toKeyed(localEntity.data) : jsonpatch.deepClone(localEntity.data);
+    let conflict: SyncConflict | null = null;
+    
+    for (const operation of patch.operations) {
+      const rivals = Object.entries(stamps).filter(([path, stamp]) =>
+        isRelatedPath(path, operation.path) && (baseVector[stamp.deviceId] || 0) < stamp.seq
+      );
+      
+      const applies = rivals.length === 0 ||
+        remoteWins(operation, rivals.map(([, stamp]) => stamp), remoteStamp, listMerge);
+      const localValue = readPath(document, operation.path);
+      const remoteValue = operation.op === 'remove' || !('value' in operation) ? undefined : operation.value;
+      
+      if (applies) {
+        try {
+          document = writePath(document, operation.path, remoteValue);
+          setStamp(stamps, operation.path, { ...remoteStamp, removed: operation.op === 'remove' });
+        } catch (error) {
+          // The parent is gone locally; the local removal stands
+          console.warn(`Skipping remote change to ${operation.path}:`, error);
+          continue;
+        }
+      }
+      
+      // Baselines only fill in missing state, so losing one isn't worth reporting
+      const contested = rivals.some(([, stamp]) => stamp.timestamp > 0) && !patch.baseline;
+      if (contested && JSON.stringify(localValue) !== JSON.stringify(remoteValue)) {
+        conflict = this.recordConflict(localEntity, patch, strategy, operation.path, {
+          kept: applies ? 'remote' : 'local',
+          localValue,
+          remoteValue
+        });
+      }
+    }
+    
+    localEntity.data = listMerge ? fromKeyed(document) : document;
+    localEntity.vector = mergeVectors(
+      mergeVectors(localEntity.vector || {}, baseVector),
+      { [patch.deviceId]: patch.seq }
+    );
+    localEntity.version = Math.max(localEntity.version, patch.toVersion);
+    localEntity.lastModified = new Date();
+    this.seen = mergeVectors(this.seen, { [patch.deviceId]: patch.seq });
+    
+    this.emit('entity:updated', localEntity);
+    return conflict;
+  }
+  
+  private recordConflict(
+    localEntity: SyncableState,
+    remotePatch: SyncPatch,
+    strategy: MergeStrategy,
+    path: string,
+    outcome: { kept: 'local' | 'remote'; localValue: any; remoteValue: any }
+  ): SyncConflict {
+    const key = `${localEntity.type}:${localEntity.id}`;
+    const localPatches = this.pendingPatches.get(key) || [];
+    let conflict = this.conflicts.get(key);
+    
+    if (!conflict) {
+      conflict = {
+        entityId: localEntity.id,
+        entityType: localEntity.type,
+        localVersion: localEntity.version,
+        remoteVersion: remotePatch.toVersion,
+        remotePatch,
+        strategy,
+        paths: [],
+        kept: {},
+        localValues: {},
+        remoteValues: {}
+      };
+      this.conflicts.set(key, conflict);
+    }
+    
+    conflict.localPatch = localPatches[localPatches.length - 1];
+    conflict.remotePatch = remotePatch;
+    conflict.remoteVersion = remotePatch.toVersion;
+    if (!conflict.paths.includes(path)) {
+      conflict.paths.push(path);
+      // The first local value is what this device had before any remote edit
+      conflict.localValues[path] = outcome.localValue;
+    }
+    conflict.kept[path] = outcome.kept;
+    conflict.remoteValues[path] = outcome.remoteValue;
+    
+    return conflict;
+  }
+  
+  private getStamps(key: string): PathStamps {
+    let stamps = this.stamps.get(key);
+    if (!stamps) {
+      stamps = {};
+      this.stamps.set(key, stamps);
+    }
+    return stamps;
+  }
+  
   /**
    * Add patch to pending queue
    */
@@ -341,6 +636,88 @@ export class SyncEngine extends EventEmitter {
     }
     
     this.pendingPatches.get(key)!.push(patch);
+    this.persistQueue();
+  }
+  
+  /**
+   * Save the outgoing queue right away, so edits made offline survive a restart
+   */
+  private persistQueue(): void {
+    if (!this.storage) return;
+    
+    const queue: PersistedQueue = {
+      deviceId: this.deviceId,
+      seq: this.seq,
+      patches: this.getPendingPatches()
+    };
+    
+    try {
+      this.storage.save(QUEUE_KEY, JSON.stringify(queue));
+    } catch (error) {
+      console.error('Failed to save sync queue:', error);
+    }
+  }
+  
+  /**
+   * Save merged state shortly after it changes
+   */
+  private schedulePersist(): void {
+    if (!this.storage || this.persistTimer) return;
+    
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persistState();
+    }, PERSIST_DELAY);
+  }
+  
+  private persistState(): void {
+    if (!this.storage) return;
+    
+    const state: PersistedState = {
+      seen: this.seen,
+      entities: Array.from(this.localState.values()),
+      stamps: Object.fromEntries(this.stamps)
+    };
+    
+    try {
+      this.storage.save(STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.error('Failed to save sync state:', error);
+    }
+  }
+  
+  private restore(): void {
+    if (!this.storage) return;
+    
+    try {
+      const queue: PersistedQueue | null = JSON.parse(this.storage.load(QUEUE_KEY) || 'null');
+      if (queue?.deviceId) {
+        this.deviceId = queue.deviceId;
+        this.seq = queue.seq || 0;
+        this.seen[this.deviceId] = this.seq;
+        queue.patches.forEach(patch => {
+          const key = `${patch.entityType}:${patch.entityId}`;
+          this.pendingPatches.set(key, [...(this.pendingPatches.get(key) || []), patch]);
+        });
+      }
+      
+      const state: PersistedState | null = JSON.parse(this.storage.load(STATE_KEY) || 'null');
+      if (state) {
+        this.seen = mergeVectors(state.seen || {}, this.seen);
+        (state.entities || []).forEach(entity => {
+          this.localState.set(`${entity.type}:${entity.id}`, {
+            ...entity,
+            lastModified: new Date(entity.lastModified)
+          });
+        });
+        Object.entries(state.stamps || {}).forEach(([key, stamps]) => this.stamps.set(key, stamps));
+      }
+    } catch (error) {
+      console.error('Failed to restore sync state:', error);
+    }
+    
+    // Make sure the device ID sticks from the first run
+    this.persistQueue();
   }
   
   /**
@@ -348,17 +725,19 @@ export class SyncEngine extends EventEmitter {
    */
   private setupDefaultPriorities(): void {
     // High priority - sync immediately
-    this.registerEntityType('claude.conversation', 100, 'immediate');
-    this.registerEntityType('editor.activeFile', 95, 'immediate');
+    this.registerEntityType('claude.conversation', 100, 'immediate', 'last-writer-wins');
+    this.registerEntityType('editor.activeFile', 95, 'immediate', 'last-writer-wins');
     
     // Medium priority - batch sync
-    this.registerEntityType('tasks.update', 80, 'batch');
-    this.registerEntityType('knowledge.entry', 70, 'batch');
-    this.registerEntityType('git.status', 60, 'batch');
+    this.registerEntityType('tasks.board', 80, 'batch', 'list-merge');
+    this.registerEntityType('tasks.update', 80, 'batch', 'list-merge');
+    this.registerEntityType('knowledge.entry', 70, 'batch', 'list-merge');
+    this.registerEntityType('git.status', 60, 'batch', 'last-writer-wins');
     
     // Low priority - lazy sync
-    this.registerEntityType('layout.config', 40, 'lazy');
-    this.registerEntityType('settings.preference', 30, 'lazy');
+    this.registerEntityType('workspace', 50, 'lazy', 'field-merge');
+    this.registerEntityType('layout.config', 40, 'lazy', 'field-merge');
+    this.registerEntityType('settings.preference', 30, 'lazy', 'field-merge');
   }
   
   /**
@@ -369,14 +748,18 @@ export class SyncEngine extends EventEmitter {
   }
   
   /**
-   * Reset sync engine
+   * Reset sync engine. The device keeps its ID and sequence, so the server
+   * doesn't mistake its next patches for ones it already has.
    */
   reset(): void {
     this.localState.clear();
     this.pendingPatches.clear();
     this.conflicts.clear();
-    this.lastSyncTimestamp.clear();
+    this.stamps.clear();
+    this.seen = { [this.deviceId]: this.seq };
     this.syncInProgress = false;
+    this.persistQueue();
+    this.persistState();
   }
   
   /**
@@ -395,8 +778,207 @@ export class SyncEngine extends EventEmitter {
   }
 }
 
+function getDefaultStorage(): SyncStorage | null {
+  if (typeof localStorage === 'undefined') return null;
+  return {
+    load: key => localStorage.getItem(key),
+    save: (key, value) => localStorage.setItem(key, value)
+  };
+}
+
+/**
+ * Decide whether a remote operation beats the concurrent local writes to the
+ * same part of the entity. The later write wins, with the device ID breaking
+ * ties; for list items an edit also beats a removal.
+ */
+function remoteWins(operation: Operation, rivals: PathStamp[], remote: PathStamp, listMerge: boolean): boolean {
+  if (listMerge && isItemPath(operation.path)) {
+    if (operation.op === 'remove') {
+      return rivals.every(stamp => stamp.removed);
+    }
+    rivals = rivals.filter(stamp => !stamp.removed);
+  }
+  
+  return rivals.every(stamp =>
+    remote.timestamp !== stamp.timestamp
+      ? remote.timestamp > stamp.timestamp
+      : remote.deviceId > stamp.deviceId
+  );
+}
+
+// The same path, or one containing the other
+function isRelatedPath(a: string, b: string): boolean {
+  return a === b || a.startsWith(b + '/') || b.startsWith(a + '/') || a === '' || b === '';
+}
+
+function isItemPath(path: string): boolean {
+  const segments = path.split('/');
+  return segments.length >= 2 && segments[segments.length - 2] === LIST_ITEMS;
+}
+
+// A write replaces whatever was recorded at or below its path
+function setStamp(stamps: PathStamps, path: string, stamp: PathStamp): void {
+  for (const existing of Object.keys(stamps)) {
+    if (existing === path || existing.startsWith(path + '/') || path === '') {
+      delete stamps[existing];
+    }
+  }
+  stamps[path] = stamp;
+}
+
+function readPath(document: any, path: string): any {
+  if (path === '') return document;
+  try {
+    return jsonpatch.getValueByPointer(document, path);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Set or remove the value at a path, creating missing parent objects. Returns
+ * the document, which is replaced outright when the path is the root.
+ */
+function writePath(document: any, path: string, value: any): any {
+  if (path === '') return jsonpatch.deepClone(value);
+  
+  const segments = path.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  let parent = document;
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (parent[segments[i]] === undefined || parent[segments[i]] === null) {
+      if (value === undefined) return document;
+      const next = segments[i + 1];
+      parent[segments[i]] = next === LIST_ITEMS || next === LIST_ORDER ? { [LIST_ITEMS]: {}, [LIST_ORDER]: [] } : {};
+    }
+    parent = parent[segments[i]];
+    if (typeof parent !== 'object') {
+      throw new Error(`Cannot write below a value at ${path}`);
+    }
+  }
+  
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent)) {
+    const index = last === '-' ? parent.length : Number(last);
+    if (value === undefined) {
+      if (index < parent.length) parent.splice(index, 1);
+    } else {
+      parent[index] = jsonpatch.deepClone(value);
+    }
+  } else if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = jsonpatch.deepClone(value);
+  }
+  return document;
+}
+
+function isIdentifiedList(value: any[]): boolean {
+  if (value.length === 0) return true;
+  const ids = new Set<string>();
+  for (const item of value) {
+    if (!item || typeof item !== 'object' || (typeof item.id !== 'string' && typeof item.id !== 'number')) {
+      return false;
+    }
+    ids.add(String(item.id));
+  }
+  return ids.size === value.length;
+}
+
+function isKeyedList(value: any): boolean {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value[LIST_ITEMS] === 'object' && Array.isArray(value[LIST_ORDER]);
+}
+
+/**
+ * Turn arrays of objects with unique ids into { $items: { id: item }, $order: [id] },
+ * so a JSON patch addresses items by id instead of by position
+ */
+function toKeyed(value: any): any {
+  if (Array.isArray(value)) {
+    if (!isIdentifiedList(value)) return jsonpatch.deepClone(value);
+    const items: Record<string, any> = {};
+    value.forEach(item => {
+      items[String(item.id)] = toKeyed(item);
+    });
+    return { [LIST_ITEMS]: items, [LIST_ORDER]: value.map(item => String(item.id)) };
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toKeyed(entry)]));
+  }
+  return value;
+}
+
+function fromKeyed(value: any): any {
+  if (isKeyedList(value)) {
+    const items = value[LIST_ITEMS];
+    const ids: string[] = [];
+    for (const id of value[LIST_ORDER]) {
+      if (Object.prototype.hasOwnProperty.call(items, id) && !ids.includes(id)) ids.push(id);
+    }
+    // Items added on another device may be missing from the order that won
+    Object.keys(items).sort().forEach(id => {
+      if (!ids.includes(id)) ids.push(id);
+    });
+    return ids.map(id => fromKeyed(items[id]));
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromKeyed);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fromKeyed(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Rewrite keyed operations so each list item, and each list's order, changes
+ * as a whole. Items then merge by id, and two edits to one item resolve to
+ * one of them rather than a mix.
+ */
+function collapseToItems(operations: Operation[], after: any): Operation[] {
+  const collapsed = new Map<string, Operation>();
+  
+  const add = (path: string, value: any) => {
+    // A new list is sent item by item, so it merges with one made elsewhere
+    if (isKeyedList(value)) {
+      Object.entries(value[LIST_ITEMS]).forEach(([id, item]) => {
+        add(`${path}/${LIST_ITEMS}/${id.replace(/~/g, '~0').replace(/\//g, '~1')}`, item);
+      });
+      collapsed.set(`${path}/${LIST_ORDER}`, { op: 'add', path: `${path}/${LIST_ORDER}`, value: value[LIST_ORDER] });
+      return;
+    }
+    collapsed.delete(path);
+    collapsed.set(path, { op: 'add', path, value });
+  };
+  
+  for (const operation of operations) {
+    const segments = operation.path.split('/');
+    const boundary = segments.findIndex((segment, index) =>
+      segment === LIST_ORDER || (segment === LIST_ITEMS && index < segments.length - 1)
+    );
+    
+    if (boundary === -1) {
+      if (operation.op === 'add') {
+        add(operation.path, operation.value);
+      } else {
+        collapsed.set(operation.path, operation);
+      }
+      continue;
+    }
+    
+    const path = segments.slice(0, segments[boundary] === LIST_ORDER ? boundary + 1 : boundary + 2).join('/');
+    if (operation.op === 'remove' && operation.path === path) {
+      collapsed.set(path, operation);
+    } else {
+      collapsed.set(path, { op: 'add', path, value: jsonpatch.getValueByPointer(after, path) });
+    }
+  }
+  
+  return Array.from(collapsed.values());
+}
+
 // Export singleton instance
 export const syncEngine = new SyncEngine();
 
 // Export types as well
-export type { SyncableState, SyncPatch, SyncConflict, SyncPriority, SyncMetrics };
\ No newline at end of file
+export type { SyncableState, SyncPatch, SyncConflict, SyncPriority, SyncMetrics };
@@ -13,7 +13,7 @@ export interface SyncServiceConfig {
   syncInterval: number;
   conflictResolution: 'local' | 'remote' | 'manual';
   maxPatchSize: number;
-  compressionEnabled: boolean;
+  requestTimeout: number;
 }
 
 export class SyncService {
@@ -21,6 +21,8 @@ export class SyncService {
   private syncTimer: NodeJS.Timeout | null = null;
   private getSocket: () => Socket | null;
   private pendingConflicts: SyncConflict[] = [];
+  private pushSocket: Socket | null = null;
+  private pushSyncTimer: NodeJS.Timeout | null = null;
   
   constructor(
     getSocket: () => Socket | null,
@@ -32,7 +34,7 @@ export class SyncService {
       syncInterval: 30000, // 30 seconds
       conflictResolution: 'manual',
       maxPatchSize: 1024 * 1024, // 1MB
-      compressionEnabled: true,
+      requestTimeout: 15000,
       ...config
     };
     
@@ -58,6 +60,8 @@ export class SyncService {
       throw new Error('Not connected to remote server');
     }
     
+    this.listenForPushes();
+    
     const result = await syncEngine.performSync(
       (patches) => this.sendPatches(patches),
       () => this.receivePatches()
@@ -133,36 +137,7 @@ export class SyncService {
       throw new Error('Socket not connected');
     }
     
-    // Compress if enabled and beneficial
-    let data: any = patches;
-    let compressed = false;
-    
-    if (this.config.compressionEnabled) {
-      const originalSize = JSON.stringify(patches).length;
-      if (originalSize > 1024) { // Only compress if > 1KB
-        // TODO: Implement compression
-        // data = compress(patches);
-        compressed = true;
-      }
-    }
-    
-    return new Promise((resolve, reject) => {
-      const request: RemoteRequest = {
-        id: `sync-${Date.now()}`,
-        payload: {
-          patches: data,
-          compressed
-        }
-      };
-      
-      socket.emit('sync:push', request, (response: RemoteResponse) => {
-        if (response.success) {
-          resolve();
-        } else {
-          reject(new Error(response.error?.message || 'Failed to push patches'));
-        }
-      });
-    });
+    await this.request(socket, 'sync:push', { patches });
   }
   
   /**
@@ -174,32 +149,68 @@ export class SyncService {
       throw new Error('Socket not connected');
     }
     
+    // Ask only for what this device hasn't seen from each of the others
+    const data = await this.request<{ patches: SyncPatch[] }>(socket, 'sync:pull', {
+      seen: syncEngine.getSeenVector(),
+      since: this.getLastSyncTimestamp()
+    });
+    
+    return data?.patches || [];
+  }
+  
+  /**
+   * Send a request and wait for its acknowledgement. Gives up after the
+   * configured timeout, so a flaky connection can't stall syncing; whatever
+   * wasn't acknowledged stays queued for the next attempt.
+   */
+  private request<T = any>(socket: Socket, event: string, payload: any): Promise<T> {
     return new Promise((resolve, reject) => {
       const request: RemoteRequest = {
         id: `sync-${Date.now()}`,
-        payload: {
-          since: this.getLastSyncTimestamp()
-        }
+        payload
       };
       
-      socket.emit('sync:pull', request, (response: RemoteResponse<{ patches: SyncPatch[], compressed: boolean }>) => {
-        if (response.success && response.data) {
-          let patches = response.data.patches;
-          
-          // Decompress if needed
-          if (response.data.compressed) {
-            // TODO: Implement decompression
-            // patches = decompress(patches);
-          }
-          
-          resolve(patches);
+      const timeout = setTimeout(() => {
+        reject(new Error(`Timeout waiting for response to ${event}`));
+      }, this.config.requestTimeout);
+      
+      socket.emit(event, request, (response: RemoteResponse<T>) => {
+        clearTimeout(timeout);
+        if (response?.success) {
+          resolve(response.data as T);
         } else {
-          reject(new Error(response.error?.message || 'Failed to pull patches'));
+          reject(new Error(response?.error?.message || `Failed to ${event.replace('sync:', '')} patches`));
         }
       });
     });
   }
   
+  /**
+   * Sync as soon as the server says another device pushed patches
+   */
+  private listenForPushes(): void {
+    const socket = this.getSocket();
+    if (!socket || socket === this.pushSocket) return;
+    
+    this.pushSocket?.off('sync:patches', this.handlePushedPatches);
+    socket.on('sync:patches', this.handlePushedPatches);
+    this.pushSocket = socket;
+  }
+  
+  private handlePushedPatches = (): void => {
+    if (this.pushSyncTimer) return;
+    
+    // Pushes from several devices often arrive together
+    this.pushSyncTimer = setTimeout(() => {
+      this.pushSyncTimer = null;
+      if (connectionManager.isConnected()) {
+        this.sync().catch(error => {
+          console.error('Sync after remote push failed:', error);
+        });
+      }
+    }, 100);
+  };
+  
   /**
    * Handle conflicts based on configuration
    */
@@ -301,6 +312,12 @@ export class SyncService {
    */
   dispose(): void {
     this.stopAutoSync();
+    this.pushSocket?.off('sync:patches', this.handlePushedPatches);
+    this.pushSocket = null;
+    if (this.pushSyncTimer) {
+      clearTimeout(this.pushSyncTimer);
+      this.pushSyncTimer = null;
+    }
     this.listeners.clear();
   }
 }
\ No newline at end of file
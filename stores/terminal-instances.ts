@@ -35,15 +35,13 @@ export const useTerminalInstancesStore = defineStore('terminalInstances', {
       // Only proceed with storage operations if in Electron context
       if (typeof window !== 'undefined' && window.electronAPI?.store) {
         try {
-          // Clear PTY process IDs on startup since they don't persist
+          // PTY process IDs are kept: terminals are respawned under the same ID
+          // after a restart, and views that can't reattach create a new one
           const savedInstances = await window.electronAPI.store.get('terminalInstances');
           
           if (savedInstances && Array.isArray(savedInstances)) {
             savedInstances.forEach((instance: TerminalInstance) => {
               
-              // Clear PTY process ID on app startup since processes don't persist
-              delete instance.ptyProcessId;
-              
               // Ensure dates are strings
               if (instance.createdAt && typeof instance.createdAt !== 'string') {
                 instance.createdAt = new Date(instance.createdAt).toISOString();
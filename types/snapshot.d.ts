@@ -167,6 +167,8 @@ export interface StorageInfo {
   totalContentSizeKb: number;
   compressionRatio: number;          // Average compression across all content
   deduplicationSavings: number;     // Bytes saved through deduplication
+  objectCount?: number;             // Objects in the shared content store
+  reclaimableKb?: number;           // Unreferenced objects the next cleanup can remove
   oldestSnapshot: string;           // ISO date string
   newestSnapshot: string;           // ISO date string
   storageDirectory: string;         // Full path to storage